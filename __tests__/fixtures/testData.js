@@ -1,6 +1,7 @@
 /**
  * Test data fixtures
  * These fixtures represent the expected data structure for tests
+ * Balances and amounts are in cents, as the stores keep them
  */
 
 const testUsers = {
@@ -11,19 +12,22 @@ const testUsers = {
     accounts: {
       checking: {
         accountNumber: "ACC-001",
-        balance: 5000,
+        balance: 500000,
+        currency: "USD",
         type: "checking",
         displayName: "Checking Account"
       },
       savings: {
         accountNumber: "ACC-002",
-        balance: 10000,
+        balance: 1000000,
+        currency: "USD",
         type: "savings",
         displayName: "Savings Account"
       },
       investments: {
         accountNumber: "ACC-003",
-        balance: 15000,
+        balance: 1500000,
+        currency: "USD",
         type: "investments",
         displayName: "Investment Account"
       }
@@ -36,13 +40,15 @@ const testUsers = {
     accounts: {
       checking: {
         accountNumber: "ACC-101",
-        balance: 3000,
+        balance: 300000,
+        currency: "USD",
         type: "checking",
         displayName: "Checking Account"
       },
       savings: {
         accountNumber: "ACC-102",
-        balance: 8000,
+        balance: 800000,
+        currency: "USD",
         type: "savings",
         displayName: "Savings Account"
       }
@@ -67,7 +73,8 @@ const testTransactions = [
     from: "checking",
     to: "savings",
     userId: "john_doe",
-    amount: 1000,
+    amount: 100000,
+    currency: "USD",
     timestamp: new Date("2025-01-01T00:00:00.000Z"),
     correlationId: "test-correlation-1"
   }
@@ -79,9 +86,33 @@ const getTestData = () => ({
   transactions: JSON.parse(JSON.stringify(testTransactions))
 });
 
+// Writes fresh test data to a temp file for tests that drive the real app
+// through DATA_FILE; returns the file path
+const createTestDataFile = () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'banking-data-'));
+  const file = path.join(directory, 'data.json');
+  const { hashToken } = require('../../sessions');
+
+  // Fixture sessions start now, or the app would treat them as long expired,
+  // and are stored under their token's hash like real ones; tests keep
+  // sending the fixture ids (session_test_123) as tokens
+  const data = getTestData();
+  data.sessions = Object.fromEntries(Object.entries(data.sessions).map(([token, session]) => [
+    hashToken(token),
+    { ...session, createdAt: new Date().toISOString() }
+  ]));
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+};
+
 module.exports = {
   testUsers,
   testSessions,
   testTransactions,
-  getTestData
+  getTestData,
+  createTestDataFile
 };
@@ -0,0 +1,128 @@
+/**
+ * Integration tests for the audit trail the server writes
+ * LOG_LEVEL is error, so anything in the trail got there regardless of
+ * what the ordinary logs keep. setup.js points AUDIT_LOG_FILE at a temp dir
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+process.env.LOG_LEVEL = 'error';
+
+const { app, auditLog } = require('../../server');
+const JsonStore = require('../../json-store');
+const { verifyAuditLog } = require('../../audit-log');
+const { unlockAccount } = require('../../unlock-account');
+const { reviewHeldTransfer } = require('../../review-held-transfers');
+
+const store = new JsonStore({ file: process.env.DATA_FILE });
+
+describe('Audit trail', () => {
+  let seen = 0;
+  const entries = () => fs.readFileSync(auditLog.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  // Entries written since the last call
+  const newEntries = () => {
+    const all = entries();
+    const added = all.slice(seen);
+    seen = all.length;
+    return added;
+  };
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should record sign-in, money moving and sign-out, but not reads', async () => {
+    const login = await request(app).post('/login').send({ username: 'jane_smith', password: 'secure456' });
+    const sessionId = login.body.sessionId;
+    await request(app).get('/balance').set('X-Session-Id', sessionId);
+    await request(app).post('/transfer').set('X-Session-Id', sessionId)
+      .send({ amount: 50, fromAccount: 'checking', toAccount: 'savings' });
+    await request(app).post('/logout').set('X-Session-Id', sessionId);
+
+    const added = newEntries();
+    expect(added.map(entry => entry.event)).toEqual([
+      'BANKING_LOGIN_SUCCESS',
+      'BANKING_FRAUD_DECISION',
+      'BANKING_TRANSFER_SUCCESS',
+      'BANKING_SESSION_REVOKED',
+      'BANKING_LOGOUT'
+    ]);
+    expect(added.every(entry => entry.user === 'jane_smith')).toBe(true);
+    expect(added[2]).toMatchObject({ outcome: 'success', data: { amount: 50, fromAccount: 'checking', toAccount: 'savings' } });
+    expect(added[2].correlationId).toEqual(expect.any(String));
+    expect(added[3].data).toMatchObject({ reason: 'logout' });
+  });
+
+  test('should record failed sign-ins and requests with a bad session', async () => {
+    await request(app).post('/login').send({ username: 'john_doe', password: 'not-the-password' });
+    await request(app).get('/balance').set('X-Session-Id', 'session_that_never_was');
+
+    const [failedLogin, failedAuth] = newEntries();
+    expect(failedLogin).toMatchObject({ event: 'BANKING_LOGIN_FAILED', user: 'john_doe', outcome: 'failure' });
+    expect(failedAuth).toMatchObject({
+      event: 'BANKING_AUTH_FAILED',
+      outcome: 'failure',
+      data: { reason: 'INVALID_SESSION', method: 'GET', path: '/balance' }
+    });
+  });
+
+  test('should record a lock lifted by unlock-account.js in the same chain', () => {
+    expect(unlockAccount(store, 'john_doe', auditLog)).toBe(true);
+
+    expect(newEntries()).toEqual([
+      expect.objectContaining({ event: 'BANKING_ACCOUNT_UNLOCKED', user: 'john_doe', data: { by: 'unlock-account.js' } })
+    ]);
+  });
+
+  test('should record password changes without the passwords', async () => {
+    await request(app).post('/password').set('X-Session-Id', 'session_test_123')
+      .send({ currentPassword: 'password123', newPassword: 'Correct-horse-42' });
+
+    expect(newEntries().map(entry => entry.event)).toEqual(['BANKING_PASSWORD_CHANGED']);
+    const written = fs.readFileSync(auditLog.file, 'utf8');
+    expect(written).not.toContain('password123');
+    expect(written).not.toContain('Correct-horse-42');
+    expect(written).not.toContain('not-the-password');
+  });
+
+  test('should record held transfers released or rejected by review-held-transfers.js', () => {
+    const hold = (id) => store.addTransaction({
+      id, from: 'checking', to: 'savings', userId: 'jane_smith', amount: 1000, currency: 'USD',
+      timestamp: new Date(), correlationId: `corr-${id}`, status: 'held', reason: 'FRAUD_HOLD'
+    });
+    hold('txn_held_release');
+    hold('txn_held_reject');
+
+    expect(reviewHeldTransfer(store, 'release', 'txn_held_release', auditLog).rejection).toBeUndefined();
+    expect(reviewHeldTransfer(store, 'reject', 'txn_held_reject', auditLog).rejection).toBeUndefined();
+    // Nothing to record for an id that isn't held
+    expect(reviewHeldTransfer(store, 'reject', 'txn_held_reject', auditLog).rejection.reason).toBe('NOT_HELD');
+
+    expect(newEntries()).toEqual([
+      expect.objectContaining({
+        event: 'BANKING_HELD_TRANSFER_RELEASED',
+        user: 'jane_smith',
+        outcome: 'success',
+        correlationId: 'corr-txn_held_release',
+        data: { by: 'review-held-transfers.js', transactionId: 'txn_held_release', amount: 10, currency: 'USD', fromAccount: 'checking' }
+      }),
+      expect.objectContaining({ event: 'BANKING_HELD_TRANSFER_REJECTED', outcome: 'success', correlationId: 'corr-txn_held_reject' })
+    ]);
+  });
+
+  test('should leave a chain that verifies', () => {
+    const all = entries();
+
+    expect(verifyAuditLog(auditLog.file)).toEqual({
+      valid: true,
+      entries: all.length,
+      head: { seq: all.length, hash: all[all.length - 1].hash },
+      problems: []
+    });
+  });
+});
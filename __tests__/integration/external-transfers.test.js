@@ -0,0 +1,195 @@
+/**
+ * Integration tests for payee lookup and transfers to other customers
+ * John (ACC-001 checking) pays Jane (ACC-101 checking) with a daily limit of
+ * 1500 and five payee lookups per user
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+process.env.EXTERNAL_TRANSFER_DAILY_LIMIT = '1500';
+process.env.PAYEE_LOOKUP_LIMIT = '5';
+
+const { app, logger, externalTransfers } = require('../../server');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+const asJohn = (method, url) => request(app)[method](url).set('X-Session-Id', 'session_test_123');
+const asJane = (method, url) => request(app)[method](url).set('X-Session-Id', 'session_test_456');
+
+const pay = (body) => asJohn('post', '/transfer/external')
+  .send({ fromAccount: 'checking', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith', ...body });
+
+describe('External transfers', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    delete process.env.EXTERNAL_TRANSFER_DAILY_LIMIT;
+    delete process.env.PAYEE_LOOKUP_LIMIT;
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  describe('Payee lookup', () => {
+    test('should confirm a matching name', async () => {
+      const response = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-101', name: 'jane smith' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ accountNumber: 'ACC-101', result: 'match' });
+      expect(events('BANKING_PAYEE_LOOKUP')[0]).toMatchObject({ outcome: 'success', data: { result: 'match' } });
+    });
+
+    test('should show the real name only on a close match', async () => {
+      const close = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-101', name: 'J Smith' });
+      const miss = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-101', name: 'Bob' });
+
+      expect(close.body).toEqual({ accountNumber: 'ACC-101', result: 'close_match', name: 'Jane Smith' });
+      expect(miss.body).toEqual({ accountNumber: 'ACC-101', result: 'no_match' });
+    });
+
+    test('should answer for an unknown account as for a wrong name', async () => {
+      const response = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-999', name: 'Jane Smith' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ accountNumber: 'ACC-999', result: 'no_match' });
+    });
+
+    test('should limit how many payees a user can look up', async () => {
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await asJohn('post', '/payees/lookup').send({ accountNumber: `ACC-90${attempt}`, name: 'Jane Smith' })).status);
+      }
+      const limited = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-101', name: 'Jane Smith' });
+
+      // Five per window in this file, four of them used above
+      expect(statuses).toEqual([200, 429, 429]);
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.body).toEqual({ error: 'Too many payee lookups, try again later' });
+      expect(events('BANKING_PAYEE_LOOKUP').pop().data).toMatchObject({ reason: 'TOO_MANY_LOOKUPS' });
+      expect((await asJane('post', '/payees/lookup').send({ accountNumber: 'ACC-001', name: 'John Doe' })).status).toBe(200);
+    });
+  });
+
+  describe('Sending money', () => {
+    test('should move money to the other customer and record both sides', async () => {
+      const response = await pay({ amount: 400 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, newBalance: 4600, payeeName: 'Jane Smith' });
+
+      const data = readData();
+      expect(data.users.jane_smith.accounts.checking.balance).toBe(340000);
+
+      const sides = data.transactions.filter(txn => txn.id === response.body.transactionId);
+      expect(sides.map(txn => [txn.userId, txn.from, txn.to])).toEqual([
+        ['john_doe', 'checking', 'ACC-101'],
+        ['jane_smith', 'ACC-001', 'checking']
+      ]);
+      expect(sides[0].correlationId).toBe(sides[1].correlationId);
+    });
+
+    test('should log both sides with the same correlation id and masked account numbers', async () => {
+      const response = await pay({ amount: 100 });
+      const { correlationId } = readData().transactions.find(txn => txn.id === response.body.transactionId);
+
+      const sent = events('BANKING_EXTERNAL_TRANSFER_SENT')[0];
+      const received = events('BANKING_EXTERNAL_TRANSFER_RECEIVED')[0];
+      expect(correlationId).toBeDefined();
+      expect(sent).toMatchObject({ user: 'john_doe', correlationId });
+      expect(received).toMatchObject({ user: 'jane_smith', correlationId });
+      expect(received.data.transactionId).toBe(response.body.transactionId);
+      expect(sent.data.toAccountNumber).not.toContain('ACC-101');
+      expect(received.data.fromAccountNumber).not.toContain('ACC-001');
+    });
+
+    test('should show in the recipient\'s history and statement', async () => {
+      const history = await asJane('get', '/transactions').query({ account: 'checking', direction: 'in' });
+      const statement = await asJane('get', '/accounts/checking/statement').query({ format: 'csv' });
+
+      expect(history.body.transactions[0]).toMatchObject({ from: 'ACC-001', to: 'checking', counterpartyName: 'John Doe' });
+      expect(statement.text).toContain('Transfer from John Doe');
+    });
+
+    test('should ask for confirmation on a close match', async () => {
+      externalTransfers.lookups.clear();
+      const unconfirmed = await pay({ amount: 10, payeeName: 'J Smith' });
+      const confirmed = await pay({ amount: 10, payeeName: 'J Smith', confirmCloseMatch: true });
+
+      expect(unconfirmed.status).toBe(409);
+      expect(unconfirmed.body).toEqual({ error: 'Payee name is a close match; confirm to continue', payeeName: 'Jane Smith' });
+      expect(JSON.stringify(events('BANKING_EXTERNAL_TRANSFER_FAILED'))).not.toContain('Jane Smith');
+      expect(confirmed.status).toBe(200);
+    });
+
+    test('should count a close match towards the payee lookups, since it shows the name', async () => {
+      externalTransfers.lookups.clear();
+      const statuses = [];
+      for (let attempt = 0; attempt < 6; attempt++) {
+        statuses.push((await pay({ amount: 10, payeeName: 'J Smith' })).status);
+      }
+      const limited = await pay({ amount: 10, payeeName: 'Jane Smyth' });
+      const lookup = await asJohn('post', '/payees/lookup').send({ accountNumber: 'ACC-101', name: 'J Smith' });
+
+      expect(statuses).toEqual([409, 409, 409, 409, 409, 429]);
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.body).toEqual({ error: 'Too many payee lookups, try again later' });
+      expect(events('BANKING_EXTERNAL_TRANSFER_FAILED').pop().data.reason).toBe('TOO_MANY_LOOKUPS');
+      expect(lookup.status).toBe(429);
+      externalTransfers.lookups.clear();
+    });
+
+    test('should refuse a name that does not match', async () => {
+      const response = await pay({ amount: 10, payeeName: 'Bob Jones' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Payee name does not match the account' });
+    });
+
+    test('should refuse the user\'s own account', async () => {
+      const response = await pay({ amount: 10, toAccountNumber: 'ACC-002', payeeName: 'John Doe' });
+
+      expect(response.status).toBe(400);
+      expect(events('BANKING_EXTERNAL_TRANSFER_FAILED')[0].data.reason).toBe('OWN_ACCOUNT');
+    });
+
+    test('should apply a retried transfer once', async () => {
+      const retry = () => pay({ amount: 5 }).set('Idempotency-Key', 'external-once');
+
+      const first = await retry();
+      const second = await retry();
+
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(second.body).toEqual(first.body);
+      expect(readData().transactions.filter(txn => txn.id === first.body.transactionId)).toHaveLength(2);
+    });
+
+    test('should stop at the daily limit', async () => {
+      // 515 sent so far today
+      const response = await pay({ amount: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Daily transfer limit exceeded' });
+      expect(events('BANKING_EXTERNAL_TRANSFER_FAILED')[0].data).toMatchObject({
+        reason: 'DAILY_LIMIT_EXCEEDED',
+        limit: 1500,
+        usedToday: 515
+      });
+      // Far above John's usual payments, so the fraud rules ask for his password too
+      expect((await pay({ amount: 985, password: 'password123' })).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Integration tests for fraud decisions on POST /transfer
+ * Jane starts with 3000 in checking and 8000 in savings; the hold and block
+ * scores are lowered so each decision is a couple of rules away. The
+ * device is told apart by User-Agent, since every request here comes from
+ * the same IP
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+process.env.FRAUD_VELOCITY_MAX = '3';
+process.env.FRAUD_HOLD_SCORE = '50';
+process.env.FRAUD_BLOCK_SCORE = '70';
+
+const { app, logger, twoFactor, scheduler, reconcileLedger } = require('../../server');
+const JsonStore = require('../../json-store');
+const { totp } = require('../../totp');
+
+const store = new JsonStore({ file: process.env.DATA_FILE });
+
+const transfer = (body, { session = 'session_test_456', userAgent = 'Browser A' } = {}) => request(app)
+  .post('/transfer')
+  .set('X-Session-Id', session)
+  .set('User-Agent', userAgent)
+  .send(body);
+
+describe('Fraud decisions on transfers', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+  // In dollars; the store keeps cents
+  const balance = (type, userId = 'jane_smith') => store.getAccount(userId, type).balance / 100;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should allow an ordinary transfer and remember where it came from', async () => {
+    const response = await transfer({ amount: 100, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(response.status).toBe(200);
+    const decision = events('BANKING_FRAUD_DECISION')[0];
+    expect(decision).toMatchObject({ level: 'info', outcome: 'success', user: 'jane_smith' });
+    expect(decision.data).toMatchObject({ score: 0, decision: 'allow', rules: [], amount: 100, currency: 'USD' });
+
+    const txn = store.listTransactions('jane_smith').find(t => t.id === decision.data.transactionId);
+    expect(txn.ip).toMatch(/127\.0\.0\.1/);
+    expect(txn.device).toMatch(/^[0-9a-f]{16}$/);
+
+    // Only the fraud rules see them
+    const history = await request(app).get('/transactions').set('X-Session-Id', 'session_test_456');
+    expect(history.body.transactions[0].id).toBe(txn.id);
+    expect(history.body.transactions[0]).not.toHaveProperty('ip');
+    expect(history.body.transactions[0]).not.toHaveProperty('device');
+  });
+
+  test('should ask for the password again before draining an account', async () => {
+    const body = { amount: 2800, fromAccount: 'checking', toAccount: 'savings' };
+
+    const asked = await transfer(body);
+    expect(asked.status).toBe(403);
+    expect(asked.body).toEqual({ error: 'Additional verification required', code: 'STEP_UP_REQUIRED', method: 'password' });
+    expect(balance('checking')).toBe(2900);
+    expect(events('BANKING_FRAUD_DECISION')[0]).toMatchObject({
+      level: 'warn',
+      outcome: 'failure',
+      data: { score: 35, decision: 'step-up', rules: [{ rule: 'drain', score: 35, ratio: 0.97 }] }
+    });
+    expect(events('BANKING_TRANSFER_FAILED')[0].data).toMatchObject({ reason: 'STEP_UP_REQUIRED', method: 'password' });
+
+    const wrong = await transfer({ ...body, password: 'not-it' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body).toMatchObject({ code: 'STEP_UP_FAILED' });
+    expect(balance('checking')).toBe(2900);
+
+    records = [];
+    const confirmed = await transfer({ ...body, password: 'secure456' });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.newBalance).toBe(100);
+    expect(events('BANKING_FRAUD_DECISION')[0]).toMatchObject({
+      level: 'info',
+      outcome: 'success',
+      data: { decision: 'step-up', stepUp: 'password' }
+    });
+  });
+
+  test('should hold a risky transfer for review without moving money', async () => {
+    const response = await transfer({ amount: 10000, fromAccount: 'savings', toAccount: 'checking' }, { userAgent: 'Browser B' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toEqual({ held: true, transactionId: expect.any(String), message: 'Transfer held for review' });
+    expect(balance('savings')).toBe(10900);
+    expect(balance('checking')).toBe(100);
+
+    expect(events('BANKING_FRAUD_DECISION')[0].data).toMatchObject({
+      score: 50,
+      decision: 'hold',
+      rules: [{ rule: 'new_device' }, { rule: 'drain' }]
+    });
+    expect(events('BANKING_TRANSFER_HELD')[0]).toMatchObject({
+      outcome: 'failure',
+      data: { reason: 'FRAUD_HOLD', transactionId: response.body.transactionId }
+    });
+
+    const held = store.listTransactions('jane_smith').find(t => t.id === response.body.transactionId);
+    expect(held).toMatchObject({ amount: 1000000, status: 'held', reason: 'FRAUD_HOLD' });
+
+    // The history shows the hold; statements and the ledger never see it
+    const today = new Date().toISOString().slice(0, 10);
+    const statement = await request(app).get('/accounts/savings/statement')
+      .set('X-Session-Id', 'session_test_456')
+      .query({ from: today, to: today });
+    expect(statement.text).not.toContain(held.id);
+    expect(reconcileLedger().balanced).toBe(true);
+  });
+
+  test('should block a transfer once enough rules fire', async () => {
+    const response = await transfer({ amount: 10000, fromAccount: 'savings', toAccount: 'checking' }, { userAgent: 'Browser B' });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Transfer blocked' });
+    expect(balance('savings')).toBe(10900);
+
+    const decision = events('BANKING_FRAUD_DECISION')[0];
+    expect(decision.data).toMatchObject({ score: 90, decision: 'block' });
+    expect(decision.data.rules.map(r => r.rule)).toEqual(['velocity', 'new_device', 'drain']);
+    expect(events('BANKING_TRANSFER_FAILED')[0].data).toMatchObject({ reason: 'FRAUD_BLOCKED' });
+  });
+
+  test('should not score transfers that fail their own checks', async () => {
+    const response = await transfer({ amount: 100000, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(response.body).toEqual({ error: 'Insufficient funds' });
+    expect(events('BANKING_FRAUD_DECISION')).toHaveLength(0);
+  });
+
+  test('should ask users with two-factor authentication for a code instead', async () => {
+    let clock = Date.parse('2025-01-01T00:00:00.000Z');
+    twoFactor.now = () => clock;
+    const { secret } = twoFactor.enroll('john_doe');
+    twoFactor.confirm('john_doe', totp(secret, { time: clock }));
+    const body = { amount: 14000, fromAccount: 'investments', toAccount: 'savings' };
+    const asJohn = { session: 'session_test_123' };
+
+    const asked = await transfer(body, asJohn);
+    expect(asked.status).toBe(403);
+    expect(asked.body).toMatchObject({ code: 'STEP_UP_REQUIRED', method: 'totp' });
+    expect((await transfer({ ...body, password: 'password123' }, asJohn)).status).toBe(403);
+
+    clock += 30000;
+    const confirmed = await transfer({ ...body, code: totp(secret, { time: clock }) }, asJohn);
+    expect(confirmed.status).toBe(200);
+    expect(balance('investments', 'john_doe')).toBe(1000);
+    expect(events('BANKING_FRAUD_DECISION').pop().data).toMatchObject({ decision: 'step-up', stepUp: 'totp' });
+  });
+
+  describe('Payments to other customers and scheduled runs', () => {
+    // John now has 1000 in investments, 24000 in savings and two-factor authentication on
+    const pay = (body, userAgent) => request(app)
+      .post('/transfer/external')
+      .set('X-Session-Id', 'session_test_123')
+      .set('User-Agent', userAgent)
+      .send({ fromAccount: 'investments', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith', ...body });
+
+    test('should hold a risky payment without paying the other customer', async () => {
+      const response = await pay({ amount: 1000 }, 'Browser B');
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({ held: true, transactionId: expect.any(String), message: 'Transfer held for review' });
+      expect(balance('investments', 'john_doe')).toBe(1000);
+      expect(balance('checking')).toBe(100);
+      expect(events('BANKING_FRAUD_DECISION')[0].data).toMatchObject({
+        transactionId: response.body.transactionId,
+        decision: 'hold',
+        rules: [{ rule: 'new_device' }, { rule: 'drain' }]
+      });
+      expect(events('BANKING_EXTERNAL_TRANSFER_HELD')[0]).toMatchObject({ outcome: 'failure', data: { reason: 'FRAUD_HOLD' } });
+
+      const records = store.listTransactions('john_doe').concat(store.listTransactions('jane_smith'))
+        .filter(t => t.id === response.body.transactionId);
+      expect(records).toEqual([expect.objectContaining({ userId: 'john_doe', to: 'ACC-101', status: 'held', reason: 'FRAUD_HOLD' })]);
+      expect(reconcileLedger().balanced).toBe(true);
+    });
+
+    test('should ask for a step-up before a payment that drains the account', async () => {
+      const response = await pay({ amount: 1000 }, 'Browser A');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Additional verification required', code: 'STEP_UP_REQUIRED', method: 'totp' });
+      expect(events('BANKING_EXTERNAL_TRANSFER_FAILED')[0].data).toMatchObject({ reason: 'STEP_UP_REQUIRED' });
+      expect(balance('investments', 'john_doe')).toBe(1000);
+    });
+
+    test('should hold a scheduled run the rules would ask a step-up for, as nobody is there to answer', async () => {
+      let clock = Date.now();
+      const now = scheduler.now;
+      scheduler.now = () => clock;
+      const created = await request(app).post('/scheduled-transfers').set('X-Session-Id', 'session_test_123')
+        .send({ amount: 23000, fromAccount: 'savings', toAccount: 'checking', startAt: new Date(clock + 60000).toISOString() });
+      const { id } = created.body.scheduledTransfer;
+
+      clock += 60000;
+      try {
+        expect(scheduler.runDue()).toBe(1);
+      } finally {
+        scheduler.now = now;
+      }
+
+      expect(balance('savings', 'john_doe')).toBe(24000);
+      expect(events('BANKING_FRAUD_DECISION')[0].data).toMatchObject({ scheduleId: id, decision: 'step-up', rules: [{ rule: 'drain' }] });
+      expect(events('BANKING_SCHEDULED_TRANSFER_HELD')[0]).toMatchObject({ outcome: 'failure', data: { scheduleId: id, reason: 'FRAUD_HOLD' } });
+      expect(store.listTransactions('john_doe').find(t => t.scheduleId === id)).toMatchObject({ status: 'held', reason: 'FRAUD_HOLD' });
+      expect((await request(app).get(`/scheduled-transfers/${id}`).set('X-Session-Id', 'session_test_123')).body.scheduledTransfer)
+        .toMatchObject({ status: 'completed', lastResult: 'FRAUD_HOLD' });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Integration tests for Idempotency-Key handling on POST /transfer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+// Repeated transfers would trip the velocity rule (see fraud.test.js)
+process.env.FRAUD_VELOCITY_MAX = '100';
+
+const { app, logger } = require('../../server');
+const { fingerprint } = require('../../idempotency');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+const transfer = (key, body, session = 'session_test_123') => {
+  const req = request(app).post('/transfer').set('X-Session-Id', session);
+  if (key !== undefined) {
+    req.set('Idempotency-Key', key);
+  }
+  return req.send(body);
+};
+
+describe('Idempotency keys', () => {
+  let records;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should move the money once and replay the original response', async () => {
+    const body = { amount: 100, fromAccount: 'checking', toAccount: 'savings' };
+    const transactionsBefore = readData().transactions.length;
+
+    const first = await transfer('key-1', body);
+    const retry = await transfer('key-1', body);
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const data = readData();
+    expect(data.users.john_doe.accounts.checking.balance).toBe(490000);
+    expect(data.transactions).toHaveLength(transactionsBefore + 1);
+  });
+
+  test('should log the replay as its own event', async () => {
+    const body = { amount: 5, fromAccount: 'checking', toAccount: 'savings' };
+    await transfer('key-2', body);
+    records = [];
+
+    await transfer('key-2', body);
+
+    expect(records).toEqual([expect.objectContaining({
+      event: 'BANKING_TRANSFER_IDEMPOTENT_REPLAY',
+      user: 'john_doe',
+      outcome: 'replayed',
+      data: expect.objectContaining({ idempotencyKey: 'key-2', originalStatus: 200 })
+    })]);
+  });
+
+  test('should not care about the order of fields in the body', async () => {
+    await transfer('key-3', { amount: 5, fromAccount: 'checking', toAccount: 'savings' });
+    const retry = await transfer('key-3', { toAccount: 'savings', amount: 5, fromAccount: 'checking' });
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('should reject a key reused with a different body', async () => {
+    await transfer('key-4', { amount: 10, fromAccount: 'checking', toAccount: 'savings' });
+    records = [];
+
+    const response = await transfer('key-4', { amount: 20, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error).toMatch(/different request/);
+    expect(records.map(r => r.event)).toEqual(['BANKING_IDEMPOTENCY_KEY_REUSED']);
+  });
+
+  test('should replay a rejected transfer instead of re-evaluating it', async () => {
+    const body = { amount: 999999, fromAccount: 'checking', toAccount: 'savings' };
+
+    const first = await transfer('key-5', body);
+    const retry = await transfer('key-5', body);
+
+    expect(first.status).toBe(400);
+    expect(retry.status).toBe(400);
+    expect(retry.body).toEqual({ error: 'Insufficient funds' });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('should scope keys to the user', async () => {
+    const body = { amount: 10, fromAccount: 'checking', toAccount: 'savings' };
+
+    await transfer('shared-key', body);
+    const other = await transfer('shared-key', body, 'session_test_456');
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(readData().users.jane_smith.accounts.checking.balance).toBe(299000);
+  });
+
+  test('should process the request again once the key has expired', async () => {
+    const body = { amount: 1, fromAccount: 'checking', toAccount: 'savings' };
+    await transfer('key-6', body);
+
+    const data = readData();
+    data.idempotencyKeys['john_doe:key-6'].expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+    const balanceBefore = data.users.john_doe.accounts.checking.balance;
+
+    const retry = await transfer('key-6', body);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(readData().users.john_doe.accounts.checking.balance).toBe(balanceBefore - 100);
+  });
+
+  test('should purge expired keys when storing new ones', async () => {
+    const data = readData();
+    data.idempotencyKeys['john_doe:key-1'].expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+
+    await transfer('key-7', { amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(readData().idempotencyKeys['john_doe:key-1']).toBeUndefined();
+  });
+
+  test('should reject malformed keys', async () => {
+    const response = await transfer('has spaces', { amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid Idempotency-Key header');
+  });
+
+  test('should store nothing for requests without a key', async () => {
+    const keysBefore = Object.keys(readData().idempotencyKeys).length;
+
+    await transfer(undefined, { amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(Object.keys(readData().idempotencyKeys)).toHaveLength(keysBefore);
+  });
+
+  test('should let a step-up challenge be answered under the same key', async () => {
+    // Nearly all of Jane's checking, so the drain rule asks for her password
+    const body = { amount: 2900, fromAccount: 'checking', toAccount: 'savings' };
+
+    const challenged = await transfer('key-8', body, 'session_test_456');
+    const wrong = await transfer('key-8', { ...body, password: 'not-it' }, 'session_test_456');
+    const confirmed = await transfer('key-8', { ...body, password: 'secure456' }, 'session_test_456');
+    const retry = await transfer('key-8', { ...body, password: 'secure456' }, 'session_test_456');
+
+    expect(challenged.body.code).toBe('STEP_UP_REQUIRED');
+    expect(wrong.status).toBe(401);
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(readData().users.jane_smith.accounts.checking.balance).toBe(9000);
+  });
+
+  test('fingerprint should cover method, path and body, but not step-up credentials', () => {
+    const base = { method: 'POST', path: '/transfer', body: { amount: 1, toAccount: 'savings' } };
+
+    expect(fingerprint(base)).toBe(fingerprint({ ...base, body: { toAccount: 'savings', amount: 1 } }));
+    expect(fingerprint(base)).toBe(fingerprint({ ...base, body: { ...base.body, password: 'secure456', code: '123456' } }));
+    expect(fingerprint(base)).not.toBe(fingerprint({ ...base, body: { amount: 2, toAccount: 'savings' } }));
+    expect(fingerprint(base)).not.toBe(fingerprint({ ...base, path: '/other' }));
+  });
+});
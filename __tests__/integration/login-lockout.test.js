@@ -0,0 +1,162 @@
+/**
+ * Integration tests for brute-force protection on /login
+ * Runs with a lockout after three failures and no progressive delay, so
+ * consecutive attempts reach the lock
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
+const { app, logger, twoFactor } = require('../../server');
+const { createStore } = require('../../storage');
+const { totp } = require('../../totp');
+const { unlockAccount } = require('../../unlock-account');
+
+const login = (username, password) => request(app).post('/login').send({ username, password });
+
+describe('Login lockout', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    delete process.env.LOGIN_MAX_FAILURES;
+    delete process.env.LOGIN_DELAY_BASE_MS;
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should lock the account after repeated failures and log it once', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      statuses.push((await login('john_doe', 'wrong')).status);
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 429]);
+
+    const locked = events('BANKING_ACCOUNT_LOCKED');
+    expect(locked).toHaveLength(1);
+    expect(locked[0].level).toBe('warn');
+    expect(locked[0].data).toMatchObject({ failures: 3, reason: 'TOO_MANY_FAILURES' });
+    expect(locked[0].user).toBe('john_doe');
+  });
+
+  test('should refuse even the right password while locked', async () => {
+    const response = await login('john_doe', 'password123');
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.body).toEqual({ error: 'Too many failed login attempts, try again later' });
+    expect(events('BANKING_LOGIN_FAILED')[0].data).toMatchObject({ reason: 'ACCOUNT_LOCKED', scope: 'username' });
+    expect(events('BANKING_LOGIN_SUCCESS')).toHaveLength(0);
+  });
+
+  test('should not affect other accounts', async () => {
+    expect((await login('jane_smith', 'secure456')).status).toBe(200);
+  });
+
+  test('should let the account back in once unlocked', async () => {
+    const store = createStore();
+    expect(unlockAccount(store, 'john_doe')).toBe(true);
+    store.close();
+
+    expect((await login('john_doe', 'password123')).status).toBe(200);
+  });
+
+  test('should reset the failure count on a successful login', async () => {
+    await login('john_doe', 'wrong');
+    await login('john_doe', 'wrong');
+    await login('john_doe', 'password123');
+    await login('john_doe', 'wrong');
+
+    expect(events('BANKING_ACCOUNT_LOCKED')).toHaveLength(0);
+    expect((await login('john_doe', 'password123')).status).toBe(200);
+  });
+
+  describe('Password and code checks behind a session', () => {
+    beforeEach(() => {
+      const store = createStore();
+      unlockAccount(store, 'john_doe');
+      store.close();
+    });
+
+    test('should count wrong current passwords at /password and refuse it once locked', async () => {
+      const change = (currentPassword) => request(app).post('/password')
+        .set('X-Session-Id', 'session_test_123')
+        .send({ currentPassword, newPassword: 'Another-secret-42' });
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await change('wrong')).status);
+      }
+      const locked = await change('password123');
+
+      expect(statuses).toEqual([401, 401, 401]);
+      expect(events('BANKING_ACCOUNT_LOCKED')).toHaveLength(1);
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+      expect(locked.body).toEqual({ error: 'Too many failed login attempts, try again later' });
+      expect(events('BANKING_PASSWORD_CHANGE_FAILED').pop().data).toMatchObject({ reason: 'ACCOUNT_LOCKED', scope: 'username' });
+      expect(events('BANKING_PASSWORD_CHANGED')).toHaveLength(0);
+      expect((await login('john_doe', 'password123')).status).toBe(429);
+    });
+
+    test('should count wrong codes at /totp/disable and refuse even the right one once locked', async () => {
+      const clock = Date.parse('2025-01-01T00:00:00.000Z');
+      twoFactor.now = () => clock;
+      const { secret } = twoFactor.enroll('jane_smith');
+      twoFactor.confirm('jane_smith', totp(secret, { time: clock }));
+      const code = totp(secret, { time: clock + 30000 });
+      const inWindow = [-1, 0, 1, 2].map(step => totp(secret, { time: clock + step * 30000 }));
+      const wrong = ['000000', '111111', '222222', '333333', '444444'].find(guess => !inWindow.includes(guess));
+      const disable = (body) => request(app).post('/totp/disable').set('X-Session-Id', 'session_test_456').send(body);
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await disable({ code: wrong })).status);
+      }
+      twoFactor.now = () => clock + 30000;
+      const locked = await disable({ code });
+
+      expect(statuses).toEqual([401, 401, 401]);
+      expect(events('BANKING_ACCOUNT_LOCKED')[0].user).toBe('jane_smith');
+      expect(locked.status).toBe(429);
+      expect(events('BANKING_TOTP_DISABLE_FAILED').pop().data).toMatchObject({ reason: 'ACCOUNT_LOCKED' });
+      expect(twoFactor.isEnabled('jane_smith')).toBe(true);
+    });
+
+    test('should count wrong step-up passwords at /transfer and refuse even the right one once locked', async () => {
+      // Nearly all of checking, so the fraud rules ask for the password again
+      const transfer = (password) => request(app).post('/transfer')
+        .set('X-Session-Id', 'session_test_123')
+        .send({ amount: 4900, fromAccount: 'checking', toAccount: 'savings', password });
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await transfer('wrong')).status);
+      }
+      const locked = await transfer('password123');
+
+      expect(statuses).toEqual([401, 401, 401]);
+      expect(events('BANKING_ACCOUNT_LOCKED')[0].user).toBe('john_doe');
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+      expect(locked.body).toEqual({ error: 'Too many failed login attempts, try again later' });
+      expect(events('BANKING_TRANSFER_FAILED').pop().data).toMatchObject({ reason: 'ACCOUNT_LOCKED', scope: 'username' });
+      expect(events('BANKING_TRANSFER_SUCCESS')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Integration tests for OpenTelemetry business and RED metrics
+ * Metrics are collected through an in-memory exporter on demand
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const {
+  InMemoryMetricExporter,
+  PeriodicExportingMetricReader,
+  AggregationTemporality
+} = require('@opentelemetry/sdk-metrics');
+const { createTestDataFile } = require('../fixtures/testData');
+const { initMetrics, shutdownMetrics } = require('../../metrics');
+
+const exporter = new InMemoryMetricExporter(AggregationTemporality.CUMULATIVE);
+const reader = new PeriodicExportingMetricReader({ exporter, exportIntervalMillis: 3600000 });
+initMetrics({ reader });
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app } = require('../../server');
+
+// Latest collected data points of one metric, flattened to { attributes, value }
+const collect = async (name) => {
+  exporter.reset();
+  await reader.forceFlush();
+  const metrics = exporter.getMetrics().flatMap(resource => resource.scopeMetrics).flatMap(scope => scope.metrics);
+  const metric = metrics.find(m => m.descriptor.name === name);
+  return metric ? metric.dataPoints.map(point => ({ attributes: point.attributes, value: point.value })) : [];
+};
+
+const counterValue = (points, attributes) => {
+  const point = points.find(p => Object.entries(attributes).every(([key, value]) => p.attributes[key] === value));
+  return point ? point.value : 0;
+};
+
+const session = 'session_test_123';
+
+describe('Metrics', () => {
+  afterAll(async () => {
+    await shutdownMetrics();
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should count login attempts by outcome', async () => {
+    await request(app).post('/login').send({ username: 'john_doe', password: 'password123' });
+    await request(app).post('/login').send({ username: 'john_doe', password: 'wrong' });
+    await request(app).post('/login').send({ username: 'nobody', password: 'wrong' });
+
+    const points = await collect('banking.login.attempts');
+    expect(counterValue(points, { 'banking.outcome': 'success' })).toBe(1);
+    expect(counterValue(points, { 'banking.outcome': 'failure' })).toBe(2);
+  });
+
+  test('should count transfers and amounts by account type', async () => {
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 100, fromAccount: 'checking', toAccount: 'savings' });
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 300, fromAccount: 'checking', toAccount: 'savings' });
+
+    const counts = await collect('banking.transfer.count');
+    expect(counterValue(counts, {
+      'banking.outcome': 'success',
+      'banking.account.from': 'checking',
+      'banking.account.to': 'savings'
+    })).toBe(2);
+
+    const [amounts] = await collect('banking.transfer.amount');
+    expect(amounts.value).toMatchObject({ count: 2, sum: 400, min: 100, max: 300 });
+  });
+
+  test('should count transfer failures by reason category', async () => {
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: -5, fromAccount: 'checking', toAccount: 'savings' });
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 5, fromAccount: 'checking', toAccount: 'crypto' });
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 5, fromAccount: 'pension', toAccount: 'savings' });
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 999999, fromAccount: 'checking', toAccount: 'savings' });
+
+    const points = await collect('banking.transfer.count');
+    expect(counterValue(points, { 'banking.failure_reason': 'invalid_amount' })).toBe(1);
+    expect(points.filter(p => p.attributes['banking.failure_reason'] === 'invalid_account')
+      .reduce((sum, p) => sum + p.value, 0)).toBe(2);
+    expect(counterValue(points, { 'banking.failure_reason': 'insufficient_funds' })).toBe(1);
+  });
+
+  test('should count balance checks', async () => {
+    await request(app).get('/balance?account=savings').set('X-Session-Id', session);
+    await request(app).get('/balance?account=nope').set('X-Session-Id', session);
+
+    const points = await collect('banking.balance.checks');
+    expect(counterValue(points, { 'banking.account.type': 'savings', 'banking.outcome': 'success' })).toBe(1);
+    expect(counterValue(points, { 'banking.account.type': 'nope', 'banking.outcome': 'failure' })).toBe(1);
+  });
+
+  test('should report the number of active sessions', async () => {
+    const data = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+    const [point] = await collect('banking.sessions.active');
+    expect(point.value).toBe(Object.keys(data.sessions).length);
+  });
+
+  test('should record request latency per route and status', async () => {
+    await request(app).get('/balance').set('X-Session-Id', session);
+    await request(app).get('/balance');
+
+    const points = await collect('http.server.request.duration');
+    const balance = points.find(p => p.attributes['http.route'] === '/balance' && p.attributes['http.response.status_code'] === 200);
+    const unauthenticated = points.find(p => p.attributes['http.request.method'] === 'GET' && p.attributes['http.response.status_code'] === 401);
+
+    expect(balance.value.count).toBeGreaterThanOrEqual(1);
+    expect(balance.value.sum).toBeGreaterThan(0);
+    expect(unauthenticated.attributes['http.route']).toBe('unmatched');
+  });
+});
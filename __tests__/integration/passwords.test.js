@@ -0,0 +1,122 @@
+/**
+ * Integration tests for hashed credentials on /login and /password
+ * No log record or console line may ever carry a password or its hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger } = require('../../server');
+
+const readUser = (id) => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8')).users[id];
+
+const login = (username, password) => request(app).post('/login').send({ username, password });
+
+describe('Password handling', () => {
+  let records;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  // Everything a logger or the console saw during the test
+  const everythingLogged = () => JSON.stringify(records) + global.mockConsoleLogs.join('\n') +
+    global.mockConsoleErrors.join('\n');
+
+  describe('Rehash on login', () => {
+    test('should replace a plaintext password with a scrypt hash on first login', async () => {
+      expect(readUser('john_doe').password).toBe('password123');
+
+      const response = await login('john_doe', 'password123');
+
+      expect(response.status).toBe(200);
+      expect(readUser('john_doe').password).toMatch(/^scrypt\$/);
+      expect(records.map(r => r.event)).toContain('BANKING_PASSWORD_REHASHED');
+    });
+
+    test('should keep accepting the password once hashed, without rehashing again', async () => {
+      const hash = readUser('john_doe').password;
+
+      const response = await login('john_doe', 'password123');
+
+      expect(response.status).toBe(200);
+      expect(readUser('john_doe').password).toBe(hash);
+      expect(records.map(r => r.event)).not.toContain('BANKING_PASSWORD_REHASHED');
+    });
+
+    test('should reject a wrong password against the hash', async () => {
+      const response = await login('john_doe', 'password124');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should treat unknown users like wrong passwords', async () => {
+      const response = await login('nobody', 'password123');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Invalid credentials' });
+    });
+  });
+
+  describe('Changing the password', () => {
+    const change = (currentPassword, newPassword) => request(app)
+      .post('/password')
+      .set('X-Session-Id', 'session_test_456')
+      .send({ currentPassword, newPassword });
+
+    test('should require the current password', async () => {
+      const response = await change('wrong', 'Another-secret-42');
+
+      expect(response.status).toBe(401);
+      expect(records.map(r => r.data.reason)).toEqual(['INVALID_CREDENTIALS']);
+    });
+
+    test('should enforce the password policy', async () => {
+      const response = await change('secure456', 'short');
+
+      expect(response.status).toBe(400);
+      expect(response.body.problems).toContain('Password must be at least 12 characters');
+      expect(readUser('jane_smith').password).toBe('secure456');
+    });
+
+    test('should store the new password hashed', async () => {
+      const response = await change('secure456', 'Another-secret-42');
+
+      expect(response.status).toBe(200);
+      expect(readUser('jane_smith').password).toMatch(/^scrypt\$/);
+      expect((await login('jane_smith', 'Another-secret-42')).status).toBe(200);
+      expect((await login('jane_smith', 'secure456')).status).toBe(401);
+    });
+  });
+
+  describe('Credential material in logs', () => {
+    test('should never log passwords or hashes', async () => {
+      const hash = readUser('john_doe').password;
+
+      await login('john_doe', 'password123');
+      await login('john_doe', 'not-the-password');
+      await request(app).post('/password').set('X-Session-Id', 'session_test_123')
+        .send({ currentPassword: 'password123', newPassword: 'weak' });
+      await request(app).get('/balance').set('X-Session-Id', 'session_test_123');
+
+      const logged = everythingLogged();
+      expect(logged).not.toContain('password123');
+      expect(logged).not.toContain('not-the-password');
+      expect(logged).not.toContain(hash);
+      expect(logged).not.toContain('scrypt$');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Integration tests for the Prometheus /metrics endpoint
+ * Scrapes the real app with supertest and reads the text exposition format
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app } = require('../../server');
+const prometheus = require('../../prometheus');
+
+// Value of one sample line, e.g. sample(text, 'banking_transfers_total{outcome="success",reason="none"}')
+const sample = (text, series) => {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+};
+
+const session = 'session_test_123';
+
+describe('Prometheus endpoint', () => {
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should be served without a session in the text exposition format', async () => {
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE banking_http_requests_total counter');
+  });
+
+  test('should count HTTP requests by route and status', async () => {
+    await request(app).get('/balance?account=savings').set('X-Session-Id', session);
+    await request(app).get('/balance');
+
+    const { text } = await request(app).get('/metrics');
+    expect(sample(text, 'banking_http_requests_total{method="GET",route="/balance",status="200"}')).toBe(1);
+    expect(sample(text, 'banking_http_requests_total{method="GET",route="unmatched",status="401"}')).toBe(1);
+  });
+
+  test('should count transfer successes and failures', async () => {
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 100, fromAccount: 'checking', toAccount: 'savings' });
+    await request(app).post('/transfer').set('X-Session-Id', session)
+      .send({ amount: 999999, fromAccount: 'checking', toAccount: 'savings' });
+
+    const { text } = await request(app).get('/metrics');
+    expect(sample(text, 'banking_transfers_total{outcome="success",reason="none"}')).toBe(1);
+    expect(sample(text, 'banking_transfers_total{outcome="failure",reason="insufficient_funds"}')).toBe(1);
+  });
+
+  test('should expose event-loop lag', async () => {
+    const { text } = await request(app).get('/metrics');
+
+    expect(sample(text, 'nodejs_eventloop_lag_seconds')).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should mirror the HEC delivery stats at scrape time', async () => {
+    prometheus.setHecStatsSource(() => ({
+      sent: 12, retried: 3, dropped: 1, spooled: 2, queued: 4, inFlight: 1, spoolSegments: 2
+    }));
+
+    const { text } = await request(app).get('/metrics');
+    expect(sample(text, 'banking_hec_events_total{outcome="sent"}')).toBe(12);
+    expect(sample(text, 'banking_hec_events_total{outcome="dropped"}')).toBe(1);
+    expect(sample(text, 'banking_hec_backlog{stage="queued"}')).toBe(4);
+    expect(sample(text, 'banking_hec_backlog{stage="spool_segments"}')).toBe(2);
+    expect(text).not.toContain('stage="pending_acks"');
+  });
+
+  test('should serve metrics on a dedicated port', async () => {
+    const server = prometheus.startMetricsServer(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+      const metrics = await request(server).get('/metrics');
+      const other = await request(server).get('/balance');
+
+      expect(metrics.status).toBe(200);
+      expect(metrics.text).toContain('banking_transfers_total');
+      expect(other.status).toBe(404);
+    } finally {
+      server.close();
+    }
+  });
+
+  describe('Configuration', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should be enabled unless PROMETHEUS_METRICS_ENABLED is false', () => {
+      delete process.env.PROMETHEUS_METRICS_ENABLED;
+      expect(prometheus.isEnabled()).toBe(true);
+
+      process.env.PROMETHEUS_METRICS_ENABLED = 'false';
+      expect(prometheus.isEnabled()).toBe(false);
+    });
+
+    test('should only use a separate port when a valid one is configured', () => {
+      delete process.env.PROMETHEUS_METRICS_PORT;
+      expect(prometheus.metricsPort()).toBeNull();
+
+      process.env.PROMETHEUS_METRICS_PORT = '9464';
+      expect(prometheus.metricsPort()).toBe(9464);
+
+      process.env.PROMETHEUS_METRICS_PORT = 'nine';
+      expect(prometheus.metricsPort()).toBeNull();
+    });
+
+    test('should not mount /metrics on the app when disabled', async () => {
+      process.env.PROMETHEUS_METRICS_ENABLED = 'false';
+
+      let disabledApp;
+      jest.isolateModules(() => {
+        disabledApp = require('../../server').app;
+      });
+
+      const response = await request(disabledApp).get('/metrics');
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Integration tests for request-scoped correlation context
+ * These drive the real Express app with supertest against a temp data file
+ */
+
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger } = require('../../server');
+const { parseTraceparent, runWithContext, getContext, setContext } = require('../../request-context');
+const CustomSplunkLogger = require('../../custom-splunk-logger');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const TRACEPARENT = `00-${TRACE_ID}-00f067aa0ba902b7-01`;
+
+describe('Request context', () => {
+  let records;
+
+  beforeAll(() => {
+    const memorySink = { write: record => records.push(record) };
+    logger.sinks.push(memorySink);
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  describe('Request id header', () => {
+    test('should generate a request id and return it in X-Request-Id', async () => {
+      const response = await request(app).get('/balance').set('X-Session-Id', 'session_test_123');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should honour an incoming X-Request-Id', async () => {
+      const response = await request(app)
+        .get('/balance')
+        .set('X-Session-Id', 'session_test_123')
+        .set('X-Request-Id', 'client-req-42');
+
+      expect(response.headers['x-request-id']).toBe('client-req-42');
+      expect(records[0].requestId).toBe('client-req-42');
+    });
+
+    test('should replace an X-Request-Id that is unsafe to log', async () => {
+      const response = await request(app)
+        .get('/balance')
+        .set('X-Session-Id', 'session_test_123')
+        .set('X-Request-Id', 'bad id\twith spaces');
+
+      expect(response.headers['x-request-id']).not.toBe('bad id\twith spaces');
+    });
+  });
+
+  describe('Automatic propagation to the logger', () => {
+    test('should stamp every event of a request with the same ids and user', async () => {
+      await request(app)
+        .post('/transfer')
+        .set('X-Session-Id', 'session_test_123')
+        .set('X-Request-Id', 'transfer-req-1')
+        .send({ amount: 100, fromAccount: 'checking', toAccount: 'savings' });
+
+      expect(records.map(r => r.event)).toEqual([
+        'BANKING_TRANSFER_INITIATED',
+        'BANKING_FRAUD_DECISION',
+        'BANKING_TRANSFER_SUCCESS'
+      ]);
+      for (const record of records) {
+        expect(record).toMatchObject({ user: 'john_doe', requestId: 'transfer-req-1', correlationId: 'transfer-req-1' });
+      }
+    });
+
+    test('should use the traceparent trace id as the correlation id', async () => {
+      await request(app)
+        .post('/login')
+        .set('traceparent', TRACEPARENT)
+        .send({ username: 'john_doe', password: 'password123' });
+
+      // Initiated, password rehash (fixture passwords are plaintext), session created and success
+      expect(records.map(r => r.correlationId)).toEqual([TRACE_ID, TRACE_ID, TRACE_ID, TRACE_ID]);
+      expect(records[records.length - 1].user).toBe('john_doe');
+    });
+
+    test('should record the correlation id on the stored transaction', async () => {
+      const fs = require('fs');
+
+      await request(app)
+        .post('/transfer')
+        .set('X-Session-Id', 'session_test_123')
+        .set('traceparent', TRACEPARENT)
+        .send({ amount: 5, fromAccount: 'checking', toAccount: 'savings' });
+
+      const data = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+      expect(data.transactions[data.transactions.length - 1].correlationId).toBe(TRACE_ID);
+    });
+
+    test('should keep concurrent requests apart', async () => {
+      await Promise.all([
+        request(app).get('/balance').set('X-Session-Id', 'session_test_123').set('X-Request-Id', 'req-john'),
+        request(app).get('/balance').set('X-Session-Id', 'session_test_456').set('X-Request-Id', 'req-jane')
+      ]);
+
+      const byRequest = Object.fromEntries(records.map(r => [r.requestId, r.user]));
+      expect(byRequest).toEqual({ 'req-john': 'john_doe', 'req-jane': 'jane_smith' });
+    });
+  });
+
+  describe('CustomSplunkLogger', () => {
+    test('should take the correlation id from the context when data has none', () => {
+      const splunkLogger = new CustomSplunkLogger({
+        endpoint: 'https://splunk.example.com:8088/services/collector',
+        token: 'test-token-123'
+      });
+      splunkLogger.sendToSplunk = jest.fn();
+
+      runWithContext({ requestId: 'req-9', correlationId: 'corr-9', userId: 'john_doe' }, () => {
+        splunkLogger.log('BANKING_BALANCE_CHECK', {}, { account: 'checking' });
+      });
+
+      expect(splunkLogger.sendToSplunk.mock.calls[0][0].event).toMatchObject({
+        correlation_id: 'corr-9',
+        request_id: 'req-9',
+        user_id: 'john_doe'
+      });
+    });
+  });
+
+  describe('Helpers', () => {
+    test('should parse a valid traceparent', () => {
+      expect(parseTraceparent(TRACEPARENT)).toEqual({
+        traceId: TRACE_ID,
+        parentSpanId: '00f067aa0ba902b7',
+        flags: '01'
+      });
+    });
+
+    test('should reject malformed or all-zero traceparents', () => {
+      expect(parseTraceparent('garbage')).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`)).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+    });
+
+    test('should ignore setContext outside a request', () => {
+      setContext({ userId: 'nobody' });
+
+      expect(getContext()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Integration tests for scheduled and recurring transfers
+ * The scheduler's clock is set by hand; John starts with 5000 in checking
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger, scheduler, reconcileLedger } = require('../../server');
+const JsonStore = require('../../json-store');
+
+const store = new JsonStore({ file: process.env.DATA_FILE });
+
+const asJohn = (method, url) => request(app)[method](url).set('X-Session-Id', 'session_test_123');
+const asJane = (method, url) => request(app)[method](url).set('X-Session-Id', 'session_test_456');
+
+const schedule = (body) => asJohn('post', '/scheduled-transfers')
+  .send({ amount: 100, fromAccount: 'checking', toAccount: 'savings', ...body });
+
+describe('Scheduled transfers', () => {
+  let records;
+  let clock;
+  const events = (name) => records.filter(record => record.event === name);
+  // In dollars; the store keeps cents
+  const balance = (type) => store.getAccount('john_doe', type).balance / 100;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+    scheduler.now = () => clock;
+  });
+
+  beforeEach(() => {
+    records = [];
+    clock = Date.parse('2025-03-10T08:00:00.000Z');
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should require a session', async () => {
+    expect((await request(app).get('/scheduled-transfers')).status).toBe(401);
+  });
+
+  test('should create, read and list a monthly transfer', async () => {
+    const created = await schedule({ frequency: 'monthly', startAt: '2025-03-10T09:00:00Z', dayOfMonth: 31 });
+
+    expect(created.status).toBe(201);
+    expect(created.body.scheduledTransfer).toMatchObject({
+      amount: 100,
+      frequency: 'monthly',
+      dayOfMonth: 31,
+      nextRunAt: '2025-03-31T09:00:00.000Z',
+      status: 'active',
+      runs: 0
+    });
+    expect(created.body.scheduledTransfer.userId).toBeUndefined();
+    expect(events('BANKING_SCHEDULED_TRANSFER_CREATED')[0]).toMatchObject({ outcome: 'success', user: 'john_doe' });
+
+    const { id } = created.body.scheduledTransfer;
+    expect((await asJohn('get', `/scheduled-transfers/${id}`)).body.scheduledTransfer).toEqual(created.body.scheduledTransfer);
+    expect((await asJohn('get', '/scheduled-transfers')).body.scheduledTransfers.map(s => s.id)).toContain(id);
+    expect((await asJane('get', `/scheduled-transfers/${id}`)).status).toBe(404);
+    expect((await asJane('get', '/scheduled-transfers')).body.scheduledTransfers).toEqual([]);
+
+    await asJohn('delete', `/scheduled-transfers/${id}`);
+  });
+
+  test.each([
+    [{ amount: '100' }, 'body.amount', 'amount must be a number'],
+    [{ amount: 10.0005 }, 'body.amount', 'amount must have at most 3 decimal places'],
+    [{ frequency: 'hourly' }, 'body.frequency', 'frequency must be one of once, daily, weekly, monthly'],
+    [{ frequency: 'monthly', dayOfMonth: 32 }, 'body.dayOfMonth', 'dayOfMonth must be between 1 and 31']
+  ])('should refuse the malformed %j', async (body, path, error) => {
+    const response = await schedule(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error, code: 'VALIDATION_FAILED', errors: [{ path }] });
+    expect(events('BANKING_REQUEST_INVALID')[0]).toMatchObject({ data: { route: '/scheduled-transfers' } });
+    expect(events('BANKING_SCHEDULED_TRANSFER_CREATED')).toHaveLength(0);
+  });
+
+  test.each([
+    [{ toAccount: 'emergency' }, 'Invalid destination account'],
+    [{ amount: 10.005 }, 'amount must have at most 2 decimal places in USD'],
+    [{ startAt: '2025-03-01' }, 'startAt must not be in the past'],
+    [{ frequency: 'weekly', dayOfMonth: 3 }, 'dayOfMonth only applies to monthly transfers']
+  ])('should reject %j', async (body, error) => {
+    const response = await schedule(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error });
+    expect(events('BANKING_SCHEDULED_TRANSFER_CREATED')[0]).toMatchObject({ outcome: 'failure' });
+  });
+
+  test('should accept a schedule that needs more than the current balance', async () => {
+    const response = await schedule({ amount: 1000000, startAt: '2025-04-01' });
+
+    expect(response.status).toBe(201);
+    await asJohn('delete', `/scheduled-transfers/${response.body.scheduledTransfer.id}`);
+  });
+
+  test('should run a daily transfer when due, once per day', async () => {
+    const { id } = (await schedule({ amount: 25, frequency: 'daily', startAt: '2025-03-10T09:00:00Z' })).body.scheduledTransfer;
+    const before = balance('checking');
+
+    expect(scheduler.runDue()).toBe(0);
+
+    clock = Date.parse('2025-03-10T09:00:30.000Z');
+    expect(scheduler.runDue()).toBe(1);
+    expect(scheduler.runDue()).toBe(0);
+    expect(balance('checking')).toBe(before - 25);
+
+    const { scheduledTransfer } = (await asJohn('get', `/scheduled-transfers/${id}`)).body;
+    expect(scheduledTransfer).toMatchObject({
+      runs: 1,
+      lastRunAt: '2025-03-10T09:00:30.000Z',
+      lastResult: 'success',
+      nextRunAt: '2025-03-11T09:00:00.000Z',
+      status: 'active'
+    });
+
+    const txn = store.listTransactions('john_doe').find(t => t.id === scheduledTransfer.lastTransactionId);
+    expect(txn).toMatchObject({ from: 'checking', to: 'savings', amount: 2500, currency: 'USD', scheduleId: id });
+    expect(txn.status).toBeUndefined();
+
+    const executed = events('BANKING_SCHEDULED_TRANSFER_EXECUTED')[0];
+    expect(executed).toMatchObject({ outcome: 'success', user: 'john_doe', correlationId: txn.correlationId });
+    expect(executed.data).toMatchObject({ scheduleId: id, transactionId: txn.id, nextRunAt: '2025-03-11T09:00:00.000Z' });
+
+    await asJohn('delete', `/scheduled-transfers/${id}`);
+  });
+
+  test('should record a run refused for insufficient funds and move on', async () => {
+    const { id } = (await schedule({ amount: 1000000, startAt: '2025-03-10T09:00:00Z' })).body.scheduledTransfer;
+    const before = balance('checking');
+
+    clock = Date.parse('2025-03-10T09:01:00.000Z');
+    expect(scheduler.runDue()).toBe(1);
+
+    expect(balance('checking')).toBe(before);
+    const failed = store.listTransactions('john_doe').find(t => t.scheduleId === id);
+    expect(failed).toMatchObject({ amount: 100000000, currency: 'USD', status: 'failed', reason: 'INSUFFICIENT_FUNDS' });
+    expect(events('BANKING_SCHEDULED_TRANSFER_FAILED')[0]).toMatchObject({
+      outcome: 'failure',
+      data: { scheduleId: id, reason: 'INSUFFICIENT_FUNDS' }
+    });
+    expect(events('BANKING_SCHEDULED_TRANSFER_FAILED')[0].data).not.toHaveProperty('available');
+    expect((await asJohn('get', `/scheduled-transfers/${id}`)).body.scheduledTransfer).toMatchObject({
+      status: 'completed',
+      nextRunAt: null,
+      lastResult: 'INSUFFICIENT_FUNDS'
+    });
+
+    // The history shows the refusal; statements and the ledger never see it
+    const history = await asJohn('get', '/transactions').query({ since: '2025-03-10' });
+    expect(history.body.transactions.find(t => t.id === failed.id)).toMatchObject({ status: 'failed' });
+    const statement = await asJohn('get', '/accounts/checking/statement').query({ from: '2025-03-10', to: '2025-03-10' });
+    expect(statement.text).not.toContain(failed.id);
+    expect(reconcileLedger().balanced).toBe(true);
+  });
+
+  test('should change only the fields sent and refuse finished schedules', async () => {
+    const { id } = (await schedule({ frequency: 'weekly', startAt: '2025-03-12T09:00:00Z' })).body.scheduledTransfer;
+
+    const updated = await asJohn('patch', `/scheduled-transfers/${id}`).send({ amount: 40, frequency: 'monthly' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.scheduledTransfer).toMatchObject({
+      amount: 40,
+      frequency: 'monthly',
+      dayOfMonth: 12,
+      toAccount: 'savings',
+      nextRunAt: '2025-03-12T09:00:00.000Z'
+    });
+    expect(events('BANKING_SCHEDULED_TRANSFER_UPDATED')[0]).toMatchObject({ outcome: 'success' });
+
+    const once = (await schedule({ startAt: '2025-03-10T09:00:00Z' })).body.scheduledTransfer;
+    clock = Date.parse('2025-03-10T09:00:00.000Z');
+    scheduler.runDue();
+
+    const finished = await asJohn('patch', `/scheduled-transfers/${once.id}`).send({ amount: 1 });
+    expect(finished.status).toBe(409);
+    expect(finished.body).toEqual({ error: 'Scheduled transfer has finished' });
+    expect((await asJane('patch', `/scheduled-transfers/${id}`).send({ amount: 1 })).status).toBe(404);
+
+    await asJohn('delete', `/scheduled-transfers/${id}`);
+  });
+
+  test('should cancel a schedule so it never runs', async () => {
+    const { id } = (await schedule({ startAt: '2025-03-10T09:00:00Z' })).body.scheduledTransfer;
+
+    expect((await asJane('delete', `/scheduled-transfers/${id}`)).status).toBe(404);
+    expect((await asJohn('delete', `/scheduled-transfers/${id}`)).body).toEqual({ success: true });
+    expect((await asJohn('delete', `/scheduled-transfers/${id}`)).status).toBe(404);
+    expect(events('BANKING_SCHEDULED_TRANSFER_CANCELLED')).toHaveLength(1);
+
+    clock = Date.parse('2025-03-10T10:00:00.000Z');
+    expect(scheduler.runDue()).toBe(0);
+  });
+
+  test('should log a run that throws and try it again on the next tick', async () => {
+    const { id } = (await schedule({ startAt: '2025-03-10T09:00:00Z' })).body.scheduledTransfer;
+    const execute = scheduler.execute;
+    scheduler.execute = () => { throw new Error('database is locked'); };
+
+    clock = Date.parse('2025-03-10T09:00:00.000Z');
+    try {
+      expect(scheduler.runDue()).toBe(0);
+    } finally {
+      scheduler.execute = execute;
+    }
+
+    expect(events('BANKING_SCHEDULED_TRANSFER_FAILED')).toEqual([expect.objectContaining({
+      level: 'error',
+      user: 'john_doe',
+      outcome: 'failure',
+      data: expect.objectContaining({ scheduleId: id, reason: 'RUN_ERROR', error: 'database is locked' })
+    })]);
+    expect(console.error).not.toHaveBeenCalledWith(expect.stringContaining('[SCHEDULER]'));
+    expect(scheduler.runDue()).toBe(1);
+  });
+});
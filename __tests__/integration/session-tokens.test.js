@@ -0,0 +1,145 @@
+/**
+ * Integration tests for session tokens and the signed-cookie transport
+ * The server runs with SESSION_COOKIE_SECRET set, so both transports are live
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+process.env.SESSION_COOKIE_SECRET = 'test-cookie-secret';
+
+const { app, logger } = require('../../server');
+const { hashToken } = require('../../sessions');
+const { COOKIE_NAME } = require('../../session-cookies');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+const credentials = { username: 'john_doe', password: 'password123' };
+
+// Logs in asking for the cookie; returns the Cookie header to send back and the CSRF token
+const cookieLogin = async () => {
+  const response = await request(app).post('/login').set('X-Session-Transport', 'cookie').send(credentials);
+  const cookie = response.headers['set-cookie'].find(header => header.startsWith(`${COOKIE_NAME}=`));
+  return { response, cookie: cookie.split(';')[0], csrfToken: response.body.csrfToken };
+};
+
+describe('Session tokens', () => {
+  let records;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    delete process.env.SESSION_COOKIE_SECRET;
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  describe('Header mode', () => {
+    test('should issue unguessable tokens and store only their hash', async () => {
+      const first = (await request(app).post('/login').send(credentials)).body.sessionId;
+      const second = (await request(app).post('/login').send(credentials)).body.sessionId;
+
+      expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(second).not.toBe(first);
+
+      const data = readData();
+      expect(data.sessions[hashToken(first)].userId).toBe('john_doe');
+      expect(JSON.stringify(data)).not.toContain(first);
+    });
+
+    test('should accept the token in X-Session-Id without a CSRF token', async () => {
+      const { sessionId } = (await request(app).post('/login').send(credentials)).body;
+
+      const response = await request(app).post('/transfer').set('X-Session-Id', sessionId)
+        .send({ amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should not accept the stored hash as a token', async () => {
+      const { sessionId } = (await request(app).post('/login').send(credentials)).body;
+
+      const response = await request(app).get('/balance').set('X-Session-Id', hashToken(sessionId));
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should keep tokens out of the logs', async () => {
+      const { sessionId } = (await request(app).post('/login').send(credentials)).body;
+      await request(app).post('/logout').set('X-Session-Id', sessionId);
+
+      expect(JSON.stringify(records) + global.mockConsoleLogs.join('\n')).not.toContain(sessionId);
+    });
+  });
+
+  describe('Cookie mode', () => {
+    test('should set an HttpOnly, SameSite cookie and not return the token', async () => {
+      const { response } = await cookieLogin();
+      const header = response.headers['set-cookie'].join('\n');
+
+      expect(response.status).toBe(200);
+      expect(header).toContain('HttpOnly');
+      expect(header).toContain('SameSite=Strict');
+      expect(response.body.sessionId).toBeUndefined();
+      expect(response.body.csrfToken).toEqual(expect.any(String));
+    });
+
+    test('should authenticate reads with the cookie alone', async () => {
+      const { cookie } = await cookieLogin();
+
+      const response = await request(app).get('/balance').set('Cookie', cookie);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject state changes without the CSRF token', async () => {
+      const { cookie } = await cookieLogin();
+      const body = { amount: 1, fromAccount: 'checking', toAccount: 'savings' };
+
+      const missing = await request(app).post('/transfer').set('Cookie', cookie).send(body);
+      const wrong = await request(app).post('/transfer').set('Cookie', cookie).set('X-CSRF-Token', 'guess').send(body);
+
+      expect(missing.status).toBe(403);
+      expect(wrong.status).toBe(403);
+      expect(records.filter(r => r.event === 'BANKING_CSRF_REJECTED')).toHaveLength(2);
+      expect(records.map(r => r.event)).not.toContain('BANKING_TRANSFER_SUCCESS');
+    });
+
+    test('should accept state changes with the CSRF token', async () => {
+      const { cookie, csrfToken } = await cookieLogin();
+
+      const response = await request(app).post('/transfer').set('Cookie', cookie).set('X-CSRF-Token', csrfToken)
+        .send({ amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject a cookie whose signature does not match', async () => {
+      const { cookie } = await cookieLogin();
+      const tampered = cookie.replace(/.$/, char => (char === 'A' ? 'B' : 'A'));
+
+      const response = await request(app).get('/balance').set('Cookie', tampered);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should end the session and clear the cookie on logout', async () => {
+      const { cookie, csrfToken } = await cookieLogin();
+
+      const response = await request(app).post('/logout').set('Cookie', cookie).set('X-CSRF-Token', csrfToken);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['set-cookie'].join('\n')).toMatch(new RegExp(`${COOKIE_NAME}=;`));
+      expect((await request(app).get('/balance').set('Cookie', cookie)).status).toBe(401);
+    });
+  });
+});
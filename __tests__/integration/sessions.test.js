@@ -0,0 +1,143 @@
+/**
+ * Integration tests for the session lifecycle
+ * Expiry is simulated by ageing the timestamps in the data file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger, sessions } = require('../../server');
+const { hashToken } = require('../../sessions');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+const MINUTE = 60 * 1000;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+// The stored session behind a client's token
+const stored = (token) => readData().sessions[hashToken(token)];
+
+// Rewrites one session's timestamps in the data file
+const ageSession = (token, { createdAt, lastSeenAt }) => {
+  const data = readData();
+  data.sessions[hashToken(token)] = { ...data.sessions[hashToken(token)], createdAt, lastSeenAt };
+  fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+};
+
+const login = async () => {
+  const response = await request(app).post('/login').send({ username: 'john_doe', password: 'password123' });
+  return response.body.sessionId;
+};
+
+const balance = (sessionId) => request(app).get('/balance').set('X-Session-Id', sessionId);
+
+describe('Session lifecycle', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should log a created event on login', async () => {
+    const sessionId = await login();
+
+    expect(events('BANKING_SESSION_CREATED')).toHaveLength(1);
+    expect(events('BANKING_SESSION_CREATED')[0].user).toBe('john_doe');
+    expect(stored(sessionId).lastSeenAt).toBeDefined();
+  });
+
+  test('should reject and remove a session idle for too long', async () => {
+    const sessionId = await login();
+    ageSession(sessionId, { createdAt: ago(30 * MINUTE), lastSeenAt: ago(20 * MINUTE) });
+
+    const response = await balance(sessionId);
+
+    expect(response.status).toBe(401);
+    expect(stored(sessionId)).toBeUndefined();
+    expect(events('BANKING_SESSION_EXPIRED').map(record => record.data.reason)).toEqual(['idle']);
+  });
+
+  test('should end a session at the absolute timeout however active it is', async () => {
+    const sessionId = await login();
+    ageSession(sessionId, { createdAt: ago(9 * 60 * MINUTE), lastSeenAt: ago(MINUTE / 2) });
+
+    const response = await balance(sessionId);
+
+    expect(response.status).toBe(401);
+    expect(events('BANKING_SESSION_EXPIRED').map(record => record.data.reason)).toEqual(['absolute']);
+  });
+
+  test('should slide the idle window forward on activity', async () => {
+    const sessionId = await login();
+    ageSession(sessionId, { createdAt: ago(10 * MINUTE), lastSeenAt: ago(10 * MINUTE) });
+
+    const response = await balance(sessionId);
+    const lastSeenAt = stored(sessionId).lastSeenAt;
+
+    expect(response.status).toBe(200);
+    expect(Date.now() - new Date(lastSeenAt).getTime()).toBeLessThan(MINUTE);
+    expect(events('BANKING_SESSION_RENEWED')).toHaveLength(1);
+  });
+
+  test('should not renew on every request', async () => {
+    const sessionId = await login();
+    records = [];
+
+    await balance(sessionId);
+    await balance(sessionId);
+
+    expect(events('BANKING_SESSION_RENEWED')).toHaveLength(0);
+  });
+
+  test('should sweep expired sessions nobody presents again', async () => {
+    const sessionId = await login();
+    ageSession(sessionId, { createdAt: ago(30 * MINUTE), lastSeenAt: ago(20 * MINUTE) });
+    records = [];
+
+    expect(sessions.sweep()).toBe(1);
+    expect(stored(sessionId)).toBeUndefined();
+    expect(stored('session_test_456')).toBeDefined();
+    expect(events('BANKING_SESSION_EXPIRED')).toHaveLength(1);
+  });
+
+  test('should revoke the session on logout', async () => {
+    const sessionId = await login();
+
+    await request(app).post('/logout').set('X-Session-Id', sessionId);
+
+    expect((await balance(sessionId)).status).toBe(401);
+    expect(events('BANKING_SESSION_REVOKED').map(record => record.data.reason)).toEqual(['logout']);
+  });
+
+  test('should log out everywhere', async () => {
+    const first = await login();
+    const second = await login();
+    const johns = Object.values(readData().sessions).filter(session => session.userId === 'john_doe').length;
+    records = [];
+
+    const response = await request(app).post('/logout/all').set('X-Session-Id', first);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, revoked: johns });
+    expect((await balance(first)).status).toBe(401);
+    expect((await balance(second)).status).toBe(401);
+    expect((await balance('session_test_123')).status).toBe(401);
+    expect((await balance('session_test_456')).status).toBe(200);
+    expect(events('BANKING_SESSION_REVOKED')).toHaveLength(johns);
+    expect(events('BANKING_SESSION_REVOKED').every(record => record.data.reason === 'logout_all')).toBe(true);
+  });
+});
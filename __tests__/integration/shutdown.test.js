@@ -0,0 +1,71 @@
+/**
+ * Integration tests for shutting the server down on a signal
+ * The server listens on a free port and process.exit is stubbed, so the
+ * test sees the exit code instead of ending
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+// Audit copies go to Splunk even though the ordinary logs don't
+process.env.AUDIT_SPLUNK_FORWARD = 'true';
+
+const metrics = require('../../metrics');
+const JsonStore = require('../../json-store');
+const { start, logger, auditLog } = require('../../server');
+
+describe('Shutdown', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+  const signals = ['SIGINT', 'SIGTERM'];
+  const listeners = {};
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+    signals.forEach(signal => { listeners[signal] = process.listeners(signal); });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    // Drop the handlers start() added
+    signals.forEach(signal => process.listeners(signal)
+      .filter(listener => !listeners[signal].includes(listener))
+      .forEach(listener => process.removeListener(signal, listener)));
+    jest.restoreAllMocks();
+    delete process.env.AUDIT_SPLUNK_FORWARD;
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should flush the audit copies, close the store and exit once, even when an exporter fails to shut down', async () => {
+    jest.spyOn(metrics, 'shutdownMetrics').mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:4318'));
+    const closeStore = jest.spyOn(JsonStore.prototype, 'close');
+    const closeAuditForwarding = jest.spyOn(auditLog.splunkLogger, 'close');
+    let exit;
+    const exited = new Promise((resolve) => {
+      exit = jest.spyOn(process, 'exit').mockImplementation(resolve);
+    });
+
+    const server = start(0);
+    await once(server, 'listening');
+    process.emit('SIGTERM');
+    process.emit('SIGTERM');
+
+    expect(await exited).toBe(1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(exit).toHaveBeenCalledTimes(1);
+    expect(closeStore).toHaveBeenCalledTimes(1);
+    // Queued audit copies are delivered or spooled, not dropped
+    expect(closeAuditForwarding).toHaveBeenCalledTimes(1);
+    expect(events('BANKING_APP_SHUTDOWN')).toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith('[SYSTEM] Shutdown step failed:', 'connect ECONNREFUSED 127.0.0.1:4318');
+    expect(server.listening).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Integration tests for GET /accounts/:type/statement
+ * Runs against the fixture data, whose only transfer is on 2025-01-01
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger } = require('../../server');
+
+const statement = (type, query = {}) => request(app)
+  .get(`/accounts/${type}/statement`)
+  .query(query)
+  .set('X-Session-Id', 'session_test_123')
+  .buffer(true)
+  .parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+
+const JANUARY = { from: '2025-01-01', to: '2025-01-31' };
+
+describe('Account statements', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should require a session', async () => {
+    expect((await request(app).get('/accounts/checking/statement')).status).toBe(401);
+  });
+
+  test('should download a CSV statement by default', async () => {
+    const response = await statement('checking', JANUARY);
+    const lines = response.body.toString().trim().split('\r\n');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition'])
+      .toBe('attachment; filename="statement-checking-2025-01-01-2025-01-31.csv"');
+    expect(lines).toEqual([
+      'Date,Description,Transaction ID,Amount (USD),Balance (USD)',
+      '2025-01-01T00:00:00.000Z,Opening balance,,,6000.00',
+      '2025-01-01T00:00:00.000Z,Transfer to Savings Account,txn_test_1,-1000.00,5000.00',
+      '2025-01-31T23:59:59.999Z,Closing balance,,,5000.00'
+    ]);
+  });
+
+  test('should show the same transfer coming in on the other account', async () => {
+    const lines = (await statement('savings', JANUARY)).body.toString().trim().split('\r\n');
+
+    expect(lines[1]).toBe('2025-01-01T00:00:00.000Z,Opening balance,,,9000.00');
+    expect(lines[2]).toBe('2025-01-01T00:00:00.000Z,Transfer from Checking Account,txn_test_1,1000.00,10000.00');
+  });
+
+  test('should produce OFX for personal finance tools', async () => {
+    const response = await statement('savings', { ...JANUARY, format: 'ofx' });
+
+    expect(response.headers['content-type']).toMatch(/^application\/x-ofx/);
+    expect(response.body.toString()).toContain('<ACCTID>ACC-002</ACCTID>');
+    expect(response.body.toString()).toContain('<TRNAMT>1000.00</TRNAMT>');
+  });
+
+  test('should produce a PDF', async () => {
+    const response = await statement('checking', { ...JANUARY, format: 'pdf' });
+    const text = response.body.toString('latin1');
+
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(Account holder: John Doe)');
+    expect(text).toContain('(Opening balance: 6000.00 USD)');
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('should log the export', async () => {
+    await statement('checking', { ...JANUARY, format: 'pdf' });
+
+    expect(events('BANKING_STATEMENT_EXPORTED')[0]).toMatchObject({
+      outcome: 'success',
+      data: { account: 'checking', format: 'pdf', count: 1 }
+    });
+  });
+
+  test.each([
+    ['emergency', {}, 'params.type', 'Invalid account type'],
+    ['checking', { format: 'xls' }, 'query.format', 'format must be one of csv, ofx, pdf'],
+    ['checking', { from: 'soon' }, 'query.from', 'from must be a date'],
+    ['checking', { from: '2025-02-01', to: '2025-01-01' }, 'query.from', 'from must not be after to']
+  ])('should reject %s with %j', async (type, query, path, error) => {
+    const response = await statement(type, query);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body.toString())).toMatchObject({ error, code: 'VALIDATION_FAILED', errors: [{ path }] });
+    expect(events('BANKING_REQUEST_INVALID')[0]).toMatchObject({
+      outcome: 'failure',
+      data: { route: '/accounts/:type/statement', errors: [{ path }] }
+    });
+    expect(events('BANKING_STATEMENT_EXPORTED')).toHaveLength(0);
+  });
+});
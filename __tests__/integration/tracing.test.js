@@ -0,0 +1,176 @@
+/**
+ * Integration tests for OpenTelemetry tracing of the Express routes
+ * Spans are captured with an in-memory exporter and checked as a tree
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { InMemorySpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { createTestDataFile } = require('../fixtures/testData');
+const { initTracing, shutdownTracing, withSpan, amountBucket } = require('../../tracing');
+
+const exporter = new InMemorySpanExporter();
+initTracing({ exporter });
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app } = require('../../server');
+
+const childNames = (spans, parent) => spans
+  .filter(span => span.parentSpanContext && span.parentSpanContext.spanId === parent.spanContext().spanId)
+  .map(span => span.name);
+
+// Server span for the request plus its direct children, by name
+const spanTree = () => {
+  const spans = exporter.getFinishedSpans();
+  const server = spans.find(span => span.kind === SpanKind.SERVER);
+  return { server, children: childNames(spans, server), spans };
+};
+
+describe('Tracing', () => {
+  beforeEach(() => {
+    exporter.reset();
+  });
+
+  afterAll(async () => {
+    await shutdownTracing();
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  describe('Route spans', () => {
+    test('should trace /login with credential validation, rehash and session creation', async () => {
+      await request(app).post('/login').send({ username: 'john_doe', password: 'password123' });
+
+      const { server, children } = spanTree();
+      expect(server.name).toBe('POST /login');
+      expect(server.attributes).toMatchObject({
+        'http.request.method': 'POST',
+        'http.route': '/login',
+        'http.response.status_code': 200,
+        'enduser.id': 'john_doe',
+        'banking.outcome': 'success'
+      });
+      // Lockout checks (username and IP) first; the fixture password is plaintext, so the
+      // first login rehashes it; then the second factor check and the session
+      expect(children).toEqual([
+        'storage.getLoginAttempts',
+        'storage.getLoginAttempts',
+        'storage.getUser',
+        'validateCredentials',
+        'storage.setPassword',
+        'storage.getTotp',
+        'storage.deleteLoginAttempts',
+        'storage.createSession'
+      ]);
+    });
+
+    test('should trace a successful /transfer with account and amount attributes', async () => {
+      await request(app)
+        .post('/transfer')
+        .set('X-Session-Id', 'session_test_123')
+        .send({ amount: 250, fromAccount: 'checking', toAccount: 'savings' });
+
+      const { server, children, spans } = spanTree();
+      expect(server.name).toBe('POST /transfer');
+      expect(server.attributes).toMatchObject({
+        'enduser.id': 'john_doe',
+        'banking.account.from': 'checking',
+        'banking.account.to': 'savings',
+        'banking.amount_bucket': '100-1000',
+        'banking.outcome': 'success'
+      });
+      // The session lookup in the auth middleware hits storage too
+      expect(children).toEqual(['storage.getSession', 'storage.getUser', 'storage.transaction']);
+      expect(spans.find(span => span.name === 'validateTransfer').attributes['banking.validation.result']).toBe('OK');
+
+      // Validation and both ledger legs happen inside the one storage transaction
+      const transaction = spans.find(span => span.name === 'storage.transaction');
+      const steps = childNames(spans, transaction);
+      expect(steps[1]).toBe('validateTransfer');
+      expect(steps.filter(name => name === 'storage.addPosting')).toHaveLength(2);
+      expect(steps[steps.length - 1]).toBe('storage.addTransaction');
+      expect(transaction.attributes['banking.storage.backend']).toBe('json');
+    });
+
+    test('should record the failure reason of a rejected /transfer', async () => {
+      await request(app)
+        .post('/transfer')
+        .set('X-Session-Id', 'session_test_123')
+        .send({ amount: 999999, fromAccount: 'checking', toAccount: 'savings' });
+
+      const { server, spans } = spanTree();
+      expect(server.attributes).toMatchObject({
+        'http.response.status_code': 400,
+        'banking.outcome': 'failure',
+        'banking.failure_reason': 'INSUFFICIENT_FUNDS',
+        'banking.amount_bucket': '10000+'
+      });
+      const transaction = spans.find(span => span.name === 'storage.transaction');
+      expect(childNames(spans, transaction)).toEqual(['storage.getUser', 'validateTransfer']);
+    });
+
+    test('should trace /balance with the account type', async () => {
+      await request(app).get('/balance?account=savings').set('X-Session-Id', 'session_test_123');
+
+      const { server, children } = spanTree();
+      expect(server.name).toBe('GET /balance');
+      expect(server.attributes['banking.account.type']).toBe('savings');
+      expect(children).toEqual(['storage.getSession', 'storage.getUser']);
+    });
+
+    test('should trace /logout', async () => {
+      await request(app).post('/logout').set('X-Session-Id', 'session_test_456');
+
+      const { server, children } = spanTree();
+      expect(server.name).toBe('POST /logout');
+      expect(server.attributes['enduser.id']).toBe('jane_smith');
+      expect(children).toEqual(['storage.getSession', 'storage.getUser', 'storage.getSession', 'storage.deleteSession']);
+    });
+  });
+
+  describe('Context propagation', () => {
+    test('should continue an incoming traceparent', async () => {
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+      await request(app)
+        .get('/balance')
+        .set('X-Session-Id', 'session_test_123')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`);
+
+      const { server, spans } = spanTree();
+      expect(server.parentSpanContext.spanId).toBe('00f067aa0ba902b7');
+      expect(spans.every(span => span.spanContext().traceId === traceId)).toBe(true);
+    });
+  });
+
+  describe('Helpers', () => {
+    test('withSpan should record exceptions and rethrow', () => {
+      expect(() => withSpan('explode', {}, () => {
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      const [span] = exporter.getFinishedSpans();
+      expect(span.status.code).toBe(SpanStatusCode.ERROR);
+      expect(span.events[0].name).toBe('exception');
+    });
+
+    test('withSpan should end the span when a promise settles', async () => {
+      const value = await withSpan('async-work', {}, async () => 42);
+
+      expect(value).toBe(42);
+      expect(exporter.getFinishedSpans().map(span => span.name)).toEqual(['async-work']);
+    });
+
+    test('amountBucket should bucket amounts coarsely', () => {
+      expect(amountBucket(50)).toBe('0-100');
+      expect(amountBucket(100)).toBe('100-1000');
+      expect(amountBucket(5000)).toBe('1000-10000');
+      expect(amountBucket(20000)).toBe('10000+');
+      expect(amountBucket('100')).toBe('invalid');
+      expect(amountBucket(-5)).toBe('invalid');
+    });
+  });
+});
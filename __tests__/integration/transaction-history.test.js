@@ -0,0 +1,165 @@
+/**
+ * Integration tests for GET /transactions
+ * A known set of transfers is written into the data file up front, so
+ * filters and pages can be checked against exact ids
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger } = require('../../server');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+// txn_h1 .. txn_h6 on consecutive days of March, plus the fixture's txn_test_1;
+// amounts in dollars, stored in cents
+const seedTransactions = () => {
+  const data = readData();
+  const transfers = [
+    ['checking', 'savings', 100],
+    ['savings', 'checking', 250],
+    ['checking', 'investments', 50],
+    ['investments', 'savings', 1000],
+    ['checking', 'savings', 75],
+    ['savings', 'investments', 500]
+  ];
+  transfers.forEach(([from, to, amount], index) => data.transactions.push({
+    id: `txn_h${index + 1}`,
+    from,
+    to,
+    userId: 'john_doe',
+    amount: amount * 100,
+    currency: 'USD',
+    timestamp: `2025-03-0${index + 1}T12:00:00.000Z`,
+    correlationId: `corr-h${index + 1}`
+  }));
+  data.transactions.push({
+    id: 'txn_jane', from: 'checking', to: 'savings', userId: 'jane_smith', amount: 1000, currency: 'USD', timestamp: '2025-03-02T00:00:00.000Z'
+  });
+  fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+};
+
+const history = (query = {}, sessionId = 'session_test_123') =>
+  request(app).get('/transactions').query(query).set('X-Session-Id', sessionId);
+
+const ids = (response) => response.body.transactions.map(txn => txn.id);
+
+describe('Transaction history', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    seedTransactions();
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should require a session', async () => {
+    expect((await request(app).get('/transactions')).status).toBe(401);
+  });
+
+  test('should list only the user\'s own transactions, newest first', async () => {
+    const response = await history();
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual(['txn_h6', 'txn_h5', 'txn_h4', 'txn_h3', 'txn_h2', 'txn_h1', 'txn_test_1']);
+    expect(response.body.transactions[0]).toEqual({
+      id: 'txn_h6',
+      from: 'savings',
+      to: 'investments',
+      amount: 500,
+      currency: 'USD',
+      timestamp: '2025-03-06T12:00:00.000Z',
+      correlationId: 'corr-h6'
+    });
+    expect(response.body.nextCursor).toBeNull();
+    expect(ids(await history({}, 'session_test_456'))).toEqual(['txn_jane']);
+  });
+
+  test('should sort oldest first on request', async () => {
+    expect(ids(await history({ order: 'asc', limit: 3 }))).toEqual(['txn_test_1', 'txn_h1', 'txn_h2']);
+  });
+
+  test('should filter by account and direction', async () => {
+    expect(ids(await history({ account: 'investments' }))).toEqual(['txn_h6', 'txn_h4', 'txn_h3']);
+    expect(ids(await history({ account: 'savings', direction: 'out' }))).toEqual(['txn_h6', 'txn_h2']);
+    expect(ids(await history({ account: 'savings', direction: 'in' })))
+      .toEqual(['txn_h5', 'txn_h4', 'txn_h1', 'txn_test_1']);
+  });
+
+  test('should filter by date and amount ranges, inclusively', async () => {
+    expect(ids(await history({ since: '2025-03-02', until: '2025-03-04' }))).toEqual(['txn_h4', 'txn_h3', 'txn_h2']);
+    expect(ids(await history({ since: '2025-03-05T12:00:00.000Z' }))).toEqual(['txn_h6', 'txn_h5']);
+    expect(ids(await history({ minAmount: 75, maxAmount: 250 }))).toEqual(['txn_h5', 'txn_h2', 'txn_h1']);
+  });
+
+  test('should page through results with a cursor', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const response = await history({ limit: 3, account: 'checking', ...(cursor ? { cursor } : {}) });
+      expect(response.body.transactions.length).toBeLessThanOrEqual(3);
+      seen.push(...ids(response));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['txn_h5', 'txn_h3', 'txn_h2', 'txn_h1', 'txn_test_1']);
+  });
+
+  test('should pick up transfers made after the first page was read', async () => {
+    const first = await history({ limit: 2 });
+    await request(app)
+      .post('/transfer')
+      .set('X-Session-Id', 'session_test_123')
+      .send({ amount: 1, fromAccount: 'checking', toAccount: 'savings' });
+
+    const second = await history({ limit: 2, cursor: first.body.nextCursor });
+
+    expect(ids(first)).toEqual(['txn_h6', 'txn_h5']);
+    expect(ids(second)).toEqual(['txn_h4', 'txn_h3']);
+    expect((await history({ limit: 1 })).body.transactions[0].amount).toBe(1);
+  });
+
+  test.each([
+    [{ direction: 'in' }, 'query.direction', 'direction needs an account'],
+    [{ account: 'checking', direction: 'sideways' }, 'query.direction', 'direction must be in or out'],
+    [{ account: 'crypto' }, 'query.account', 'Invalid account type'],
+    [{ since: 'yesterday' }, 'query.since', 'since must be a date'],
+    [{ minAmount: '-5' }, 'query.minAmount', 'minAmount must be zero or more'],
+    [{ minAmount: 10, maxAmount: 5 }, 'query.minAmount', 'minAmount must not exceed maxAmount'],
+    [{ order: 'random' }, 'query.order', 'order must be asc or desc'],
+    [{ limit: 500 }, 'query.limit', 'limit must be between 1 and 100'],
+    [{ cursor: 'not-a-cursor' }, 'query.cursor', 'cursor must come from a previous page']
+  ])('should reject %j', async (query, path, error) => {
+    const response = await history(query);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error, code: 'VALIDATION_FAILED', errors: [{ path, message: error }] });
+    expect(events('BANKING_REQUEST_INVALID')[0]).toMatchObject({
+      outcome: 'failure',
+      data: { method: 'GET', route: '/transactions', errors: [{ path }] }
+    });
+    expect(events('BANKING_TRANSACTION_HISTORY')).toHaveLength(0);
+  });
+
+  test('should log each page served', async () => {
+    await history({ account: 'savings', limit: 2 });
+
+    expect(events('BANKING_TRANSACTION_HISTORY')[0]).toMatchObject({
+      outcome: 'success',
+      data: { account: 'savings', count: 2, paged: false }
+    });
+  });
+});
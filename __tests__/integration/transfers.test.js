@@ -0,0 +1,137 @@
+/**
+ * Integration tests for transfers against the ledger
+ * Concurrent requests must never spend the same balance twice; John also
+ * has a travel account in euros at a fixed rate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+// The bursts and near-full-balance transfers here would trip the fraud rules,
+// which have their own tests (fraud.test.js); scores stop at 100, so all pass
+process.env.FRAUD_STEP_UP_SCORE = '101';
+process.env.FRAUD_HOLD_SCORE = '101';
+process.env.FRAUD_BLOCK_SCORE = '101';
+
+const seed = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+seed.users.john_doe.accounts.travel = {
+  accountNumber: 'ACC-005', balance: 0, currency: 'EUR', type: 'travel', displayName: 'Travel Account'
+};
+fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(seed, null, 2));
+process.env.FX_RATES_FILE = path.join(path.dirname(process.env.DATA_FILE), 'fx-rates.json');
+fs.writeFileSync(process.env.FX_RATES_FILE, JSON.stringify({ base: 'USD', rates: { EUR: 0.9 } }));
+
+const { app, logger, reconcileLedger } = require('../../server');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+describe('Transfers', () => {
+  let records;
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test('should post both legs of a transfer under its transaction id', async () => {
+    const response = await request(app)
+      .post('/transfer')
+      .set('X-Session-Id', 'session_test_123')
+      .send({ amount: 100, fromAccount: 'checking', toAccount: 'savings' });
+
+    expect(response.body).toMatchObject({ success: true, newBalance: 4900 });
+
+    const { transactionId } = records.find(r => r.event === 'BANKING_TRANSFER_SUCCESS').data;
+    const data = readData();
+    expect(data.transactions[data.transactions.length - 1].id).toBe(transactionId);
+    expect(data.postings.filter(p => p.transactionId === transactionId)).toEqual([
+      expect.objectContaining({ accountNumber: 'ACC-001', direction: 'debit', amount: 10000, currency: 'USD' }),
+      expect.objectContaining({ accountNumber: 'ACC-002', direction: 'credit', amount: 10000, currency: 'USD' })
+    ]);
+  });
+
+  test('should not overdraw under concurrent transfers', async () => {
+    // 4900 left in checking: only four of these ten can go through
+    const responses = await Promise.all(Array.from({ length: 10 }, () => request(app)
+      .post('/transfer')
+      .set('X-Session-Id', 'session_test_123')
+      .send({ amount: 1200, fromAccount: 'checking', toAccount: 'investments' })));
+
+    expect(responses.filter(r => r.status === 200)).toHaveLength(4);
+    expect(responses.filter(r => r.status === 400).every(r => r.body.error === 'Insufficient funds')).toBe(true);
+    expect(readData().users.john_doe.accounts.checking.balance).toBe(10000);
+  });
+
+  test('should convert a transfer into an account in another currency', async () => {
+    const response = await request(app)
+      .post('/transfer')
+      .set('X-Session-Id', 'session_test_123')
+      .send({ amount: 100.01, fromAccount: 'savings', toAccount: 'travel' });
+
+    expect(response.body).toMatchObject({
+      success: true,
+      newBalance: 9999.99,
+      currency: 'USD',
+      fxRate: 0.9,
+      creditedAmount: 90.01,
+      creditedCurrency: 'EUR'
+    });
+
+    const { transactionId } = records.find(r => r.event === 'BANKING_TRANSFER_SUCCESS').data;
+    const data = readData();
+    expect(data.users.john_doe.accounts.travel.balance).toBe(9001);
+    expect(data.transactions.find(t => t.id === transactionId)).toMatchObject({
+      amount: 10001, currency: 'USD', fxRate: 0.9, creditedAmount: 9001, creditedCurrency: 'EUR'
+    });
+    expect(data.postings.filter(p => p.transactionId === transactionId)).toHaveLength(4);
+
+    const balance = await request(app).get('/balance?account=travel').set('X-Session-Id', 'session_test_123');
+    expect(balance.body).toMatchObject({ balance: 90.01, currency: 'EUR' });
+    records = [];
+  });
+
+  test('should refuse an amount the source currency cannot hold', async () => {
+    const response = await request(app)
+      .post('/transfer')
+      .set('X-Session-Id', 'session_test_123')
+      .send({ amount: 10.005, fromAccount: 'savings', toAccount: 'travel' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'amount must have at most 2 decimal places in USD' });
+    records = [];
+  });
+
+  test('should reconcile cleanly after transfers', () => {
+    const report = reconcileLedger();
+
+    expect(report.balanced).toBe(true);
+    expect(records.map(r => r.event)).toEqual(['BANKING_LEDGER_RECONCILED']);
+  });
+
+  test('should log drift when a stored balance is edited behind the ledger\'s back', () => {
+    const data = readData();
+    data.users.jane_smith.accounts.savings.balance += 5000;
+    fs.writeFileSync(process.env.DATA_FILE, JSON.stringify(data, null, 2));
+
+    const report = reconcileLedger();
+
+    expect(report.balanced).toBe(false);
+    expect(records).toEqual([expect.objectContaining({
+      event: 'BANKING_LEDGER_DRIFT',
+      level: 'error',
+      user: 'jane_smith',
+      data: expect.objectContaining({ account: 'savings', storedBalance: 8050, ledgerBalance: 8000, currency: 'USD' })
+    })]);
+  });
+});
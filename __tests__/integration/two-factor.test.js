@@ -0,0 +1,162 @@
+/**
+ * Integration tests for TOTP enrolment and the two-step login
+ * The second factor runs on a fixed clock that each test moves forward, so
+ * codes are computed exactly as the user's app would
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger, twoFactor } = require('../../server');
+const { totp } = require('../../totp');
+
+let clock = Date.parse('2025-01-01T00:00:00.000Z');
+twoFactor.now = () => clock;
+
+// A code for the next time step, so no two requests reuse one
+const nextCode = (secret) => {
+  clock += 30000;
+  return totp(secret, { time: clock });
+};
+
+const login = () => request(app).post('/login').send({ username: 'john_doe', password: 'password123' });
+const asUser = (method, url, token) => request(app)[method](url).set('X-Session-Id', token);
+
+describe('Two-factor authentication', () => {
+  let records;
+  let secret;
+  let recoveryCodes;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  describe('Enrolment', () => {
+    test('should hand out a secret and provisioning URI', async () => {
+      const response = await asUser('post', '/totp/enroll', 'session_test_123');
+
+      expect(response.status).toBe(200);
+      expect(response.body.uri).toMatch(/^otpauth:\/\/totp\/Banking%20Demo%3Ajohn_doe\?secret=[A-Z2-7]{32}&/);
+      secret = response.body.secret;
+      expect((await asUser('get', '/totp', 'session_test_123')).body).toEqual({ enabled: false, recoveryCodesRemaining: 0 });
+    });
+
+    test('should not enable the factor on a wrong code', async () => {
+      const code = nextCode(secret);
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      const response = await asUser('post', '/totp/confirm', 'session_test_123').send({ code: wrong });
+
+      expect(response.status).toBe(400);
+      expect(events('BANKING_TOTP_ENROLMENT_FAILED')).toHaveLength(1);
+    });
+
+    test('should enable the factor and return recovery codes once', async () => {
+      const response = await asUser('post', '/totp/confirm', 'session_test_123').send({ code: nextCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodes).toHaveLength(10);
+      recoveryCodes = response.body.recoveryCodes;
+      expect((await asUser('get', '/totp', 'session_test_123')).body).toEqual({ enabled: true, recoveryCodesRemaining: 10 });
+      expect((await asUser('post', '/totp/enroll', 'session_test_123')).status).toBe(409);
+    });
+
+    test('should keep the secret and recovery codes out of the logs', () => {
+      const logged = JSON.stringify(records) + global.mockConsoleLogs.join('\n');
+
+      expect(logged).not.toContain(secret);
+      expect(logged).not.toContain(recoveryCodes[0]);
+    });
+  });
+
+  describe('Two-step login', () => {
+    test('should return a pending session instead of logging in', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.mfaRequired).toBe(true);
+      expect(response.body.user).toBeUndefined();
+      expect(events('BANKING_LOGIN_MFA_REQUIRED')).toHaveLength(1);
+      expect(events('BANKING_LOGIN_SUCCESS')).toHaveLength(0);
+    });
+
+    test('should not let a pending session use the app', async () => {
+      const { sessionId } = (await login()).body;
+
+      expect((await asUser('get', '/balance', sessionId)).status).toBe(401);
+    });
+
+    test('should exchange the pending session for a full one on a valid code', async () => {
+      const pending = (await login()).body.sessionId;
+
+      const response = await asUser('post', '/login/totp', pending).send({ code: nextCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.id).toBe('john_doe');
+      expect(response.body.sessionId).not.toBe(pending);
+      expect((await asUser('get', '/balance', response.body.sessionId)).status).toBe(200);
+      expect((await asUser('post', '/login/totp', pending).send({ code: nextCode(secret) })).status).toBe(401);
+      expect(events('BANKING_LOGIN_SUCCESS')[0].data.mfa).toBe('totp');
+    });
+
+    test('should reject a wrong or replayed code', async () => {
+      const pending = (await login()).body.sessionId;
+      const code = nextCode(secret);
+      await asUser('post', '/login/totp', (await login()).body.sessionId).send({ code });
+
+      const replayed = await asUser('post', '/login/totp', pending).send({ code });
+
+      expect(replayed.status).toBe(401);
+      expect(replayed.body).toEqual({ error: 'Invalid code' });
+      expect(events('BANKING_LOGIN_FAILED').map(record => record.data.reason)).toEqual(['INVALID_SECOND_FACTOR']);
+    });
+
+    test('should accept a recovery code once', async () => {
+      const first = await asUser('post', '/login/totp', (await login()).body.sessionId)
+        .send({ recoveryCode: recoveryCodes[0] });
+      const again = await asUser('post', '/login/totp', (await login()).body.sessionId)
+        .send({ recoveryCode: recoveryCodes[0] });
+
+      expect(first.status).toBe(200);
+      expect(again.status).toBe(401);
+      expect(events('BANKING_RECOVERY_CODE_USED')[0].data.remaining).toBe(9);
+    });
+
+    test('should not need a second step for users without TOTP', async () => {
+      const response = await request(app).post('/login').send({ username: 'jane_smith', password: 'secure456' });
+
+      expect(response.body.mfaRequired).toBeUndefined();
+      expect(response.body.user.id).toBe('jane_smith');
+    });
+  });
+
+  describe('Disabling', () => {
+    test('should require a valid code', async () => {
+      const code = nextCode(secret);
+      const wrong = code === '000000' ? '111111' : '000000';
+      const disable = (body) => asUser('post', '/totp/disable', 'session_test_123').send(body);
+
+      expect((await disable({ code: 'nope' })).body).toMatchObject({ code: 'VALIDATION_FAILED', error: 'code must be 6 digits' });
+      expect((await disable({ code: wrong })).status).toBe(401);
+
+      const response = await disable({ code });
+
+      expect(response.status).toBe(200);
+      expect((await login()).body.user.id).toBe('john_doe');
+    });
+  });
+});
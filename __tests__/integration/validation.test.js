@@ -0,0 +1,123 @@
+/**
+ * Integration tests for schema-based request validation
+ * Malformed requests get one 400 envelope and one event, and change nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createTestDataFile } = require('../fixtures/testData');
+
+process.env.DATA_FILE = createTestDataFile();
+process.env.LOG_SINKS = 'console';
+
+const { app, logger } = require('../../server');
+
+const readData = () => JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+
+const transfer = (body) => request(app)
+  .post('/transfer')
+  .set('X-Session-Id', 'session_test_123')
+  .send({ fromAccount: 'checking', toAccount: 'savings', ...body });
+
+describe('Request validation', () => {
+  let records;
+  const events = (name) => records.filter(record => record.event === name);
+
+  beforeAll(() => {
+    logger.sinks.push({ write: record => records.push(record) });
+  });
+
+  beforeEach(() => {
+    records = [];
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(process.env.DATA_FILE), { recursive: true, force: true });
+  });
+
+  test.each([
+    [{ amount: '100' }, 'invalid_type', 'amount must be a number'],
+    [{ amount: 10.0005 }, 'too_precise', 'amount must have at most 3 decimal places'],
+    [{ amount: 1e15 }, 'out_of_range', 'amount must be at most 1000000000'],
+    [{ amount: -5 }, 'out_of_range', 'amount must be more than zero']
+  ])('should refuse the transfer %j without touching balances', async (body, code, message) => {
+    const before = readData().users.john_doe.accounts;
+    const response = await transfer(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: message,
+      code: 'VALIDATION_FAILED',
+      errors: [{ path: 'body.amount', code, message }]
+    });
+    expect(readData().users.john_doe.accounts).toEqual(before);
+    expect(events('BANKING_TRANSFER_INITIATED')).toHaveLength(0);
+  });
+
+  test('should log one event naming the fields but not their values', async () => {
+    await transfer({ amount: 'a lot', toAccount: { nested: true } });
+
+    const invalid = events('BANKING_REQUEST_INVALID');
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0]).toMatchObject({
+      level: 'warn',
+      outcome: 'failure',
+      user: 'john_doe',
+      data: {
+        method: 'POST',
+        route: '/transfer',
+        errors: [{ path: 'body.amount', code: 'invalid_type' }, { path: 'body.toAccount', code: 'invalid_type' }]
+      }
+    });
+    expect(JSON.stringify(invalid[0])).not.toContain('a lot');
+  });
+
+  test('should check the session before the request', async () => {
+    const response = await request(app).post('/transfer').send({ amount: 'a lot' });
+
+    expect(response.status).toBe(401);
+    expect(events('BANKING_REQUEST_INVALID')).toHaveLength(0);
+  });
+
+  describe.each(['constructor', '__proto__', 'hasOwnProperty'])('an inherited key like %s as an account type', (type) => {
+    const asJohn = (method, url) => request(app)[method](url).set('X-Session-Id', 'session_test_123');
+
+    test('should not be a balance', async () => {
+      const response = await asJohn('get', '/balance').query({ account: type });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid account type' });
+    });
+
+    test('should not have a statement or a history', async () => {
+      const statement = await asJohn('get', `/accounts/${type}/statement`).query({ format: 'csv' });
+      const history = await asJohn('get', '/transactions').query({ account: type });
+
+      expect(statement.status).toBe(400);
+      expect(statement.body.errors).toEqual([{ path: 'params.type', code: 'invalid_value', message: 'Invalid account type' }]);
+      expect(history.status).toBe(400);
+      expect(history.body.errors).toEqual([{ path: 'query.account', code: 'invalid_value', message: 'Invalid account type' }]);
+    });
+
+    test('should not be the source or destination of a transfer', async () => {
+      const before = readData().users.john_doe.accounts;
+
+      expect((await transfer({ amount: 10, fromAccount: type })).body).toEqual({ error: 'Invalid source account' });
+      expect((await transfer({ amount: 10, toAccount: type })).body).toEqual({ error: 'Invalid destination account' });
+      expect((await asJohn('post', '/scheduled-transfers').send({ amount: 10, fromAccount: type, toAccount: 'savings' })).body)
+        .toEqual({ error: 'Invalid source account' });
+      expect((await asJohn('post', '/transfer/external')
+        .send({ amount: 10, fromAccount: type, toAccountNumber: 'ACC-101', payeeName: 'Jane Smith' })).body)
+        .toEqual({ error: 'Invalid source account' });
+      expect(readData().users.john_doe.accounts).toEqual(before);
+    });
+  });
+
+  test('should not count a malformed login towards the lockout', async () => {
+    const response = await request(app).post('/login').send({ username: 'john_doe' });
+
+    expect(response.body).toMatchObject({ code: 'VALIDATION_FAILED', errors: [{ path: 'body.password', code: 'required' }] });
+    expect(events('BANKING_LOGIN_FAILED')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Tests for the hash-chained audit trail
+ * Entries are written to a temp file; tampering is done by editing its lines
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const { AuditLog, verifyAuditLog, GENESIS_HASH } = require('../../audit-log');
+const { StructuredLogger } = require('../../structured-logger');
+const CustomSplunkLogger = require('../../custom-splunk-logger');
+
+const record = (event, fields = {}) => ({
+  timestamp: '2025-03-01T10:00:00.000Z',
+  level: 'info',
+  event,
+  user: 'john_doe',
+  outcome: 'success',
+  correlationId: 'corr-1',
+  data: {},
+  ...fields
+});
+
+describe('Audit log', () => {
+  let dir;
+  let file;
+
+  const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+  const writeLines = (entries) => fs.writeFileSync(file, `${entries.join('\n')}\n`);
+  const fill = (audit, count) => {
+    for (let i = 1; i <= count; i++) {
+      audit.append(record('BANKING_TRANSFER_SUCCESS', { data: { amount: i * 10 } }));
+    }
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'banking-audit-test-'));
+    file = path.join(dir, 'nested', 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('AuditLog', () => {
+    test('should chain each entry to the one before', () => {
+      const audit = new AuditLog({ file, key: null });
+
+      const first = audit.append(record('BANKING_LOGIN_SUCCESS'));
+      const second = audit.append(record('BANKING_LOGOUT', { data: { sessionId: 'abc' } }));
+
+      expect(first).toMatchObject({ seq: 1, event: 'BANKING_LOGIN_SUCCESS', user: 'john_doe', prevHash: GENESIS_HASH });
+      expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(second).toMatchObject({ seq: 2, prevHash: first.hash, data: { sessionId: 'abc' } });
+      expect(lines().map(line => JSON.parse(line))).toEqual([first, second]);
+    });
+
+    test('should carry on the chain of an existing file, even one another process appended to', () => {
+      const server = new AuditLog({ file, key: null });
+      fill(server, 2);
+
+      const script = new AuditLog({ file, key: null });
+      const unlocked = script.append(record('BANKING_ACCOUNT_UNLOCKED'));
+      expect(unlocked.seq).toBe(3);
+
+      expect(server.append(record('BANKING_LOGIN_SUCCESS'))).toMatchObject({ seq: 4, prevHash: unlocked.hash });
+      expect(verifyAuditLog(file)).toMatchObject({ valid: true, entries: 4 });
+    });
+
+    test('should keep one chain when several processes append at once', async () => {
+      const appender = `
+        const { AuditLog } = require(${JSON.stringify(path.join(__dirname, '../../audit-log'))});
+        const audit = new AuditLog({ file: ${JSON.stringify(file)}, key: null });
+        for (let i = 0; i < 50; i++) {
+          audit.append({ event: 'BANKING_TRANSFER_SUCCESS', user: process.argv[1], outcome: 'success', data: { i } });
+        }`;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+
+      await Promise.all(['a', 'b', 'c'].map(name => new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', appender, name], { timeout: 60000 }, error => (error ? reject(error) : resolve()));
+      })));
+
+      expect(verifyAuditLog(file)).toMatchObject({ valid: true, entries: 150 });
+      expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    test('should wait for another process\'s lock and give up rather than fork the chain', () => {
+      const audit = new AuditLog({ file, key: null, lockTimeoutMs: 50 });
+      fs.writeFileSync(`${file}.lock`, '');
+
+      expect(() => audit.append(record('BANKING_LOGIN_SUCCESS'))).toThrow(`Timed out waiting for the lock ${file}.lock`);
+      expect(fs.existsSync(file)).toBe(false);
+
+      fs.rmSync(`${file}.lock`);
+      expect(audit.append(record('BANKING_LOGIN_SUCCESS')).seq).toBe(1);
+    });
+
+    test('should take over a lock left behind by a process that died', () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.lock`, '');
+      const longAgo = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(`${file}.lock`, longAgo, longAgo);
+
+      expect(new AuditLog({ file, key: null, lockTimeoutMs: 50 }).append(record('BANKING_LOGIN_SUCCESS')).seq).toBe(1);
+      expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    });
+
+    test('should find the last entry when it is longer than one read from the end', () => {
+      const audit = new AuditLog({ file, key: null });
+      audit.append(record('BANKING_LOGIN_SUCCESS'));
+      audit.append(record('BANKING_TRANSFER_SUCCESS', { data: { note: 'x'.repeat(100 * 1024) } }));
+
+      expect(new AuditLog({ file, key: null }).append(record('BANKING_LOGOUT')).seq).toBe(3);
+      expect(verifyAuditLog(file).valid).toBe(true);
+    });
+
+    test('should only cover security events', () => {
+      const audit = new AuditLog({ file });
+
+      expect(audit.covers('BANKING_LOGIN_FAILED')).toBe(true);
+      expect(audit.covers('BANKING_TRANSFER_SUCCESS')).toBe(true);
+      expect(audit.covers('BANKING_PASSWORD_CHANGED')).toBe(true);
+      expect(audit.covers('BANKING_BALANCE_CHECK')).toBe(false);
+      expect(audit.covers('BANKING_SESSION_RENEWED')).toBe(false);
+    });
+
+    test('should forward entries as written under their own sourcetype when asked to', () => {
+      const splunkLogger = new CustomSplunkLogger({ endpoint: 'https://splunk.example.com:8088', token: 't' });
+      splunkLogger.sendToSplunk = jest.fn();
+
+      new AuditLog({ file, splunkLogger, forward: false }).append(record('BANKING_LOGIN_SUCCESS'));
+      expect(splunkLogger.sendToSplunk).not.toHaveBeenCalled();
+
+      const entry = new AuditLog({ file, splunkLogger, forward: true }).append(record('BANKING_LOGOUT'));
+      expect(splunkLogger.sendToSplunk).toHaveBeenCalledWith(expect.objectContaining({
+        sourcetype: 'banking:audit',
+        time: Date.parse('2025-03-01T10:00:00.000Z') / 1000,
+        event: entry
+      }));
+
+      new AuditLog({ file, splunkLogger, forward: true, sourcetype: 'custom:audit' }).append(record('BANKING_LOGOUT'));
+      expect(splunkLogger.sendToSplunk.mock.calls[1][0].sourcetype).toBe('custom:audit');
+    });
+
+    test('should warn when it is not set up to be tamper-evident and print the last entry', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const splunkLogger = new CustomSplunkLogger({ endpoint: 'https://splunk.example.com:8088', token: 't' });
+      splunkLogger.sendToSplunk = jest.fn();
+      const audit = new AuditLog({ file, key: null, forward: false });
+      const last = audit.append(record('BANKING_LOGIN_SUCCESS'));
+
+      expect(audit.checkSetup()).toEqual([
+        expect.stringContaining('AUDIT_LOG_KEY is not set'),
+        expect.stringContaining('AUDIT_SPLUNK_FORWARD is off')
+      ]);
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/^\[AUDIT\] AUDIT_LOG_KEY is not set/));
+      expect(logSpy).toHaveBeenCalledWith(`[AUDIT] ${file}: last entry 1 with hash ${last.hash}`);
+
+      expect(new AuditLog({ file, key: 'audit-secret', splunkLogger, forward: true }).checkSetup()).toEqual([]);
+      warnSpy.mockRestore();
+      logSpy.mockRestore();
+    });
+  });
+
+  describe('verifyAuditLog', () => {
+    beforeEach(() => {
+      fill(new AuditLog({ file, key: null }), 5);
+    });
+
+    test('should accept an untouched file and report its last entry', () => {
+      const last = JSON.parse(lines()[4]);
+
+      expect(verifyAuditLog(file)).toEqual({
+        valid: true,
+        entries: 5,
+        head: { seq: 5, hash: last.hash },
+        problems: []
+      });
+    });
+
+    test('should find an edited entry', () => {
+      const entries = lines();
+      entries[2] = entries[2].replace('"amount":30', '"amount":3000');
+      writeLines(entries);
+
+      expect(verifyAuditLog(file)).toMatchObject({
+        valid: false,
+        problems: [{ line: 3, seq: 3, problem: 'modified', message: 'entry 3 does not match its hash' }]
+      });
+    });
+
+    test('should find an edited entry whose hash was worked out again', () => {
+      const entries = lines();
+      const { hash: _hash, ...content } = JSON.parse(entries[2]);
+      const forged = new AuditLog({ file: path.join(dir, 'forged.jsonl'), key: null });
+      forged.head = { seq: 2, hash: content.prevHash, size: 0 };
+      forged.readHead = () => forged.head;
+      entries[2] = JSON.stringify(forged.append({ ...content, data: { amount: 3000 } }));
+      writeLines(entries);
+
+      expect(verifyAuditLog(file).problems).toEqual([
+        { line: 4, seq: 4, problem: 'broken_chain', message: 'entry 4 does not follow on from entry 3' }
+      ]);
+    });
+
+    test('should find deleted entries', () => {
+      const entries = lines();
+      writeLines([entries[0], entries[3], entries[4]]);
+
+      expect(verifyAuditLog(file).problems).toEqual([
+        { line: 2, seq: 4, problem: 'missing', message: 'entries 2 to 3 are missing' }
+      ]);
+    });
+
+    test('should find entries moved out of order', () => {
+      const entries = lines();
+      writeLines([entries[0], entries[2], entries[1], entries[3], entries[4]]);
+
+      expect(verifyAuditLog(file).problems.map(p => p.problem)).toEqual(['missing', 'out_of_order', 'missing']);
+    });
+
+    test('should find a line that is not JSON', () => {
+      const entries = lines();
+      entries[1] = entries[1].slice(0, 20);
+      writeLines(entries);
+
+      expect(verifyAuditLog(file).problems.map(p => p.problem)).toEqual(['unreadable', 'missing']);
+    });
+
+    test('should leave cutting the end to be caught by the last entry', () => {
+      const entries = lines();
+      writeLines(entries.slice(0, 3));
+
+      expect(verifyAuditLog(file)).toMatchObject({ valid: true, entries: 3, head: { seq: 3 } });
+    });
+
+    test('should need the key a keyed file was written with', () => {
+      const keyed = path.join(dir, 'keyed.jsonl');
+      fill(new AuditLog({ file: keyed, key: 'audit-secret' }), 2);
+
+      expect(verifyAuditLog(keyed, { key: 'audit-secret' }).valid).toBe(true);
+      expect(verifyAuditLog(keyed).problems.map(p => p.problem)).toEqual(['modified', 'modified']);
+    });
+  });
+
+  describe('verify-audit-log.js', () => {
+    const run = (target) => {
+      try {
+        return { status: 0, output: execFileSync(process.execPath, [path.join(__dirname, '../../verify-audit-log.js'), target], {
+          env: { ...process.env, AUDIT_LOG_KEY: '' },
+          stdio: 'pipe',
+          encoding: 'utf8'
+        }) };
+      } catch (error) {
+        return { status: error.status, output: error.stderr };
+      }
+    };
+
+    test('should pass an intact file and fail a tampered one', () => {
+      fill(new AuditLog({ file, key: null }), 3);
+      const intact = run(file);
+      expect(intact.status).toBe(0);
+      expect(intact.output).toMatch(/is intact: 3 entries, last entry 3 with hash [0-9a-f]{64}/);
+
+      writeLines(lines().slice(1));
+      const tampered = run(file);
+      expect(tampered.status).toBe(1);
+      expect(tampered.output).toContain('Line 1: entries 1 to 1 are missing');
+      expect(tampered.output).toContain('has been tampered with');
+      expect(tampered.output).toContain('AUDIT_LOG_KEY is not set');
+    });
+  });
+
+  describe('StructuredLogger with an audit trail', () => {
+    test('should append the events it covers, whatever the log level', () => {
+      const audit = new AuditLog({ file, key: null });
+      const sink = { records: [], write(r) { this.records.push(r); } };
+      const logger = new StructuredLogger({ level: 'error', sinks: [sink], audit });
+
+      logger.info('BANKING_LOGIN_SUCCESS', { user: 'john_doe', outcome: 'success', sessionId: 'abc' });
+      logger.info('BANKING_BALANCE_CHECK', { user: 'john_doe' });
+      logger.child({ component: 'scheduler' }).warn('BANKING_SCHEDULED_TRANSFER_FAILED', { outcome: 'failure' });
+
+      expect(sink.records).toHaveLength(0);
+      expect(lines().map(line => JSON.parse(line).event)).toEqual(['BANKING_LOGIN_SUCCESS', 'BANKING_SCHEDULED_TRANSFER_FAILED']);
+      expect(JSON.parse(lines()[1]).data).toEqual({ component: 'scheduler' });
+    });
+
+    test('should keep logging when the audit file cannot be written', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const audit = new AuditLog({ file, key: null });
+      audit.append = () => { throw new Error('disk full'); };
+      const sink = { records: [], write(r) { this.records.push(r); } };
+
+      new StructuredLogger({ sinks: [sink], audit }).info('BANKING_LOGIN_SUCCESS', {});
+
+      expect(sink.records).toHaveLength(1);
+      expect(errorSpy).toHaveBeenCalledWith('[LOGGER] Audit trail failed: disk full');
+      errorSpy.mockRestore();
+    });
+  });
+});
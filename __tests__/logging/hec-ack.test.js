@@ -0,0 +1,205 @@
+/**
+ * Tests for HEC indexer acknowledgement
+ * These run CustomSplunkLogger against a local HTTP stub that imitates
+ * Splunk's /services/collector and /services/collector/ack endpoints
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CustomSplunkLogger = require('../../custom-splunk-logger');
+
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+});
+
+// Minimal HEC: hands out sequential ackIds per channel and reports them as
+// indexed unless the test says otherwise
+const startHecStub = async () => {
+  const stub = {
+    batches: [],
+    polls: [],
+    channels: new Set(),
+    nextAckId: 0,
+    unacked: new Set(),
+    ackAll: true
+  };
+
+  stub.server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const channel = req.headers['x-splunk-request-channel'];
+
+    if (!channel) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ text: 'Data channel is missing', code: 10 }));
+      return;
+    }
+    stub.channels.add(channel);
+
+    if (req.url === '/services/collector/ack') {
+      const { acks } = JSON.parse(body);
+      stub.polls.push(acks);
+      const status = {};
+      for (const ackId of acks) {
+        status[ackId] = stub.ackAll && !stub.unacked.has(ackId);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ acks: status }));
+      return;
+    }
+
+    const ackId = stub.nextAckId++;
+    stub.batches.push({ ackId, events: body.split('\n').map(line => JSON.parse(line)) });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ text: 'Success', code: 0, ackId }));
+  });
+
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.endpoint = `http://127.0.0.1:${stub.server.address().port}/services/collector`;
+  return stub;
+};
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('HEC indexer acknowledgement', () => {
+  let stub;
+  let logger;
+
+  const createLogger = (options = {}) => new CustomSplunkLogger({
+    endpoint: stub.endpoint,
+    token: 'test-token-123',
+    channel: 'test-channel-0001',
+    ack: { pollIntervalMs: 10, timeoutMs: 100 },
+    ...options
+  });
+
+  beforeEach(async () => {
+    stub = await startHecStub();
+  });
+
+  afterEach(async () => {
+    if (logger) {
+      await logger.close();
+      logger = null;
+    }
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  test('should send the channel header on event posts and ack polls', async () => {
+    logger = createLogger();
+
+    logger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, { amount: 100 });
+    await logger.flush();
+    await waitFor(() => stub.polls.length > 0);
+
+    expect(Array.from(stub.channels)).toEqual(['test-channel-0001']);
+  });
+
+  test('should generate a channel id when none is configured', () => {
+    logger = createLogger({ channel: undefined });
+
+    expect(logger.channel).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should poll for the returned ackId and stop once it is acknowledged', async () => {
+    logger = createLogger();
+
+    logger.log('BANKING_LOGIN_SUCCESS', { id: 'john_doe' }, {});
+    logger.log('BANKING_BALANCE_CHECK', { id: 'john_doe' }, {});
+    await logger.flush();
+    await waitFor(() => logger.getDeliveryStats().acknowledged === 2);
+
+    expect(stub.batches).toHaveLength(1);
+    expect(stub.polls[0]).toEqual([0]);
+    expect(logger.getDeliveryStats()).toMatchObject({ sent: 2, acknowledged: 2, pendingAcks: 0 });
+    expect(logger.ackTracker.pollTimer).toBeNull();
+  });
+
+  test('should resend a batch that is never acknowledged within the timeout', async () => {
+    stub.unacked.add(0);
+    logger = createLogger();
+
+    logger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, { amount: 250 });
+    await logger.flush();
+    await waitFor(() => logger.getDeliveryStats().acknowledged === 1);
+
+    expect(stub.batches).toHaveLength(2);
+    expect(stub.batches[1].events).toEqual(stub.batches[0].events);
+    expect(logger.getDeliveryStats()).toMatchObject({ resent: 1, timedOut: 1, acknowledged: 1 });
+  });
+
+  test('should give up after maxResends unacknowledged attempts', async () => {
+    stub.ackAll = false;
+    logger = createLogger({ ack: { pollIntervalMs: 10, timeoutMs: 30, maxResends: 1 } });
+    const onDrop = jest.fn();
+    logger.ackTracker.on('drop', onDrop);
+
+    logger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, {});
+    await logger.flush();
+    await waitFor(() => onDrop.mock.calls.length === 1);
+
+    expect(stub.batches).toHaveLength(2);
+    expect(onDrop.mock.calls[0][1]).toBe('ack_timeout');
+  });
+
+  test('should count a batch given up on as dropped in the delivery stats', async () => {
+    stub.ackAll = false;
+    logger = createLogger({ ack: { pollIntervalMs: 10, timeoutMs: 30, maxResends: 0 } });
+    const onDrop = jest.fn();
+    logger.queue.on('drop', onDrop);
+
+    logger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, {});
+    logger.log('BANKING_BALANCE_CHECK', { id: 'john_doe' }, {});
+    await logger.flush();
+    await waitFor(() => onDrop.mock.calls.length === 1);
+
+    expect(onDrop.mock.calls[0][1]).toBe('ack_timeout');
+    expect(logger.getDeliveryStats()).toMatchObject({ sent: 2, dropped: 2, acknowledged: 0 });
+    expect(console.error).toHaveBeenCalledWith('[CUSTOM-SPLUNK] Dropped 2 event(s) after delivery failure (ack_timeout)');
+  });
+
+  test('should keep unacknowledged events in the spool on close', async () => {
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hec-ack-'));
+    stub.ackAll = false;
+    logger = createLogger({ spoolDir, ack: { pollIntervalMs: 10, timeoutMs: 60000 } });
+
+    logger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, {});
+    await logger.flush();
+    await logger.close();
+    logger = null;
+
+    const [segment] = fs.readdirSync(spoolDir);
+    const spooled = fs.readFileSync(path.join(spoolDir, segment), 'utf8').trim().split('\n');
+    expect(JSON.parse(spooled[0]).event.event_type).toBe('BANKING_TRANSFER_SUCCESS');
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('should derive the ack endpoint from the event endpoint', () => {
+    logger = createLogger({ endpoint: 'https://splunk.example.com:8088/services/collector/event' });
+
+    expect(logger.ackPath()).toBe('/services/collector/ack');
+  });
+
+  test('should not send a channel header when ack mode is off', async () => {
+    logger = createLogger({ ack: false, channel: undefined });
+
+    logger.log('BANKING_LOGOUT', { id: 'john_doe' }, {});
+    await logger.flush();
+
+    expect(stub.batches).toHaveLength(0);
+    expect(logger.getDeliveryStats()).toMatchObject({ sent: 0, dropped: 1 });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the batched, retrying HEC delivery queue
+ * The queue is driven with a fake send() so no HTTP is involved
+ */
+
+const HecDeliveryQueue = require('../../hec-delivery-queue');
+
+const event = (n) => ({ time: n, event: { event_type: `EVENT_${n}` } });
+
+const parsePayload = (payload) => payload.split('\n').map(line => JSON.parse(line));
+
+describe('HecDeliveryQueue', () => {
+  let sent;
+  let send;
+
+  beforeEach(() => {
+    sent = [];
+    send = jest.fn(async (payload) => {
+      sent.push(parsePayload(payload));
+      return { statusCode: 200, body: '{"text":"Success","code":0}' };
+    });
+  });
+
+  describe('Batching', () => {
+    test('should send a batch as soon as it reaches maxBatchSize', () => {
+      const queue = new HecDeliveryQueue({ send, maxBatchSize: 3 });
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      expect(send).not.toHaveBeenCalled();
+
+      queue.enqueue(event(3));
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(sent[0].map(e => e.time)).toEqual([1, 2, 3]);
+    });
+
+    test('should split batches that would exceed maxBatchBytes', async () => {
+      const oneEventBytes = JSON.stringify(event(1)).length + 1;
+      const queue = new HecDeliveryQueue({ send, maxBatchBytes: oneEventBytes * 2 });
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      queue.enqueue(event(3));
+      await queue.flush();
+
+      expect(sent.map(batch => batch.length)).toEqual([2, 1]);
+    });
+
+    test('should flush a partial batch after the flush interval', async () => {
+      const queue = new HecDeliveryQueue({ send, flushIntervalMs: 5 });
+
+      queue.enqueue(event(1));
+      expect(send).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send newline-delimited HEC events in enqueue order', async () => {
+      const queue = new HecDeliveryQueue({ send });
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      await queue.flush();
+
+      expect(send.mock.calls[0][0].split('\n')).toHaveLength(2);
+      expect(sent[0].map(e => e.event.event_type)).toEqual(['EVENT_1', 'EVENT_2']);
+    });
+  });
+
+  describe('Retries', () => {
+    test('should retry 5xx responses with backoff until delivered', async () => {
+      send
+        .mockResolvedValueOnce({ statusCode: 503, body: 'busy' })
+        .mockResolvedValueOnce({ statusCode: 500, body: 'oops' });
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 1 });
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      await queue.flush();
+
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(queue.getStats()).toMatchObject({ sent: 2, retried: 4, dropped: 0 });
+    });
+
+    test('should retry network errors', async () => {
+      send.mockRejectedValueOnce(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 1 });
+      const onRetry = jest.fn();
+      queue.on('retry', onRetry);
+
+      queue.enqueue(event(1));
+      await queue.flush();
+
+      expect(onRetry).toHaveBeenCalledWith([event(1)], 'ECONNREFUSED', 1);
+      expect(queue.getStats().sent).toBe(1);
+    });
+
+    test('should drop 4xx responses without retrying', async () => {
+      send.mockResolvedValue({ statusCode: 400, body: '{"text":"Invalid data format","code":6}' });
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 1 });
+      const onDrop = jest.fn();
+      queue.on('drop', onDrop);
+
+      queue.enqueue(event(1));
+      await queue.flush();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(onDrop).toHaveBeenCalledWith([event(1)], 'status_400');
+      expect(queue.getStats()).toMatchObject({ sent: 0, retried: 0, dropped: 1 });
+    });
+
+    test('should drop a batch once maxRetries is exhausted', async () => {
+      send.mockResolvedValue({ statusCode: 503, body: 'busy' });
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 1, maxRetries: 2 });
+
+      queue.enqueue(event(1));
+      await queue.flush();
+
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(queue.getStats()).toMatchObject({ sent: 0, retried: 2, dropped: 1 });
+    });
+
+    test('should cap the backoff delay at retryMaxMs', () => {
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 100, retryMaxMs: 1000 });
+
+      expect(queue.backoffDelay(0)).toBeLessThanOrEqual(100);
+      expect(queue.backoffDelay(10)).toBe(1000);
+    });
+  });
+
+  describe('Shutdown', () => {
+    test('should deliver buffered events on close()', async () => {
+      const queue = new HecDeliveryQueue({ send, flushIntervalMs: 60000 });
+
+      queue.enqueue(event(1));
+      await queue.close();
+
+      expect(queue.getStats()).toMatchObject({ sent: 1, queued: 0, inFlight: 0 });
+    });
+
+    test('should not wait out retry backoff when closing', async () => {
+      send.mockResolvedValue({ statusCode: 503, body: 'busy' });
+      const queue = new HecDeliveryQueue({ send, retryBaseMs: 60000 });
+
+      queue.enqueue(event(1));
+      queue.flush();
+      await queue.close();
+
+      expect(queue.getStats()).toMatchObject({ sent: 0, dropped: 1, inFlight: 0 });
+    });
+
+    test('should count events enqueued after close as dropped', async () => {
+      const queue = new HecDeliveryQueue({ send });
+      await queue.close();
+
+      queue.enqueue(event(1));
+
+      expect(send).not.toHaveBeenCalled();
+      expect(queue.getStats().dropped).toBe(1);
+    });
+
+    test('should evict the oldest event when the buffer is full', () => {
+      const queue = new HecDeliveryQueue({ send, maxQueueSize: 2, maxBatchSize: 10 });
+      const onDrop = jest.fn();
+      queue.on('drop', onDrop);
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      queue.enqueue(event(3));
+
+      expect(onDrop).toHaveBeenCalledWith([event(1)], 'queue_full');
+      expect(queue.getStats()).toMatchObject({ queued: 2, dropped: 1 });
+      queue.clearFlushTimer();
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Tests for the durable on-disk spool of undelivered HEC events
+ * Each test gets its own temporary spool directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HecSpool = require('../../hec-spool');
+const HecDeliveryQueue = require('../../hec-delivery-queue');
+
+const event = (n) => ({ time: n, event: { event_type: 'BANKING_TRANSFER_SUCCESS', n } });
+
+describe('HecSpool', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hec-spool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const collectReplay = async (spool, batchSize) => {
+    const delivered = [];
+    const complete = await spool.replay(async (entries) => {
+      delivered.push(...entries.map(e => e.time));
+      return true;
+    }, batchSize);
+    return { complete, delivered };
+  };
+
+  describe('Spooling', () => {
+    test('should not create the directory until something is spooled', () => {
+      const spool = new HecSpool({ directory: path.join(directory, 'nested') });
+
+      expect(spool.hasPending()).toBe(false);
+      expect(fs.existsSync(path.join(directory, 'nested'))).toBe(false);
+    });
+
+    test('should append events as JSON lines to a segment file', () => {
+      const spool = new HecSpool({ directory });
+
+      spool.append([event(1), event(2)]);
+
+      const [segment] = spool.listSegments();
+      expect(segment.name).toMatch(/^segment-\d+\.jsonl$/);
+      const lines = fs.readFileSync(segment.file, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).time)).toEqual([1, 2]);
+    });
+
+    test('should roll over to a new segment when maxSegmentBytes is reached', () => {
+      const spool = new HecSpool({ directory, maxSegmentBytes: 10 });
+
+      spool.append([event(1)]);
+      spool.append([event(2)]);
+
+      expect(spool.listSegments()).toHaveLength(2);
+    });
+
+    test('should discard the oldest segments when the size cap is exceeded', async () => {
+      const segmentBytes = JSON.stringify(event(1)).length + 1;
+      const spool = new HecSpool({ directory, maxSegmentBytes: 1, maxTotalBytes: segmentBytes * 2 });
+
+      spool.append([event(1)]);
+      spool.append([event(2)]);
+      spool.append([event(3)]);
+
+      expect(spool.getStats()).toMatchObject({ spooled: 3, dropped: 1, segments: 2 });
+      const { delivered } = await collectReplay(spool);
+      expect(delivered).toEqual([2, 3]);
+    });
+  });
+
+  describe('Replay', () => {
+    test('should replay events in order across segments and remove them', async () => {
+      const spool = new HecSpool({ directory, maxSegmentBytes: 10 });
+      spool.append([event(1), event(2)]);
+      spool.append([event(3)]);
+
+      const { complete, delivered } = await collectReplay(spool, 2);
+
+      expect(complete).toBe(true);
+      expect(delivered).toEqual([1, 2, 3]);
+      expect(spool.hasPending()).toBe(false);
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+
+    test('should stop at the first failed batch and resume from the checkpoint', async () => {
+      const spool = new HecSpool({ directory });
+      spool.append([event(1), event(2), event(3)]);
+
+      const sendBatch = jest.fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+      const complete = await spool.replay(sendBatch, 1);
+
+      expect(complete).toBe(false);
+      expect(spool.hasPending()).toBe(true);
+
+      const { delivered } = await collectReplay(spool, 1);
+      expect(delivered).toEqual([2, 3]);
+    });
+
+    test('should pick up spooled events after a restart', async () => {
+      const before = new HecSpool({ directory });
+      before.append([event(1)]);
+
+      const after = new HecSpool({ directory });
+      after.append([event(2)]);
+
+      expect(after.listSegments()).toHaveLength(2);
+      const { delivered } = await collectReplay(after);
+      expect(delivered).toEqual([1, 2]);
+    });
+
+    test('should skip a line torn by a crash mid-append', async () => {
+      const spool = new HecSpool({ directory });
+      spool.append([event(1)]);
+      fs.appendFileSync(spool.listSegments()[0].file, '{"time":2,"ev');
+
+      const { delivered } = await collectReplay(spool);
+
+      expect(delivered).toEqual([1]);
+    });
+
+    test('should send events spooled during a replay in the next one', async () => {
+      const spool = new HecSpool({ directory });
+      spool.append([event(1)]);
+
+      await spool.replay(async () => {
+        spool.append([event(2)]);
+        return true;
+      });
+
+      const { delivered } = await collectReplay(spool);
+      expect(delivered).toEqual([2]);
+    });
+  });
+
+  describe('Integration with HecDeliveryQueue', () => {
+    test('should spool batches that exhaust their retries and replay them when HEC recovers', async () => {
+      const spool = new HecSpool({ directory });
+      const delivered = [];
+      let hecUp = false;
+      const send = jest.fn(async (payload) => {
+        if (!hecUp) {
+          throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        }
+        delivered.push(...payload.split('\n').map(line => JSON.parse(line).time));
+        return { statusCode: 200, body: '{"text":"Success","code":0}' };
+      });
+      const queue = new HecDeliveryQueue({ send, spool, maxRetries: 1, retryBaseMs: 1 });
+
+      queue.enqueue(event(1));
+      queue.enqueue(event(2));
+      await queue.flush();
+
+      expect(queue.getStats()).toMatchObject({ sent: 0, dropped: 0, spooled: 2, spoolSegments: 1 });
+
+      hecUp = true;
+      queue.enqueue(event(3));
+      await queue.flush();
+
+      expect(delivered).toEqual([1, 2, 3]);
+      expect(queue.getStats()).toMatchObject({ sent: 3, spoolSegments: 0 });
+      await queue.close();
+    });
+
+    test('should queue new events behind the spool while HEC is still down', async () => {
+      const spool = new HecSpool({ directory });
+      spool.append([event(1), event(2)]);
+      const delivered = [];
+      let hecUp = false;
+      const send = jest.fn(async (payload) => {
+        if (!hecUp) {
+          return { statusCode: 503, body: 'busy' };
+        }
+        delivered.push(...payload.split('\n').map(line => JSON.parse(line).time));
+        return { statusCode: 200, body: '' };
+      });
+      const queue = new HecDeliveryQueue({ send, spool, maxRetries: 0 });
+
+      queue.enqueue(event(3));
+      await queue.flush();
+
+      // One failed replay, and event 3 never tried ahead of the spool
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(queue.getStats()).toMatchObject({ sent: 0, spooled: 1 });
+
+      hecUp = true;
+      queue.enqueue(event(4));
+      await queue.flush();
+
+      expect(delivered).toEqual([1, 2, 3, 4]);
+      expect(spool.hasPending()).toBe(false);
+      await queue.close();
+    });
+
+    test('should replay a spool left by a previous process on its own', async () => {
+      new HecSpool({ directory }).append([event(1)]);
+      const send = jest.fn(async () => ({ statusCode: 200, body: '' }));
+
+      const queue = new HecDeliveryQueue({ send, spool: new HecSpool({ directory }), spoolRetryMs: 5 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await queue.replaySpool();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(queue.getStats().spoolSegments).toBe(0);
+      await queue.close();
+    });
+
+    test('should still drop batches HEC rejects as invalid', async () => {
+      const spool = new HecSpool({ directory });
+      const send = jest.fn(async () => ({ statusCode: 400, body: '{"text":"Invalid data format","code":6}' }));
+      const queue = new HecDeliveryQueue({ send, spool });
+
+      queue.enqueue(event(1));
+      await queue.flush();
+
+      expect(queue.getStats()).toMatchObject({ dropped: 1, spooled: 0 });
+      expect(spool.hasPending()).toBe(false);
+    });
+
+    test('should spool undelivered events on close', async () => {
+      const spool = new HecSpool({ directory });
+      const send = jest.fn(async () => ({ statusCode: 503, body: 'busy' }));
+      const queue = new HecDeliveryQueue({ send, spool, retryBaseMs: 60000 });
+
+      queue.enqueue(event(1));
+      queue.flush();
+      await queue.close();
+
+      expect(queue.getStats()).toMatchObject({ dropped: 0, spooled: 1 });
+      expect(spool.hasPending()).toBe(true);
+    });
+  });
+});
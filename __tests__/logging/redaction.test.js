@@ -0,0 +1,254 @@
+/**
+ * Tests for the log redaction policy
+ * Covers every action on nested objects and arrays, and its use by both loggers
+ */
+
+const { Redactor, createRedactor } = require('../../redaction');
+const { StructuredLogger } = require('../../structured-logger');
+const CustomSplunkLogger = require('../../custom-splunk-logger');
+
+const HEC_TOKEN = '8f2c1a9e-4b7d-4e21-9c3f-2d6a5b8e7f10';
+
+describe('Redaction', () => {
+  const redactor = new Redactor({ key: 'test-key' });
+
+  describe('Default policy', () => {
+    test('should drop passwords', () => {
+      expect(redactor.redact({ user: 'john_doe', password: 'password123' })).toEqual({ user: 'john_doe' });
+    });
+
+    test('should mask all but the last four characters of account numbers', () => {
+      expect(redactor.redact({ accountNumber: 'ACC-000123' })).toEqual({ accountNumber: '****0123' });
+      expect(redactor.redact({ accountNumber: '123' })).toEqual({ accountNumber: '****' });
+    });
+
+    test('should hash session ids consistently', () => {
+      const first = redactor.redact({ sessionId: 'session_1' });
+      const second = redactor.redact({ sessionId: 'session_1' });
+      const other = redactor.redact({ sessionId: 'session_2' });
+
+      expect(first.sessionId).toMatch(/^sha256:[0-9a-f]{16}$/);
+      expect(second).toEqual(first);
+      expect(other.sessionId).not.toBe(first.sessionId);
+    });
+
+    test('should drop balances but keep the reconciliation figures', () => {
+      expect(redactor.redact({ balance: 50, newBalance: 40, fromBalance: 40, toBalance: 60, available: 40, amount: 10 })).toEqual({ amount: 10 });
+      expect(redactor.redact({ storedBalance: 50, ledgerBalance: 49 })).toEqual({ storedBalance: 50, ledgerBalance: 49 });
+    });
+
+    test('should drop token fields', () => {
+      expect(redactor.redact({ token: 'abc', hecToken: 'def', Authorization: 'Splunk xyz', ok: 1 })).toEqual({ ok: 1 });
+    });
+
+    test('should match field names case-insensitively', () => {
+      expect(redactor.redact({ PASSWORD: 'x', AccountNumber: 'ACC-000123' })).toEqual({ AccountNumber: '****0123' });
+    });
+  });
+
+  describe('Nested structures', () => {
+    test('should redact at any depth', () => {
+      const input = {
+        user: {
+          id: 'john_doe',
+          password: 'password123',
+          accounts: {
+            checking: { accountNumber: 'ACC-001234', balance: 5000 }
+          }
+        }
+      };
+
+      expect(redactor.redact(input)).toEqual({
+        user: {
+          id: 'john_doe',
+          accounts: {
+            checking: { accountNumber: '****1234' }
+          }
+        }
+      });
+    });
+
+    test('should redact objects inside arrays', () => {
+      const input = {
+        payees: [
+          { name: 'Jane', accountNumber: 'ACC-009876' },
+          { name: 'Bob', accountNumber: 'ACC-005555', password: 'nope' }
+        ],
+        tags: ['a', 'b']
+      };
+
+      expect(redactor.redact(input)).toEqual({
+        payees: [
+          { name: 'Jane', accountNumber: '****9876' },
+          { name: 'Bob', accountNumber: '****5555' }
+        ],
+        tags: ['a', 'b']
+      });
+    });
+
+    test('should redact arrays of arrays', () => {
+      expect(redactor.redact([[{ password: 'x', id: 1 }], [{ sessionId: 's' }]])).toEqual([
+        [{ id: 1 }],
+        [{ sessionId: expect.stringMatching(/^sha256:/) }]
+      ]);
+    });
+
+    test('should hash or mask a whole nested value when the field itself is covered', () => {
+      const custom = new Redactor({ key: 'k', policy: { card: 'mask-last-4', profile: 'hash' } });
+
+      expect(custom.redact({ card: 4111111111111111, profile: { a: 1 } })).toEqual({
+        card: '****1111',
+        profile: expect.stringMatching(/^sha256:[0-9a-f]{16}$/)
+      });
+    });
+
+    test('should not modify its input', () => {
+      const input = { user: { password: 'password123' }, list: [{ accountNumber: 'ACC-001234' }] };
+      const copy = JSON.parse(JSON.stringify(input));
+
+      redactor.redact(input);
+
+      expect(input).toEqual(copy);
+    });
+
+    test('should survive circular references', () => {
+      const input = { name: 'loop' };
+      input.self = input;
+
+      expect(redactor.redact(input)).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+
+    test('should leave dates, numbers and nulls alone', () => {
+      const date = new Date('2025-01-01T00:00:00.000Z');
+
+      expect(redactor.redact({ date, amount: 10, note: null })).toEqual({ date, amount: 10, note: null });
+    });
+  });
+
+  describe('Idempotence', () => {
+    test('should give the same result when applied twice', () => {
+      const input = { sessionId: 'session_1', accountNumber: 'ACC-001234', password: 'x' };
+      const once = redactor.redact(input);
+
+      expect(redactor.redact(once)).toEqual(once);
+      expect(new Redactor({ key: 'other-key' }).redact(once)).toEqual(once);
+    });
+  });
+
+  describe('Secret values', () => {
+    test('should scrub known secrets from any string', () => {
+      const withSecret = new Redactor({ secrets: [HEC_TOKEN] });
+
+      expect(withSecret.redact({ message: `Authorization: Splunk ${HEC_TOKEN}`, nested: [HEC_TOKEN] })).toEqual({
+        message: 'Authorization: Splunk [REDACTED]',
+        nested: ['[REDACTED]']
+      });
+    });
+
+    test('should ignore empty or very short secrets', () => {
+      const withSecret = new Redactor({ secrets: [undefined, '', 'ab'] });
+
+      expect(withSecret.redact('abc')).toBe('abc');
+    });
+  });
+
+  describe('Configuration', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should merge LOG_REDACTION_POLICY over the defaults', () => {
+      process.env.LOG_REDACTION_POLICY = JSON.stringify({ sessionId: 'allow', balance: 'drop', email: 'hash' });
+
+      const configured = createRedactor();
+
+      expect(configured.redact({ sessionId: 's1', balance: 10, password: 'x', email: 'a@b.c' })).toEqual({
+        sessionId: 's1',
+        email: expect.stringMatching(/^sha256:/)
+      });
+    });
+
+    test('should use LOG_REDACTION_KEY so hashes match across instances', () => {
+      process.env.LOG_REDACTION_KEY = 'shared-key';
+
+      expect(createRedactor().redact({ sessionId: 's1' })).toEqual(createRedactor().redact({ sessionId: 's1' }));
+    });
+
+    test('should fall back to the defaults when LOG_REDACTION_POLICY is not JSON', () => {
+      process.env.LOG_REDACTION_POLICY = '{not json';
+
+      expect(createRedactor().redact({ password: 'x' })).toEqual({});
+      expect(global.mockConsoleErrors[0]).toContain('[REDACTION] Ignoring LOG_REDACTION_POLICY');
+    });
+
+    test('should reject unknown actions', () => {
+      expect(() => new Redactor({ policy: { email: 'encrypt' } })).toThrow('Unknown redaction action "encrypt"');
+    });
+  });
+
+  describe('Loggers', () => {
+    test('StructuredLogger should hand redacted records to every sink', () => {
+      const first = { records: [], write(record) { this.records.push(record); } };
+      const second = { records: [], write(record) { this.records.push(record); } };
+      const logger = new StructuredLogger({ sinks: [first, second], redactor });
+
+      logger.info('BANKING_LOGIN_SUCCESS', {
+        user: 'john_doe',
+        sessionId: 'session_1',
+        accounts: [{ accountNumber: 'ACC-001234' }],
+        password: 'password123'
+      });
+
+      for (const sink of [first, second]) {
+        expect(sink.records[0].data).toEqual({
+          sessionId: expect.stringMatching(/^sha256:/),
+          accounts: [{ accountNumber: '****1234' }]
+        });
+      }
+    });
+
+    test('CustomSplunkLogger should redact data on the console and on HEC', () => {
+      const splunkLogger = new CustomSplunkLogger({
+        endpoint: 'https://splunk.example.com:8088/services/collector',
+        token: HEC_TOKEN
+      });
+      splunkLogger.sendToSplunk = jest.fn();
+
+      splunkLogger.log('BANKING_TRANSFER_SUCCESS', { id: 'john_doe' }, {
+        toAccount: { accountNumber: 'ACC-001234', owner: 'jane_smith' },
+        note: `token was ${HEC_TOKEN}`
+      });
+      splunkLogger.debug(`Using HEC token ${HEC_TOKEN}`);
+
+      const sent = splunkLogger.sendToSplunk.mock.calls.map(call => JSON.stringify(call[0]));
+      const printed = global.mockConsoleLogs.join('\n');
+
+      for (const output of [...sent, printed]) {
+        expect(output).not.toContain(HEC_TOKEN);
+        expect(output).not.toContain('ACC-001234');
+      }
+      expect(splunkLogger.sendToSplunk.mock.calls[0][0].event.data.toAccount.accountNumber).toBe('****1234');
+    });
+
+    test('CustomSplunkLogger should redact structured records sent to HEC', () => {
+      const splunkLogger = new CustomSplunkLogger({
+        endpoint: 'https://splunk.example.com:8088/services/collector',
+        token: HEC_TOKEN
+      });
+      splunkLogger.sendToSplunk = jest.fn();
+
+      splunkLogger.sendRecord({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        event: 'BANKING_LOGOUT',
+        data: { sessionId: 'session_1', password: 'x' }
+      });
+
+      expect(splunkLogger.sendToSplunk.mock.calls[0][0].event.data).toEqual({
+        sessionId: expect.stringMatching(/^sha256:/)
+      });
+    });
+  });
+});
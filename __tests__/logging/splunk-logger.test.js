@@ -57,7 +57,9 @@ describe('CustomSplunkLogger', () => {
     });
   });
 
-  afterEach(() => {
+  // Settles the batch timer of anything logged without a flush, so it can't fire after the run
+  afterEach(async () => {
+    await logger.close();
     jest.clearAllMocks();
   });
 
@@ -99,11 +101,12 @@ describe('CustomSplunkLogger', () => {
   });
 
   describe('log() method', () => {
-    test('should format log entry according to Splunk HEC JSON format', () => {
+    test('should format log entry according to Splunk HEC JSON format', async () => {
       const user = { id: 'john_doe', name: 'John Doe' };
       const data = { amount: 100, account: 'checking' };
 
       logger.log('BANKING_TRANSFER', user, data);
+      await logger.flush();
 
       // Verify HTTP request was made
       expect(https.request).toHaveBeenCalled();
@@ -129,11 +132,12 @@ describe('CustomSplunkLogger', () => {
       expect(logEntry.event).toHaveProperty('correlation_id');
     });
 
-    test('should use correlation_id from data if provided', () => {
+    test('should use correlation_id from data if provided', async () => {
       const user = { id: 'john_doe' };
       const data = { correlationId: 'custom-correlation-123' };
 
       logger.log('TEST_EVENT', user, data);
+      await logger.flush();
 
       const writtenData = mockRequest.write.mock.calls[0][0];
       const logEntry = JSON.parse(writtenData);
@@ -141,11 +145,12 @@ describe('CustomSplunkLogger', () => {
       expect(logEntry.event.correlation_id).toBe('custom-correlation-123');
     });
 
-    test('should handle user object with only username', () => {
+    test('should handle user object with only username', async () => {
       const user = { username: 'test_user' };
       const data = {};
 
       logger.log('TEST_EVENT', user, data);
+      await logger.flush();
 
       const writtenData = mockRequest.write.mock.calls[0][0];
       const logEntry = JSON.parse(writtenData);
@@ -187,36 +192,83 @@ describe('CustomSplunkLogger', () => {
       )).toBe(true);
     });
 
-    test('should include correct authorization header', () => {
+    test('should include correct authorization header', async () => {
       logger.log('TEST_EVENT', {}, {});
+      await logger.flush();
 
       const options = https.request.mock.calls[0][0];
       expect(options.headers.Authorization).toBe('Splunk test-token-123');
     });
 
-    test('should use https for https:// endpoints', () => {
+    test('should use https for https:// endpoints', async () => {
       logger.log('TEST_EVENT', {}, {});
+      await logger.flush();
 
       expect(https.request).toHaveBeenCalled();
       expect(http.request).not.toHaveBeenCalled();
     });
 
-    test('should use http for http:// endpoints', () => {
+    test('should use http for http:// endpoints', async () => {
       const httpLogger = new CustomSplunkLogger({
         endpoint: 'http://splunk.example.com:8088/services/collector',
         token: 'test-token'
       });
 
       httpLogger.log('TEST_EVENT', {}, {});
+      await httpLogger.flush();
 
       expect(http.request).toHaveBeenCalled();
       expect(https.request).not.toHaveBeenCalled();
     });
   });
 
+  describe('Security sourcetype', () => {
+    const securityLogger = () => {
+      const splunkLogger = new CustomSplunkLogger({
+        endpoint: 'https://splunk.example.com:8088/services/collector',
+        token: 'test-token',
+        sourcetype: 'banking:transaction',
+        securitySourcetype: 'banking:security'
+      });
+      splunkLogger.sendToSplunk = jest.fn();
+      return splunkLogger;
+    };
+
+    test('should send security events with the security sourcetype', () => {
+      const splunkLogger = securityLogger();
+
+      splunkLogger.log('BANKING_ACCOUNT_LOCKED', { id: 'john_doe' }, { failures: 5 });
+      splunkLogger.sendRecord({
+        timestamp: new Date().toISOString(),
+        level: 'warn',
+        event: 'BANKING_ACCOUNT_LOCKED',
+        user: 'john_doe',
+        data: { failures: 5 }
+      });
+
+      expect(splunkLogger.sendToSplunk.mock.calls.map(call => call[0].sourcetype))
+        .toEqual(['banking:security', 'banking:security']);
+    });
+
+    test('should keep the default sourcetype for everything else', () => {
+      const splunkLogger = securityLogger();
+
+      splunkLogger.log('BANKING_LOGIN_FAILED', { id: 'john_doe' }, {});
+
+      expect(splunkLogger.sendToSplunk.mock.calls[0][0].sourcetype).toBe('banking:transaction');
+    });
+
+    test('should fall back to the default sourcetype when none is configured', () => {
+      const splunkLogger = new CustomSplunkLogger({ endpoint: 'https://splunk.example.com:8088', token: 't', sourcetype: 'custom' });
+
+      expect(splunkLogger.sourcetypeFor('BANKING_ACCOUNT_LOCKED')).toBe('custom');
+    });
+  });
+
   describe('debug() method', () => {
-    test('should format debug message according to Splunk HEC format', () => {
+    test('should format debug message according to Splunk HEC format', async () => {
       logger.debug('TEST_DEBUG_MESSAGE');
+      await logger.flush();
 
       const writtenData = mockRequest.write.mock.calls[0][0];
       const logEntry = JSON.parse(writtenData);
@@ -240,7 +292,7 @@ describe('CustomSplunkLogger', () => {
   });
 
   describe('Error handling', () => {
-    test('should handle HTTP request errors gracefully', () => {
+    test('should handle HTTP request errors gracefully', async () => {
       mockRequest.on = jest.fn((event, callback) => {
         if (event === 'error') {
           callback(new Error('Network error'));
@@ -248,6 +300,7 @@ describe('CustomSplunkLogger', () => {
       });
 
       logger.log('TEST_EVENT', {}, {});
+      await logger.flush();
 
       // Check that error was logged to mockConsoleErrors
       expect(global.mockConsoleErrors.some(err =>
@@ -255,10 +308,11 @@ describe('CustomSplunkLogger', () => {
       )).toBe(true);
     });
 
-    test('should handle non-200 status codes', () => {
+    test('should handle non-200 status codes', async () => {
       mockResponse.statusCode = 400;
 
       logger.log('TEST_EVENT', {}, {});
+      await logger.flush();
 
       // Wait for response handling
       expect(mockResponse.on).toHaveBeenCalled();
@@ -283,7 +337,7 @@ describe('CustomSplunkLogger', () => {
   });
 
   describe('Integration with server operations', () => {
-    test('should support typical banking login event structure', () => {
+    test('should support typical banking login event structure', async () => {
       const user = {
         id: 'john_doe',
         name: 'John Doe',
@@ -297,16 +351,18 @@ describe('CustomSplunkLogger', () => {
       };
 
       logger.log('BANKING_LOGIN_SUCCESS', user, data);
+      await logger.flush();
 
       const writtenData = mockRequest.write.mock.calls[0][0];
       const logEntry = JSON.parse(writtenData);
 
       expect(logEntry.event.event_type).toBe('BANKING_LOGIN_SUCCESS');
       expect(logEntry.event.user_id).toBe('john_doe');
-      expect(logEntry.event.data.sessionId).toBe('session_123');
+      // Session ids are hashed by the default redaction policy
+      expect(logEntry.event.data.sessionId).toMatch(/^sha256:[0-9a-f]{16}$/);
     });
 
-    test('should support typical banking transfer event structure', () => {
+    test('should support typical banking transfer event structure', async () => {
       const user = { id: 'john_doe', name: 'John Doe' };
       const data = {
         amount: 1000,
@@ -316,6 +372,7 @@ describe('CustomSplunkLogger', () => {
       };
 
       logger.log('BANKING_TRANSFER_SUCCESS', user, data);
+      await logger.flush();
 
       const writtenData = mockRequest.write.mock.calls[0][0];
       const logEntry = JSON.parse(writtenData);
@@ -0,0 +1,199 @@
+/**
+ * Tests for the structured logging facade and its sinks
+ * One call should produce one record with a consistent schema, and every
+ * sink should receive that same record
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { StructuredLogger, createLogger } = require('../../structured-logger');
+const { ConsoleSink, JsonFileSink, SplunkHecSink, OtlpLogSink } = require('../../log-sinks');
+const CustomSplunkLogger = require('../../custom-splunk-logger');
+
+const memorySink = () => ({ records: [], write(record) { this.records.push(record); } });
+
+describe('StructuredLogger', () => {
+  let sink;
+  let logger;
+
+  beforeEach(() => {
+    sink = memorySink();
+    logger = new StructuredLogger({ level: 'info', sinks: [sink] });
+  });
+
+  describe('Record schema', () => {
+    test('should promote schema fields and put the rest under data', () => {
+      logger.info('BANKING_TRANSFER_SUCCESS', {
+        user: 'john_doe',
+        correlationId: 'corr-1',
+        requestId: 'req-1',
+        outcome: 'success',
+        durationMs: 12,
+        amount: 100,
+        fromAccount: 'checking'
+      });
+
+      expect(sink.records).toHaveLength(1);
+      expect(sink.records[0]).toEqual({
+        timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'info',
+        event: 'BANKING_TRANSFER_SUCCESS',
+        user: 'john_doe',
+        correlationId: 'corr-1',
+        requestId: 'req-1',
+        outcome: 'success',
+        durationMs: 12,
+        data: { amount: 100, fromAccount: 'checking' }
+      });
+    });
+
+    test('should reduce a user object to its id', () => {
+      logger.info('BANKING_LOGIN_SUCCESS', {
+        user: { id: 'john_doe', name: 'John Doe', password: 'password123', accounts: {} }
+      });
+
+      expect(sink.records[0].user).toBe('john_doe');
+      expect(JSON.stringify(sink.records[0])).not.toContain('password123');
+    });
+
+    test('should omit undefined fields', () => {
+      logger.info('BANKING_LOGOUT', { user: 'john_doe', sessionId: undefined });
+
+      expect(sink.records[0]).not.toHaveProperty('correlationId');
+      expect(sink.records[0].data).toEqual({});
+    });
+  });
+
+  describe('Levels', () => {
+    test('should skip records below the configured level', () => {
+      logger.debug('CREDENTIAL_VALIDATION');
+      logger.warn('BANKING_LOGIN_FAILED');
+
+      expect(sink.records.map(r => r.event)).toEqual(['BANKING_LOGIN_FAILED']);
+    });
+
+    test('should reject unknown levels', () => {
+      expect(() => new StructuredLogger({ level: 'verbose' })).toThrow('Unknown log level');
+    });
+  });
+
+  describe('Child loggers', () => {
+    test('should add bindings to every record', () => {
+      const child = logger.child({ requestId: 'req-7', route: '/transfer' });
+
+      child.info('BANKING_TRANSFER_INITIATED', { amount: 5 });
+
+      expect(sink.records[0].requestId).toBe('req-7');
+      expect(sink.records[0].data).toEqual({ route: '/transfer', amount: 5 });
+    });
+  });
+
+  describe('Sink isolation', () => {
+    test('should keep writing to other sinks when one throws', () => {
+      const broken = { write: () => { throw new Error('disk full'); } };
+      const healthy = memorySink();
+      const fanout = new StructuredLogger({ sinks: [broken, healthy] });
+
+      expect(() => fanout.info('BANKING_APP_STARTUP')).not.toThrow();
+      expect(healthy.records).toHaveLength(1);
+    });
+  });
+
+  describe('createLogger()', () => {
+    test('should build sinks from names', () => {
+      const built = createLogger({ sinks: ['console'], level: 'debug' });
+
+      expect(built.level).toBe('debug');
+      expect(built.sinks[0]).toBeInstanceOf(ConsoleSink);
+    });
+
+    test('should reject unknown sink names', () => {
+      expect(() => createLogger({ sinks: ['syslog'] })).toThrow('Unknown log sink');
+    });
+  });
+});
+
+describe('Log sinks', () => {
+  test('ConsoleSink should print one readable line per record', () => {
+    const logger = new StructuredLogger({ sinks: [new ConsoleSink()] });
+
+    logger.info('BANKING_LOGIN_SUCCESS', { user: 'john_doe', outcome: 'success', ip: '::1' });
+
+    expect(global.mockConsoleLogs).toHaveLength(1);
+    expect(global.mockConsoleLogs[0]).toMatch(/^\[BANKING\] \S+ INFO  BANKING_LOGIN_SUCCESS user=john_doe outcome=success \{"ip":"::1"\}$/);
+  });
+
+  test('ConsoleSink should send warnings and errors to stderr', () => {
+    const logger = new StructuredLogger({ sinks: [new ConsoleSink({ pretty: false })] });
+
+    logger.warn('BANKING_LOGIN_FAILED', { user: 'john_doe' });
+
+    expect(JSON.parse(global.mockConsoleErrors[0]).event).toBe('BANKING_LOGIN_FAILED');
+  });
+
+  test('JsonFileSink should append JSON lines', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-sink-'));
+    const file = path.join(directory, 'logs', 'banking.jsonl');
+    const sink = new JsonFileSink({ file });
+    const logger = new StructuredLogger({ sinks: [sink] });
+
+    logger.info('BANKING_LOGIN_INITIATED', { user: 'john_doe' });
+    logger.info('BANKING_LOGIN_SUCCESS', { user: 'john_doe' });
+    await logger.close();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(l => l.event)).toEqual(['BANKING_LOGIN_INITIATED', 'BANKING_LOGIN_SUCCESS']);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('SplunkHecSink should keep the HEC fields the dashboard queries', () => {
+    const splunkLogger = new CustomSplunkLogger({
+      endpoint: 'https://splunk.example.com:8088/services/collector',
+      token: 'test-token-123',
+      source: 'banking-demo-app',
+      sourcetype: 'banking:transaction'
+    });
+    splunkLogger.sendToSplunk = jest.fn();
+    const logger = new StructuredLogger({ sinks: [new SplunkHecSink({ splunkLogger })] });
+
+    logger.info('BANKING_TRANSFER_SUCCESS', { user: 'john_doe', correlationId: 'corr-1', outcome: 'success', amount: 100 });
+
+    const entry = splunkLogger.sendToSplunk.mock.calls[0][0];
+    expect(entry).toMatchObject({ source: 'banking-demo-app', sourcetype: 'banking:transaction' });
+    expect(entry.event).toMatchObject({
+      event_type: 'BANKING_TRANSFER_SUCCESS',
+      user_id: 'john_doe',
+      correlation_id: 'corr-1',
+      outcome: 'success',
+      data: { amount: 100 }
+    });
+  });
+
+  test('OtlpLogSink should export OTLP/HTTP JSON log records', async () => {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        bodies.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const sink = new OtlpLogSink({ endpoint: `http://127.0.0.1:${server.address().port}/v1/logs` });
+    const logger = new StructuredLogger({ sinks: [sink] });
+    logger.warn('BANKING_LOGIN_FAILED', { user: 'john_doe', reason: 'INVALID_CREDENTIALS' });
+    await logger.flush();
+    await new Promise(resolve => server.close(resolve));
+
+    expect(bodies[0].url).toBe('/v1/logs');
+    const [logRecord] = bodies[0].body.resourceLogs[0].scopeLogs[0].logRecords;
+    expect(logRecord).toMatchObject({ severityNumber: 13, severityText: 'WARN', body: { stringValue: 'BANKING_LOGIN_FAILED' } });
+    expect(logRecord.attributes).toContainEqual({ key: 'enduser.id', value: { stringValue: 'john_doe' } });
+    expect(logRecord.attributes).toContainEqual({ key: 'data', value: { stringValue: '{"reason":"INVALID_CREDENTIALS"}' } });
+  });
+});
@@ -3,6 +3,18 @@
  * This file sets up mocks for file system, HTTP calls, and console output
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server's audit trail (audit-log.js) goes to a temp dir per test file, never logs/
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'banking-audit-'));
+process.env.AUDIT_LOG_FILE = path.join(auditDir, 'audit.jsonl');
+
+afterAll(() => {
+  fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
 // Store original console methods
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
@@ -54,16 +66,10 @@ global.assertSplunkLoggerCalled = (loggerSpy, eventType, userData = {}, addition
   return matchingCall;
 };
 
-// Helper to verify all loggers were invoked
-global.assertAllLoggersInvoked = () => {
-  // Check that console logs were generated (indicating loggers ran)
-  const hasWinstonLog = global.mockConsoleLogs.some(log => log.includes('[WINSTON]'));
-  const hasBunyanLog = global.mockConsoleLogs.some(log => log.includes('banking-app'));
-  const hasSplunkLog = global.mockConsoleLogs.some(log => log.includes('[CUSTOM-SPLUNK]'));
-  
-  return {
-    winston: hasWinstonLog,
-    bunyan: hasBunyanLog,
-    splunk: hasSplunkLog
-  };
+// Helper to list the event names the structured logger's console sink printed
+global.getLoggedEvents = () => {
+  return [...global.mockConsoleLogs, ...global.mockConsoleErrors]
+    .map(line => /^\[BANKING\] \S+ \w+\s+(\S+)/.exec(line))
+    .filter(Boolean)
+    .map(match => match[1]);
 };
@@ -0,0 +1,177 @@
+/**
+ * Tests for the double-entry ledger
+ * Run against both storage backends, seeded from the test fixtures, with
+ * Jane's savings in euros; amounts are in cents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestDataFile } = require('../fixtures/testData');
+const JsonStore = require('../../json-store');
+const SqliteStore = require('../../sqlite-store');
+const { migrateJsonToSqlite } = require('../../migrate-data');
+const ledger = require('../../ledger');
+
+const tempDirs = [];
+
+const createDataFile = () => {
+  const file = createTestDataFile();
+  tempDirs.push(path.dirname(file));
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  data.users.jane_smith.accounts.savings.currency = 'EUR';
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+};
+
+const openJsonStore = () => new JsonStore({ file: createDataFile() });
+
+const openSqliteStore = () => {
+  const file = createDataFile();
+  const store = new SqliteStore({ file: ':memory:' });
+  migrateJsonToSqlite(file, store);
+  return store;
+};
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['JsonStore', openJsonStore],
+  ['SqliteStore', openSqliteStore]
+])('Ledger on %s', (name, openStore) => {
+  let store;
+
+  const transfer = (transactionId, amount, to = 'checking', credited = amount) => store.transaction(() => ledger.postTransfer(store, {
+    transactionId,
+    from: { userId: 'john_doe', type: 'checking' },
+    to: { userId: 'jane_smith', type: to },
+    amount,
+    credited,
+    timestamp: new Date('2025-03-01T00:00:00.000Z')
+  }));
+
+  beforeEach(() => {
+    store = openStore();
+    ledger.openAccounts(store);
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  describe('openAccounts', () => {
+    test('should post an opening entry for each existing balance', () => {
+      const postings = store.listPostings('opening_ACC-001');
+
+      expect(postings).toEqual([
+        expect.objectContaining({ accountNumber: ledger.OPENING_BALANCE_ACCOUNT, direction: 'debit', amount: 500000, currency: 'USD' }),
+        expect.objectContaining({ accountNumber: 'ACC-001', direction: 'credit', amount: 500000, currency: 'USD' })
+      ]);
+      expect(store.ledgerBalance('ACC-001')).toBe(500000);
+      expect(store.listPostings('opening_ACC-102')[1]).toMatchObject({ amount: 800000, currency: 'EUR' });
+    });
+
+    test('should only open accounts once', () => {
+      const count = store.listPostings().length;
+
+      expect(ledger.openAccounts(store)).toEqual([]);
+      expect(store.listPostings()).toHaveLength(count);
+    });
+  });
+
+  describe('postTransfer', () => {
+    test('should post a debit and a credit leg sharing the transaction id', () => {
+      transfer('txn_1', 25000);
+
+      expect(store.listPostings('txn_1')).toEqual([
+        expect.objectContaining({ accountNumber: 'ACC-001', direction: 'debit', amount: 25000, currency: 'USD' }),
+        expect.objectContaining({ accountNumber: 'ACC-101', direction: 'credit', amount: 25000, currency: 'USD' })
+      ]);
+    });
+
+    test('should derive the stored balances from the ledger', () => {
+      const balances = transfer('txn_1', 25010);
+
+      expect(balances).toEqual({ fromBalance: 474990, toBalance: 325010 });
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(474990);
+      expect(store.getAccount('jane_smith', 'checking').balance).toBe(325010);
+    });
+
+    test('should change currency through the FX position accounts', () => {
+      const balances = transfer('txn_fx', 10000, 'savings', 9200);
+
+      expect(store.listPostings('txn_fx')).toEqual([
+        expect.objectContaining({ accountNumber: 'ACC-001', direction: 'debit', amount: 10000, currency: 'USD' }),
+        expect.objectContaining({ accountNumber: ledger.fxPositionAccount('USD'), direction: 'credit', amount: 10000, currency: 'USD' }),
+        expect.objectContaining({ accountNumber: ledger.fxPositionAccount('EUR'), direction: 'debit', amount: 9200, currency: 'EUR' }),
+        expect.objectContaining({ accountNumber: 'ACC-102', direction: 'credit', amount: 9200, currency: 'EUR' })
+      ]);
+      expect(balances).toEqual({ fromBalance: 490000, toBalance: 809200 });
+      expect(ledger.reconcile(store).balanced).toBe(true);
+    });
+
+    test('should leave no postings behind when the transaction fails', () => {
+      expect(() => store.transaction(() => {
+        ledger.postTransfer(store, {
+          transactionId: 'txn_broken',
+          from: { userId: 'john_doe', type: 'checking' },
+          to: { userId: 'jane_smith', type: 'checking' },
+          amount: 1000,
+          timestamp: new Date()
+        });
+        throw new Error('abort');
+      })).toThrow('abort');
+
+      expect(store.listPostings('txn_broken')).toEqual([]);
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(500000);
+    });
+  });
+
+  describe('reconcile', () => {
+    test('should report a balanced ledger', () => {
+      transfer('txn_1', 10000);
+      transfer('txn_2', 10);
+      transfer('txn_3', 10000, 'savings', 9200);
+
+      const report = ledger.reconcile(store);
+      expect(report).toMatchObject({ balanced: true, accounts: 5, drift: [], unbalancedTransactions: [] });
+    });
+
+    test('should flag a stored balance that drifted from its postings', () => {
+      store.setBalance('jane_smith', 'checking', 350000);
+
+      const report = ledger.reconcile(store);
+      expect(report.balanced).toBe(false);
+      expect(report.drift).toEqual([{
+        userId: 'jane_smith',
+        type: 'checking',
+        accountNumber: 'ACC-101',
+        currency: 'USD',
+        stored: 350000,
+        ledger: 300000
+      }]);
+    });
+
+    test('should flag a transaction whose legs do not balance', () => {
+      store.addPosting({
+        transactionId: 'txn_half', accountNumber: 'ACC-001', direction: 'debit', amount: 1000, currency: 'USD', timestamp: new Date()
+      });
+
+      const report = ledger.reconcile(store);
+      expect(report.unbalancedTransactions).toEqual(['txn_half']);
+      expect(report.drift.map(entry => entry.accountNumber)).toEqual(['ACC-001']);
+    });
+
+    test('should flag a transaction that only balances across currencies', () => {
+      store.addPosting({
+        transactionId: 'txn_mixed', accountNumber: 'ACC-001', direction: 'debit', amount: 1000, currency: 'USD', timestamp: new Date()
+      });
+      store.addPosting({
+        transactionId: 'txn_mixed', accountNumber: 'ACC-102', direction: 'credit', amount: 1000, currency: 'EUR', timestamp: new Date()
+      });
+
+      expect(ledger.reconcile(store).unbalancedTransactions).toEqual(['txn_mixed']);
+    });
+  });
+});
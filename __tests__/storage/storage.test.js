@@ -0,0 +1,521 @@
+/**
+ * Tests for the storage layer
+ * The same repository contract runs against the JSON file and SQLite backends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDataFile, getTestData } = require('../fixtures/testData');
+const { createStore } = require('../../storage');
+const JsonStore = require('../../json-store');
+const SqliteStore = require('../../sqlite-store');
+const { migrateJsonToSqlite } = require('../../migrate-data');
+const { hashToken } = require('../../sessions');
+
+const tempDirs = [];
+
+const openJsonStore = () => {
+  const file = createTestDataFile();
+  tempDirs.push(path.dirname(file));
+  return new JsonStore({ file });
+};
+
+// A SQLite store seeded from the same fixtures through the migration
+const openSqliteStore = () => {
+  const file = createTestDataFile();
+  tempDirs.push(path.dirname(file));
+  const store = new SqliteStore({ file: path.join(path.dirname(file), 'data.sqlite') });
+  migrateJsonToSqlite(file, store);
+  return store;
+};
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['JsonStore', openJsonStore],
+  ['SqliteStore', openSqliteStore]
+])('%s', (name, openStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = openStore();
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  describe('Users and accounts', () => {
+    test('should return a user with their accounts', () => {
+      const user = store.getUser('john_doe');
+
+      expect(user).toMatchObject({ id: 'john_doe', name: 'John Doe', password: 'password123' });
+      expect(Object.keys(user.accounts)).toEqual(['checking', 'savings', 'investments']);
+      expect(user.accounts.checking).toEqual(getTestData().users.john_doe.accounts.checking);
+    });
+
+    test('should return null for unknown users and accounts', () => {
+      expect(store.getUser('nobody')).toBeNull();
+      expect(store.getAccount('john_doe', 'crypto')).toBeNull();
+      expect(store.getAccount('john_doe', 'constructor')).toBeNull();
+      expect(store.getAccount('john_doe', '__proto__')).toBeNull();
+    });
+
+    test('should find any customer\'s account by number', () => {
+      expect(store.findAccount('ACC-102')).toEqual({
+        ...getTestData().users.jane_smith.accounts.savings,
+        userId: 'jane_smith',
+        holderName: 'Jane Smith'
+      });
+      expect(store.findAccount('ACC-999')).toBeNull();
+    });
+
+    test('should update a balance', () => {
+      store.setBalance('jane_smith', 'savings', 750050);
+
+      expect(store.getAccount('jane_smith', 'savings').balance).toBe(750050);
+      expect(store.getAccount('jane_smith', 'checking').balance).toBe(300000);
+    });
+  });
+
+  describe('Sessions', () => {
+    test('should create, read, count and delete sessions', () => {
+      store.createSession('session_new', { userId: 'jane_smith', createdAt: new Date('2025-02-01T00:00:00.000Z') });
+
+      expect(store.getSession('session_new')).toEqual({ userId: 'jane_smith', createdAt: '2025-02-01T00:00:00.000Z' });
+      expect(store.countSessions()).toBe(3);
+
+      store.deleteSession('session_new');
+      expect(store.getSession('session_new')).toBeNull();
+      expect(store.countSessions()).toBe(2);
+    });
+
+    test('should record activity and list sessions per user', () => {
+      store.createSession('session_new', { userId: 'jane_smith', createdAt: new Date('2025-02-01T00:00:00.000Z') });
+      store.touchSession('session_new', new Date('2025-02-01T00:05:00.000Z'));
+
+      expect(store.getSession('session_new')).toEqual({
+        userId: 'jane_smith',
+        createdAt: '2025-02-01T00:00:00.000Z',
+        lastSeenAt: '2025-02-01T00:05:00.000Z'
+      });
+      expect(store.listSessions('jane_smith').map(session => session.id).sort())
+        .toEqual(['session_new', hashToken('session_test_456')].sort());
+      expect(store.listSessions().map(session => session.id)).toHaveLength(3);
+    });
+
+    test('should keep the pending flag of a half-finished login', () => {
+      store.createSession('session_pending', { userId: 'john_doe', createdAt: new Date('2025-02-01T00:00:00.000Z'), pending: true });
+
+      expect(store.getSession('session_pending')).toEqual({ userId: 'john_doe', createdAt: '2025-02-01T00:00:00.000Z', pending: true });
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should append and list a user\'s transactions in order', () => {
+      store.addTransaction({
+        id: 'txn_2', from: 'savings', to: 'checking', userId: 'john_doe',
+        amount: 2500, currency: 'USD', timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: 'corr-2'
+      });
+      store.addTransaction({
+        id: 'txn_3', from: 'checking', to: 'savings', userId: 'jane_smith',
+        amount: 1000, currency: 'USD', timestamp: new Date('2025-02-02T00:00:00.000Z'), correlationId: 'corr-3'
+      });
+
+      const transactions = store.listTransactions('john_doe');
+      expect(transactions.map(txn => txn.id)).toEqual(['txn_test_1', 'txn_2']);
+      expect(transactions[1]).toEqual({
+        id: 'txn_2', from: 'savings', to: 'checking', userId: 'john_doe',
+        amount: 2500, currency: 'USD', timestamp: '2025-02-01T00:00:00.000Z', correlationId: 'corr-2'
+      });
+    });
+
+    test('should keep the counterparty of a transfer to another customer', () => {
+      store.addTransaction({
+        id: 'txn_ext', from: 'checking', to: 'ACC-101', userId: 'john_doe', amount: 500, currency: 'USD',
+        timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: 'corr-ext', counterpartyName: 'Jane Smith'
+      });
+
+      expect(store.listTransactions('john_doe')[1].counterpartyName).toBe('Jane Smith');
+      expect(store.listTransactions('john_doe')[0].counterpartyName).toBeUndefined();
+    });
+
+    test('should keep the schedule and outcome of a scheduled run', () => {
+      store.addTransaction({
+        id: 'txn_sched', from: 'checking', to: 'savings', userId: 'john_doe', amount: 900000, currency: 'USD',
+        timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: 'corr-sched', scheduleId: 'sched_1',
+        status: 'failed', reason: 'INSUFFICIENT_FUNDS'
+      });
+
+      expect(store.listTransactions('john_doe')[1]).toMatchObject({
+        scheduleId: 'sched_1', status: 'failed', reason: 'INSUFFICIENT_FUNDS'
+      });
+      expect(store.listTransactions('john_doe')[0].status).toBeUndefined();
+    });
+
+    test('should keep the rate and credited amount of a conversion', () => {
+      store.addTransaction({
+        id: 'txn_fx', from: 'checking', to: 'savings', userId: 'john_doe', amount: 10000, currency: 'USD',
+        fxRate: 0.92, creditedAmount: 9200, creditedCurrency: 'EUR',
+        timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: 'corr-fx'
+      });
+
+      expect(store.listTransactions('john_doe')[1]).toMatchObject({
+        amount: 10000, currency: 'USD', fxRate: 0.92, creditedAmount: 9200, creditedCurrency: 'EUR'
+      });
+      expect(store.listTransactions('john_doe')[0].fxRate).toBeUndefined();
+    });
+
+    test('should keep the IP and device a transfer was made from', () => {
+      store.addTransaction({
+        id: 'txn_held', from: 'checking', to: 'savings', userId: 'john_doe', amount: 10000, currency: 'USD',
+        timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: 'corr-held',
+        status: 'held', reason: 'FRAUD_HOLD', ip: '203.0.113.7', device: 'a1b2c3d4e5f60718'
+      });
+
+      expect(store.listTransactions('john_doe')[1]).toMatchObject({
+        status: 'held', reason: 'FRAUD_HOLD', ip: '203.0.113.7', device: 'a1b2c3d4e5f60718'
+      });
+      expect(store.listTransactions('john_doe')[0].ip).toBeUndefined();
+    });
+
+    test('should list held transfers across users and settle or reject them', () => {
+      const hold = (id, userId) => store.addTransaction({
+        id, from: 'checking', to: 'savings', userId, amount: 10000, currency: 'USD',
+        timestamp: new Date('2025-02-01T00:00:00.000Z'), correlationId: `corr-${id}`, status: 'held', reason: 'FRAUD_HOLD'
+      });
+      hold('txn_held_1', 'john_doe');
+      hold('txn_held_2', 'jane_smith');
+
+      expect(store.listHeldTransactions().map(txn => [txn.id, txn.userId])).toEqual([
+        ['txn_held_1', 'john_doe'],
+        ['txn_held_2', 'jane_smith']
+      ]);
+
+      expect(store.updateTransactionStatus('john_doe', 'txn_held_1', { status: null, timestamp: new Date('2025-02-03T00:00:00.000Z') }))
+        .toBe(true);
+      expect(store.updateTransactionStatus('jane_smith', 'txn_held_2', { status: 'rejected', reason: 'FRAUD_HOLD' })).toBe(true);
+      expect(store.updateTransactionStatus('jane_smith', 'txn_held_1', { status: null })).toBe(false);
+
+      const released = store.listTransactions('john_doe')[1];
+      expect(released).toMatchObject({ id: 'txn_held_1', timestamp: '2025-02-03T00:00:00.000Z' });
+      expect(released.status).toBeUndefined();
+      expect(released.reason).toBeUndefined();
+      expect(store.listTransactions('jane_smith')[0]).toMatchObject({
+        status: 'rejected', reason: 'FRAUD_HOLD', timestamp: '2025-02-01T00:00:00.000Z'
+      });
+      expect(store.listHeldTransactions()).toEqual([]);
+    });
+
+    test('should find transactions by filter, in either order, after a key', () => {
+      const add = (id, from, to, amount, day) => store.addTransaction({
+        id, from, to, userId: 'john_doe', amount, currency: 'USD', timestamp: new Date(`2025-02-0${day}T00:00:00.000Z`)
+      });
+      add('txn_a', 'checking', 'savings', 2000, 1);
+      add('txn_b', 'savings', 'checking', 4000, 2);
+      add('txn_c', 'checking', 'investments', 6000, 2);
+      add('txn_d', 'investments', 'savings', 8000, 3);
+      const find = (filters) => store.findTransactions('john_doe', filters).map(txn => txn.id);
+
+      expect(find({ order: 'desc' })).toEqual(['txn_d', 'txn_c', 'txn_b', 'txn_a', 'txn_test_1']);
+      expect(find({ order: 'asc', limit: 2 })).toEqual(['txn_test_1', 'txn_a']);
+      expect(find({ order: 'asc', account: 'checking', direction: 'out' })).toEqual(['txn_test_1', 'txn_a', 'txn_c']);
+      expect(find({ order: 'asc', account: 'savings' })).toEqual(['txn_test_1', 'txn_a', 'txn_b', 'txn_d']);
+      expect(find({ order: 'asc', since: '2025-02-02T00:00:00.000Z', until: '2025-02-02T00:00:00.000Z' }))
+        .toEqual(['txn_b', 'txn_c']);
+      // Amount bounds are in major units
+      expect(find({ order: 'asc', minAmount: 40, maxAmount: 60 })).toEqual(['txn_b', 'txn_c']);
+      expect(find({ order: 'desc', after: { timestamp: '2025-02-02T00:00:00.000Z', id: 'txn_c' } }))
+        .toEqual(['txn_b', 'txn_a', 'txn_test_1']);
+      expect(find({ order: 'asc', after: { timestamp: '2025-02-02T00:00:00.000Z', id: 'txn_b' } }))
+        .toEqual(['txn_c', 'txn_d']);
+      expect(store.findTransactions('jane_smith', { order: 'desc' })).toEqual([]);
+    });
+
+    test('should apply everything in a transaction or nothing', () => {
+      expect(() => store.transaction(() => {
+        store.setBalance('john_doe', 'checking', 0);
+        throw new Error('abort');
+      })).toThrow('abort');
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(500000);
+
+      const result = store.transaction(() => {
+        store.setBalance('john_doe', 'checking', 400000);
+        store.setBalance('john_doe', 'savings', 1100000);
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(400000);
+      expect(store.getAccount('john_doe', 'savings').balance).toBe(1100000);
+    });
+  });
+
+  describe('Idempotency keys', () => {
+    const record = (key, expiresAt) => ({
+      key,
+      userId: 'john_doe',
+      fingerprint: 'abc123',
+      status: 200,
+      response: { success: true, newBalance: 4900 },
+      createdAt: '2025-03-01T00:00:00.000Z',
+      expiresAt
+    });
+
+    test('should store and return a key per user', () => {
+      store.saveIdempotencyKey(record('key-1', '2025-03-02T00:00:00.000Z'));
+
+      expect(store.getIdempotencyKey('john_doe', 'key-1')).toEqual(record('key-1', '2025-03-02T00:00:00.000Z'));
+      expect(store.getIdempotencyKey('jane_smith', 'key-1')).toBeNull();
+    });
+
+    test('should delete only expired keys', () => {
+      store.saveIdempotencyKey(record('old', '2025-03-01T12:00:00.000Z'));
+      store.saveIdempotencyKey(record('fresh', '2025-03-03T00:00:00.000Z'));
+
+      expect(store.deleteExpiredIdempotencyKeys(new Date('2025-03-02T00:00:00.000Z'))).toBe(1);
+      expect(store.getIdempotencyKey('john_doe', 'old')).toBeNull();
+      expect(store.getIdempotencyKey('john_doe', 'fresh')).not.toBeNull();
+    });
+  });
+
+  describe('Login attempts', () => {
+    const record = (key, expiresAt, lockedUntil = null) => ({
+      key,
+      failures: 2,
+      lastFailureAt: '2025-03-01T00:00:00.000Z',
+      blockedUntil: '2025-03-01T00:00:01.000Z',
+      lockedUntil,
+      expiresAt
+    });
+
+    test('should store, replace and delete counters by key', () => {
+      store.saveLoginAttempts(record('user:john_doe', '2025-03-01T00:15:00.000Z'));
+      store.saveLoginAttempts(record('user:john_doe', '2025-03-01T00:30:00.000Z', '2025-03-01T00:30:00.000Z'));
+
+      expect(store.getLoginAttempts('user:john_doe'))
+        .toEqual(record('user:john_doe', '2025-03-01T00:30:00.000Z', '2025-03-01T00:30:00.000Z'));
+      expect(store.getLoginAttempts('ip:127.0.0.1')).toBeNull();
+
+      expect(store.deleteLoginAttempts('user:john_doe')).toBe(true);
+      expect(store.deleteLoginAttempts('user:john_doe')).toBe(false);
+    });
+
+    test('should delete only expired counters', () => {
+      store.saveLoginAttempts(record('user:old', '2025-03-01T00:15:00.000Z'));
+      store.saveLoginAttempts(record('user:fresh', '2025-03-01T01:00:00.000Z'));
+
+      expect(store.deleteExpiredLoginAttempts(new Date('2025-03-01T00:30:00.000Z'))).toBe(1);
+      expect(store.getLoginAttempts('user:old')).toBeNull();
+      expect(store.getLoginAttempts('user:fresh')).not.toBeNull();
+    });
+  });
+
+  describe('TOTP', () => {
+    test('should store, replace and delete a user\'s record', () => {
+      const record = {
+        userId: 'john_doe',
+        secret: 'JBSWY3DPEHPK3PXP',
+        confirmedAt: null,
+        lastCounter: null,
+        recoveryCodes: [],
+        createdAt: '2025-03-01T00:00:00.000Z'
+      };
+      store.saveTotp(record);
+      store.saveTotp({ ...record, confirmedAt: '2025-03-01T00:01:00.000Z', lastCounter: 58000, recoveryCodes: ['abc'] });
+
+      expect(store.getTotp('john_doe')).toEqual({
+        ...record, confirmedAt: '2025-03-01T00:01:00.000Z', lastCounter: 58000, recoveryCodes: ['abc']
+      });
+      expect(store.getTotp('jane_smith')).toBeNull();
+
+      store.deleteTotp('john_doe');
+      expect(store.getTotp('john_doe')).toBeNull();
+    });
+  });
+
+  describe('Scheduled transfers', () => {
+    const schedule = (id, fields) => ({
+      id,
+      userId: 'john_doe',
+      fromAccount: 'checking',
+      toAccount: 'savings',
+      amount: 5000,
+      currency: 'USD',
+      frequency: 'monthly',
+      dayOfMonth: 1,
+      startAt: '2025-03-01T09:00:00.000Z',
+      endAt: null,
+      nextRunAt: '2025-03-01T09:00:00.000Z',
+      status: 'active',
+      runs: 0,
+      lastRunAt: null,
+      lastResult: null,
+      lastTransactionId: null,
+      createdAt: '2025-02-20T00:00:00.000Z',
+      ...fields
+    });
+
+    test('should store, replace, list per user and delete schedules', () => {
+      store.saveScheduledTransfer(schedule('sched_1'));
+      store.saveScheduledTransfer(schedule('sched_2', { createdAt: '2025-02-21T00:00:00.000Z' }));
+      store.saveScheduledTransfer(schedule('sched_3', { userId: 'jane_smith', fromAccount: 'savings' }));
+      store.saveScheduledTransfer(schedule('sched_1', { runs: 1, lastResult: 'success', lastTransactionId: 'txn_1' }));
+
+      expect(store.getScheduledTransfer('sched_1')).toEqual(
+        schedule('sched_1', { runs: 1, lastResult: 'success', lastTransactionId: 'txn_1' })
+      );
+      expect(store.listScheduledTransfers('john_doe').map(s => s.id)).toEqual(['sched_1', 'sched_2']);
+      expect(store.deleteScheduledTransfer('sched_1')).toBe(true);
+      expect(store.deleteScheduledTransfer('sched_1')).toBe(false);
+      expect(store.getScheduledTransfer('sched_1')).toBeNull();
+    });
+
+    test('should list the active schedules that are due, earliest first', () => {
+      store.saveScheduledTransfer(schedule('later', { nextRunAt: '2025-03-02T00:00:00.000Z' }));
+      store.saveScheduledTransfer(schedule('due', { nextRunAt: '2025-03-01T12:00:00.000Z' }));
+      store.saveScheduledTransfer(schedule('overdue', { userId: 'jane_smith', nextRunAt: '2025-02-28T00:00:00.000Z' }));
+      store.saveScheduledTransfer(schedule('done', { nextRunAt: null, status: 'completed' }));
+
+      expect(store.listDueScheduledTransfers(new Date('2025-03-01T12:00:00.000Z')).map(s => s.id))
+        .toEqual(['overdue', 'due']);
+    });
+  });
+});
+
+describe('JsonStore file writes', () => {
+  test('should rewrite the file once per transaction', () => {
+    const store = openJsonStore();
+    const writeSpy = jest.spyOn(fs, 'writeFileSync');
+
+    store.transaction(() => {
+      store.setBalance('john_doe', 'checking', 490000);
+      store.setBalance('john_doe', 'savings', 1010000);
+    });
+
+    expect(writeSpy).toHaveBeenCalledTimes(1);
+    writeSpy.mockRestore();
+  });
+});
+
+describe('JsonStore data from before currencies', () => {
+  // Dollars as floats, as data.json held them
+  const legacyFile = () => {
+    const file = createTestDataFile();
+    tempDirs.push(path.dirname(file));
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.users.john_doe.accounts.checking = { ...data.users.john_doe.accounts.checking, balance: 4999.9 };
+    delete data.users.john_doe.accounts.checking.currency;
+    data.transactions = data.transactions.map(({ currency, ...txn }) => ({ ...txn, amount: 10.05 }));
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+
+  test('should convert amounts to cents when the store opens the file', () => {
+    const file = legacyFile();
+    const store = new JsonStore({ file });
+
+    expect(store.getAccount('john_doe', 'checking')).toMatchObject({ balance: 499990, currency: 'USD' });
+    expect(store.getAccount('john_doe', 'savings')).toMatchObject({ balance: 1000000, currency: 'USD' });
+    expect(store.listTransactions('john_doe')[0]).toMatchObject({ amount: 1005, currency: 'USD' });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).transactions[0].amount).toBe(1005);
+  });
+
+  test('should leave data that already has currencies alone', () => {
+    const data = getTestData();
+
+    expect(JsonStore.upgrade(data)).toBe(false);
+    expect(data).toEqual(getTestData());
+  });
+
+  test('should be converted on the way into SQLite too', () => {
+    const store = new SqliteStore({ file: ':memory:' });
+
+    migrateJsonToSqlite(legacyFile(), store);
+
+    expect(store.getAccount('john_doe', 'checking').balance).toBe(499990);
+    expect(store.listTransactions('john_doe')[0]).toMatchObject({ amount: 1005, currency: 'USD' });
+    store.close();
+  });
+});
+
+describe('createStore', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should default to the JSON backend on DATA_FILE', () => {
+    delete process.env.STORAGE_BACKEND;
+    process.env.DATA_FILE = '/tmp/somewhere/data.json';
+
+    const store = createStore();
+    expect(store).toBeInstanceOf(JsonStore);
+    expect(store.file).toBe('/tmp/somewhere/data.json');
+  });
+
+  test('should open SQLITE_FILE when STORAGE_BACKEND is sqlite', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'banking-sqlite-'));
+    tempDirs.push(dir);
+    process.env.STORAGE_BACKEND = 'sqlite';
+    process.env.SQLITE_FILE = path.join(dir, 'nested', 'banking.sqlite');
+
+    const store = createStore();
+    expect(store).toBeInstanceOf(SqliteStore);
+    expect(fs.existsSync(process.env.SQLITE_FILE)).toBe(true);
+    store.close();
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createStore({ backend: 'mongo' })).toThrow('Unknown storage backend "mongo"');
+  });
+});
+
+describe('migrateJsonToSqlite', () => {
+  test('should import users, accounts, sessions and transactions', () => {
+    const file = createTestDataFile();
+    tempDirs.push(path.dirname(file));
+    const store = new SqliteStore({ file: ':memory:' });
+
+    const counts = migrateJsonToSqlite(file, store);
+
+    expect(counts).toEqual({
+      users: 2, sessions: 2, transactions: 1, postings: 0, idempotencyKeys: 0, totp: 0, scheduledTransfers: 0
+    });
+    expect(store.getUser('jane_smith').accounts.savings.accountNumber).toBe('ACC-102');
+    expect(store.getSession(hashToken('session_test_123')).userId).toBe('john_doe');
+    expect(store.listTransactions('john_doe')[0].correlationId).toBe('test-correlation-1');
+    store.close();
+  });
+
+  test('should carry over ledger postings and idempotency keys', () => {
+    const source = openJsonStore();
+    source.addPosting({
+      transactionId: 'txn_1', accountNumber: 'ACC-001', direction: 'debit', amount: 500, currency: 'USD', timestamp: '2025-03-01T00:00:00.000Z'
+    });
+    source.saveIdempotencyKey({
+      key: 'key-1', userId: 'john_doe', fingerprint: 'abc', status: 200, response: { success: true },
+      createdAt: '2025-03-01T00:00:00.000Z', expiresAt: '2025-03-02T00:00:00.000Z'
+    });
+    const store = new SqliteStore({ file: ':memory:' });
+
+    const counts = migrateJsonToSqlite(source.file, store);
+
+    expect(counts).toMatchObject({ postings: 1, idempotencyKeys: 1 });
+    expect(store.ledgerBalance('ACC-001')).toBe(-500);
+    expect(store.getIdempotencyKey('john_doe', 'key-1').response).toEqual({ success: true });
+    store.close();
+  });
+
+  test('should refuse to run against a database that already has data', () => {
+    const store = openSqliteStore();
+
+    expect(() => migrateJsonToSqlite(path.join(path.dirname(store.file), 'data.json'), store))
+      .toThrow('refusing to migrate twice');
+    expect(store.listTransactions('john_doe')).toHaveLength(1);
+    store.close();
+  });
+});
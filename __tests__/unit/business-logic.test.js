@@ -4,6 +4,7 @@
  */
 
 const { getTestData } = require('../fixtures/testData');
+const { toMinor } = require('../../money');
 
 describe('Business Logic Unit Tests', () => {
   let testData;
@@ -126,7 +127,7 @@ describe('Business Logic Unit Tests', () => {
   describe('Transfer Calculation Logic', () => {
     test('should correctly deduct from source account', () => {
       const user = testData.users.john_doe;
-      const amount = 1000;
+      const amount = 100000;
       const fromAccount = 'checking';
       
       const initialBalance = user.accounts[fromAccount].balance;
@@ -136,12 +137,12 @@ describe('Business Logic Unit Tests', () => {
       user.accounts[fromAccount].balance -= amount;
       
       expect(user.accounts[fromAccount].balance).toBe(expectedNewBalance);
-      expect(user.accounts[fromAccount].balance).toBe(4000);
+      expect(user.accounts[fromAccount].balance).toBe(400000);
     });
 
     test('should correctly add to destination account', () => {
       const user = testData.users.john_doe;
-      const amount = 1000;
+      const amount = 100000;
       const toAccount = 'savings';
       
       const initialBalance = user.accounts[toAccount].balance;
@@ -151,7 +152,7 @@ describe('Business Logic Unit Tests', () => {
       user.accounts[toAccount].balance += amount;
       
       expect(user.accounts[toAccount].balance).toBe(expectedNewBalance);
-      expect(user.accounts[toAccount].balance).toBe(11000);
+      expect(user.accounts[toAccount].balance).toBe(1100000);
     });
 
     test('should maintain total balance across accounts', () => {
@@ -177,13 +178,14 @@ describe('Business Logic Unit Tests', () => {
 
     test('should handle decimal amounts correctly', () => {
       const user = testData.users.john_doe;
-      const amount = 100.50;
+      const amount = toMinor(100.50, 'USD');
       const fromAccount = 'checking';
       
       const initialBalance = user.accounts[fromAccount].balance;
       user.accounts[fromAccount].balance -= amount;
       
-      expect(user.accounts[fromAccount].balance).toBeCloseTo(initialBalance - amount, 2);
+      expect(user.accounts[fromAccount].balance).toBe(initialBalance - 10050);
+      expect(Number.isInteger(user.accounts[fromAccount].balance)).toBe(true);
     });
   });
 
@@ -194,7 +196,7 @@ describe('Business Logic Unit Tests', () => {
       
       const balance = user.accounts[accountType].balance;
       
-      expect(balance).toBe(5000);
+      expect(balance).toBe(500000);
     });
 
     test('should retrieve correct balance for savings account', () => {
@@ -203,7 +205,7 @@ describe('Business Logic Unit Tests', () => {
       
       const balance = user.accounts[accountType].balance;
       
-      expect(balance).toBe(10000);
+      expect(balance).toBe(1000000);
     });
 
     test('should retrieve correct account display name', () => {
@@ -344,7 +346,8 @@ describe('Business Logic Unit Tests', () => {
       expect(account).toHaveProperty('balance');
       expect(account).toHaveProperty('type');
       expect(account).toHaveProperty('displayName');
-      expect(typeof account.balance).toBe('number');
+      expect(account).toHaveProperty('currency');
+      expect(Number.isInteger(account.balance)).toBe(true);
     });
 
     test('should have valid session structure', () => {
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for transfers to other customers
+ * Runs on an in-memory SQLite store with a fixed clock and exchange rate;
+ * balances are stored in cents
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const ledger = require('../../ledger');
+const { ExternalTransfers, matchPayeeName } = require('../../external-transfers');
+const { HeldTransfers } = require('../../held-transfers');
+const { FxRates } = require('../../fx-rates');
+
+// One-account customer
+const customer = (id, name, type, accountNumber, balance, currency = 'USD') => ({
+  id, name, password: 'x', accounts: { [type]: { accountNumber, balance, currency, type, displayName: `${type} account` } }
+});
+
+describe('External transfers', () => {
+  describe('matchPayeeName', () => {
+    test.each([
+      ['Jane Smith', 'Jane Smith', 'match'],
+      ['Jane Smith', '  jane   SMITH ', 'match'],
+      ['Zoë O\'Brien', 'zoe obrien', 'match'],
+      ['Jane Smith', 'Jane Smyth', 'close_match'],
+      ['Jane Smith', 'Smith Jane', 'close_match'],
+      ['Jane Smith', 'J Smith', 'close_match'],
+      ['Jane Smith', 'John Smith', 'no_match'],
+      ['Jane Smith', 'Bob Jones', 'no_match'],
+      ['Jane Smith', '', 'no_match']
+    ])('%s vs %j should be %s', (actual, given, expected) => {
+      expect(matchPayeeName(actual, given)).toBe(expected);
+    });
+  });
+
+  describe('ExternalTransfers', () => {
+    let store;
+    let clock;
+    let transfers;
+
+    const send = (request, transactionId = `txn_${clock}`) => transfers.send('john_doe', {
+      fromAccount: 'checking', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith', ...request
+    }, { transactionId, correlationId: 'corr-1' });
+
+    beforeEach(() => {
+      store = new SqliteStore({ file: ':memory:' });
+      store.addUser(customer('john_doe', 'John Doe', 'checking', 'ACC-001', 500000));
+      store.addUser(customer('jane_smith', 'Jane Smith', 'checking', 'ACC-101', 0));
+      store.addUser(customer('pierre_martin', 'Pierre Martin', 'checking', 'ACC-201', 100000, 'EUR'));
+      ledger.openAccounts(store);
+      clock = Date.parse('2025-03-01T10:00:00.000Z');
+      const fx = new FxRates({ table: { base: 'USD', rates: { EUR: 0.5 } } });
+      transfers = new ExternalTransfers({ store, fx, dailyLimit: 1000, now: () => clock });
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    test('should confirm a payee without revealing their name unless it is a close match', () => {
+      expect(transfers.lookup('ACC-101', 'Jane Smith')).toEqual({ accountNumber: 'ACC-101', result: 'match' });
+      expect(transfers.lookup('ACC-101', 'Bob')).toEqual({ accountNumber: 'ACC-101', result: 'no_match' });
+      expect(transfers.lookup('ACC-101', 'J Smith')).toEqual({ accountNumber: 'ACC-101', result: 'close_match', name: 'Jane Smith' });
+      expect(transfers.lookup('ACC-999', 'Jane Smith')).toEqual({ accountNumber: 'ACC-999', result: 'no_match' });
+    });
+
+    test('should allow a set number of lookups per user in each window', () => {
+      transfers = new ExternalTransfers({ store, lookupLimit: 2, lookupWindowMs: 60000, now: () => clock });
+
+      expect(transfers.takeLookup('john_doe')).toBeNull();
+      clock += 10000;
+      expect(transfers.takeLookup('john_doe')).toBeNull();
+      expect(transfers.takeLookup('john_doe')).toEqual({ retryAfterMs: 50000 });
+      expect(transfers.takeLookup('jane_smith')).toBeNull();
+
+      clock += 50000;
+      expect(transfers.takeLookup('john_doe')).toBeNull();
+      expect(transfers.takeLookup('john_doe')).toEqual({ retryAfterMs: 10000 });
+    });
+
+    test('should move money and record both sides under one id', () => {
+      const result = send({ amount: 250 });
+
+      expect(result.balance).toBe(4750);
+      expect(store.getAccount('jane_smith', 'checking').balance).toBe(25000);
+      expect(store.listTransactions('john_doe')).toEqual([{
+        id: 'txn_1740823200000', from: 'checking', to: 'ACC-101', userId: 'john_doe', amount: 25000, currency: 'USD',
+        timestamp: '2025-03-01T10:00:00.000Z', correlationId: 'corr-1', counterpartyName: 'Jane Smith'
+      }]);
+      expect(store.listTransactions('jane_smith')).toEqual([{
+        id: 'txn_1740823200000', from: 'ACC-001', to: 'checking', userId: 'jane_smith', amount: 25000, currency: 'USD',
+        timestamp: '2025-03-01T10:00:00.000Z', correlationId: 'corr-1', counterpartyName: 'John Doe'
+      }]);
+      expect(ledger.reconcile(store).balanced).toBe(true);
+    });
+
+    test('should convert into the payee\'s currency and record the rate on both sides', () => {
+      const result = send({ amount: 100, toAccountNumber: 'ACC-201', payeeName: 'Pierre Martin' });
+
+      expect(result).toMatchObject({
+        balance: 4900,
+        currency: 'USD',
+        conversion: { fxRate: 0.5, creditedAmount: 50, creditedCurrency: 'EUR' }
+      });
+      expect(store.getAccount('pierre_martin', 'checking').balance).toBe(105000);
+      for (const userId of ['john_doe', 'pierre_martin']) {
+        expect(store.listTransactions(userId)[0]).toMatchObject({
+          amount: 10000, currency: 'USD', fxRate: 0.5, creditedAmount: 5000, creditedCurrency: 'EUR'
+        });
+      }
+      expect(ledger.reconcile(store).balanced).toBe(true);
+    });
+
+    test('should count a payment in another currency towards the limit in the base currency', () => {
+      store.transaction(() => ledger.postTransfer(store, {
+        transactionId: 'txn_seed',
+        from: { userId: 'pierre_martin', type: 'checking' },
+        to: { userId: 'john_doe', type: 'checking' },
+        amount: 10000,
+        credited: 20000,
+        timestamp: new Date(clock)
+      }));
+      const pierre = (amount) => transfers.send('pierre_martin', {
+        amount, fromAccount: 'checking', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith'
+      }, { transactionId: `txn_${amount}`, correlationId: 'corr-2' });
+
+      expect(pierre(400).rejection).toBeUndefined();
+      expect(transfers.usedToday(store.getUser('pierre_martin'))).toBe(80000);
+      expect(pierre(100.5).rejection).toMatchObject({
+        reason: 'DAILY_LIMIT_EXCEEDED',
+        details: { limit: 1000, usedToday: 800, currency: 'USD' }
+      });
+    });
+
+    test('should refuse an amount finer than the currency allows', () => {
+      expect(send({ amount: 10.005 }).rejection).toMatchObject({
+        status: 400,
+        error: 'amount must have at most 2 decimal places in USD',
+        reason: 'INVALID_AMOUNT'
+      });
+    });
+
+    test('should refuse a payee in a currency without a rate', () => {
+      store.addUser(customer('taro_sato', 'Taro Sato', 'checking', 'ACC-301', 0, 'JPY'));
+
+      expect(send({ amount: 10, toAccountNumber: 'ACC-301', payeeName: 'Taro Sato' }).rejection).toMatchObject({
+        error: 'No exchange rate from USD to JPY',
+        reason: 'FX_RATE_UNAVAILABLE'
+      });
+    });
+
+    test.each([
+      [{ amount: 0 }, 'INVALID_AMOUNT'],
+      [{ amount: 10, fromAccount: 'savings' }, 'INVALID_SOURCE_ACCOUNT'],
+      [{ amount: 10, toAccountNumber: 'ACC-999' }, 'PAYEE_NOT_FOUND'],
+      [{ amount: 10, toAccountNumber: 'ACC-001' }, 'OWN_ACCOUNT'],
+      [{ amount: 10, payeeName: 'Someone Else' }, 'PAYEE_NAME_MISMATCH'],
+      [{ amount: 10, payeeName: 'J Smith' }, 'PAYEE_CLOSE_MATCH'],
+      [{ amount: 1000.01 }, 'DAILY_LIMIT_EXCEEDED']
+    ])('should reject %j with %s and move nothing', (request, reason) => {
+      expect(send(request).rejection.reason).toBe(reason);
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(500000);
+      expect(store.listTransactions('jane_smith')).toEqual([]);
+    });
+
+    test('should go ahead on a close match once confirmed', () => {
+      expect(send({ amount: 10, payeeName: 'J Smith', confirmCloseMatch: true }).rejection).toBeUndefined();
+    });
+
+    test('should count the day\'s transfers towards the limit until midnight UTC', () => {
+      send({ amount: 600 });
+      clock += 60 * 60 * 1000;
+
+      expect(send({ amount: 401 }).rejection).toMatchObject({
+        reason: 'DAILY_LIMIT_EXCEEDED',
+        details: { limit: 1000, usedToday: 600 }
+      });
+      expect(send({ amount: 400 }).rejection).toBeUndefined();
+
+      clock = Date.parse('2025-03-02T00:00:00.000Z');
+      expect(transfers.usedToday(store.getUser('john_doe'))).toBe(0);
+      expect(send({ amount: 1000 }).rejection).toBeUndefined();
+    });
+
+    test('should not count money received or moved between own accounts', () => {
+      store.addTransaction({ id: 'in', userId: 'john_doe', from: 'ACC-102', to: 'checking', amount: 90000, currency: 'USD', timestamp: new Date(clock), counterpartyName: 'Jane Smith' });
+      store.addTransaction({ id: 'own', userId: 'john_doe', from: 'checking', to: 'savings', amount: 90000, currency: 'USD', timestamp: new Date(clock) });
+
+      expect(transfers.usedToday(store.getUser('john_doe'))).toBe(0);
+    });
+
+    test('should screen a transfer once it passes its checks and only record the sender\'s side of a hold', () => {
+      const screened = (amount, transactionId, screen) => transfers.send('john_doe', {
+        fromAccount: 'checking', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith', amount
+      }, { transactionId, correlationId: 'corr-1', screen, ip: '10.0.0.1', device: 'abc' });
+      const hold = jest.fn(() => ({ hold: 'FRAUD_HOLD' }));
+
+      expect(screened(250, 'txn_held', hold)).toMatchObject({ held: true, currency: 'USD', payee: { accountNumber: 'ACC-101' } });
+      expect(hold).toHaveBeenCalledWith(expect.objectContaining({ id: 'john_doe' }), { amount: 25000, credited: 25000, rate: 1 });
+      expect(store.getAccount('john_doe', 'checking').balance).toBe(500000);
+      expect(store.listTransactions('john_doe')).toEqual([expect.objectContaining({
+        id: 'txn_held', to: 'ACC-101', status: 'held', reason: 'FRAUD_HOLD', ip: '10.0.0.1', device: 'abc'
+      })]);
+      expect(store.listTransactions('jane_smith')).toEqual([]);
+      expect(transfers.usedToday(store.getUser('john_doe'))).toBe(25000);
+
+      // Refused by its own checks before it is scored
+      expect(screened(2000, 'txn_over', hold).rejection.reason).toBe('DAILY_LIMIT_EXCEEDED');
+      expect(hold).toHaveBeenCalledTimes(1);
+
+      const blocked = { status: 403, error: 'Transfer blocked', reason: 'FRAUD_BLOCKED' };
+      expect(screened(10, 'txn_blocked', () => ({ rejection: blocked })).rejection).toEqual(blocked);
+      expect(store.listTransactions('john_doe')).toHaveLength(1);
+    });
+
+    test('should give back the allowance a rejected hold took', () => {
+      const hold = () => ({ hold: 'FRAUD_HOLD' });
+      transfers.send('john_doe', { fromAccount: 'checking', toAccountNumber: 'ACC-101', payeeName: 'Jane Smith', amount: 800 },
+        { transactionId: 'txn_held', correlationId: 'corr-1', screen: hold });
+      expect(send({ amount: 800 }).rejection).toMatchObject({ reason: 'DAILY_LIMIT_EXCEEDED', details: { usedToday: 800 } });
+
+      new HeldTransfers({ store, now: () => clock }).reject('txn_held');
+
+      expect(transfers.usedToday(store.getUser('john_doe'))).toBe(0);
+      expect(send({ amount: 800 }).rejection).toBeUndefined();
+      expect(store.getAccount('jane_smith', 'checking').balance).toBe(80000);
+    });
+
+    test('should check the funds after the limit', () => {
+      transfers.dailyLimit = 10000;
+
+      expect(send({ amount: 6000 }).rejection).toMatchObject({ reason: 'INSUFFICIENT_FUNDS', details: { available: 5000 } });
+    });
+  });
+});
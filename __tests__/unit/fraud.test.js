@@ -0,0 +1,171 @@
+/**
+ * Unit tests for fraud scoring on transfers
+ * Runs on an in-memory SQLite store with a fixed clock and exchange rate;
+ * balances and amounts are stored in cents
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const { FraudEngine, deviceOf, RULE_SCORES } = require('../../fraud');
+const { FxRates } = require('../../fx-rates');
+
+const IP = '203.0.113.7';
+const DEVICE = 'a1b2c3d4e5f60718';
+
+describe('FraudEngine', () => {
+  let store;
+  let clock;
+  let engine;
+  let seq;
+
+  const user = () => store.getUser('john_doe');
+  const assess = (request) => engine.assess(user(), { fromAccount: 'checking', amount: 10000, ip: IP, device: DEVICE, ...request });
+
+  // A completed transfer out of checking `minutesAgo` before the clock
+  const past = (amount, minutesAgo, fields = {}) => store.addTransaction({
+    id: `txn_${++seq}`,
+    userId: 'john_doe',
+    from: 'checking',
+    to: 'savings',
+    amount,
+    currency: 'USD',
+    timestamp: new Date(clock - minutesAgo * 60 * 1000),
+    ip: IP,
+    device: DEVICE,
+    ...fields
+  });
+
+  beforeEach(() => {
+    store = new SqliteStore({ file: ':memory:' });
+    store.addUser({
+      id: 'john_doe',
+      name: 'John Doe',
+      password: 'x',
+      accounts: {
+        checking: { accountNumber: 'ACC-001', balance: 500000, currency: 'USD', type: 'checking', displayName: 'Checking' },
+        travel: { accountNumber: 'ACC-005', balance: 100000, currency: 'EUR', type: 'travel', displayName: 'Travel' }
+      }
+    });
+    clock = Date.parse('2025-03-01T10:00:00.000Z');
+    seq = 0;
+    const fx = new FxRates({ table: { base: 'USD', rates: { EUR: 0.5 } } });
+    engine = new FraudEngine({ store, fx, now: () => clock });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('should allow an ordinary transfer from a known client', () => {
+    [10000, 12000, 8000].forEach((amount, index) => past(amount, 60 * 24 * (index + 1)));
+
+    expect(assess()).toEqual({ score: 0, decision: 'allow', rules: [] });
+  });
+
+  test('should refuse to score a transfer from an account the user does not have', () => {
+    expect(() => assess({ fromAccount: 'constructor' })).toThrow('john_doe has no constructor account');
+  });
+
+  test('should not flag IPs, devices or amounts without any history', () => {
+    expect(assess({ amount: 300000 })).toEqual({ score: 0, decision: 'allow', rules: [] });
+  });
+
+  test('should count transfers within the velocity window, held ones included', () => {
+    for (let i = 0; i < 4; i++) {
+      past(1000, i + 1);
+    }
+    past(1000, 5, { status: 'held', reason: 'FRAUD_HOLD' });
+    past(1000, 6, { status: 'failed', reason: 'INSUFFICIENT_FUNDS' });
+    past(1000, 30);
+
+    expect(assess({ amount: 1000 })).toEqual({
+      score: RULE_SCORES.velocity,
+      decision: 'step-up',
+      rules: [{ rule: 'velocity', score: 40, count: 6, windowMs: 600000 }]
+    });
+  });
+
+  test('should flag an amount far above the median of past transfers, in the base currency', () => {
+    [10000, 20000, 30000].forEach((amount, index) => past(amount, 60 * (index + 1)));
+
+    expect(assess({ amount: 100000 }).rules).toEqual([]);
+    expect(assess({ amount: 100001 })).toMatchObject({
+      decision: 'step-up',
+      rules: [{ rule: 'unusual_amount', score: 30, median: 200, currency: 'USD' }]
+    });
+    // 50100 EUR cents is 1002 dollars at 0.5
+    expect(assess({ fromAccount: 'travel', amount: 50100 }).rules.map(r => r.rule)).toContain('unusual_amount');
+  });
+
+  test('should wait for enough history before judging amounts', () => {
+    past(1000, 60);
+    past(1000, 120);
+
+    expect(assess({ amount: 400000 }).rules.map(r => r.rule)).not.toContain('unusual_amount');
+  });
+
+  test('should flag a new IP and a new device once some are known', () => {
+    past(10000, 60);
+
+    const { score, decision, rules } = assess({ ip: '198.51.100.1', device: 'ffffffffffffffff' });
+    expect(rules.map(r => r.rule)).toEqual(['new_ip', 'new_device']);
+    expect(score).toBe(35);
+    expect(decision).toBe('step-up');
+  });
+
+  test('should only learn IPs and devices from transfers that went through', () => {
+    past(10000, 60, { ip: '198.51.100.1', status: 'held', reason: 'FRAUD_HOLD' });
+    past(10000, 120);
+
+    expect(assess({ ip: '198.51.100.1' }).rules.map(r => r.rule)).toEqual(['new_ip']);
+    expect(assess({ ip: undefined, device: null }).rules).toEqual([]);
+  });
+
+  test('should flag draining most of a sizeable balance', () => {
+    expect(assess({ amount: 450000 })).toMatchObject({
+      score: 35,
+      decision: 'step-up',
+      rules: [{ rule: 'drain', score: 35, ratio: 0.9 }]
+    });
+    expect(assess({ amount: 449999 }).rules).toEqual([]);
+
+    // 900 EUR is 1800 dollars at 0.5, so this counts; below drainMinAmount it wouldn't
+    expect(assess({ fromAccount: 'travel', amount: 95000 }).rules.map(r => r.rule)).toEqual(['drain']);
+    store.setBalance('john_doe', 'travel', 1000);
+    expect(assess({ fromAccount: 'travel', amount: 1000 }).rules).toEqual([]);
+  });
+
+  test('should hold or block as rules add up, capping the score at 100', () => {
+    [10000, 10000, 10000].forEach((amount, index) => past(amount, 60 * (index + 1)));
+
+    expect(assess({ amount: 460000 })).toMatchObject({ score: 65, decision: 'hold' });
+
+    const everything = assess({ amount: 460000, ip: '198.51.100.1', device: 'ffffffffffffffff' });
+    expect(everything.rules.map(r => r.rule)).toEqual(['unusual_amount', 'new_ip', 'new_device', 'drain']);
+    expect(everything).toMatchObject({ score: 100, decision: 'block' });
+  });
+
+  test('should take thresholds from options, then the environment', () => {
+    process.env.FRAUD_DRAIN_RATIO = '0.5';
+    process.env.FRAUD_HOLD_SCORE = '';
+    try {
+      const configured = new FraudEngine({ store, stepUpScore: 50, now: () => clock });
+      expect(configured).toMatchObject({ drainRatio: 0.5, stepUpScore: 50, holdScore: 60, velocityMax: 5 });
+      expect(configured.assess(user(), { fromAccount: 'checking', amount: 250000 })).toMatchObject({
+        score: 35,
+        decision: 'allow'
+      });
+    } finally {
+      delete process.env.FRAUD_DRAIN_RATIO;
+      delete process.env.FRAUD_HOLD_SCORE;
+    }
+  });
+
+  test('should identify a device by a hash of its User-Agent', () => {
+    const req = (userAgent) => ({ get: (name) => (name === 'User-Agent' ? userAgent : undefined) });
+
+    expect(deviceOf(req('Mozilla/5.0'))).toMatch(/^[0-9a-f]{16}$/);
+    expect(deviceOf(req('Mozilla/5.0'))).toBe(deviceOf(req('Mozilla/5.0')));
+    expect(deviceOf(req('curl/8.0'))).not.toBe(deviceOf(req('Mozilla/5.0')));
+    expect(deviceOf(req(undefined))).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for reviewing transfers held by the fraud rules
+ * Runs on an in-memory SQLite store with a fixed clock; balances are
+ * stored in cents
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const ledger = require('../../ledger');
+const { HeldTransfers } = require('../../held-transfers');
+const { ExternalTransfers } = require('../../external-transfers');
+
+const customer = (id, name, accounts) => ({
+  id,
+  name,
+  password: 'x',
+  accounts: Object.fromEntries(Object.entries(accounts).map(([type, [accountNumber, balance, currency = 'USD']]) => [
+    type, { accountNumber, balance, currency, type, displayName: `${type} account` }
+  ]))
+});
+
+describe('HeldTransfers', () => {
+  let store;
+  let held;
+  const clock = Date.parse('2025-03-02T09:00:00.000Z');
+
+  const hold = (id, fields) => store.addTransaction({
+    id,
+    userId: 'john_doe',
+    from: 'checking',
+    amount: 40000,
+    currency: 'USD',
+    timestamp: new Date('2025-03-01T10:00:00.000Z'),
+    correlationId: `corr-${id}`,
+    status: 'held',
+    reason: 'FRAUD_HOLD',
+    ...fields
+  });
+  const balance = (userId, type) => store.getAccount(userId, type).balance;
+
+  beforeEach(() => {
+    store = new SqliteStore({ file: ':memory:' });
+    store.addUser(customer('john_doe', 'John Doe', { checking: ['ACC-001', 50000], savings: ['ACC-002', 0] }));
+    store.addUser(customer('jane_smith', 'Jane Smith', { checking: ['ACC-101', 0] }));
+    store.addUser(customer('pierre_martin', 'Pierre Martin', { checking: ['ACC-201', 0, 'EUR'] }));
+    ledger.openAccounts(store);
+    held = new HeldTransfers({ store, now: () => clock });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('should list only held transfers', () => {
+    hold('txn_held', { to: 'savings' });
+    store.addTransaction({ id: 'txn_done', userId: 'john_doe', from: 'checking', to: 'savings', amount: 100, currency: 'USD', timestamp: new Date(clock) });
+
+    expect(held.list().map(txn => txn.id)).toEqual(['txn_held']);
+    expect(held.find('txn_done')).toBeNull();
+  });
+
+  test('should release a transfer between own accounts, dated when it was released', () => {
+    hold('txn_own', { to: 'savings' });
+
+    expect(held.release('txn_own').transfer).toMatchObject({ id: 'txn_own', status: 'held' });
+    expect(balance('john_doe', 'checking')).toBe(10000);
+    expect(balance('john_doe', 'savings')).toBe(40000);
+    const [released] = store.listTransactions('john_doe');
+    expect(released).toMatchObject({ id: 'txn_own', timestamp: '2025-03-02T09:00:00.000Z' });
+    expect(released.status).toBeUndefined();
+    expect(ledger.reconcile(store).balanced).toBe(true);
+    expect(held.list()).toEqual([]);
+  });
+
+  test('should give the other customer their side of a released payment, converted as quoted', () => {
+    hold('txn_ext', { to: 'ACC-101', counterpartyName: 'Jane Smith' });
+    hold('txn_fx', { to: 'ACC-201', counterpartyName: 'Pierre Martin', amount: 10000, fxRate: 0.5, creditedAmount: 5000, creditedCurrency: 'EUR' });
+
+    held.release('txn_ext');
+    held.release('txn_fx');
+
+    expect(balance('jane_smith', 'checking')).toBe(40000);
+    expect(balance('pierre_martin', 'checking')).toBe(5000);
+    expect(store.listTransactions('jane_smith')).toEqual([{
+      id: 'txn_ext', from: 'ACC-001', to: 'checking', userId: 'jane_smith', amount: 40000, currency: 'USD',
+      timestamp: '2025-03-02T09:00:00.000Z', correlationId: 'corr-txn_ext', counterpartyName: 'John Doe'
+    }]);
+    expect(store.listTransactions('pierre_martin')[0]).toMatchObject({ fxRate: 0.5, creditedAmount: 5000, creditedCurrency: 'EUR' });
+    expect(ledger.reconcile(store).balanced).toBe(true);
+  });
+
+  test('should refuse a release the funds no longer cover and leave it held', () => {
+    hold('txn_big', { to: 'savings', amount: 60000 });
+
+    expect(held.release('txn_big')).toEqual({ rejection: { error: 'Insufficient funds', reason: 'INSUFFICIENT_FUNDS' } });
+    expect(balance('john_doe', 'checking')).toBe(50000);
+    expect(held.find('txn_big')).not.toBeNull();
+  });
+
+  describe('the daily limit on payments to other customers', () => {
+    // John holds 400 yesterday and has 1000 a day
+    beforeEach(() => {
+      held = new HeldTransfers({
+        store,
+        now: () => clock,
+        externalTransfers: new ExternalTransfers({ store, dailyLimit: 1000, now: () => clock })
+      });
+      hold('txn_ext', { to: 'ACC-101', counterpartyName: 'Jane Smith' });
+    });
+
+    const sentToday = (id, amount, fields) => store.addTransaction({
+      id, userId: 'john_doe', from: 'checking', to: 'ACC-101', amount, currency: 'USD',
+      timestamp: new Date(clock - 60 * 1000), counterpartyName: 'Jane Smith', ...fields
+    });
+
+    test('should count a release towards the day it is released and refuse it past the limit', () => {
+      sentToday('txn_today', 70000);
+
+      expect(held.release('txn_ext')).toEqual({ rejection: {
+        error: 'Daily transfer limit exceeded',
+        reason: 'DAILY_LIMIT_EXCEEDED',
+        details: { limit: 1000, usedToday: 700, currency: 'USD' }
+      } });
+      expect(balance('jane_smith', 'checking')).toBe(0);
+      expect(held.find('txn_ext')).not.toBeNull();
+    });
+
+    test('should release it once the day has room, counting it then', () => {
+      sentToday('txn_today', 60000);
+
+      expect(held.release('txn_ext').transfer.id).toBe('txn_ext');
+      expect(balance('jane_smith', 'checking')).toBe(40000);
+      expect(held.externalTransfers.usedToday(store.getUser('john_doe'))).toBe(100000);
+    });
+
+    test('should not count a transfer held today twice when it is released today', () => {
+      sentToday('txn_today', 55000);
+      sentToday('txn_held_today', 30000, { status: 'held', reason: 'FRAUD_HOLD' });
+
+      expect(held.release('txn_held_today').transfer.id).toBe('txn_held_today');
+      expect(held.externalTransfers.usedToday(store.getUser('john_doe'))).toBe(85000);
+    });
+  });
+
+  test('should not take an inherited key for the user\'s own account', () => {
+    hold('txn_proto', { from: 'constructor', to: 'savings' });
+    hold('txn_to_proto', { to: '__proto__' });
+
+    expect(held.release('txn_proto').rejection.reason).toBe('SOURCE_NOT_FOUND');
+    expect(held.release('txn_to_proto').rejection.reason).toBe('PAYEE_NOT_FOUND');
+    expect(balance('john_doe', 'checking')).toBe(50000);
+  });
+
+  test('should reject a transfer for good without moving money', () => {
+    hold('txn_no', { to: 'ACC-101', counterpartyName: 'Jane Smith' });
+
+    expect(held.reject('txn_no').transfer.id).toBe('txn_no');
+    expect(store.listTransactions('john_doe')[0]).toMatchObject({ status: 'rejected', reason: 'FRAUD_HOLD' });
+    expect(store.listTransactions('jane_smith')).toEqual([]);
+    expect(balance('john_doe', 'checking')).toBe(50000);
+    expect(held.release('txn_no').rejection.reason).toBe('NOT_HELD');
+    expect(held.reject('txn_unknown').rejection.reason).toBe('NOT_HELD');
+  });
+});
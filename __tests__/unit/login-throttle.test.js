@@ -0,0 +1,136 @@
+/**
+ * Unit tests for login failure counting, progressive delay and lockout
+ * Runs against an in-memory SQLite store with a controllable clock
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const { LoginThrottle } = require('../../login-throttle');
+
+describe('LoginThrottle', () => {
+  let store;
+  let clock;
+  let throttle;
+
+  const IP = '203.0.113.7';
+
+  beforeEach(() => {
+    store = new SqliteStore({ file: ':memory:' });
+    clock = Date.parse('2025-01-01T00:00:00.000Z');
+    throttle = new LoginThrottle({
+      store,
+      now: () => clock,
+      maxFailures: 5,
+      maxFailuresPerIp: 8,
+      lockoutMs: 15 * 60 * 1000,
+      windowMs: 15 * 60 * 1000,
+      delayAfter: 2,
+      delayBaseMs: 1000,
+      delayMaxMs: 4000
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  const fail = (username = 'john_doe', ip = IP) => throttle.recordFailure(username, ip);
+
+  test('should let the first few failures retry straight away', () => {
+    fail();
+    fail();
+
+    expect(throttle.check('john_doe', IP)).toBeNull();
+  });
+
+  test('should make each further failure wait longer', () => {
+    fail();
+    fail();
+    fail();
+    expect(throttle.check('john_doe', IP)).toEqual({ scope: 'username', reason: 'TOO_MANY_ATTEMPTS', retryAfterMs: 1000 });
+
+    clock += 1000;
+    expect(throttle.check('john_doe', IP)).toBeNull();
+
+    fail();
+    expect(throttle.check('john_doe', IP).retryAfterMs).toBe(2000);
+  });
+
+  test('should cap the delay', () => {
+    expect([3, 4, 5, 6, 7].map(failures => throttle.delayFor(failures))).toEqual([1000, 2000, 4000, 4000, 4000]);
+  });
+
+  test('should lock the username at the threshold and report it once', () => {
+    const locks = [1, 2, 3, 4, 5].map(() => fail());
+
+    expect(locks.slice(0, 4)).toEqual([[], [], [], []]);
+    expect(locks[4]).toEqual([{
+      scope: 'username',
+      key: 'user:john_doe',
+      failures: 5,
+      lockedUntil: '2025-01-01T00:15:00.000Z'
+    }]);
+    expect(throttle.check('john_doe', IP)).toEqual({
+      scope: 'username',
+      reason: 'ACCOUNT_LOCKED',
+      retryAfterMs: 15 * 60 * 1000
+    });
+  });
+
+  test('should count unknown usernames like real ones', () => {
+    [1, 2, 3, 4, 5].forEach(() => fail('nobody'));
+
+    expect(throttle.check('nobody', IP).reason).toBe('ACCOUNT_LOCKED');
+  });
+
+  test('should lock an IP trying many usernames', () => {
+    const locks = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].flatMap(username => fail(username));
+
+    expect(locks).toEqual([expect.objectContaining({ scope: 'ip', key: `ip:${IP}`, failures: 8 })]);
+    expect(throttle.check('someone_else', IP)).toMatchObject({ scope: 'ip', reason: 'ACCOUNT_LOCKED' });
+    expect(throttle.check('someone_else', '198.51.100.1')).toBeNull();
+  });
+
+  test('should start over once the lock runs out', () => {
+    [1, 2, 3, 4, 5].forEach(() => fail());
+
+    clock += 15 * 60 * 1000;
+    expect(throttle.check('john_doe', IP)).toBeNull();
+    expect(fail()).toEqual([]);
+    expect(store.getLoginAttempts('user:john_doe').failures).toBe(1);
+  });
+
+  test('should forget failures after the window', () => {
+    fail();
+    fail();
+    clock += 15 * 60 * 1000;
+
+    fail();
+
+    expect(store.getLoginAttempts('user:john_doe').failures).toBe(1);
+  });
+
+  test('should reset the username on success and on unlock', () => {
+    [1, 2, 3].forEach(() => fail());
+    throttle.recordSuccess('john_doe');
+    expect(store.getLoginAttempts('user:john_doe')).toBeNull();
+
+    [1, 2, 3, 4, 5].forEach(() => fail());
+    expect(throttle.unlock('john_doe')).toBe(true);
+    expect(throttle.unlock('john_doe')).toBe(false);
+    expect(throttle.check('john_doe', '198.51.100.1')).toBeNull();
+  });
+
+  test('should read its settings from the environment, zero included', () => {
+    const originalEnv = { ...process.env };
+    process.env.LOGIN_MAX_FAILURES = '3';
+    process.env.LOGIN_DELAY_BASE_MS = '0';
+
+    const configured = new LoginThrottle({ store });
+
+    expect(configured.maxFailures).toBe(3);
+    expect(configured.delayBaseMs).toBe(0);
+    expect(configured.lockoutMs).toBe(15 * 60 * 1000);
+
+    process.env = originalEnv;
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for minor-unit money and exchange rates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toMinor, toMajor, roundToMinor, precisionError, isCurrency } = require('../../money');
+const { FxRates, conversionFields } = require('../../fx-rates');
+
+describe('Money', () => {
+  describe('toMinor', () => {
+    test.each([
+      [10.5, 'USD', 1050],
+      [0.01, 'USD', 1],
+      [0.29, 'USD', 29],
+      [1234.56, 'EUR', 123456],
+      [1000000000, 'USD', 100000000000],
+      [1500, 'JPY', 1500],
+      [1.234, 'BHD', 1234]
+    ])('should turn %d %s into %d', (amount, currency, expected) => {
+      expect(toMinor(amount, currency)).toBe(expected);
+    });
+
+    test.each([
+      [10.005, 'USD'],
+      [0.001, 'EUR'],
+      [1.5, 'JPY'],
+      [1.2345, 'KWD']
+    ])('should refuse %d %s as too precise', (amount, currency) => {
+      expect(toMinor(amount, currency)).toBeNull();
+    });
+  });
+
+  test('should convert back to major units', () => {
+    expect(toMajor(1050, 'USD')).toBe(10.5);
+    expect(toMajor(1050, 'JPY')).toBe(1050);
+    expect(toMajor(1234, 'BHD')).toBe(1.234);
+  });
+
+  test('should round amounts kept as floats to the nearest minor unit', () => {
+    expect(roundToMinor(0.1 + 0.2, 'USD')).toBe(30);
+    expect(roundToMinor(4999.999, 'USD')).toBe(500000);
+  });
+
+  test('should explain the precision each currency allows', () => {
+    expect(precisionError('USD')).toBe('amount must have at most 2 decimal places in USD');
+    expect(precisionError('JPY')).toBe('amount must be a whole number of JPY');
+  });
+
+  test('should only know ISO currencies it has minor units for', () => {
+    expect(isCurrency('EUR')).toBe(true);
+    expect(isCurrency('XYZ')).toBe(false);
+    expect(isCurrency('toString')).toBe(false);
+  });
+});
+
+describe('FxRates', () => {
+  const fx = new FxRates({ table: { base: 'USD', rates: { EUR: 0.92, GBP: 0.79, JPY: 151.2 } } });
+
+  test('should quote rates against the base and across it', () => {
+    expect(fx.rate('USD', 'USD')).toBe(1);
+    expect(fx.rate('USD', 'EUR')).toBe(0.92);
+    expect(fx.rate('EUR', 'USD')).toBe(1.0869565);
+    expect(fx.rate('EUR', 'GBP')).toBe(0.85869565);
+    expect(fx.rate('USD', 'CHF')).toBeNull();
+  });
+
+  test('should convert minor units, rounding to the nearest one of the target', () => {
+    expect(fx.convert(10000, 'USD', 'EUR')).toEqual({ amount: 9200, rate: 0.92 });
+    expect(fx.convert(1001, 'USD', 'JPY')).toEqual({ amount: 1514, rate: 151.2 });
+    expect(fx.convert(1000, 'JPY', 'USD')).toEqual({ amount: 661, rate: 0.0066137566 });
+    expect(fx.convert(1000, 'USD', 'CHF')).toBeNull();
+  });
+
+  test('should skip entries that are not positive rates for known currencies', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const partial = new FxRates({ table: { base: 'USD', rates: { EUR: 0.92, GBP: -1, XYZ: 2, CHF: '0.88' } } });
+
+    expect(Object.keys(partial.rates)).toEqual(['USD', 'EUR']);
+    expect(errorSpy).toHaveBeenCalledTimes(3);
+    errorSpy.mockRestore();
+  });
+
+  test('should read FX_RATES_FILE and fall back to no rates when it is missing or broken', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'banking-fx-'));
+    const file = path.join(dir, 'rates.json');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      fs.writeFileSync(file, JSON.stringify({ base: 'EUR', rates: { USD: 1.08 } }));
+      expect(new FxRates({ file })).toMatchObject({ base: 'EUR', rates: { EUR: 1, USD: 1.08 } });
+
+      expect(new FxRates({ file: path.join(dir, 'missing.json') }).rates).toEqual({ USD: 1 });
+
+      fs.writeFileSync(file, '{ not json');
+      expect(new FxRates({ file }).rates).toEqual({ USD: 1 });
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('[FX]'), expect.any(String));
+    } finally {
+      errorSpy.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should record a conversion only when the currency changes', () => {
+    expect(conversionFields('USD', 'USD', { amount: 100, rate: 1 })).toEqual({});
+    expect(conversionFields('USD', 'EUR', { amount: 92, rate: 0.92 }))
+      .toEqual({ fxRate: 0.92, creditedAmount: 92, creditedCurrency: 'EUR' });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for password hashing and the password policy
+ */
+
+const { hashPassword, verifyPassword, isHashed, checkPasswordPolicy } = require('../../passwords');
+
+describe('Passwords', () => {
+  describe('hashPassword', () => {
+    test('should produce a salted scrypt hash with its parameters', () => {
+      const hash = hashPassword('correct horse 1');
+
+      expect(hash).toMatch(/^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+      expect(hash).not.toContain('correct horse 1');
+      expect(hashPassword('correct horse 1')).not.toBe(hash);
+      expect(isHashed(hash)).toBe(true);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    test('should accept the right password and reject others', () => {
+      const hash = hashPassword('correct horse 1');
+
+      expect(verifyPassword('correct horse 1', hash)).toEqual({ valid: true, needsRehash: false });
+      expect(verifyPassword('wrong horse 1', hash)).toEqual({ valid: false, needsRehash: false });
+    });
+
+    test('should accept legacy plaintext entries and ask for a rehash', () => {
+      expect(verifyPassword('password123', 'password123')).toEqual({ valid: true, needsRehash: true });
+      expect(verifyPassword('password12', 'password123')).toEqual({ valid: false, needsRehash: false });
+    });
+
+    test('should ask for a rehash of hashes made with other parameters', () => {
+      const weak = hashPassword('correct horse 1', { N: 1024, r: 8, p: 1 });
+
+      expect(verifyPassword('correct horse 1', weak)).toEqual({ valid: true, needsRehash: true });
+    });
+
+    test('should reject missing or malformed input', () => {
+      expect(verifyPassword(undefined, hashPassword('x')).valid).toBe(false);
+      expect(verifyPassword('x', undefined).valid).toBe(false);
+      expect(verifyPassword('x', 'scrypt$garbage').valid).toBe(false);
+      expect(verifyPassword({ $ne: '' }, 'password123').valid).toBe(false);
+    });
+  });
+
+  describe('checkPasswordPolicy', () => {
+    const policy = { minLength: 12, maxLength: 128, requireDigit: true, requireMixedCase: true, requireSymbol: true };
+
+    test('should accept a compliant password', () => {
+      expect(checkPasswordPolicy('Tr0ub4dor&3xyz', { policy })).toEqual([]);
+    });
+
+    test('should list every rule a password breaks', () => {
+      expect(checkPasswordPolicy('short', { policy })).toEqual([
+        'Password must be at least 12 characters',
+        'Password must contain a digit',
+        'Password must contain upper and lower case letters',
+        'Password must contain a symbol'
+      ]);
+    });
+
+    test('should reject passwords containing the username', () => {
+      expect(checkPasswordPolicy('John_Doe-2025!x', { username: 'john_doe', policy }))
+        .toEqual(['Password must not contain the username']);
+    });
+
+    test('should read the default policy from the environment', () => {
+      const originalEnv = { ...process.env };
+      process.env.PASSWORD_MIN_LENGTH = '4';
+      process.env.PASSWORD_REQUIRE_DIGIT = 'false';
+
+      expect(checkPasswordPolicy('abcd')).toEqual([]);
+      expect(checkPasswordPolicy('abc')).toEqual(['Password must be at least 4 characters']);
+
+      process.env = originalEnv;
+    });
+  });
+});
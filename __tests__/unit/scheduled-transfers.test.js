@@ -0,0 +1,72 @@
+/**
+ * Unit tests for scheduled transfer timing
+ * When recurring transfers run and which schedules are accepted
+ */
+
+const { nextRunAt, parseTiming } = require('../../scheduled-transfers');
+
+const at = (iso) => Date.parse(iso);
+
+describe('Scheduled transfers', () => {
+  describe('nextRunAt', () => {
+    const start = '2025-03-10T09:00:00.000Z';
+    const once = { frequency: 'once', startAt: start };
+    const daily = { frequency: 'daily', startAt: start };
+    const weekly = { frequency: 'weekly', startAt: start };
+    const monthly = (dayOfMonth, startAt = start) => ({ frequency: 'monthly', dayOfMonth, startAt });
+
+    test.each([
+      ['once, not yet', once, '2025-03-01T00:00:00.000Z', start],
+      ['once, already past', once, '2025-03-10T09:00:00.001Z', null],
+      ['daily', daily, '2025-03-12T10:00:00.000Z', '2025-03-13T09:00:00.000Z'],
+      ['daily, on the dot', daily, '2025-03-12T09:00:00.000Z', '2025-03-12T09:00:00.000Z'],
+      ['weekly', weekly, '2025-03-11T00:00:00.000Z', '2025-03-17T09:00:00.000Z'],
+      ['monthly, later this month', monthly(15), start, '2025-03-15T09:00:00.000Z'],
+      ['monthly, next month', monthly(5), start, '2025-04-05T09:00:00.000Z'],
+      ['monthly, short month', monthly(31, '2025-01-31T09:00:00.000Z'), '2025-02-01T00:00:00.000Z', '2025-02-28T09:00:00.000Z'],
+      ['monthly, after a short month', monthly(31, '2025-01-31T09:00:00.000Z'), '2025-03-01T00:00:00.000Z', '2025-03-31T09:00:00.000Z'],
+      ['monthly, over the year end', monthly(1), '2025-12-01T09:00:00.001Z', '2026-01-01T09:00:00.000Z'],
+      ['past its end', { ...daily, endAt: '2025-03-12T23:59:59.999Z' }, '2025-03-12T09:00:00.001Z', null]
+    ])('%s', (name, schedule, from, expected) => {
+      expect(nextRunAt(schedule, at(from))).toBe(expected);
+    });
+  });
+
+  describe('parseTiming', () => {
+    const now = at('2025-03-10T12:00:00.000Z');
+
+    test('should default to a one-off transfer now', () => {
+      expect(parseTiming({}, now)).toEqual({
+        timing: { frequency: 'once', dayOfMonth: null, startAt: '2025-03-10T12:00:00.000Z', endAt: null }
+      });
+    });
+
+    test('should take the day of month from the start and cover the whole end day', () => {
+      expect(parseTiming({ frequency: 'monthly', startAt: '2025-03-20', endAt: '2025-12-20' }, now)).toEqual({
+        timing: {
+          frequency: 'monthly',
+          dayOfMonth: 20,
+          startAt: '2025-03-20T00:00:00.000Z',
+          endAt: '2025-12-20T23:59:59.999Z'
+        }
+      });
+    });
+
+    test('should accept earlier today but not yesterday unless the start is unchanged', () => {
+      expect(parseTiming({ startAt: '2025-03-10' }, now).timing.startAt).toBe('2025-03-10T00:00:00.000Z');
+      expect(parseTiming({ startAt: '2025-03-09' }, now)).toEqual({ error: 'startAt must not be in the past' });
+      expect(parseTiming({ startAt: '2025-03-09' }, now, { allowPastStart: true }).timing).toBeDefined();
+    });
+
+    test.each([
+      [{ frequency: 'hourly' }, 'frequency must be one of once, daily, weekly, monthly'],
+      [{ startAt: 'soon' }, 'startAt must be a date'],
+      [{ frequency: 'monthly', dayOfMonth: 32 }, 'dayOfMonth must be a whole number from 1 to 31'],
+      [{ frequency: 'monthly', dayOfMonth: '5' }, 'dayOfMonth must be a whole number from 1 to 31'],
+      [{ frequency: 'weekly', dayOfMonth: 5 }, 'dayOfMonth only applies to monthly transfers'],
+      [{ startAt: '2025-03-20', endAt: '2025-03-19' }, 'endAt must not be before startAt']
+    ])('should reject %j', (fields, error) => {
+      expect(parseTiming(fields, now)).toEqual({ error });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Unit tests for cookie signing, CSRF tokens and cookie parsing
+ */
+
+const { SessionCookies, createSessionCookies, parseCookies } = require('../../session-cookies');
+
+describe('Session cookies', () => {
+  const cookies = new SessionCookies({ secret: 'secret' });
+  const request = (method, headers = {}) => ({ method, get: name => headers[name.toLowerCase()] });
+
+  test('should round-trip a signed token and reject tampering', () => {
+    const signed = cookies.sign('token-1');
+
+    expect(cookies.unsign(signed)).toBe('token-1');
+    expect(cookies.unsign(signed.replace('token-1', 'token-2'))).toBeNull();
+    expect(new SessionCookies({ secret: 'other' }).unsign(signed)).toBeNull();
+    expect(cookies.unsign('no-signature')).toBeNull();
+  });
+
+  test('should only require a CSRF token for state-changing methods', () => {
+    const csrf = cookies.csrfToken('token-1');
+
+    expect(cookies.checkCsrf(request('GET'), 'token-1')).toBe(true);
+    expect(cookies.checkCsrf(request('POST'), 'token-1')).toBe(false);
+    expect(cookies.checkCsrf(request('POST', { 'x-csrf-token': csrf }), 'token-1')).toBe(true);
+    expect(cookies.checkCsrf(request('POST', { 'x-csrf-token': csrf }), 'token-2')).toBe(false);
+  });
+
+  test('should parse cookie headers leniently', () => {
+    expect(parseCookies('a=1; b=x%20y; broken=%E0%A4%A; =nameless')).toEqual({ a: '1', b: 'x y' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+
+  test('should only be enabled by SESSION_COOKIE_SECRET', () => {
+    const originalEnv = { ...process.env };
+
+    delete process.env.SESSION_COOKIE_SECRET;
+    expect(createSessionCookies()).toBeNull();
+
+    process.env.SESSION_COOKIE_SECRET = 'secret';
+    expect(createSessionCookies()).toBeInstanceOf(SessionCookies);
+
+    process.env = originalEnv;
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for account statements and the PDF writer
+ * Statements are built from an in-memory SQLite store with known transfers
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const { parseStatementQuery, buildStatement, renderCsv, renderOfx, renderPdf } = require('../../statements');
+const { PdfDocument, escapeText } = require('../../pdf-writer');
+
+const NOW = new Date('2025-03-20T10:00:00.000Z');
+
+const user = {
+  id: 'john_doe',
+  name: 'John Doe',
+  password: 'x',
+  accounts: {
+    checking: { accountNumber: 'ACC-001', balance: 90000, currency: 'USD', type: 'checking', displayName: 'Checking Account' },
+    savings: { accountNumber: 'ACC-002', balance: 110000, currency: 'USD', type: 'savings', displayName: 'Savings Account' },
+    travel: { accountNumber: 'ACC-005', balance: 46000, currency: 'EUR', type: 'travel', displayName: 'Travel Account' }
+  }
+};
+
+// Byte offsets in the xref table must point at the objects they name
+const checkXref = (pdf) => {
+  const text = pdf.toString('latin1');
+  const xrefAt = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  expect(text.slice(xrefAt, xrefAt + 4)).toBe('xref');
+
+  const offsets = text.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, index) => {
+    expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+  });
+  return text;
+};
+
+describe('Statements', () => {
+  describe('parseStatementQuery', () => {
+    test('should default to CSV from the start of the month until now', () => {
+      expect(parseStatementQuery({}, NOW)).toEqual({
+        format: 'csv',
+        period: { from: '2025-03-01T00:00:00.000Z', to: '2025-03-20T10:00:00.000Z' }
+      });
+    });
+
+    test('should cover the whole of a bare to date', () => {
+      expect(parseStatementQuery({ from: '2025-02-01', to: '2025-02-28', format: 'PDF' }, NOW)).toEqual({
+        format: 'pdf',
+        period: { from: '2025-02-01T00:00:00.000Z', to: '2025-02-28T23:59:59.999Z' }
+      });
+    });
+  });
+
+  describe('buildStatement', () => {
+    let store;
+    let statement;
+
+    beforeAll(() => {
+      store = new SqliteStore({ file: ':memory:' });
+      store.addUser(user);
+      const add = (id, from, to, amount, timestamp, conversion = {}) => store.addTransaction({
+        id, from, to, userId: 'john_doe', amount, currency: 'USD', ...conversion, timestamp: new Date(timestamp)
+      });
+      add('txn_before', 'checking', 'savings', 5000, '2025-02-28T12:00:00.000Z');
+      add('txn_1', 'checking', 'savings', 10010, '2025-03-02T09:00:00.000Z');
+      add('txn_2', 'savings', 'checking', 20, '2025-03-05T09:00:00.000Z');
+      add('txn_fx', 'savings', 'travel', 10000, '2025-03-06T09:00:00.000Z', {
+        fxRate: 0.92, creditedAmount: 9200, creditedCurrency: 'EUR'
+      });
+      add('txn_after', 'checking', 'savings', 20000, '2025-03-15T09:00:00.000Z');
+
+      statement = buildStatement(store, user, 'checking', {
+        from: '2025-03-01T00:00:00.000Z',
+        to: '2025-03-10T23:59:59.999Z'
+      });
+    });
+
+    afterAll(() => {
+      store.close();
+    });
+
+    test('should work the opening balance back from the current one', () => {
+      // 900 now, after -100.10 + 0.20 - 200 since the period started
+      expect(statement.openingBalance).toBe(1199.9);
+      expect(statement.closingBalance).toBe(1100);
+    });
+
+    test('should itemize the period with a running balance', () => {
+      expect(statement.entries).toEqual([
+        { id: 'txn_1', date: '2025-03-02T09:00:00.000Z', description: 'Transfer to Savings Account', amount: -100.1, balance: 1099.8 },
+        { id: 'txn_2', date: '2025-03-05T09:00:00.000Z', description: 'Transfer from Savings Account', amount: 0.2, balance: 1100 }
+      ]);
+    });
+
+    test('should refuse an account type the user only inherits', () => {
+      expect(() => buildStatement(store, user, 'constructor', { from: '2025-03-01T00:00:00.000Z', to: '2025-03-10T23:59:59.999Z' }))
+        .toThrow('has no constructor account');
+    });
+
+    test('should show what an account in another currency was credited', () => {
+      const travel = buildStatement(store, user, 'travel', {
+        from: '2025-03-01T00:00:00.000Z',
+        to: '2025-03-10T23:59:59.999Z'
+      });
+
+      expect(travel).toMatchObject({ currency: 'EUR', openingBalance: 368, closingBalance: 460 });
+      expect(travel.entries).toEqual([
+        { id: 'txn_fx', date: '2025-03-06T09:00:00.000Z', description: 'Transfer from Savings Account', amount: 92, balance: 460 }
+      ]);
+      expect(renderOfx(travel, { now: NOW })).toContain('<CURDEF>EUR</CURDEF>');
+    });
+
+    test('should render CSV with opening and closing rows', () => {
+      expect(renderCsv(statement).split('\r\n')).toEqual([
+        'Date,Description,Transaction ID,Amount (USD),Balance (USD)',
+        '2025-03-01T00:00:00.000Z,Opening balance,,,1199.90',
+        '2025-03-02T09:00:00.000Z,Transfer to Savings Account,txn_1,-100.10,1099.80',
+        '2025-03-05T09:00:00.000Z,Transfer from Savings Account,txn_2,0.20,1100.00',
+        '2025-03-10T23:59:59.999Z,Closing balance,,,1100.00',
+        ''
+      ]);
+    });
+
+    test('should quote CSV fields that need it', () => {
+      const quoted = renderCsv({ ...statement, entries: [{ ...statement.entries[0], description: 'Rent, "March"' }] });
+
+      expect(quoted).toContain('"Rent, ""March"""');
+    });
+
+    test('should keep names a spreadsheet would run as formulas from being run', () => {
+      const rowFor = (description) => renderCsv({ ...statement, entries: [{ ...statement.entries[0], description }] })
+        .split('\r\n')[2];
+
+      expect(rowFor('=HYPERLINK("http://evil.example","Click")'))
+        .toBe('2025-03-02T09:00:00.000Z,"\'=HYPERLINK(""http://evil.example"",""Click"")",txn_1,-100.10,1099.80');
+      expect(rowFor('+1+1')).toBe('2025-03-02T09:00:00.000Z,\'+1+1,txn_1,-100.10,1099.80');
+      expect(rowFor('-2+3')).toBe('2025-03-02T09:00:00.000Z,\'-2+3,txn_1,-100.10,1099.80');
+      expect(rowFor('@SUM(A1)')).toBe('2025-03-02T09:00:00.000Z,\'@SUM(A1),txn_1,-100.10,1099.80');
+    });
+
+    test('should render an OFX bank statement', () => {
+      const ofx = renderOfx(statement, { now: NOW, bankId: '123456789' });
+
+      expect(ofx).toContain('<?OFX OFXHEADER="200" VERSION="211"');
+      expect(ofx).toContain('<BANKID>123456789</BANKID>');
+      expect(ofx).toContain('<ACCTID>ACC-001</ACCTID>');
+      expect(ofx).toContain('<ACCTTYPE>CHECKING</ACCTTYPE>');
+      expect(ofx).toContain('<CURDEF>USD</CURDEF>');
+      expect(ofx).toContain('<DTSTART>20250301000000[0:GMT]</DTSTART>');
+      expect(ofx.match(/<STMTTRN>/g)).toHaveLength(2);
+      expect(ofx).toContain('<TRNAMT>-100.10</TRNAMT>');
+      expect(ofx).toContain('<FITID>txn_2</FITID>');
+      expect(ofx).toMatch(/<LEDGERBAL>\s*<BALAMT>1100.00<\/BALAMT>/);
+    });
+
+    test('should render a PDF with balances and each transaction', () => {
+      const text = checkXref(renderPdf(statement, { now: NOW }));
+
+      expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(text).toContain('(Opening balance: 1199.90 USD)');
+      expect(text).toContain('(Closing balance: 1100.00 USD)');
+      expect(text).toMatch(/\(2025-03-02 Transfer to Savings Account +-100\.10 +1099\.80\)/);
+    });
+  });
+
+  describe('PdfDocument', () => {
+    test('should start new pages as lines fill them', () => {
+      const doc = new PdfDocument({ title: 'Long' });
+      for (let index = 0; index < 120; index++) {
+        doc.line(`Line ${index}`);
+      }
+      const text = checkXref(doc.toBuffer());
+
+      expect(text).toContain('/Count 3');
+      expect(text).toContain('(Page 3 of 3)');
+    });
+
+    test('should escape string delimiters and replace non-ASCII', () => {
+      expect(escapeText('a (b) \\ c €')).toBe('a \\(b\\) \\\\ c ?');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the RFC 6238 TOTP implementation and the TOTP second factor
+ * Checked offline against the RFC test vectors with fixed clocks
+ */
+
+const SqliteStore = require('../../sqlite-store');
+const {
+  base32Encode, base32Decode, generateSecret, hotp, totp, verifyTotp, provisioningUri
+} = require('../../totp');
+const { TwoFactor } = require('../../two-factor');
+
+// RFC 6238 Appendix B seeds, one per HMAC algorithm
+const SHA1_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const SHA256_SECRET = base32Encode(Buffer.from('12345678901234567890123456789012'));
+const SHA512_SECRET = base32Encode(Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    test('should match the RFC 4648 test vectors', () => {
+      const vectors = { f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+
+      for (const [text, encoded] of Object.entries(vectors)) {
+        expect(base32Encode(Buffer.from(text))).toBe(encoded);
+        expect(base32Decode(encoded).toString()).toBe(text);
+      }
+    });
+
+    test('should accept lower case, spaces and padding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+      expect(() => base32Decode('MZ1W')).toThrow('Invalid base32 character "1"');
+    });
+
+    test('should generate 160-bit secrets', () => {
+      expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('hotp', () => {
+    test('should match the RFC 4226 test vectors', () => {
+      const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+      expect(expected.map((_, counter) => hotp(Buffer.from('12345678901234567890'), counter))).toEqual(expected);
+    });
+  });
+
+  describe('totp', () => {
+    test.each([
+      [59, '94287082', '46119246', '90693936'],
+      [1111111109, '07081804', '68084774', '25091201'],
+      [1111111111, '14050471', '67062674', '99943326'],
+      [1234567890, '89005924', '91819424', '93441116'],
+      [2000000000, '69279037', '90698825', '38618901'],
+      [20000000000, '65353130', '77737706', '47863826']
+    ])('should match the RFC 6238 test vectors at %i s', (seconds, sha1, sha256, sha512) => {
+      const time = seconds * 1000;
+
+      expect(totp(SHA1_SECRET, { time, digits: 8 })).toBe(sha1);
+      expect(totp(SHA256_SECRET, { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+      expect(totp(SHA512_SECRET, { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+    });
+
+    test('should accept codes within the skew window and return their step', () => {
+      const time = 1111111111 * 1000;
+      const previous = totp(SHA1_SECRET, { time: time - 30000 });
+      const next = totp(SHA1_SECRET, { time: time + 30000 });
+      const later = totp(SHA1_SECRET, { time: time + 60000 });
+
+      expect(verifyTotp(SHA1_SECRET, totp(SHA1_SECRET, { time }), { time })).toBe(37037037);
+      expect(verifyTotp(SHA1_SECRET, previous, { time })).toBe(37037036);
+      expect(verifyTotp(SHA1_SECRET, next, { time })).toBe(37037038);
+      expect(verifyTotp(SHA1_SECRET, later, { time })).toBeNull();
+      expect(verifyTotp(SHA1_SECRET, next, { time, window: 0 })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTotp(SHA1_SECRET, '12345', { time: 0 })).toBeNull();
+      expect(verifyTotp(SHA1_SECRET, 'abcdef', { time: 0 })).toBeNull();
+      expect(verifyTotp(SHA1_SECRET, undefined, { time: 0 })).toBeNull();
+    });
+
+    test('should build an otpauth provisioning URI', () => {
+      expect(provisioningUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'john_doe', issuer: 'Banking Demo' })).toBe(
+        'otpauth://totp/Banking%20Demo%3Ajohn_doe?secret=JBSWY3DPEHPK3PXP&algorithm=SHA1&digits=6&period=30&issuer=Banking+Demo'
+      );
+    });
+  });
+
+  describe('TwoFactor', () => {
+    let store;
+    let clock;
+    let twoFactor;
+
+    // The code the user's app shows `steps` time steps from now
+    const codeAt = (secret, steps = 0) => totp(secret, { time: clock + steps * 30000 });
+
+    beforeEach(() => {
+      store = new SqliteStore({ file: ':memory:' });
+      store.addUser({ id: 'john_doe', name: 'John Doe', password: 'x', accounts: {} });
+      clock = Date.parse('2025-01-01T00:00:00.000Z');
+      twoFactor = new TwoFactor({ store, now: () => clock, window: 1 });
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    const enable = () => {
+      const { secret } = twoFactor.enroll('john_doe');
+      const recoveryCodes = twoFactor.confirm('john_doe', codeAt(secret));
+      clock += 30000;
+      return { secret, recoveryCodes };
+    };
+
+    test('should only switch on once a code from the app matches', () => {
+      const { secret, uri } = twoFactor.enroll('john_doe');
+
+      expect(uri).toContain(`secret=${secret}`);
+      expect(twoFactor.isEnabled('john_doe')).toBe(false);
+      expect(twoFactor.confirm('john_doe', '000000')).toBeNull();
+
+      const recoveryCodes = twoFactor.confirm('john_doe', codeAt(secret));
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+      expect(twoFactor.status('john_doe')).toEqual({ enabled: true, recoveryCodesRemaining: 10 });
+      expect(twoFactor.enroll('john_doe')).toBeNull();
+    });
+
+    test('should store recovery codes hashed', () => {
+      const { recoveryCodes } = enable();
+
+      expect(JSON.stringify(store.getTotp('john_doe'))).not.toContain(recoveryCodes[0]);
+    });
+
+    test('should accept a code once, allowing one step of skew', () => {
+      const { secret } = enable();
+      const code = codeAt(secret, 1);
+
+      expect(twoFactor.verify('john_doe', { code })).toBe('totp');
+      expect(twoFactor.verify('john_doe', { code })).toBeNull();
+      expect(twoFactor.verify('john_doe', { code: codeAt(secret, 2) })).toBeNull();
+    });
+
+    test('should not accept the code used to confirm enrolment', () => {
+      const { secret } = twoFactor.enroll('john_doe');
+      const code = codeAt(secret);
+      twoFactor.confirm('john_doe', code);
+
+      expect(twoFactor.verify('john_doe', { code })).toBeNull();
+    });
+
+    test('should use each recovery code up', () => {
+      const { recoveryCodes } = enable();
+
+      expect(twoFactor.verify('john_doe', { recoveryCode: recoveryCodes[3].toUpperCase() })).toBe('recovery_code');
+      expect(twoFactor.verify('john_doe', { recoveryCode: recoveryCodes[3] })).toBeNull();
+      expect(twoFactor.verify('john_doe', { recoveryCode: 'ffff-ffff-ffff-ffff' })).toBeNull();
+      expect(twoFactor.status('john_doe').recoveryCodesRemaining).toBe(9);
+    });
+
+    test('should switch off only with a valid code', () => {
+      const { secret } = enable();
+
+      expect(twoFactor.disable('john_doe', { code: '000000' })).toBe(false);
+      expect(twoFactor.disable('john_doe', { code: codeAt(secret) })).toBe(true);
+      expect(twoFactor.status('john_doe')).toEqual({ enabled: false, recoveryCodesRemaining: 0 });
+    });
+  });
+});
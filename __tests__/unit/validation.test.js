@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the request validation engine and the route schemas
+ * Problems are checked by path, code and message
+ */
+
+const { validate, validateRequest } = require('../../validation');
+const schemas = require('../../request-schemas');
+
+const problemsFor = (schema, request) => validate(schema, request).map(({ path, code }) => `${path} ${code}`);
+
+describe('Request validation', () => {
+  describe('validate', () => {
+    const schema = {
+      body: {
+        name: { type: 'string', required: true, maxLength: 5 },
+        amount: { type: 'amount' },
+        count: { type: 'integer', min: 1, max: 3 },
+        flag: { type: 'boolean' },
+        kind: { type: 'string', enum: ['a', 'b'], lowercase: true }
+      },
+      query: { limit: { type: 'integer', min: 1, max: 10 }, since: { type: 'date' } }
+    };
+
+    test('should accept a valid request and ignore unknown fields', () => {
+      expect(validate(schema, { body: { name: 'ok', amount: 10.5, kind: 'A', extra: [] }, query: { limit: '4' } })).toEqual([]);
+    });
+
+    test.each([
+      [{ body: { name: 'ok' }, query: { limit: '0' } }, 'query.limit out_of_range'],
+      [{ body: { name: 'ok' }, query: { limit: '2.5' } }, 'query.limit invalid_type'],
+      [{ body: { name: 'ok' }, query: { limit: ['1', '2'] } }, 'query.limit invalid_type'],
+      [{ body: { name: 'ok' }, query: { since: 'soon' } }, 'query.since invalid_value'],
+      [{ body: { name: 'ok', amount: '10' } }, 'body.amount invalid_type'],
+      [{ body: { name: 'ok', amount: 0 } }, 'body.amount out_of_range'],
+      [{ body: { name: 'ok', amount: 1e12 } }, 'body.amount out_of_range'],
+      [{ body: { name: 'ok', amount: 0.0001 } }, 'body.amount too_precise'],
+      [{ body: { name: 'ok', count: 1.5 } }, 'body.count invalid_type'],
+      [{ body: { name: 'ok', flag: 'yes' } }, 'body.flag invalid_type'],
+      [{ body: { name: 'ok', kind: 'c' } }, 'body.kind invalid_value'],
+      [{ body: { name: 'toolong' } }, 'body.name too_long'],
+      [{ body: { name: '  ' } }, 'body.name required'],
+      [{ body: {} }, 'body.name required'],
+      [{ body: [] }, 'body invalid_type']
+    ])('should report %j', (request, expected) => {
+      expect(problemsFor(schema, request)).toEqual([expected]);
+    });
+
+    test('should treat an empty query value as absent and report every bad field', () => {
+      expect(validate(schema, { body: { name: 'ok' }, query: { limit: '' } })).toEqual([]);
+      expect(problemsFor(schema, { body: { amount: -1, flag: 1 } })).toEqual([
+        'body.name required', 'body.amount out_of_range', 'body.flag invalid_type'
+      ]);
+    });
+
+    test('should run cross-field rules only once every field is valid', () => {
+      const rule = jest.fn(() => ({ path: 'body.name', code: 'invalid_combination', message: 'no' }));
+      const withRule = { ...schema, rules: [rule] };
+
+      expect(problemsFor(withRule, { body: {} })).toEqual(['body.name required']);
+      expect(rule).not.toHaveBeenCalled();
+      expect(problemsFor(withRule, { body: { name: 'ok' } })).toEqual(['body.name invalid_combination']);
+    });
+  });
+
+  describe('validateRequest', () => {
+    const respond = () => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      return res;
+    };
+
+    test('should pass valid requests on and answer invalid ones with one envelope and one event', () => {
+      const logger = { warn: jest.fn() };
+      const onInvalid = jest.fn();
+      const middleware = validateRequest(schemas.transfer, { logger, onInvalid });
+      const next = jest.fn();
+
+      middleware({ body: { amount: 10, toAccount: 'savings' } }, respond(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = respond();
+      middleware({ method: 'POST', route: { path: '/transfer' }, body: { amount: 'lots' } }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'amount must be a number',
+        code: 'VALIDATION_FAILED',
+        errors: [
+          { path: 'body.amount', code: 'invalid_type', message: 'amount must be a number' },
+          { path: 'body.toAccount', code: 'required', message: 'toAccount is required' }
+        ]
+      });
+      expect(onInvalid).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith('BANKING_REQUEST_INVALID', {
+        outcome: 'failure',
+        method: 'POST',
+        route: '/transfer',
+        errors: [{ path: 'body.amount', code: 'invalid_type' }, { path: 'body.toAccount', code: 'required' }]
+      });
+    });
+  });
+
+  describe('schemas', () => {
+    test.each([
+      ['history', { query: { direction: 'in' } }, 'query.direction invalid_combination'],
+      ['history', { query: { minAmount: '10', maxAmount: '5' } }, 'query.minAmount invalid_combination'],
+      ['history', { query: { cursor: 'not-a-cursor' } }, 'query.cursor invalid_value'],
+      ['statement', { params: { type: 'checking' }, query: { format: 'xls' } }, 'query.format invalid_value'],
+      ['statement', { params: { type: 'checking' }, query: { to: 'later' } }, 'query.to invalid_value'],
+      ['statement', { params: { type: 'checking' }, query: { from: '2025-03-02', to: '2025-03-01' } }, 'query.from invalid_combination'],
+      ['loginSecondFactor', { body: {} }, 'body.code invalid_combination'],
+      ['loginSecondFactor', { body: { code: '123456', recoveryCode: 'abcd-efgh' } }, 'body.code invalid_combination'],
+      ['confirmTotp', { body: { code: '12345' } }, 'body.code invalid_value'],
+      ['externalTransfer', { body: { amount: 5, toAccountNumber: 'ACC-101', payeeName: 'Jane', confirmCloseMatch: 'yes' } }, 'body.confirmCloseMatch invalid_type'],
+      ['updateSchedule', { body: { dayOfMonth: 0 } }, 'body.dayOfMonth out_of_range']
+    ])('%s should report %j', (name, request, expected) => {
+      expect(problemsFor(schemas[name], request)).toEqual([expected]);
+    });
+
+    test('should accept a statement format in any case and a same-day period', () => {
+      expect(validate(schemas.statement, {
+        params: { type: 'checking' },
+        query: { format: 'PDF', from: '2025-03-01', to: '2025-03-01' }
+      })).toEqual([]);
+    });
+  });
+});
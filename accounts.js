@@ -0,0 +1,10 @@
+/**
+ * Whether `user` has an account of `type`. Account types come from requests
+ * and stored records, so only the user's own keys count: a bare
+ * `user.accounts[type]` would also find inherited ones like `constructor`
+ * or `__proto__`.
+ */
+const hasAccount = (user, type) => Boolean(user && user.accounts) &&
+  Object.prototype.hasOwnProperty.call(user.accounts, type);
+
+module.exports = { hasAccount };
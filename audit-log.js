@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = path.join(__dirname, 'logs', 'audit.jsonl');
+const DEFAULT_SOURCETYPE = 'banking:audit';
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+// Read from the end of the file to find the last entry, doubled until a whole line fits
+const TAIL_BYTES = 64 * 1024;
+// How long an append waits for another process's lock before giving up
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old was left behind by a process that died holding it
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 5;
+
+// Sign-in and out, failed authentication, money moving and changes to security settings
+const AUDIT_EVENTS = [
+  'BANKING_APP_STARTUP',
+  'BANKING_APP_SHUTDOWN',
+  'BANKING_LOGIN_SUCCESS',
+  'BANKING_LOGIN_FAILED',
+  'BANKING_LOGIN_MFA_REQUIRED',
+  'BANKING_LOGOUT',
+  'BANKING_SESSION_REVOKED',
+  'BANKING_AUTH_FAILED',
+  'BANKING_CSRF_REJECTED',
+  'BANKING_ACCOUNT_LOCKED',
+  'BANKING_LOGIN_IP_LOCKED',
+  'BANKING_ACCOUNT_UNLOCKED',
+  'BANKING_RECOVERY_CODE_USED',
+  'BANKING_PASSWORD_CHANGED',
+  'BANKING_PASSWORD_CHANGE_FAILED',
+  'BANKING_TOTP_ENABLED',
+  'BANKING_TOTP_DISABLED',
+  'BANKING_TOTP_DISABLE_FAILED',
+  'BANKING_TRANSFER_SUCCESS',
+  'BANKING_TRANSFER_FAILED',
+  'BANKING_TRANSFER_HELD',
+  'BANKING_FRAUD_DECISION',
+  'BANKING_HELD_TRANSFER_RELEASED',
+  'BANKING_HELD_TRANSFER_REJECTED',
+  'BANKING_EXTERNAL_TRANSFER_SENT',
+  'BANKING_EXTERNAL_TRANSFER_FAILED',
+  'BANKING_EXTERNAL_TRANSFER_HELD',
+  'BANKING_SCHEDULED_TRANSFER_CREATED',
+  'BANKING_SCHEDULED_TRANSFER_UPDATED',
+  'BANKING_SCHEDULED_TRANSFER_CANCELLED',
+  'BANKING_SCHEDULED_TRANSFER_EXECUTED',
+  'BANKING_SCHEDULED_TRANSFER_FAILED',
+  'BANKING_SCHEDULED_TRANSFER_HELD'
+];
+
+const auditLogFile = () => process.env.AUDIT_LOG_FILE || DEFAULT_FILE;
+
+// SHA-256 of the entry as written, or HMAC-SHA256 when there is a key
+const hashEntry = (entry, key) => (key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256'))
+  .update(JSON.stringify(entry))
+  .digest('hex');
+
+// The last line of the first `size` bytes of `file`, parsed; null for an empty file
+const lastEntry = (file, size) => {
+  if (size === 0) {
+    return null;
+  }
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    for (let length = Math.min(TAIL_BYTES, size); ; length = Math.min(length * 2, size)) {
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+      const text = buffer.toString('utf8').replace(/\n+$/, '');
+      const start = text.lastIndexOf('\n');
+      if (start !== -1 || length === size) {
+        return JSON.parse(text.slice(start + 1));
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Appends are synchronous, so waiting for the lock blocks too
+const sleep = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+const isStale = (lockFile) => {
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    // Released since we tried; just try again
+    return false;
+  }
+};
+
+/**
+ * Runs `fn` holding `lockFile`, which is created with O_EXCL so only one
+ * process has it at a time, and removed afterwards. A lock older than
+ * LOCK_STALE_MS is taken over; after `timeoutMs` of waiting this throws.
+ */
+const withLock = (lockFile, timeoutMs, fn) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    if (isStale(lockFile)) {
+      fs.rmSync(lockFile, { force: true });
+    } else if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the lock ${lockFile}`);
+    } else {
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+};
+
+/**
+ * Append-only audit trail of security events, one JSON entry per line in
+ * AUDIT_LOG_FILE (default logs/audit.jsonl):
+ *
+ *   { seq, timestamp, event, user, outcome, correlationId, requestId, data, prevHash, hash }
+ *
+ * `seq` counts up from 1 and `hash` is the SHA-256 of the entry without it
+ * (an HMAC when AUDIT_LOG_KEY is set), taken over `prevHash`, the hash of
+ * the entry before. Editing or deleting an entry breaks the chain from there
+ * on, which verifyAuditLog() finds. The last entry is read back from the
+ * file whenever it has grown behind our back, and reading it and appending
+ * the next happen under an exclusive lock file (`<file>.lock`), so
+ * unlock-account.js and review-held-transfers.js can append while the
+ * server runs without two entries claiming the same predecessor.
+ *
+ * With AUDIT_SPLUNK_FORWARD=true each entry is also sent to Splunk as
+ * written under its own sourcetype (AUDIT_SPLUNK_SOURCETYPE, default
+ * banking:audit), which gives a copy to check the file against.
+ *
+ * Both are off by default, and the trail is only tamper-evident once they
+ * are on: without the key anyone who can write the file can rewrite the
+ * chain, and without the copy nothing shows entries cut from the end.
+ * checkSetup() says so at startup.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.file = options.file || auditLogFile();
+    this.key = options.key !== undefined ? options.key : process.env.AUDIT_LOG_KEY || null;
+    this.events = options.events || AUDIT_EVENTS;
+    const forward = options.forward !== undefined ? options.forward : process.env.AUDIT_SPLUNK_FORWARD === 'true';
+    this.splunkLogger = forward ? options.splunkLogger || null : null;
+    this.sourcetype = options.sourcetype || process.env.AUDIT_SPLUNK_SOURCETYPE || DEFAULT_SOURCETYPE;
+    this.lockFile = `${this.file}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? LOCK_TIMEOUT_MS;
+    this.head = null;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  covers(event) {
+    return this.events.includes(event);
+  }
+
+  // seq and hash of the last entry, and the file size they were read at
+  readHead() {
+    const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    if (this.head && this.head.size === size) {
+      return this.head;
+    }
+
+    let last = null;
+    try {
+      last = lastEntry(this.file, size);
+    } catch (error) {
+      // verifyAuditLog() reports the broken line; the chain carries on after it
+      console.error(`[AUDIT] Could not read the last entry of ${this.file}:`, error.message);
+    }
+    this.head = { seq: last ? last.seq : 0, hash: last ? last.hash : GENESIS_HASH, size };
+    return this.head;
+  }
+
+  /**
+   * Appends a structured logger record (see structured-logger.js) as the
+   * next entry and returns the entry. Throws if another process holds the
+   * lock for longer than `lockTimeoutMs`.
+   */
+  append(record) {
+    const entry = withLock(this.lockFile, this.lockTimeoutMs, () => {
+      const head = this.readHead();
+      const next = {
+        seq: head.seq + 1,
+        timestamp: record.timestamp || new Date().toISOString(),
+        event: record.event,
+        user: record.user,
+        outcome: record.outcome,
+        correlationId: record.correlationId,
+        requestId: record.requestId,
+        data: record.data || {},
+        prevHash: head.hash
+      };
+      next.hash = hashEntry(next, this.key);
+
+      const line = `${JSON.stringify(next)}\n`;
+      fs.appendFileSync(this.file, line);
+      this.head = { seq: next.seq, hash: next.hash, size: head.size + Buffer.byteLength(line) };
+      return next;
+    });
+
+    if (this.splunkLogger) {
+      this.splunkLogger.sendAuditEntry(entry, this.sourcetype);
+    }
+    return entry;
+  }
+
+  /**
+   * Warns about what the trail can't catch as configured, and prints the
+   * last entry's seq and hash so they can be checked against Splunk later.
+   * Returns the warnings.
+   */
+  checkSetup() {
+    const warnings = [];
+    if (!this.key) {
+      warnings.push('AUDIT_LOG_KEY is not set: entries are hashed with plain SHA-256, so anyone who can write ' +
+        'the file can edit an entry and work out the rest of the chain again');
+    }
+    if (!this.splunkLogger) {
+      warnings.push('AUDIT_SPLUNK_FORWARD is off: with no copy in Splunk, entries cut from the end of the file go unnoticed');
+    }
+    for (const warning of warnings) {
+      console.warn(`[AUDIT] ${warning}`);
+    }
+
+    const { seq, hash } = this.readHead();
+    console.log(`[AUDIT] ${this.file}: last entry ${seq} with hash ${hash}`);
+    return warnings;
+  }
+}
+
+/**
+ * Checks an audit file line by line: each entry parses, its hash matches
+ * its content (under `key` if the file was written with one), its seq
+ * follows the one before and its prevHash is that entry's hash. Returns
+ * { valid, entries, head, problems }, each problem { line, seq, problem,
+ * message } with `problem` one of unreadable, modified, missing,
+ * out_of_order or broken_chain. Entries cut from the end leave a valid
+ * chain, so `head` ({ seq, hash } of the last entry) is there to compare
+ * with the copy in Splunk.
+ */
+const verifyAuditLog = (file, { key = null } = {}) => {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const problems = [];
+  const report = (line, seq, problem, message) => problems.push({ line, seq, problem, message });
+  let previous = { seq: 0, hash: GENESIS_HASH };
+  let entries = 0;
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (error) {
+      report(line, null, 'unreadable', `line ${line} is not JSON`);
+      return;
+    }
+
+    entries++;
+    const { hash, ...content } = entry;
+    if (hash !== hashEntry(content, key)) {
+      report(line, entry.seq, 'modified', `entry ${entry.seq} does not match its hash`);
+    }
+    if (entry.seq > previous.seq + 1) {
+      report(line, entry.seq, 'missing', `entries ${previous.seq + 1} to ${entry.seq - 1} are missing`);
+    } else if (entry.seq !== previous.seq + 1) {
+      report(line, entry.seq, 'out_of_order', `entry ${entry.seq} follows entry ${previous.seq}`);
+    } else if (entry.prevHash !== previous.hash) {
+      report(line, entry.seq, 'broken_chain', `entry ${entry.seq} does not follow on from entry ${previous.seq}`);
+    }
+    previous = { seq: entry.seq, hash };
+  });
+
+  return {
+    valid: problems.length === 0,
+    entries,
+    head: entries > 0 ? previous : null,
+    problems
+  };
+};
+
+module.exports = {
+  AuditLog,
+  verifyAuditLog,
+  auditLogFile,
+  AUDIT_EVENTS,
+  GENESIS_HASH
+};
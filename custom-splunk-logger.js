@@ -1,5 +1,14 @@
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const HecDeliveryQueue = require('./hec-delivery-queue');
+const HecSpool = require('./hec-spool');
+const HecAckTracker = require('./hec-ack-tracker');
+const { getContext } = require('./request-context');
+const { createRedactor } = require('./redaction');
+
+// Events indexed under the security sourcetype rather than the default one
+const SECURITY_EVENTS = ['BANKING_ACCOUNT_LOCKED', 'BANKING_LOGIN_IP_LOCKED', 'BANKING_FRAUD_DECISION'];
 
 class CustomSplunkLogger {
   constructor(options = {}) {
@@ -7,14 +16,73 @@ class CustomSplunkLogger {
     this.token = options.token || process.env.SPLUNK_HEC_TOKEN;
     this.source = options.source || 'banking-demo';
     this.sourcetype = options.sourcetype || 'nodejs';
+    // Security events can go to their own sourcetype, so alerts needn't sift transactions
+    this.securitySourcetype = options.securitySourcetype || this.sourcetype;
+    this.securityEvents = options.securityEvents || SECURITY_EVENTS;
     this.index = options.index || 'default';
     
     if (!this.endpoint || !this.token) {
       console.warn('[CUSTOM-SPLUNK] Missing endpoint or token, logging to console only');
     }
+
+    // Applied to event data on the console and on HEC alike
+    this.redactor = options.redactor || createRedactor({ secrets: [this.token] });
+
+    // Undelivered events survive a Splunk outage (and a restart) on disk
+    const spoolDir = options.spoolDir || process.env.SPLUNK_SPOOL_DIR;
+    this.spool = spoolDir ? new HecSpool({ directory: spoolDir, ...options.spool }) : null;
+
+    // Events are batched and retried instead of one HTTPS request per event
+    this.queue = new HecDeliveryQueue({
+      send: (payload) => this.postToHec(payload),
+      spool: this.endpoint && this.token ? this.spool : null,
+      ...options.delivery
+    });
+
+    this.queue.on('drop', (entries, reason) => {
+      console.error(`[CUSTOM-SPLUNK] Dropped ${entries.length} event(s) after delivery failure (${reason})`);
+    });
+
+    this.queue.on('spool', (entries, reason) => {
+      console.warn(`[CUSTOM-SPLUNK] Spooled ${entries.length} event(s) to disk after delivery failure (${reason})`);
+    });
+
+    // Indexer acknowledgement: a 200 only means HEC received the batch
+    const ack = options.ack !== undefined ? options.ack : process.env.SPLUNK_HEC_ACK === 'true';
+    this.ackTracker = null;
+
+    if (ack) {
+      this.channel = options.channel || process.env.SPLUNK_HEC_CHANNEL || crypto.randomUUID();
+      this.ackTracker = new HecAckTracker({
+        poll: (ackIds) => this.pollAcks(ackIds),
+        resend: (entries) => this.queue.resend(entries),
+        ...(typeof ack === 'object' ? ack : {})
+      });
+
+      this.queue.on('sent', (entries, response) => this.trackAck(entries, response));
+
+      this.ackTracker.on('resend', (entries, ackId) => {
+        console.warn(`[CUSTOM-SPLUNK] No indexer ack for ackId ${ackId}, resending ${entries.length} event(s)`);
+      });
+
+      // Given up on for good: counted and reported like any other dropped batch
+      this.ackTracker.on('drop', (entries, reason) => this.queue.undeliverable(entries, reason, false));
+    }
   }
 
-  log(event, user = {}, data = {}) {
+  sourcetypeFor(event) {
+    return this.securityEvents.includes(event) ? this.securitySourcetype : this.sourcetype;
+  }
+
+  log(event, user = {}, rawData = {}) {
+    const context = getContext();
+    const data = this.redactor.redact(rawData);
+    // Who the user is, never the rest of the record (password hash, accounts)
+    const identity = {
+      id: user.id || user.username || context.userId || 'unknown',
+      name: user.name || 'unknown'
+    };
+
     // Format according to Splunk HEC JSON format
     // https://docs.splunk.com/Documentation/Splunk/latest/Data/FormateventsforHTTPEventCollector
     const logEntry = {
@@ -22,21 +90,22 @@ class CustomSplunkLogger {
       time: Date.now() / 1000,
       host: require('os').hostname(),
       source: this.source,
-      sourcetype: this.sourcetype,
+      sourcetype: this.sourcetypeFor(event),
       // The actual event data
       event: {
         event_type: event,
-        user_id: user.id || user.username || 'unknown',
-        user_name: user.name || 'unknown',
+        user_id: identity.id,
+        user_name: identity.name,
         data: data,
         app: 'banking-demo',
         environment: 'demo',
-        correlation_id: data.correlationId || `${Date.now()}-${Math.random()}`
+        correlation_id: rawData.correlationId || context.correlationId || `${Date.now()}-${Math.random()}`,
+        request_id: context.requestId
       }
     };
 
     // Always log to console for demo purposes
-    console.log(`[CUSTOM-SPLUNK] ${new Date().toISOString()} EVENT=${event} USER=${JSON.stringify(user)} DATA=${JSON.stringify(data)}`);
+    console.log(`[CUSTOM-SPLUNK] ${new Date().toISOString()} EVENT=${event} USER=${JSON.stringify(identity)} DATA=${JSON.stringify(data)}`);
     
     // Send to Splunk HEC if configured
     if (this.endpoint && this.token) {
@@ -44,7 +113,9 @@ class CustomSplunkLogger {
     }
   }
 
-  debug(message) {
+  debug(rawMessage) {
+    const message = this.redactor.redact(rawMessage);
+
     // Format according to Splunk HEC JSON format
     const logEntry = {
       // Required HEC parameters
@@ -68,47 +139,169 @@ class CustomSplunkLogger {
     }
   }
 
+  /**
+   * Sends a record from the structured logger (see structured-logger.js),
+   * keeping the event_type / user_id / data fields the dashboard queries.
+   * The logger's own console sink covers the console, so nothing is echoed.
+   */
+  sendRecord(record) {
+    if (!this.endpoint || !this.token) {
+      return;
+    }
+
+    this.sendToSplunk({
+      time: Date.parse(record.timestamp) / 1000,
+      host: require('os').hostname(),
+      source: this.source,
+      sourcetype: this.sourcetypeFor(record.event),
+      event: {
+        event_type: record.event,
+        level: record.level.toUpperCase(),
+        user_id: record.user || 'unknown',
+        outcome: record.outcome,
+        duration_ms: record.durationMs,
+        data: this.redactor.redact(record.data),
+        app: 'banking-demo',
+        environment: 'demo',
+        correlation_id: record.correlationId,
+        request_id: record.requestId
+      }
+    });
+  }
+
+  /**
+   * Sends an audit trail entry (see audit-log.js) exactly as written, hash
+   * included, under `sourcetype`. It was redacted before it was hashed, so
+   * it isn't touched again here.
+   */
+  sendAuditEntry(entry, sourcetype) {
+    if (!this.endpoint || !this.token) {
+      return;
+    }
+
+    this.sendToSplunk({
+      time: Date.parse(entry.timestamp) / 1000,
+      host: require('os').hostname(),
+      source: this.source,
+      sourcetype,
+      event: entry
+    });
+  }
+
   sendToSplunk(logEntry) {
-    const postData = JSON.stringify(logEntry);
+    this.queue.enqueue(logEntry);
+  }
+
+  postToHec(payload, pathname) {
     const url = new URL(this.endpoint);
     
     const options = {
       hostname: url.hostname,
       port: url.port || (url.protocol === 'https:' ? 443 : 80),
-      path: url.pathname,
+      path: pathname || url.pathname,
       method: 'POST',
       headers: {
         'Authorization': `Splunk ${this.token}`,
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+        'Content-Length': Buffer.byteLength(payload)
       },
       // Handle Splunk Cloud SSL certificates
       rejectUnauthorized: false
     };
 
+    if (this.channel) {
+      options.headers['X-Splunk-Request-Channel'] = this.channel;
+    }
+
     const client = url.protocol === 'https:' ? https : http;
     
-    const req = client.request(options, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => {
-        responseBody += chunk;
+    return new Promise((resolve, reject) => {
+      const req = client.request(options, (res) => {
+        let responseBody = '';
+        res.on('data', (chunk) => {
+          responseBody += chunk;
+        });
+        res.on('end', () => {
+          // Successes are counted in getDeliveryStats(); only failures are worth a console line
+          if (res.statusCode !== 200) {
+            console.error(`[CUSTOM-SPLUNK] HEC request failed with status ${res.statusCode}`);
+            console.error(`[CUSTOM-SPLUNK] Response body: ${responseBody}`);
+          }
+          resolve({ statusCode: res.statusCode, body: responseBody });
+        });
       });
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          console.log(`[CUSTOM-SPLUNK] HEC request successful (${res.statusCode})`);
-        } else {
-          console.error(`[CUSTOM-SPLUNK] HEC request failed with status ${res.statusCode}`);
-          console.error(`[CUSTOM-SPLUNK] Response body: ${responseBody}`);
-        }
+
+      req.on('error', (error) => {
+        console.error('[CUSTOM-SPLUNK] HEC request error:', error.message);
+        reject(error);
       });
-    });
 
-    req.on('error', (error) => {
-      console.error('[CUSTOM-SPLUNK] HEC request error:', error.message);
+      req.write(payload);
+      req.end();
     });
+  }
+
+  // /services/collector[/event|/raw] -> /services/collector/ack
+  ackPath() {
+    const { pathname } = new URL(this.endpoint);
+    const base = pathname.replace(/\/(event|raw)\/?$/, '').replace(/\/$/, '');
+    return `${base}/ack`;
+  }
 
-    req.write(postData);
-    req.end();
+  async pollAcks(ackIds) {
+    const response = await this.postToHec(JSON.stringify({ acks: ackIds }), this.ackPath());
+    if (response.statusCode !== 200) {
+      throw new Error(`HEC ack poll failed with status ${response.statusCode}`);
+    }
+    return JSON.parse(response.body);
+  }
+
+  trackAck(entries, response) {
+    let ackId;
+    try {
+      ackId = JSON.parse(response.body).ackId;
+    } catch (error) {
+      ackId = undefined;
+    }
+
+    if (ackId === undefined || ackId === null) {
+      if (!this.warnedMissingAck) {
+        console.warn('[CUSTOM-SPLUNK] HEC response had no ackId; is indexer acknowledgement enabled on the token?');
+        this.warnedMissingAck = true;
+      }
+      return;
+    }
+
+    this.ackTracker.track(ackId, entries);
+  }
+
+  /**
+   * Sends any buffered events and waits for in-flight batches to settle.
+   */
+  flush() {
+    return this.queue.flush();
+  }
+
+  /**
+   * Flushes and stops the delivery queue; call once on shutdown. In ack mode,
+   * batches HEC never confirmed are kept in the spool for the next run.
+   */
+  async close() {
+    await this.queue.close();
+
+    if (this.ackTracker) {
+      const unacknowledged = await this.ackTracker.close();
+      if (unacknowledged.length > 0 && this.spool) {
+        this.spool.append(unacknowledged);
+      }
+    }
+  }
+
+  getDeliveryStats() {
+    return {
+      ...this.queue.getStats(),
+      ...(this.ackTracker ? this.ackTracker.getStats() : {})
+    };
   }
 }
 
@@ -0,0 +1,336 @@
+const ledger = require('./ledger');
+const { hasAccount } = require('./accounts');
+const { toMinor, toMajor, roundToMinor, precisionError } = require('./money');
+const { FxRates, conversionFields } = require('./fx-rates');
+
+const DEFAULT_DAILY_LIMIT = 2500;
+const DEFAULT_LOOKUP_LIMIT = 10;
+const DEFAULT_LOOKUP_WINDOW_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zero is a valid setting: a daily limit of 0 turns external transfers off
+const fromEnv = (name, fallback) => {
+  const value = process.env[name];
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Case, accents, apostrophes, punctuation and spacing don't make a name different
+const nameTokens = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['\u2019]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean);
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Confirmation of payee: how well the name a customer typed fits the
+ * account holder's. 'match' when they're the same once normalized,
+ * 'close_match' for a typo or two, the words in another order, or an
+ * initial in place of a first name ("J Smith"), otherwise 'no_match'.
+ */
+const matchPayeeName = (actual, given) => {
+  const expected = nameTokens(actual);
+  const typed = nameTokens(given);
+
+  if (typed.length === 0) {
+    return 'no_match';
+  }
+  if (expected.join(' ') === typed.join(' ')) {
+    return 'match';
+  }
+
+  const sameWords = [...expected].sort().join(' ') === [...typed].sort().join(' ');
+  const typo = editDistance(expected.join(' '), typed.join(' ')) <= 2;
+  const initials = expected.length === typed.length
+    && expected[expected.length - 1] === typed[typed.length - 1]
+    && expected.slice(0, -1).every((word, index) => typed[index] === word || typed[index] === word[0]);
+
+  return sameWords || typo || initials ? 'close_match' : 'no_match';
+};
+
+/**
+ * Transfers to another customer's account, identified by its account
+ * number. The sender confirms the payee's name before money moves; a close
+ * match has to be confirmed explicitly. Each user can send at most
+ * `dailyLimit` (EXTERNAL_TRANSFER_DAILY_LIMIT, default 2500) per UTC day,
+ * counted in the base currency of the exchange rates, and look up at most
+ * `lookupLimit` payees (PAYEE_LOOKUP_LIMIT, default 10) per `lookupWindowMs`
+ * (PAYEE_LOOKUP_WINDOW_MS, default 10 minutes). Both customers get a
+ * transaction record with the same id and correlation id, and the ledger
+ * posts the transfer between the two accounts, converted with `fx` when
+ * their currencies differ.
+ */
+class ExternalTransfers {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.fx = options.fx || new FxRates();
+    this.dailyLimit = options.dailyLimit ?? fromEnv('EXTERNAL_TRANSFER_DAILY_LIMIT', DEFAULT_DAILY_LIMIT);
+    this.lookupLimit = options.lookupLimit ?? fromEnv('PAYEE_LOOKUP_LIMIT', DEFAULT_LOOKUP_LIMIT);
+    this.lookupWindowMs = options.lookupWindowMs ?? fromEnv('PAYEE_LOOKUP_WINDOW_MS', DEFAULT_LOOKUP_WINDOW_MS);
+    this.now = options.now || (() => Date.now());
+    // userId -> times of their lookups within the window; kept in memory, so a restart forgets them
+    this.lookups = new Map();
+  }
+
+  /**
+   * Counts a payee lookup by `userId`. Returns null when it may go ahead,
+   * otherwise { retryAfterMs } until the oldest lookup in the window ages out.
+   */
+  takeLookup(userId) {
+    const now = this.now();
+    const recent = (this.lookups.get(userId) || []).filter(at => at > now - this.lookupWindowMs);
+    this.lookups.set(userId, recent);
+
+    if (recent.length >= this.lookupLimit) {
+      return { retryAfterMs: (recent[0] || now) + this.lookupWindowMs - now };
+    }
+    recent.push(now);
+    return null;
+  }
+
+  /**
+   * Looks up the account `accountNumber` and checks `name` against its
+   * holder. Returns { accountNumber, result } plus the holder's name on a
+   * close match, so the customer can see who they would be paying. A full
+   * match or a miss reveals nothing, and an unknown account is a miss too,
+   * so lookups can't be used to find out which account numbers exist.
+   */
+  lookup(accountNumber, name) {
+    const account = this.store.findAccount(String(accountNumber || ''));
+    if (!account) {
+      return { accountNumber: String(accountNumber || ''), result: 'no_match' };
+    }
+
+    const result = matchPayeeName(account.holderName, name);
+    return {
+      accountNumber: account.accountNumber,
+      result,
+      ...(result === 'close_match' ? { name: account.holderName } : {})
+    };
+  }
+
+  // `amount` minor units of `currency` in the base currency, or null without a rate
+  inBaseCurrency(amount, currency) {
+    const converted = this.fx.convert(amount, currency, this.fx.base);
+    return converted ? converted.amount : null;
+  }
+
+  /**
+   * What `user` has sent to other customers since midnight UTC, in minor
+   * units of the base currency. Held transfers count until they are
+   * decided; rejected and failed ones never moved money, so they don't.
+   * `except` leaves out one transaction id.
+   */
+  usedToday(user, except) {
+    const since = new Date(Math.floor(this.now() / DAY_MS) * DAY_MS).toISOString();
+    return this.store.findTransactions(user.id, { since })
+      .filter(txn => txn.counterpartyName && hasAccount(user, txn.from) && txn.id !== except)
+      .filter(txn => txn.status !== 'rejected' && txn.status !== 'failed')
+      .reduce((sum, txn) => sum + (this.inBaseCurrency(txn.amount, txn.currency) || 0), 0);
+  }
+
+  /**
+   * Checks that sending `counted` more minor units of the base currency
+   * today keeps `user` within the daily limit. Returns null when it does,
+   * otherwise { error, reason, details }. `except` is a transaction already
+   * counted today that this replaces, such as a held transfer being
+   * released.
+   */
+  checkDailyLimit(user, counted, except) {
+    const usedToday = this.usedToday(user, except);
+    if (usedToday + counted <= roundToMinor(this.dailyLimit, this.fx.base)) {
+      return null;
+    }
+    return {
+      error: 'Daily transfer limit exceeded',
+      reason: 'DAILY_LIMIT_EXCEEDED',
+      details: { limit: this.dailyLimit, usedToday: toMajor(usedToday, this.fx.base), currency: this.fx.base }
+    };
+  }
+
+  /**
+   * Checks a transfer of `amount` (major units of the source account's
+   * currency). Returns { rejection } ({ status, error, reason, details? })
+   * when it can't go ahead, otherwise { quote } with the amount in minor
+   * units and what the payee receives in their currency ({ amount,
+   * credited, rate }). `payee` is the destination account from the store,
+   * if it exists.
+   */
+  validate(user, { amount, fromAccount, payee, payeeName, confirmCloseMatch }) {
+    const reject = (status, error, reason, details) => ({
+      rejection: { status, error, reason, ...(details ? { details } : {}) }
+    });
+
+    if (!amount || amount <= 0) {
+      return reject(400, 'Invalid amount', 'INVALID_AMOUNT');
+    }
+
+    if (!hasAccount(user, fromAccount)) {
+      return reject(400, 'Invalid source account', 'INVALID_SOURCE_ACCOUNT');
+    }
+
+    // Answered like a name that doesn't match; only the logged reason tells them apart
+    if (!payee) {
+      return reject(400, 'Payee name does not match the account', 'PAYEE_NOT_FOUND');
+    }
+
+    if (payee.userId === user.id) {
+      return reject(400, 'Use a transfer between your own accounts', 'OWN_ACCOUNT');
+    }
+
+    const match = matchPayeeName(payee.holderName, payeeName);
+    if (match === 'no_match') {
+      return reject(400, 'Payee name does not match the account', 'PAYEE_NAME_MISMATCH');
+    }
+    if (match === 'close_match' && !confirmCloseMatch) {
+      return reject(409, 'Payee name is a close match; confirm to continue', 'PAYEE_CLOSE_MATCH', {
+        payeeName: payee.holderName
+      });
+    }
+
+    const { balance, currency } = user.accounts[fromAccount];
+    const minor = toMinor(amount, currency);
+    if (minor === null) {
+      return reject(400, precisionError(currency), 'INVALID_AMOUNT');
+    }
+
+    const converted = this.fx.convert(minor, currency, payee.currency);
+    const counted = this.inBaseCurrency(minor, currency);
+    if (!converted || counted === null) {
+      const missing = converted ? this.fx.base : payee.currency;
+      return reject(400, `No exchange rate from ${currency} to ${missing}`, 'FX_RATE_UNAVAILABLE');
+    }
+    if (converted.amount === 0) {
+      return reject(400, `amount is too small to convert to ${payee.currency}`, 'INVALID_AMOUNT');
+    }
+
+    const overLimit = this.checkDailyLimit(user, counted);
+    if (overLimit) {
+      return reject(400, overLimit.error, overLimit.reason, overLimit.details);
+    }
+
+    if (balance < minor) {
+      return reject(400, 'Insufficient funds', 'INSUFFICIENT_FUNDS', {
+        available: toMajor(balance, currency),
+        currency
+      });
+    }
+
+    return { quote: { amount: minor, credited: converted.amount, rate: converted.rate } };
+  }
+
+  /**
+   * Checks and posts a transfer in one storage transaction, so neither the
+   * balance nor the day's allowance can be spent twice concurrently.
+   * Returns { rejection } or { balance, currency, conversion, payee }, with
+   * the balance in major units and `conversion` the rate and credited
+   * amount when the payee's currency differs (empty otherwise). An
+   * unconfirmed close match names the holder, so it takes one of the user's
+   * payee lookups; with none left it is refused with a 429 and
+   * TOO_MANY_LOOKUPS instead, without the name.
+   *
+   * `screen(user, quote)`, when given, runs once the transfer has passed
+   * its checks, as for transfers between a user's own accounts: null goes
+   * ahead, { rejection } refuses, and { hold: reason } records the sender's
+   * side with status 'held' and moves nothing, returning { held: true,
+   * currency, payee }. A held transfer counts towards the day's allowance
+   * until it is rejected. `ip` and `device` are kept on the sender's record for the
+   * fraud rules.
+   */
+  send(userId, request, { transactionId, correlationId, screen, ip, device }) {
+    return this.store.transaction(() => {
+      const user = this.store.getUser(userId);
+      const payee = this.store.findAccount(String(request.toAccountNumber || ''));
+
+      const { rejection, quote } = this.validate(user, { ...request, payee });
+      // A close match tells the sender the holder's name, so it costs a lookup like lookup() does
+      if (rejection && rejection.reason === 'PAYEE_CLOSE_MATCH') {
+        const limited = this.takeLookup(user.id);
+        if (limited) {
+          return {
+            rejection: {
+              status: 429,
+              error: 'Too many payee lookups, try again later',
+              reason: 'TOO_MANY_LOOKUPS',
+              retryAfterSeconds: Math.ceil(limited.retryAfterMs / 1000)
+            },
+            payee
+          };
+        }
+      }
+      if (rejection) {
+        return { rejection, payee };
+      }
+
+      const { fromAccount } = request;
+      const { currency } = user.accounts[fromAccount];
+      const timestamp = new Date(this.now());
+      const conversion = conversionFields(currency, payee.currency, { amount: quote.credited, rate: quote.rate });
+      const shared = { id: transactionId, amount: quote.amount, currency, ...conversion, timestamp, correlationId };
+      const sent = {
+        ...shared,
+        userId: user.id,
+        from: fromAccount,
+        to: payee.accountNumber,
+        counterpartyName: payee.holderName,
+        ...(ip ? { ip } : {}),
+        ...(device ? { device } : {})
+      };
+
+      const screened = screen ? screen(user, quote) : null;
+      if (screened && screened.rejection) {
+        return { rejection: screened.rejection, payee };
+      }
+      if (screened && screened.hold) {
+        this.store.addTransaction({ ...sent, status: 'held', reason: screened.hold });
+        return { held: true, currency, payee };
+      }
+
+      const { fromBalance } = ledger.postTransfer(this.store, {
+        transactionId,
+        from: { userId: user.id, type: fromAccount },
+        to: { userId: payee.userId, type: payee.type },
+        amount: quote.amount,
+        credited: quote.credited,
+        timestamp
+      });
+
+      this.store.addTransaction(sent);
+      this.store.addTransaction({
+        ...shared,
+        userId: payee.userId,
+        from: user.accounts[fromAccount].accountNumber,
+        to: payee.type,
+        counterpartyName: user.name
+      });
+
+      return {
+        balance: toMajor(fromBalance, currency),
+        currency,
+        conversion: conversion.fxRate ? { ...conversion, creditedAmount: toMajor(quote.credited, payee.currency) } : {},
+        payee
+      };
+    });
+  }
+}
+
+module.exports = {
+  ExternalTransfers,
+  matchPayeeName
+};
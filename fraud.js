@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { hasAccount } = require('./accounts');
+const { toMajor, roundToMinor } = require('./money');
+const { FxRates } = require('./fx-rates');
+
+const DEFAULTS = {
+  velocityMax: 5,
+  velocityWindowMs: 10 * 60 * 1000,
+  unusualAmountFactor: 5,
+  unusualAmountMinHistory: 3,
+  drainRatio: 0.9,
+  drainMinAmount: 1000,
+  stepUpScore: 30,
+  holdScore: 60,
+  blockScore: 90
+};
+
+const ENV = {
+  velocityMax: 'FRAUD_VELOCITY_MAX',
+  velocityWindowMs: 'FRAUD_VELOCITY_WINDOW_MS',
+  unusualAmountFactor: 'FRAUD_UNUSUAL_AMOUNT_FACTOR',
+  unusualAmountMinHistory: 'FRAUD_UNUSUAL_AMOUNT_MIN_HISTORY',
+  drainRatio: 'FRAUD_DRAIN_RATIO',
+  drainMinAmount: 'FRAUD_DRAIN_MIN_AMOUNT',
+  stepUpScore: 'FRAUD_STEP_UP_SCORE',
+  holdScore: 'FRAUD_HOLD_SCORE',
+  blockScore: 'FRAUD_BLOCK_SCORE'
+};
+
+// What each rule adds to the score when it fires; the total is capped at 100
+const RULE_SCORES = {
+  velocity: 40,
+  unusual_amount: 30,
+  new_ip: 20,
+  new_device: 15,
+  drain: 35
+};
+
+const MAX_SCORE = 100;
+
+// Option, then environment, then default, as in login-throttle.js
+const setting = (options, name) => {
+  if (options[name] !== undefined) {
+    return options[name];
+  }
+  const value = process.env[ENV[name]];
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : DEFAULTS[name];
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * A short, stable id for the client a request came from: a hash of its
+ * User-Agent, so transactions never keep the header itself. Null without
+ * one.
+ */
+const deviceOf = (req) => {
+  const userAgent = req.get('User-Agent');
+  return userAgent ? crypto.createHash('sha256').update(userAgent).digest('hex').slice(0, 16) : null;
+};
+
+/**
+ * Rule-based risk scoring for transfers, run before any money moves. Each
+ * rule that fires adds its RULE_SCORES weight:
+ *
+ *   velocity        more than `velocityMax` transfers from the user's
+ *                   accounts within `velocityWindowMs`, this one included
+ *   unusual_amount  more than `unusualAmountFactor` times the median of the
+ *                   user's completed transfers, once there are at least
+ *                   `unusualAmountMinHistory` of them
+ *   new_ip          an IP none of the user's completed transfers came from
+ *   new_device      likewise for the device (see deviceOf)
+ *   drain           at least `drainRatio` of the source balance, when that
+ *                   is `drainMinAmount` or more
+ *
+ * Amounts are compared in the base currency of the exchange rates. The
+ * score maps onto a decision: 'block' from `blockScore`, 'hold' from
+ * `holdScore`, 'step-up' from `stepUpScore`, otherwise 'allow'. The IP and
+ * device rules stay quiet until a user has transfers with those recorded,
+ * so history from before they were kept doesn't flag everyone.
+ */
+class FraudEngine {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.fx = options.fx || new FxRates();
+    for (const name of Object.keys(DEFAULTS)) {
+      this[name] = setting(options, name);
+    }
+    this.now = options.now || (() => Date.now());
+  }
+
+  // `amount` minor units of `currency` in the base currency, or null without a rate
+  inBaseCurrency(amount, currency) {
+    const converted = this.fx.convert(amount, currency, this.fx.base);
+    return converted ? converted.amount : null;
+  }
+
+  decide(score) {
+    if (score >= this.blockScore) {
+      return 'block';
+    }
+    if (score >= this.holdScore) {
+      return 'hold';
+    }
+    return score >= this.stepUpScore ? 'step-up' : 'allow';
+  }
+
+  /**
+   * Scores a transfer of `amount` minor units from `user`'s `fromAccount`,
+   * made from `ip` and `device` (either may be missing). Returns { score,
+   * decision, rules }, with one { rule, score, ...details } per rule that
+   * fired; amounts in the details are in major units of the base currency.
+   * The transfer has already been checked, so an account the user doesn't
+   * have is a bug and throws.
+   */
+  assess(user, { fromAccount, amount, ip, device }) {
+    if (!hasAccount(user, fromAccount)) {
+      throw new Error(`${user.id} has no ${fromAccount} account`);
+    }
+    const now = this.now();
+    const source = user.accounts[fromAccount];
+    const base = this.fx.base;
+    const counted = this.inBaseCurrency(amount, source.currency);
+    const rules = [];
+    const fire = (rule, details = {}) => rules.push({ rule, score: RULE_SCORES[rule], ...details });
+
+    // Transfers out of the user's own accounts; incoming ones name an account number instead
+    const outgoing = this.store.listTransactions(user.id).filter(txn => hasAccount(user, txn.from));
+    // Refused and held transfers moved nothing, so they don't make an amount or a client familiar
+    const completed = outgoing.filter(txn => !txn.status);
+
+    // Held attempts still count towards velocity; refused scheduled runs don't
+    const since = now - this.velocityWindowMs;
+    const recent = outgoing.filter(txn => txn.status !== 'failed' && new Date(txn.timestamp).getTime() > since).length + 1;
+    if (recent > this.velocityMax) {
+      fire('velocity', { count: recent, windowMs: this.velocityWindowMs });
+    }
+
+    const history = completed.map(txn => this.inBaseCurrency(txn.amount, txn.currency)).filter(value => value !== null);
+    if (counted !== null && history.length >= this.unusualAmountMinHistory) {
+      const typical = median(history);
+      if (counted > typical * this.unusualAmountFactor) {
+        fire('unusual_amount', { median: toMajor(Math.round(typical), base), currency: base });
+      }
+    }
+
+    const knownIps = new Set(completed.map(txn => txn.ip).filter(Boolean));
+    if (ip && knownIps.size > 0 && !knownIps.has(ip)) {
+      fire('new_ip');
+    }
+
+    const knownDevices = new Set(completed.map(txn => txn.device).filter(Boolean));
+    if (device && knownDevices.size > 0 && !knownDevices.has(device)) {
+      fire('new_device');
+    }
+
+    if (source.balance > 0 && amount >= source.balance * this.drainRatio
+      && counted !== null && counted >= roundToMinor(this.drainMinAmount, base)) {
+      fire('drain', { ratio: Math.round((amount / source.balance) * 100) / 100 });
+    }
+
+    const score = Math.min(rules.reduce((sum, rule) => sum + rule.score, 0), MAX_SCORE);
+    return { score, decision: this.decide(score), rules };
+  }
+}
+
+module.exports = {
+  FraudEngine,
+  deviceOf,
+  RULE_SCORES
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { CURRENCIES, DEFAULT_CURRENCY, isCurrency, toMajor } = require('./money');
+
+const DEFAULT_FILE = path.join(__dirname, 'fx-rates.json');
+// Cross rates are rounded to this many significant digits before use
+const RATE_PRECISION = 8;
+
+// The table in `file`, or an empty one (same-currency transfers only)
+const readTable = (file) => {
+  if (!fs.existsSync(file)) {
+    return { base: DEFAULT_CURRENCY, rates: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`[FX] Could not read exchange rates from ${file}:`, error.message);
+    return { base: DEFAULT_CURRENCY, rates: {} };
+  }
+};
+
+/**
+ * Exchange rates from a local table (FX_RATES_FILE, default fx-rates.json):
+ *
+ *   { "base": "USD", "rates": { "EUR": 0.92, "JPY": 151.2 } }
+ *
+ * where each rate is the price of one unit of `base` in that currency.
+ * Rates between two other currencies go through the base. Entries for
+ * unknown currencies or that aren't positive numbers are skipped with a
+ * warning.
+ */
+class FxRates {
+  constructor(options = {}) {
+    const table = options.table || readTable(options.file || process.env.FX_RATES_FILE || DEFAULT_FILE);
+    this.base = isCurrency(table.base) ? table.base : DEFAULT_CURRENCY;
+    this.rates = { [this.base]: 1 };
+
+    for (const [currency, rate] of Object.entries(table.rates || {})) {
+      if (isCurrency(currency) && typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+        this.rates[currency] = rate;
+      } else {
+        console.error(`[FX] Ignoring exchange rate ${JSON.stringify(rate)} for ${currency}`);
+      }
+    }
+  }
+
+  // Units of `to` per unit of `from`, or null when the table lacks either
+  rate(from, to) {
+    if (from === to) {
+      return 1;
+    }
+    if (!this.rates[from] || !this.rates[to]) {
+      return null;
+    }
+    return Number((this.rates[to] / this.rates[from]).toPrecision(RATE_PRECISION));
+  }
+
+  /**
+   * `amount` minor units of `from` in minor units of `to`, rounded to the
+   * nearest one: { amount, rate }, or null when there is no rate.
+   */
+  convert(amount, from, to) {
+    const rate = this.rate(from, to);
+    if (rate === null) {
+      return null;
+    }
+    return { amount: Math.round(toMajor(amount, from) * rate * 10 ** CURRENCIES[to]), rate };
+  }
+}
+
+// What a transaction records about a conversion; nothing when the currencies match
+const conversionFields = (from, to, { amount, rate }) => (from === to
+  ? {}
+  : { fxRate: rate, creditedAmount: amount, creditedCurrency: to });
+
+module.exports = { FxRates, conversionFields };
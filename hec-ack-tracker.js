@@ -0,0 +1,158 @@
+const EventEmitter = require('events');
+
+/**
+ * Tracks Splunk HEC indexer acknowledgements.
+ *
+ * With indexer ack enabled on a token, HEC answers each POST with an `ackId`
+ * that only means "received". The batch is safely indexed once
+ * `/services/collector/ack` reports that id as true. Batches still unconfirmed
+ * after `timeoutMs` are handed back through `resend(entries)`, up to
+ * `maxResends` times, after which they are given up on.
+ *
+ * `poll(ackIds)` must resolve to the parsed ack response, e.g.
+ * `{ acks: { "3": true, "4": false } }`.
+ */
+class HecAckTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (typeof options.poll !== 'function' || typeof options.resend !== 'function') {
+      throw new TypeError('HecAckTracker requires poll(ackIds) and resend(entries) functions');
+    }
+
+    this.pollAcks = options.poll;
+    this.resend = options.resend;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.maxResends = options.maxResends !== undefined ? options.maxResends : 3;
+
+    this.pending = new Map();
+    this.resendCounts = new WeakMap();
+    this.pollTimer = null;
+    this.polling = null;
+
+    this.stats = {
+      acknowledged: 0,
+      resent: 0,
+      timedOut: 0
+    };
+  }
+
+  track(ackId, entries) {
+    this.pending.set(String(ackId), { entries, sentAt: Date.now() });
+    this.startPolling();
+  }
+
+  startPolling() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.pollTimer.unref();
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Asks HEC about every outstanding ack id, then resends whatever has been
+   * waiting longer than the timeout. A failed poll just waits for the next one.
+   */
+  poll() {
+    if (this.polling) {
+      return this.polling;
+    }
+
+    this.polling = this.checkPending().finally(() => {
+      this.polling = null;
+      if (this.pending.size === 0) {
+        this.stopPolling();
+      }
+    });
+
+    return this.polling;
+  }
+
+  async checkPending() {
+    const ackIds = Array.from(this.pending.keys());
+    if (ackIds.length === 0) {
+      return;
+    }
+
+    try {
+      const response = await this.pollAcks(ackIds.map(Number));
+      const acks = (response && response.acks) || {};
+
+      for (const ackId of ackIds) {
+        const batch = this.pending.get(ackId);
+        if (batch && acks[ackId] === true) {
+          this.pending.delete(ackId);
+          this.stats.acknowledged += batch.entries.length;
+          this.emit('ack', batch.entries, Number(ackId));
+        }
+      }
+    } catch (error) {
+      this.emit('pollError', error);
+    }
+
+    this.expire();
+  }
+
+  expire() {
+    const now = Date.now();
+
+    for (const [ackId, batch] of this.pending) {
+      if (now - batch.sentAt < this.timeoutMs) {
+        continue;
+      }
+
+      this.pending.delete(ackId);
+      this.stats.timedOut += batch.entries.length;
+
+      const resends = this.resendCounts.get(batch.entries) || 0;
+      if (resends >= this.maxResends) {
+        this.emit('drop', batch.entries, 'ack_timeout');
+        continue;
+      }
+
+      this.resendCounts.set(batch.entries, resends + 1);
+      this.stats.resent += batch.entries.length;
+      this.emit('resend', batch.entries, Number(ackId));
+      this.resend(batch.entries);
+    }
+  }
+
+  /**
+   * Polls one last time and stops. Resolves to the entries that were never
+   * acknowledged so the caller can keep them (e.g. in the spool).
+   */
+  async close() {
+    this.stopPolling();
+    if (this.polling) {
+      await this.polling;
+    }
+    await this.checkPending();
+    this.stopPolling();
+
+    const unacknowledged = [];
+    for (const batch of this.pending.values()) {
+      unacknowledged.push(...batch.entries);
+    }
+    this.pending.clear();
+    return unacknowledged;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pendingAcks: this.pending.size
+    };
+  }
+}
+
+module.exports = HecAckTracker;
@@ -0,0 +1,334 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process delivery queue for Splunk HEC events.
+ *
+ * Events are buffered and shipped as multi-event HEC payloads (one JSON
+ * object per line) once a batch is full by count or bytes, or when the
+ * flush interval elapses. Batches that fail with a 5xx status or a network
+ * error are retried with exponential backoff; anything else is dropped.
+ *
+ * The queue does not talk HTTP itself: `send(payload)` must return a promise
+ * resolving to `{ statusCode, body }` and rejecting on network errors.
+ *
+ * With a `spool` (see hec-spool.js), batches that could not be delivered for
+ * transient reasons are written to disk instead of dropped, and replayed in
+ * order every `spoolRetryMs` and before any newer batch is sent. While the
+ * spool can't be emptied, newer batches join the end of it, so HEC always
+ * receives events in the order they were logged.
+ */
+class HecDeliveryQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (typeof options.send !== 'function') {
+      throw new TypeError('HecDeliveryQueue requires a send(payload) function');
+    }
+
+    this.send = options.send;
+    this.maxBatchSize = options.maxBatchSize || 50;
+    this.maxBatchBytes = options.maxBatchBytes || 512 * 1024;
+    this.flushIntervalMs = options.flushIntervalMs !== undefined ? options.flushIntervalMs : 1000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.retryMaxMs = options.retryMaxMs || 30000;
+    this.maxQueueSize = options.maxQueueSize || 10000;
+    this.spool = options.spool || null;
+    this.spoolRetryMs = options.spoolRetryMs || 30000;
+
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.inFlight = new Set();
+    this.flushTimer = null;
+    this.retryTimers = new Map();
+    this.spoolTimer = null;
+    this.replaying = null;
+    this.closed = false;
+
+    this.stats = {
+      sent: 0,
+      retried: 0,
+      dropped: 0,
+      spooled: 0
+    };
+
+    // Events left over from a previous run go out once HEC answers again
+    if (this.spool && this.spool.hasPending()) {
+      this.scheduleSpoolReplay();
+    }
+  }
+
+  enqueue(logEntry) {
+    if (this.closed) {
+      this.undeliverable([logEntry], 'closed', true);
+      return;
+    }
+
+    const line = JSON.stringify(logEntry);
+
+    // Oldest events go first when the buffer overflows
+    if (this.buffer.length >= this.maxQueueSize) {
+      const evicted = this.buffer.shift();
+      this.bufferBytes -= evicted.bytes;
+      this.undeliverable([evicted.entry], 'queue_full', true);
+    }
+
+    const bytes = Buffer.byteLength(line) + 1;
+    this.buffer.push({ entry: logEntry, line, bytes });
+    this.bufferBytes += bytes;
+
+    if (this.buffer.length >= this.maxBatchSize || this.bufferBytes >= this.maxBatchBytes) {
+      this.drainBuffer();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.drainBuffer();
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  clearFlushTimer() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  // Split the buffer into batches that respect both the count and byte limits
+  drainBuffer() {
+    this.clearFlushTimer();
+
+    while (this.buffer.length > 0) {
+      const batch = [];
+      let batchBytes = 0;
+
+      while (this.buffer.length > 0 && batch.length < this.maxBatchSize) {
+        const next = this.buffer[0];
+        if (batch.length > 0 && batchBytes + next.bytes > this.maxBatchBytes) {
+          break;
+        }
+        batch.push(this.buffer.shift());
+        batchBytes += next.bytes;
+      }
+
+      this.bufferBytes -= batchBytes;
+      this.dispatch(batch.map(item => item.entry), batch.map(item => item.line).join('\n'));
+    }
+  }
+
+  /**
+   * Sends a previously delivered batch again as a unit, e.g. when HEC never
+   * acknowledged indexing it.
+   */
+  resend(entries) {
+    if (this.closed) {
+      this.undeliverable(entries, 'closed', true);
+      return Promise.resolve();
+    }
+
+    this.stats.retried += entries.length;
+    return this.dispatch(entries, entries.map(entry => JSON.stringify(entry)).join('\n'));
+  }
+
+  dispatch(entries, payload) {
+    const delivery = this.deliver(entries, payload, 0);
+    this.inFlight.add(delivery);
+    delivery.finally(() => this.inFlight.delete(delivery));
+    return delivery;
+  }
+
+  async deliver(entries, payload, attempt) {
+    let retryable;
+    let reason;
+
+    // Events spooled during an outage go out before anything newer
+    if (attempt === 0 && this.spool && this.spool.hasPending()) {
+      await this.replaySpool();
+      if (this.spool.hasPending()) {
+        this.undeliverable(entries, 'spool_pending', true);
+        return;
+      }
+    }
+
+    try {
+      const response = await this.send(payload);
+
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        this.stats.sent += entries.length;
+        this.emit('sent', entries, response);
+        this.replaySpool();
+        return;
+      }
+
+      retryable = response.statusCode >= 500;
+      reason = `status_${response.statusCode}`;
+    } catch (error) {
+      retryable = true;
+      reason = error.code || 'network_error';
+    }
+
+    if (retryable && attempt < this.maxRetries && !this.closed) {
+      this.stats.retried += entries.length;
+      this.emit('retry', entries, reason, attempt + 1);
+      await this.waitForRetry(this.backoffDelay(attempt));
+
+      if (!this.closed) {
+        return this.deliver(entries, payload, attempt + 1);
+      }
+      reason = 'closed';
+    }
+
+    this.undeliverable(entries, reason, retryable);
+  }
+
+  // Transient failures are parked in the spool when there is one
+  undeliverable(entries, reason, transient) {
+    if (transient && this.spool) {
+      try {
+        this.spool.append(entries);
+        this.stats.spooled += entries.length;
+        this.emit('spool', entries, reason);
+        this.scheduleSpoolReplay();
+        return;
+      } catch (error) {
+        reason = `spool_${error.code || 'error'}`;
+      }
+    }
+
+    this.stats.dropped += entries.length;
+    this.emit('drop', entries, reason);
+  }
+
+  scheduleSpoolReplay() {
+    if (this.spoolTimer || this.closed) {
+      return;
+    }
+
+    this.spoolTimer = setTimeout(() => {
+      this.spoolTimer = null;
+      this.replaySpool();
+    }, this.spoolRetryMs);
+    this.spoolTimer.unref();
+  }
+
+  /**
+   * Sends spooled events oldest first. Only one replay runs at a time; a
+   * failed replay leaves the rest on disk and tries again later.
+   */
+  replaySpool() {
+    if (!this.spool || this.replaying || this.closed) {
+      return this.replaying || Promise.resolve();
+    }
+
+    if (!this.spool.hasPending()) {
+      return Promise.resolve();
+    }
+
+    this.replaying = this.spool.replay(async (entries) => {
+      try {
+        const payload = entries.map(entry => JSON.stringify(entry)).join('\n');
+        const response = await this.send(payload);
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          this.stats.sent += entries.length;
+          this.emit('sent', entries, response);
+          return true;
+        }
+        return response.statusCode < 500 ? this.rejectReplayed(entries, response.statusCode) : false;
+      } catch (error) {
+        return false;
+      }
+    }, this.maxBatchSize)
+      .catch(() => false)
+      .then((complete) => {
+        this.replaying = null;
+        if (!complete || this.spool.hasPending()) {
+          this.scheduleSpoolReplay();
+        }
+      });
+
+    return this.replaying;
+  }
+
+  // HEC refusing a spooled batch outright will never change, so move past it
+  rejectReplayed(entries, statusCode) {
+    this.stats.dropped += entries.length;
+    this.emit('drop', entries, `status_${statusCode}`);
+    return true;
+  }
+
+  waitForRetry(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        resolve();
+      }, ms);
+      timer.unref();
+      this.retryTimers.set(timer, resolve);
+    });
+  }
+
+  // Wake every batch sleeping on a backoff so it can give up immediately
+  cancelRetries() {
+    for (const [timer, resolve] of this.retryTimers) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.retryTimers.clear();
+  }
+
+  backoffDelay(attempt) {
+    const delay = this.retryBaseMs * Math.pow(2, attempt);
+    // Jitter keeps a fleet of demo servers from retrying in lockstep
+    return Math.min(this.retryMaxMs, Math.round(delay / 2 + Math.random() * delay / 2));
+  }
+
+  /**
+   * Sends everything currently buffered and resolves once every in-flight
+   * batch has either been delivered or given up on.
+   */
+  async flush() {
+    this.drainBuffer();
+    while (this.inFlight.size > 0) {
+      await Promise.all(Array.from(this.inFlight));
+    }
+  }
+
+  /**
+   * Flushes outstanding events and stops accepting new ones. Batches still
+   * waiting on a retry are dropped rather than holding shutdown hostage.
+   */
+  async close() {
+    this.drainBuffer();
+    this.closed = true;
+    this.cancelRetries();
+    await this.flush();
+
+    if (this.replaying) {
+      await this.replaying;
+    }
+    if (this.spoolTimer) {
+      clearTimeout(this.spoolTimer);
+      this.spoolTimer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.buffer.length,
+      inFlight: this.inFlight.size,
+      spoolSegments: this.spool ? this.spool.listSegments().length : 0
+    };
+  }
+}
+
+module.exports = HecDeliveryQueue;
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.jsonl$/;
+
+/**
+ * Durable on-disk spool for HEC events that could not be delivered.
+ *
+ * Events are appended as JSON lines to numbered segment files. A segment is
+ * sealed when it reaches `maxSegmentBytes` (or when a replay starts) and new
+ * events go to the next one. Replay walks segments oldest first, recording
+ * progress in a `.ack` checkpoint beside the segment so a restart resumes
+ * where delivery stopped instead of resending the whole segment. When the
+ * spool grows past `maxTotalBytes` the oldest segments are discarded.
+ */
+class HecSpool {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new TypeError('HecSpool requires a directory');
+    }
+
+    this.directory = options.directory;
+    this.maxSegmentBytes = options.maxSegmentBytes || 1024 * 1024;
+    this.maxTotalBytes = options.maxTotalBytes || 50 * 1024 * 1024;
+
+    this.activeSegment = null;
+    this.activeBytes = 0;
+    this.nextSequence = this.listSegments().reduce((max, segment) => Math.max(max, segment.sequence), 0) + 1;
+
+    this.stats = {
+      spooled: 0,
+      replayed: 0,
+      dropped: 0
+    };
+  }
+
+  listSegments() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .map(name => ({ name, match: SEGMENT_PATTERN.exec(name) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({
+        name,
+        sequence: Number(match[1]),
+        file: path.join(this.directory, name)
+      }))
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  hasPending() {
+    return this.listSegments().length > 0;
+  }
+
+  append(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (!this.activeSegment || this.activeBytes >= this.maxSegmentBytes) {
+      this.openSegment();
+    }
+
+    const chunk = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    fs.appendFileSync(this.activeSegment, chunk);
+    this.activeBytes += Buffer.byteLength(chunk);
+    this.stats.spooled += entries.length;
+
+    this.enforceSizeCap();
+  }
+
+  openSegment() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const name = `segment-${String(this.nextSequence).padStart(12, '0')}.jsonl`;
+    this.nextSequence += 1;
+    this.activeSegment = path.join(this.directory, name);
+    this.activeBytes = 0;
+  }
+
+  sealActiveSegment() {
+    this.activeSegment = null;
+    this.activeBytes = 0;
+  }
+
+  totalBytes() {
+    return this.listSegments().reduce((sum, segment) => sum + fs.statSync(segment.file).size, 0);
+  }
+
+  // Oldest events are sacrificed first; the active segment is never removed
+  enforceSizeCap() {
+    let total = this.totalBytes();
+
+    for (const segment of this.listSegments()) {
+      if (total <= this.maxTotalBytes || segment.file === this.activeSegment) {
+        break;
+      }
+
+      const size = fs.statSync(segment.file).size;
+      this.stats.dropped += this.readPending(segment).length;
+      this.removeSegment(segment);
+      total -= size;
+    }
+  }
+
+  readLines(segment) {
+    try {
+      return fs.readFileSync(segment.file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      // Discarded by the size cap while we were looking at it
+      return [];
+    }
+  }
+
+  readPending(segment) {
+    return parseLines(this.readLines(segment).slice(this.readCheckpoint(segment)));
+  }
+
+  readCheckpoint(segment) {
+    try {
+      return Number(fs.readFileSync(`${segment.file}.ack`, 'utf8')) || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  removeSegment(segment) {
+    fs.rmSync(segment.file, { force: true });
+    fs.rmSync(`${segment.file}.ack`, { force: true });
+  }
+
+  /**
+   * Replays spooled events in order through `sendBatch(entries)`, which must
+   * resolve to true once a batch is delivered. Stops at the first failure,
+   * leaving the remainder on disk. Resolves to true once every segment that
+   * existed when the replay started has been delivered.
+   */
+  async replay(sendBatch, batchSize = 50) {
+    this.sealActiveSegment();
+
+    for (const segment of this.listSegments()) {
+      const lines = this.readLines(segment);
+      let delivered = this.readCheckpoint(segment);
+
+      while (delivered < lines.length) {
+        const chunk = lines.slice(delivered, delivered + batchSize);
+        const entries = parseLines(chunk);
+
+        if (entries.length > 0 && !(await sendBatch(entries))) {
+          return false;
+        }
+
+        delivered += chunk.length;
+        this.stats.replayed += entries.length;
+
+        if (!fs.existsSync(segment.file)) {
+          break;
+        }
+        fs.writeFileSync(`${segment.file}.ack`, String(delivered));
+      }
+
+      this.removeSegment(segment);
+    }
+
+    return true;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      segments: this.listSegments().length
+    };
+  }
+}
+
+// Lines torn by a crash mid-append are skipped rather than wedging the spool
+const parseLines = (lines) => {
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      continue;
+    }
+  }
+  return entries;
+};
+
+module.exports = HecSpool;
@@ -0,0 +1,111 @@
+const ledger = require('./ledger');
+const { hasAccount } = require('./accounts');
+const { ExternalTransfers } = require('./external-transfers');
+
+/**
+ * Review of the transfers the fraud rules held (see fraud.js). A held
+ * transfer is recorded on the sender's side only, with status 'held', and
+ * has moved no money. release() posts it as it was quoted when it was held,
+ * provided the funds are still there; the record becomes an ordinary
+ * completed transfer dated when it was released, and a payment to another
+ * customer gets the recipient's side then. Being dated then, such a payment
+ * counts towards the sender's daily limit for the day it is released, so it
+ * stays held if that day's allowance can't take it. reject() marks it
+ * 'rejected' for good. Both return { transfer } with the record as it was
+ * held, or { rejection } ({ error, reason, details? }) when it can't be
+ * done.
+ */
+class HeldTransfers {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.now = options.now || (() => Date.now());
+    // For the daily limit on payments to other customers
+    this.externalTransfers = options.externalTransfers || new ExternalTransfers({ store: this.store, now: this.now });
+  }
+
+  list() {
+    return this.store.listHeldTransactions();
+  }
+
+  find(transactionId) {
+    return this.list().find(txn => txn.id === transactionId) || null;
+  }
+
+  release(transactionId) {
+    return this.store.transaction(() => {
+      const held = this.find(transactionId);
+      if (!held) {
+        return { rejection: { error: 'No held transfer with that id', reason: 'NOT_HELD' } };
+      }
+
+      const user = this.store.getUser(held.userId);
+      if (!hasAccount(user, held.from)) {
+        return { rejection: { error: 'The source account no longer exists', reason: 'SOURCE_NOT_FOUND' } };
+      }
+      const source = user.accounts[held.from];
+      // Between the user's own accounts `to` is an account type, otherwise the payee's account number
+      const payee = hasAccount(user, held.to)
+        ? { userId: user.id, type: held.to }
+        : this.store.findAccount(held.to);
+      if (!payee) {
+        return { rejection: { error: 'The payee account no longer exists', reason: 'PAYEE_NOT_FOUND' } };
+      }
+      if (source.balance < held.amount) {
+        return { rejection: { error: 'Insufficient funds', reason: 'INSUFFICIENT_FUNDS' } };
+      }
+      // Released today, so it counts towards today's limit in place of the day it was held
+      if (payee.userId !== user.id) {
+        const counted = this.externalTransfers.inBaseCurrency(held.amount, held.currency);
+        const overLimit = counted === null
+          ? { error: `No exchange rate from ${held.currency} to ${this.externalTransfers.fx.base}`, reason: 'FX_RATE_UNAVAILABLE' }
+          : this.externalTransfers.checkDailyLimit(user, counted, held.id);
+        if (overLimit) {
+          return { rejection: overLimit };
+        }
+      }
+
+      const timestamp = new Date(this.now());
+      ledger.postTransfer(this.store, {
+        transactionId: held.id,
+        from: { userId: user.id, type: held.from },
+        to: { userId: payee.userId, type: payee.type },
+        amount: held.amount,
+        credited: held.creditedCurrency ? held.creditedAmount : held.amount,
+        timestamp
+      });
+      this.store.updateTransactionStatus(user.id, held.id, { status: null, timestamp });
+
+      if (payee.userId !== user.id) {
+        const { id, amount, currency, fxRate, creditedAmount, creditedCurrency, correlationId } = held;
+        this.store.addTransaction({
+          id,
+          amount,
+          currency,
+          ...(creditedCurrency ? { fxRate, creditedAmount, creditedCurrency } : {}),
+          timestamp,
+          correlationId,
+          userId: payee.userId,
+          from: source.accountNumber,
+          to: payee.type,
+          counterpartyName: user.name
+        });
+      }
+
+      return { transfer: held };
+    });
+  }
+
+  reject(transactionId) {
+    return this.store.transaction(() => {
+      const held = this.find(transactionId);
+      if (!held) {
+        return { rejection: { error: 'No held transfer with that id', reason: 'NOT_HELD' } };
+      }
+
+      this.store.updateTransactionStatus(held.userId, held.id, { status: 'rejected', reason: held.reason });
+      return { transfer: held };
+    });
+  }
+}
+
+module.exports = { HeldTransfers };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Same body, same fingerprint, whatever order the client put the keys in
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+// Step-up proof sent along with a transfer; an unsalted hash of a password has no place in the store
+const CREDENTIAL_FIELDS = ['password', 'code', 'recoveryCode'];
+
+const withoutCredentials = (body) => Object.keys(body)
+  .filter(key => !CREDENTIAL_FIELDS.includes(key))
+  .reduce((result, key) => {
+    result[key] = body[key];
+    return result;
+  }, {});
+
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.path} ${JSON.stringify(canonicalize(withoutCredentials(req.body || {})))}`)
+  .digest('hex');
+
+// Server errors, failed authentication, step-up challenges and lockouts say
+// nothing final about the request, so a retry under the same key runs again
+const remembered = (status, body) => status < 500
+  && status !== 401
+  && status !== 429
+  && !(body && body.code === 'STEP_UP_REQUIRED');
+
+/**
+ * Route middleware honouring an Idempotency-Key header. The first request
+ * with a key stores its fingerprint and response (unless it is one the client
+ * should be free to retry, see remembered()); a repeat with the same body gets that
+ * response replayed, a repeat with a different body gets a 422. Keys are
+ * scoped to the logged-in user and expire after `ttlMs`
+ * (IDEMPOTENCY_KEY_TTL_MS, default 24 hours). Requests without the header
+ * pass straight through.
+ */
+const idempotencyMiddleware = ({ store, logger, ttlMs } = {}) => {
+  const ttl = ttlMs || Number(process.env.IDEMPOTENCY_KEY_TTL_MS) || DEFAULT_TTL_MS;
+
+  return (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: `Invalid ${HEADER} header` });
+    }
+
+    const now = new Date();
+    const requestFingerprint = fingerprint(req);
+    const existing = store.getIdempotencyKey(req.user.id, key);
+
+    if (existing && new Date(existing.expiresAt) > now) {
+      if (existing.fingerprint !== requestFingerprint) {
+        logger.warn('BANKING_IDEMPOTENCY_KEY_REUSED', {
+          outcome: 'failure',
+          idempotencyKey: key,
+          path: req.path,
+          originalCreatedAt: existing.createdAt
+        });
+        return res.status(422).json({ error: `${HEADER} was already used with a different request` });
+      }
+
+      logger.info('BANKING_TRANSFER_IDEMPOTENT_REPLAY', {
+        outcome: 'replayed',
+        idempotencyKey: key,
+        path: req.path,
+        originalStatus: existing.status,
+        originalCreatedAt: existing.createdAt
+      });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status).json(existing.response);
+    }
+
+    // Remember whatever the route answers, before it goes out
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (remembered(res.statusCode, body)) {
+        store.transaction(() => {
+          store.deleteExpiredIdempotencyKeys(now);
+          store.saveIdempotencyKey({
+            key,
+            userId: req.user.id,
+            fingerprint: requestFingerprint,
+            status: res.statusCode,
+            response: body,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttl).toISOString()
+          });
+        });
+      }
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotencyMiddleware,
+  fingerprint
+};
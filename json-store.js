@@ -0,0 +1,387 @@
+const fs = require('fs');
+const { DEFAULT_CURRENCY, roundToMinor, toMajor } = require('./money');
+const { hasAccount } = require('./accounts');
+
+// Transfers touching `account` count as out of it (from) or into it (to);
+// amount bounds are in major units of the transfer's own currency
+const matchesFilters = (txn, timestamp, { account, direction, since, until, minAmount, maxAmount }) => {
+  if (account && !((direction !== 'in' && txn.from === account) || (direction !== 'out' && txn.to === account))) {
+    return false;
+  }
+  const amount = toMajor(txn.amount, txn.currency);
+  return (!since || timestamp >= since)
+    && (!until || timestamp <= until)
+    && (minAmount === undefined || amount >= minAmount)
+    && (maxAmount === undefined || amount <= maxAmount);
+};
+
+// Records without a currency hold dollars as floats; gives them cents
+const upgradeAmount = (record, field) => {
+  if (record.currency) {
+    return false;
+  }
+  record[field] = roundToMinor(record[field], DEFAULT_CURRENCY);
+  record.currency = DEFAULT_CURRENCY;
+  return true;
+};
+
+/**
+ * Storage backend keeping everything in one JSON file (the original
+ * data.json layout: users with nested accounts, sessions keyed by id and a
+ * transactions array, plus postings for the ledger, idempotency keys, login
+ * failure counters, TOTP enrolments and scheduled transfers). Every call reads the file and every write
+ * rewrites it, so run multi-step updates inside transaction() to do that
+ * only once. Money is kept in integer minor units with a currency on each
+ * record; a file from before that is upgraded when the store opens it.
+ */
+class JsonStore {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.pending = null;
+
+    if (this.file && fs.existsSync(this.file)) {
+      const data = this.read();
+      if (JsonStore.upgrade(data)) {
+        this.write(data);
+      }
+    }
+  }
+
+  /**
+   * Converts balances and amounts stored as dollar floats to integer cents
+   * in place. Returns whether anything changed; running it again is a no-op.
+   */
+  static upgrade(data) {
+    let changed = false;
+    for (const user of Object.values(data.users || {})) {
+      for (const account of Object.values(user.accounts || {})) {
+        changed = upgradeAmount(account, 'balance') || changed;
+      }
+    }
+    for (const record of [
+      ...(data.transactions || []),
+      ...(data.postings || []),
+      ...Object.values(data.scheduledTransfers || {})
+    ]) {
+      changed = upgradeAmount(record, 'amount') || changed;
+    }
+    return changed;
+  }
+
+  read() {
+    if (this.pending) {
+      return this.pending;
+    }
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  write(data) {
+    if (this.pending) {
+      return;
+    }
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Runs `fn` against a single in-memory copy of the file and writes it back
+   * once at the end; nothing is written if `fn` throws.
+   */
+  transaction(fn) {
+    if (this.pending) {
+      return fn();
+    }
+
+    this.pending = this.read();
+    try {
+      const result = fn();
+      const data = this.pending;
+      this.pending = null;
+      this.write(data);
+      return result;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  getUser(userId) {
+    const user = this.read().users[userId];
+    return user ? { ...user, accounts: user.accounts || {} } : null;
+  }
+
+  getAccount(userId, type) {
+    const user = this.read().users[userId];
+    return hasAccount(user, type) ? user.accounts[type] : null;
+  }
+
+  setPassword(userId, passwordHash) {
+    const data = this.read();
+    data.users[userId].password = passwordHash;
+    this.write(data);
+  }
+
+  // Any customer's account by its number, with the holder's name, or null
+  findAccount(accountNumber) {
+    for (const user of Object.values(this.read().users)) {
+      for (const [type, account] of Object.entries(user.accounts || {})) {
+        if (account.accountNumber === accountNumber) {
+          return { ...account, type, userId: user.id, holderName: user.name };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Every account, flattened: [{ userId, type, accountNumber, balance, currency }]
+  listAccounts() {
+    const accounts = [];
+    for (const user of Object.values(this.read().users)) {
+      for (const [type, account] of Object.entries(user.accounts || {})) {
+        const { accountNumber, balance, currency } = account;
+        accounts.push({ userId: user.id, type, accountNumber, balance, currency });
+      }
+    }
+    return accounts;
+  }
+
+  setBalance(userId, type, balance) {
+    const data = this.read();
+    data.users[userId].accounts[type].balance = balance;
+    this.write(data);
+  }
+
+  getSession(sessionId) {
+    return this.read().sessions[sessionId] || null;
+  }
+
+  createSession(sessionId, session) {
+    const data = this.read();
+    data.sessions[sessionId] = session;
+    this.write(data);
+  }
+
+  deleteSession(sessionId) {
+    const data = this.read();
+    delete data.sessions[sessionId];
+    this.write(data);
+  }
+
+  touchSession(sessionId, lastSeenAt) {
+    const data = this.read();
+    if (data.sessions[sessionId]) {
+      data.sessions[sessionId].lastSeenAt = lastSeenAt instanceof Date ? lastSeenAt.toISOString() : lastSeenAt;
+      this.write(data);
+    }
+  }
+
+  // [{ id, userId, createdAt, lastSeenAt }], for one user or everyone
+  listSessions(userId) {
+    return Object.entries(this.read().sessions)
+      .map(([id, session]) => ({ id, ...session }))
+      .filter(session => !userId || session.userId === userId);
+  }
+
+  countSessions() {
+    return Object.keys(this.read().sessions).length;
+  }
+
+  addTransaction(transaction) {
+    const data = this.read();
+    data.transactions.push(transaction);
+    this.write(data);
+  }
+
+  // Oldest first, as stored
+  listTransactions(userId) {
+    return this.read().transactions.filter(txn => txn.userId === userId);
+  }
+
+  /**
+   * A user's transactions matching `filters` (see parseHistoryQuery in
+   * transaction-history.js), ordered by time then id and starting after the
+   * `after` key, at most `limit` of them.
+   */
+  findTransactions(userId, filters = {}) {
+    const descending = filters.order === 'desc';
+    const key = (txn) => [new Date(txn.timestamp).toISOString(), txn.id];
+    const compare = (a, b) => {
+      const [x, y] = a[0] === b[0] ? [a[1], b[1]] : [a[0], b[0]];
+      return x < y ? -1 : x > y ? 1 : 0;
+    };
+    const after = filters.after && [filters.after.timestamp, filters.after.id];
+
+    const matches = this.read().transactions
+      .filter(txn => txn.userId === userId && matchesFilters(txn, key(txn)[0], filters))
+      .filter(txn => !after || compare(key(txn), after) * (descending ? -1 : 1) > 0)
+      .sort((a, b) => compare(key(a), key(b)) * (descending ? -1 : 1));
+
+    return matches.slice(0, filters.limit || matches.length)
+      .map(txn => ({ ...txn, timestamp: key(txn)[0] }));
+  }
+
+  // Every user's transactions held by the fraud rules, oldest first
+  listHeldTransactions() {
+    return this.read().transactions.filter(txn => txn.status === 'held');
+  }
+
+  /**
+   * Sets the status, reason and time of one of a user's transactions; a
+   * null status marks it completed. Returns false when there is no such
+   * transaction.
+   */
+  updateTransactionStatus(userId, id, { status, reason, timestamp }) {
+    const data = this.read();
+    const txn = data.transactions.find(t => t.userId === userId && t.id === id);
+    if (!txn) {
+      return false;
+    }
+
+    delete txn.status;
+    delete txn.reason;
+    Object.assign(txn, status ? { status, reason } : {}, timestamp ? { timestamp } : {});
+    this.write(data);
+    return true;
+  }
+
+  addPosting(posting) {
+    const data = this.read();
+    data.postings = data.postings || [];
+    data.postings.push(posting);
+    this.write(data);
+  }
+
+  // All postings in posting order, optionally for one transaction only
+  listPostings(transactionId) {
+    const postings = this.read().postings || [];
+    return transactionId ? postings.filter(p => p.transactionId === transactionId) : postings;
+  }
+
+  // Credits minus debits posted to one account
+  ledgerBalance(accountNumber) {
+    return (this.read().postings || [])
+      .filter(p => p.accountNumber === accountNumber)
+      .reduce((sum, p) => sum + (p.direction === 'credit' ? p.amount : -p.amount), 0);
+  }
+
+  getIdempotencyKey(userId, key) {
+    const keys = this.read().idempotencyKeys || {};
+    return keys[`${userId}:${key}`] || null;
+  }
+
+  saveIdempotencyKey(record) {
+    const data = this.read();
+    data.idempotencyKeys = data.idempotencyKeys || {};
+    data.idempotencyKeys[`${record.userId}:${record.key}`] = record;
+    this.write(data);
+  }
+
+  deleteExpiredIdempotencyKeys(now) {
+    const data = this.read();
+    const expired = Object.entries(data.idempotencyKeys || {})
+      .filter(([, record]) => new Date(record.expiresAt) <= now)
+      .map(([id]) => id);
+
+    if (expired.length > 0) {
+      expired.forEach(id => delete data.idempotencyKeys[id]);
+      this.write(data);
+    }
+    return expired.length;
+  }
+
+  getLoginAttempts(key) {
+    const attempts = this.read().loginAttempts || {};
+    return attempts[key] || null;
+  }
+
+  saveLoginAttempts(record) {
+    const data = this.read();
+    data.loginAttempts = data.loginAttempts || {};
+    data.loginAttempts[record.key] = record;
+    this.write(data);
+  }
+
+  // Returns whether there was anything to delete
+  deleteLoginAttempts(key) {
+    const data = this.read();
+    if (!data.loginAttempts || !data.loginAttempts[key]) {
+      return false;
+    }
+    delete data.loginAttempts[key];
+    this.write(data);
+    return true;
+  }
+
+  deleteExpiredLoginAttempts(now) {
+    const data = this.read();
+    const expired = Object.entries(data.loginAttempts || {})
+      .filter(([, record]) => new Date(record.expiresAt) <= now)
+      .map(([key]) => key);
+
+    if (expired.length > 0) {
+      expired.forEach(key => delete data.loginAttempts[key]);
+      this.write(data);
+    }
+    return expired.length;
+  }
+
+  getTotp(userId) {
+    const totp = this.read().totp || {};
+    return totp[userId] || null;
+  }
+
+  saveTotp(record) {
+    const data = this.read();
+    data.totp = data.totp || {};
+    data.totp[record.userId] = record;
+    this.write(data);
+  }
+
+  deleteTotp(userId) {
+    const data = this.read();
+    if (data.totp && data.totp[userId]) {
+      delete data.totp[userId];
+      this.write(data);
+    }
+  }
+
+  getScheduledTransfer(id) {
+    const schedules = this.read().scheduledTransfers || {};
+    return schedules[id] || null;
+  }
+
+  // Oldest first
+  listScheduledTransfers(userId) {
+    return Object.values(this.read().scheduledTransfers || {})
+      .filter(schedule => schedule.userId === userId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+  }
+
+  // Active schedules whose next run is at or before `now`, earliest first
+  listDueScheduledTransfers(now) {
+    const due = now.toISOString();
+    return Object.values(this.read().scheduledTransfers || {})
+      .filter(schedule => schedule.status === 'active' && schedule.nextRunAt <= due)
+      .sort((a, b) => (a.nextRunAt < b.nextRunAt ? -1 : a.nextRunAt > b.nextRunAt ? 1 : 0));
+  }
+
+  saveScheduledTransfer(schedule) {
+    const data = this.read();
+    data.scheduledTransfers = data.scheduledTransfers || {};
+    data.scheduledTransfers[schedule.id] = schedule;
+    this.write(data);
+  }
+
+  // Returns whether there was anything to delete
+  deleteScheduledTransfer(id) {
+    const data = this.read();
+    if (!data.scheduledTransfers || !data.scheduledTransfers[id]) {
+      return false;
+    }
+    delete data.scheduledTransfers[id];
+    this.write(data);
+    return true;
+  }
+
+  close() {}
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,151 @@
+/**
+ * Double-entry ledger on top of the storage layer. Every movement of money
+ * is a pair of postings sharing a transaction id: a debit on the account the
+ * money leaves and a credit on the account it enters. An account's balance
+ * is its credits minus its debits; the balance stored on the account is a
+ * copy of that, rewritten whenever the account is posted to, and
+ * reconcile() reports where the two have drifted apart.
+ *
+ * Amounts are integer minor units and every posting carries its currency.
+ * A transfer between accounts in different currencies posts each side in
+ * its own currency against that currency's FX position account, so the
+ * debits and credits of a transaction agree currency by currency.
+ */
+
+// Contra account for balances that existed before the ledger did
+const OPENING_BALANCE_ACCOUNT = 'EQUITY-OPENING';
+
+// Where money changing currency leaves one and enters the other
+const fxPositionAccount = (currency) => `FX-POSITION-${currency}`;
+
+const postLegs = (store, { transactionId, debit, credit, amount, currency, timestamp }) => {
+  store.addPosting({ transactionId, accountNumber: debit, direction: 'debit', amount, currency, timestamp });
+  store.addPosting({ transactionId, accountNumber: credit, direction: 'credit', amount, currency, timestamp });
+};
+
+/**
+ * Gives every account that has no postings yet an opening entry for its
+ * current balance, so the ledger and stored balances agree from the start.
+ * Returns the account numbers that were opened.
+ */
+const openAccounts = (store) => store.transaction(() => {
+  const posted = new Set(store.listPostings().map(p => p.accountNumber));
+  const opened = [];
+
+  for (const account of store.listAccounts()) {
+    if (posted.has(account.accountNumber) || account.balance === 0) {
+      continue;
+    }
+
+    const positive = account.balance > 0;
+    postLegs(store, {
+      transactionId: `opening_${account.accountNumber}`,
+      debit: positive ? OPENING_BALANCE_ACCOUNT : account.accountNumber,
+      credit: positive ? account.accountNumber : OPENING_BALANCE_ACCOUNT,
+      amount: Math.abs(account.balance),
+      currency: account.currency,
+      timestamp: new Date()
+    });
+    opened.push(account.accountNumber);
+  }
+
+  return opened;
+});
+
+/**
+ * Posts a transfer between two accounts ({ userId, type } each) and rewrites
+ * both stored balances from the ledger. `amount` is in the source account's
+ * currency; when the destination's differs, `credited` is what it receives
+ * in its own. Call it inside store.transaction(), after checking funds in
+ * that same transaction, so nothing can change the balances in between.
+ * Returns the new balances.
+ */
+const postTransfer = (store, { transactionId, from, to, amount, credited = amount, timestamp }) => {
+  const fromAccount = store.getAccount(from.userId, from.type);
+  const toAccount = store.getAccount(to.userId, to.type);
+
+  if (fromAccount.currency === toAccount.currency) {
+    postLegs(store, {
+      transactionId,
+      debit: fromAccount.accountNumber,
+      credit: toAccount.accountNumber,
+      amount,
+      currency: fromAccount.currency,
+      timestamp
+    });
+  } else {
+    postLegs(store, {
+      transactionId,
+      debit: fromAccount.accountNumber,
+      credit: fxPositionAccount(fromAccount.currency),
+      amount,
+      currency: fromAccount.currency,
+      timestamp
+    });
+    postLegs(store, {
+      transactionId,
+      debit: fxPositionAccount(toAccount.currency),
+      credit: toAccount.accountNumber,
+      amount: credited,
+      currency: toAccount.currency,
+      timestamp
+    });
+  }
+
+  const fromBalance = store.ledgerBalance(fromAccount.accountNumber);
+  const toBalance = store.ledgerBalance(toAccount.accountNumber);
+  store.setBalance(from.userId, from.type, fromBalance);
+  store.setBalance(to.userId, to.type, toBalance);
+
+  return { fromBalance, toBalance };
+};
+
+/**
+ * Compares every stored balance with the balance derived from its postings
+ * and checks that each transaction's debits equal its credits in each
+ * currency it touches.
+ */
+const reconcile = (store) => {
+  const postings = store.listPostings();
+  const derived = new Map();
+  const perTransaction = new Map();
+
+  for (const posting of postings) {
+    const signed = posting.direction === 'credit' ? posting.amount : -posting.amount;
+    derived.set(posting.accountNumber, (derived.get(posting.accountNumber) || 0) + signed);
+    const key = `${posting.transactionId} ${posting.currency}`;
+    perTransaction.set(key, (perTransaction.get(key) || 0) + signed);
+  }
+
+  const accounts = store.listAccounts();
+  const drift = accounts
+    .map(account => ({
+      userId: account.userId,
+      type: account.type,
+      accountNumber: account.accountNumber,
+      currency: account.currency,
+      stored: account.balance,
+      ledger: derived.get(account.accountNumber) || 0
+    }))
+    .filter(entry => entry.stored !== entry.ledger);
+
+  const unbalancedTransactions = [...new Set([...perTransaction.entries()]
+    .filter(([, sum]) => sum !== 0)
+    .map(([key]) => key.split(' ')[0]))];
+
+  return {
+    balanced: drift.length === 0 && unbalancedTransactions.length === 0,
+    accounts: accounts.length,
+    postings: postings.length,
+    drift,
+    unbalancedTransactions
+  };
+};
+
+module.exports = {
+  OPENING_BALANCE_ACCOUNT,
+  fxPositionAccount,
+  openAccounts,
+  postTransfer,
+  reconcile
+};
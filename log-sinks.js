@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const CustomSplunkLogger = require('./custom-splunk-logger');
+
+/**
+ * Sinks for the structured logger (see structured-logger.js). Each one takes
+ * the same record and decides how to render and ship it.
+ */
+
+const LEVEL_LABELS = {
+  debug: 'DEBUG',
+  info: 'INFO ',
+  warn: 'WARN ',
+  error: 'ERROR'
+};
+
+class ConsoleSink {
+  constructor(options = {}) {
+    this.pretty = options.pretty !== false;
+  }
+
+  write(record) {
+    const line = this.pretty ? formatPretty(record) : JSON.stringify(record);
+
+    if (record.level === 'error' || record.level === 'warn') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+// [BANKING] 2025-01-01T00:00:00.000Z INFO  BANKING_LOGIN_SUCCESS user=john_doe outcome=success {...}
+const formatPretty = (record) => {
+  const parts = [`[BANKING] ${record.timestamp} ${LEVEL_LABELS[record.level]} ${record.event}`];
+
+  for (const key of ['user', 'outcome', 'durationMs', 'correlationId', 'requestId']) {
+    if (record[key] !== undefined) {
+      parts.push(`${key}=${record[key]}`);
+    }
+  }
+
+  if (Object.keys(record.data).length > 0) {
+    parts.push(JSON.stringify(record.data));
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Appends one JSON record per line, for `tail -f` or a forwarder to pick up.
+ */
+class JsonFileSink {
+  constructor(options = {}) {
+    if (!options.file) {
+      throw new TypeError('JsonFileSink requires a file');
+    }
+
+    this.file = options.file;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+  }
+
+  write(record) {
+    this.stream.write(JSON.stringify(record) + '\n');
+  }
+
+  flush() {
+    return new Promise(resolve => this.stream.write('', resolve));
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Ships records to Splunk HEC through CustomSplunkLogger's batching queue.
+ */
+class SplunkHecSink {
+  constructor(options = {}) {
+    this.splunkLogger = options.splunkLogger || new CustomSplunkLogger(options);
+  }
+
+  write(record) {
+    this.splunkLogger.sendRecord(record);
+  }
+
+  flush() {
+    return this.splunkLogger.flush();
+  }
+
+  close() {
+    return this.splunkLogger.close();
+  }
+}
+
+const SEVERITY_NUMBERS = {
+  debug: 5,
+  info: 9,
+  warn: 13,
+  error: 17
+};
+
+/**
+ * Exports records as OTLP/HTTP JSON logs to the collector in
+ * otel-collector.yaml, batched by count and time. Export failures are
+ * reported on the console and the batch is discarded.
+ */
+class OtlpLogSink {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || 'http://localhost:4318/v1/logs';
+    this.serviceName = options.serviceName || process.env.OTEL_SERVICE_NAME || 'banking-demo';
+    this.serviceVersion = options.serviceVersion || process.env.OTEL_SERVICE_VERSION || '1.0.0';
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.flushIntervalMs = options.flushIntervalMs || 1000;
+
+    this.buffer = [];
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  write(record) {
+    this.buffer.push(record);
+
+    if (this.buffer.length >= this.maxBatchSize) {
+      this.export();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.export(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  export() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.buffer.length === 0) {
+      return Promise.resolve();
+    }
+
+    const records = this.buffer.splice(0);
+    const request = this.post(JSON.stringify(this.toOtlp(records)))
+      .then((statusCode) => {
+        if (statusCode < 200 || statusCode >= 300) {
+          console.error(`[OTLP] Log export failed with status ${statusCode}`);
+        }
+      })
+      .catch((error) => {
+        console.error('[OTLP] Log export error:', error.message);
+      });
+
+    this.inFlight.add(request);
+    request.finally(() => this.inFlight.delete(request));
+    return request;
+  }
+
+  toOtlp(records) {
+    return {
+      resourceLogs: [{
+        resource: {
+          attributes: toAttributes({
+            'service.name': this.serviceName,
+            'service.version': this.serviceVersion
+          })
+        },
+        scopeLogs: [{
+          scope: { name: 'banking-demo' },
+          logRecords: records.map(record => ({
+            timeUnixNano: String(Date.parse(record.timestamp) * 1e6),
+            severityNumber: SEVERITY_NUMBERS[record.level],
+            severityText: record.level.toUpperCase(),
+            body: { stringValue: record.event },
+            attributes: toAttributes({
+              'event.name': record.event,
+              'enduser.id': record.user,
+              'correlation.id': record.correlationId,
+              'request.id': record.requestId,
+              outcome: record.outcome,
+              'duration.ms': record.durationMs,
+              data: Object.keys(record.data).length > 0 ? JSON.stringify(record.data) : undefined
+            })
+          }))
+        }]
+      }]
+    };
+  }
+
+  post(body) {
+    const url = new URL(this.endpoint);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'https:' ? 443 : 80),
+        path: url.pathname,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+
+      req.on('error', reject);
+      req.write(body);
+      req.end();
+    });
+  }
+
+  async flush() {
+    this.export();
+    await Promise.all(Array.from(this.inFlight));
+  }
+
+  close() {
+    return this.flush();
+  }
+}
+
+const toAttributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => {
+    if (typeof value === 'number') {
+      return { key, value: Number.isInteger(value) ? { intValue: value } : { doubleValue: value } };
+    }
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+
+module.exports = {
+  ConsoleSink,
+  JsonFileSink,
+  SplunkHecSink,
+  OtlpLogSink,
+  formatPretty
+};
@@ -0,0 +1,136 @@
+const DEFAULTS = {
+  maxFailures: 5,
+  maxFailuresPerIp: 20,
+  lockoutMs: 15 * 60 * 1000,
+  windowMs: 15 * 60 * 1000,
+  delayAfter: 3,
+  delayBaseMs: 1000,
+  delayMaxMs: 30 * 1000
+};
+
+const ENV = {
+  maxFailures: 'LOGIN_MAX_FAILURES',
+  maxFailuresPerIp: 'LOGIN_MAX_FAILURES_PER_IP',
+  lockoutMs: 'LOGIN_LOCKOUT_MS',
+  windowMs: 'LOGIN_FAILURE_WINDOW_MS',
+  delayAfter: 'LOGIN_DELAY_AFTER_FAILURES',
+  delayBaseMs: 'LOGIN_DELAY_BASE_MS',
+  delayMaxMs: 'LOGIN_DELAY_MAX_MS'
+};
+
+// Option, then environment, then default; zero is a valid setting here
+const setting = (options, name) => {
+  if (options[name] !== undefined) {
+    return options[name];
+  }
+  const value = process.env[ENV[name]];
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : DEFAULTS[name];
+};
+
+const time = (value) => (value ? new Date(value).getTime() : 0);
+
+const userKey = (username) => `user:${username}`;
+
+/**
+ * Brute-force protection for /login, with failure counters per username and
+ * per client IP kept in the store (so a restart doesn't clear them and
+ * unlock-account.js can reach them).
+ *
+ * After `delayAfter` failures each further one makes the key wait before its
+ * next attempt, doubling from `delayBaseMs` up to `delayMaxMs`; at
+ * `maxFailures` (or `maxFailuresPerIp`) the key is locked for `lockoutMs`.
+ * Counters reset `windowMs` after the last failure, when a lock runs out, and
+ * for the username on a successful login. Unknown usernames are counted like
+ * real ones, so a lockout says nothing about whether an account exists.
+ */
+class LoginThrottle {
+  constructor(options = {}) {
+    this.store = options.store;
+    for (const name of Object.keys(DEFAULTS)) {
+      this[name] = setting(options, name);
+    }
+    this.now = options.now || (() => Date.now());
+  }
+
+  keys(username, ip) {
+    return [
+      { scope: 'username', key: userKey(username), max: this.maxFailures },
+      { scope: 'ip', key: `ip:${ip}`, max: this.maxFailuresPerIp }
+    ];
+  }
+
+  delayFor(failures) {
+    if (failures <= this.delayAfter) {
+      return 0;
+    }
+    return Math.min(this.delayBaseMs * 2 ** (failures - this.delayAfter - 1), this.delayMaxMs);
+  }
+
+  /**
+   * Returns null when a login attempt may go ahead, otherwise
+   * { scope, reason: 'ACCOUNT_LOCKED' | 'TOO_MANY_ATTEMPTS', retryAfterMs }.
+   */
+  check(username, ip) {
+    const now = this.now();
+    let refusal = null;
+
+    for (const { scope, key } of this.keys(username, ip)) {
+      const record = this.store.getLoginAttempts(key);
+      if (!record || time(record.expiresAt) <= now) {
+        continue;
+      }
+
+      const locked = time(record.lockedUntil) > now;
+      const until = locked ? time(record.lockedUntil) : time(record.blockedUntil);
+      if (until > now && (!refusal || until - now > refusal.retryAfterMs)) {
+        refusal = { scope, reason: locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS', retryAfterMs: until - now };
+      }
+    }
+    return refusal;
+  }
+
+  /**
+   * Counts a failed attempt against the username and the IP. Returns the
+   * locks it just applied: [{ scope, key, failures, lockedUntil }].
+   */
+  recordFailure(username, ip) {
+    const now = this.now();
+    const locks = [];
+
+    this.store.transaction(() => {
+      for (const { scope, key, max } of this.keys(username, ip)) {
+        const previous = this.store.getLoginAttempts(key);
+        const failures = previous && time(previous.expiresAt) > now ? previous.failures + 1 : 1;
+        const lockedUntil = failures >= max ? new Date(now + this.lockoutMs) : null;
+
+        this.store.saveLoginAttempts({
+          key,
+          failures,
+          lastFailureAt: new Date(now),
+          blockedUntil: new Date(now + this.delayFor(failures)),
+          lockedUntil,
+          expiresAt: new Date(Math.max(now + this.windowMs, time(lockedUntil)))
+        });
+
+        if (lockedUntil) {
+          locks.push({ scope, key, failures, lockedUntil: lockedUntil.toISOString() });
+        }
+      }
+      this.store.deleteExpiredLoginAttempts(new Date(now));
+    });
+    return locks;
+  }
+
+  recordSuccess(username) {
+    this.store.deleteLoginAttempts(userKey(username));
+  }
+
+  // Lifts a username's lock and forgets its failures; returns whether there was anything to clear
+  unlock(username) {
+    return this.store.deleteLoginAttempts(userKey(username));
+  }
+}
+
+module.exports = {
+  LoginThrottle
+};
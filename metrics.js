@@ -0,0 +1,200 @@
+const api = require('@opentelemetry/api');
+const { MeterProvider, PeriodicExportingMetricReader } = require('@opentelemetry/sdk-metrics');
+const { OTLPMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const {
+  ATTR_SERVICE_NAME,
+  ATTR_SERVICE_VERSION,
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE
+} = require('@opentelemetry/semantic-conventions');
+const prometheus = require('./prometheus');
+
+const METER_NAME = 'banking-demo';
+
+// Transfer rejections grouped into the categories the business cares about
+const FAILURE_CATEGORIES = {
+  INVALID_AMOUNT: 'invalid_amount',
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_SOURCE_ACCOUNT: 'invalid_account',
+  INVALID_DESTINATION_ACCOUNT: 'invalid_account',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  PAYEE_NOT_FOUND: 'invalid_account',
+  OWN_ACCOUNT: 'invalid_account',
+  PAYEE_NAME_MISMATCH: 'payee_mismatch',
+  PAYEE_CLOSE_MATCH: 'payee_mismatch',
+  DAILY_LIMIT_EXCEEDED: 'limit_exceeded',
+  FX_RATE_UNAVAILABLE: 'fx_unavailable',
+  FRAUD_BLOCKED: 'fraud_blocked',
+  FRAUD_HOLD: 'fraud_held',
+  STEP_UP_REQUIRED: 'step_up',
+  STEP_UP_FAILED: 'step_up'
+};
+
+let provider = null;
+let instruments = null;
+let activeSessionsSource = () => 0;
+
+/**
+ * Sets up the global meter provider once. Metrics are pushed over OTLP/HTTP
+ * to OTEL_EXPORTER_OTLP_METRICS_ENDPOINT every OTEL_METRIC_EXPORT_INTERVAL ms
+ * unless a `reader` is passed (tests pass one around an in-memory exporter).
+ * Until this runs, the record* helpers are no-ops.
+ */
+const initMetrics = (options = {}) => {
+  if (provider) {
+    return provider;
+  }
+
+  if (!options.reader && process.env.OTEL_SDK_DISABLED === 'true') {
+    return null;
+  }
+
+  const reader = options.reader || new PeriodicExportingMetricReader({
+    exporter: new OTLPMetricExporter({
+      url: process.env.OTEL_EXPORTER_OTLP_METRICS_ENDPOINT || 'http://localhost:4318/v1/metrics'
+    }),
+    exportIntervalMillis: Number(process.env.OTEL_METRIC_EXPORT_INTERVAL) || 15000
+  });
+
+  provider = new MeterProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'banking-demo',
+      [ATTR_SERVICE_VERSION]: process.env.OTEL_SERVICE_VERSION || '1.0.0',
+      'deployment.environment': 'demo'
+    }),
+    readers: [reader]
+  });
+
+  api.metrics.setGlobalMeterProvider(provider);
+  instruments = createInstruments(provider.getMeter(METER_NAME));
+  return provider;
+};
+
+const shutdownMetrics = async () => {
+  if (provider) {
+    await provider.shutdown();
+    api.metrics.disable();
+    provider = null;
+    instruments = null;
+  }
+};
+
+const createInstruments = (meter) => {
+  const activeSessions = meter.createObservableGauge('banking.sessions.active', {
+    description: 'Sessions currently stored',
+    unit: '{session}'
+  });
+  activeSessions.addCallback((result) => {
+    result.observe(activeSessionsSource());
+  });
+
+  return {
+    loginAttempts: meter.createCounter('banking.login.attempts', {
+      description: 'Login attempts by outcome',
+      unit: '{attempt}'
+    }),
+    transfers: meter.createCounter('banking.transfer.count', {
+      description: 'Transfers by account types, outcome and failure reason',
+      unit: '{transfer}'
+    }),
+    transferAmount: meter.createHistogram('banking.transfer.amount', {
+      description: 'Amount of successful transfers, in major units of banking.currency',
+      unit: '{currency_unit}',
+      advice: { explicitBucketBoundaries: [10, 50, 100, 500, 1000, 5000, 10000, 50000] }
+    }),
+    balanceChecks: meter.createCounter('banking.balance.checks', {
+      description: 'Balance checks by account type and outcome',
+      unit: '{check}'
+    }),
+    requestDuration: meter.createHistogram('http.server.request.duration', {
+      description: 'Duration of HTTP requests per route',
+      unit: 's',
+      advice: { explicitBucketBoundaries: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5] }
+    })
+  };
+};
+
+/**
+ * Registers the function the active sessions gauge reads on each collection.
+ */
+const setActiveSessionsSource = (fn) => {
+  activeSessionsSource = fn;
+};
+
+const recordLoginAttempt = (outcome) => {
+  if (instruments) {
+    instruments.loginAttempts.add(1, { 'banking.outcome': outcome });
+  }
+};
+
+// `amount` is in major units of `currency`, which the amount histogram is split by
+const recordTransfer = ({ outcome, fromAccount, toAccount, amount, currency, reason }) => {
+  const category = outcome === 'failure' ? FAILURE_CATEGORIES[reason] || 'other' : undefined;
+
+  // The Prometheus counters keep counting when the OTel SDK is disabled
+  prometheus.recordTransfer(outcome, category);
+
+  if (!instruments) {
+    return;
+  }
+
+  const attributes = {
+    'banking.outcome': outcome,
+    'banking.account.from': fromAccount || 'unknown',
+    'banking.account.to': toAccount || 'unknown'
+  };
+
+  if (outcome === 'failure') {
+    attributes['banking.failure_reason'] = category;
+  }
+
+  instruments.transfers.add(1, attributes);
+
+  if (outcome === 'success' && typeof amount === 'number') {
+    instruments.transferAmount.record(amount, currency ? { ...attributes, 'banking.currency': currency } : attributes);
+  }
+};
+
+const recordBalanceCheck = (accountType, outcome) => {
+  if (instruments) {
+    instruments.balanceChecks.add(1, { 'banking.account.type': accountType, 'banking.outcome': outcome });
+  }
+};
+
+/**
+ * Express middleware recording request latency per matched route, so RED
+ * dashboards don't have to be rebuilt from log lines.
+ */
+const requestMetricsMiddleware = () => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'unmatched';
+    prometheus.recordHttpRequest(req.method, route, res.statusCode);
+
+    if (!instruments) {
+      return;
+    }
+
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    instruments.requestDuration.record(seconds, {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_HTTP_ROUTE]: route,
+      [ATTR_HTTP_RESPONSE_STATUS_CODE]: res.statusCode
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  initMetrics,
+  shutdownMetrics,
+  setActiveSessionsSource,
+  recordLoginAttempt,
+  recordTransfer,
+  recordBalanceCheck,
+  requestMetricsMiddleware
+};
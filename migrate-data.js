@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * One-shot import of an existing data.json into the SQLite backend.
+ *
+ *   node migrate-data.js [data.json] [data.sqlite]
+ *
+ * Paths default to DATA_FILE and SQLITE_FILE. The target database must be
+ * empty, so running it twice can't duplicate users or transactions. A
+ * data.json from before currencies existed is converted to minor units on
+ * the way in, as JsonStore would.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const SqliteStore = require('./sqlite-store');
+
+const migrateJsonToSqlite = (jsonFile, store) => {
+  if (!store.isEmpty()) {
+    throw new Error('Target database already has data; refusing to migrate twice');
+  }
+
+  const data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  JsonStore.upgrade(data);
+  const users = Object.values(data.users || {});
+  const sessions = Object.entries(data.sessions || {});
+  const transactions = data.transactions || [];
+  const postings = data.postings || [];
+  const idempotencyKeys = Object.values(data.idempotencyKeys || {});
+  const totp = Object.values(data.totp || {});
+  const scheduledTransfers = Object.values(data.scheduledTransfers || {});
+
+  store.transaction(() => {
+    users.forEach(user => store.addUser(user));
+    sessions.forEach(([sessionId, session]) => store.createSession(sessionId, session));
+    transactions.forEach(txn => store.addTransaction(txn));
+    postings.forEach(posting => store.addPosting(posting));
+    idempotencyKeys.forEach(record => store.saveIdempotencyKey(record));
+    totp.forEach(record => store.saveTotp(record));
+    scheduledTransfers.forEach(schedule => store.saveScheduledTransfer(schedule));
+  });
+
+  return {
+    users: users.length,
+    sessions: sessions.length,
+    transactions: transactions.length,
+    postings: postings.length,
+    idempotencyKeys: idempotencyKeys.length,
+    totp: totp.length,
+    scheduledTransfers: scheduledTransfers.length
+  };
+};
+
+if (require.main === module) {
+  const jsonFile = process.argv[2] || process.env.DATA_FILE || path.join(__dirname, 'data.json');
+  const sqliteFile = process.argv[3] || process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite');
+  const store = new SqliteStore({ file: sqliteFile });
+
+  try {
+    const counts = migrateJsonToSqlite(jsonFile, store);
+    console.log(`[MIGRATE] Imported ${counts.users} users, ${counts.sessions} sessions, ` +
+      `${counts.transactions} transactions and ${counts.postings} ledger postings from ${jsonFile} into ${sqliteFile}`);
+  } catch (error) {
+    console.error('[MIGRATE] Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = { migrateJsonToSqlite };
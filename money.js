@@ -0,0 +1,64 @@
+/**
+ * Money as integer minor units (cents, pence, yen) of an ISO 4217 currency.
+ * Balances, postings, transactions and schedules are stored and added up in
+ * minor units, so nothing picks up floating point drift. Requests and
+ * responses carry decimal amounts in major units; toMinor() and toMajor()
+ * convert at the edges.
+ */
+
+// Decimal places of each supported currency (ISO 4217 minor unit)
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  CAD: 2,
+  AUD: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3
+};
+
+// Accounts and amounts from before currencies existed are in dollars
+const DEFAULT_CURRENCY = 'USD';
+
+// The most decimal places any supported currency has
+const MAX_DECIMALS = Math.max(...Object.values(CURRENCIES));
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const scaleOf = (currency) => 10 ** CURRENCIES[currency];
+
+/**
+ * A major-unit amount (10.5) in minor units of `currency` (1050), or null
+ * when it has more decimal places than the currency allows (10.005 USD).
+ * A decimal with few enough places comes back exactly from minor / scale,
+ * so the round trip tells without any float tolerance.
+ */
+const toMinor = (amount, currency) => {
+  const scale = scaleOf(currency);
+  const minor = Math.round(amount * scale);
+  return minor / scale === amount ? minor : null;
+};
+
+const toMajor = (minor, currency) => minor / scaleOf(currency);
+
+// Nearest minor unit, for amounts kept as floats before this module existed
+const roundToMinor = (amount, currency) => Math.round(amount * scaleOf(currency));
+
+// Why an amount was refused by toMinor()
+const precisionError = (currency) => (CURRENCIES[currency] === 0
+  ? `amount must be a whole number of ${currency}`
+  : `amount must have at most ${CURRENCIES[currency]} decimal places in ${currency}`);
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  MAX_DECIMALS,
+  isCurrency,
+  toMinor,
+  toMajor,
+  roundToMinor,
+  precisionError
+};
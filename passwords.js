@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Password hashing with scrypt. Hashes are stored as
+ * `scrypt$<N>$<r>$<p>$<salt>$<hash>` (salt and hash base64) so the cost
+ * parameters can be raised later: verifyPassword() reports entries made with
+ * older parameters, or still in plaintext from the original data.json, as
+ * needing a rehash, which /login does with the password it just checked.
+ */
+const PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const derive = (password, salt, { N, r, p }) =>
+  crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+
+const hashPassword = (password, params = SCRYPT_PARAMS) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = derive(password, salt, params);
+  return [PREFIX, params.N, params.r, params.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+const parseHash = (stored) => {
+  const [, N, r, p, salt, hash] = stored.split('$');
+  return {
+    params: { N: Number(N), r: Number(r), p: Number(p) },
+    salt: Buffer.from(salt || '', 'base64'),
+    hash: Buffer.from(hash || '', 'base64')
+  };
+};
+
+/**
+ * Checks a password against a stored hash (or legacy plaintext entry) in
+ * constant time. Returns { valid, needsRehash }.
+ */
+const verifyPassword = (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(stored)) {
+    // Compare digests so the comparison doesn't leak the plaintext's length
+    const valid = crypto.timingSafeEqual(
+      crypto.createHash('sha256').update(password).digest(),
+      crypto.createHash('sha256').update(stored).digest()
+    );
+    return { valid, needsRehash: valid };
+  }
+
+  const { params, salt, hash } = parseHash(stored);
+  if (!Number.isInteger(params.N) || hash.length !== KEY_LENGTH) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const valid = crypto.timingSafeEqual(derive(password, salt, params), hash);
+  const outdated = Object.keys(SCRYPT_PARAMS).some(key => params[key] !== SCRYPT_PARAMS[key]);
+  return { valid, needsRehash: valid && outdated };
+};
+
+const passwordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 12,
+  maxLength: 128,
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+  requireMixedCase: process.env.PASSWORD_REQUIRE_MIXED_CASE === 'true',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+});
+
+/**
+ * Lists the ways `password` breaks the policy (empty when it complies).
+ * The policy comes from PASSWORD_MIN_LENGTH and PASSWORD_REQUIRE_DIGIT /
+ * _MIXED_CASE / _SYMBOL unless one is passed.
+ */
+const checkPasswordPolicy = (password, { username, policy = passwordPolicy() } = {}) => {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (password.length > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push('Password must contain a digit');
+  }
+  if (policy.requireMixedCase && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+    problems.push('Password must contain upper and lower case letters');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+  return problems;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isHashed,
+  passwordPolicy,
+  checkPasswordPolicy
+};
@@ -0,0 +1,96 @@
+/**
+ * Minimal PDF 1.4 writer for plain text documents: pages of lines in the
+ * standard Helvetica and Courier fonts, which every viewer has built in, so
+ * nothing needs embedding. Enough for statements without pulling in a
+ * layout library.
+ */
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+const FONTS = {
+  regular: { resource: 'F1', base: 'Helvetica' },
+  bold: { resource: 'F2', base: 'Helvetica-Bold' },
+  mono: { resource: 'F3', base: 'Courier' }
+};
+
+// The standard fonts are WinAnsi encoded; keep to printable ASCII and
+// escape the characters that delimit PDF strings
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Collects lines and lays them out top to bottom, starting a new page when
+ * one fills up. Each line is { text, font?, size?, gap? } where `gap` is
+ * extra space above it.
+ */
+class PdfDocument {
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.pages = [[]];
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  line(text, { font = 'regular', size = 10, gap = 0 } = {}) {
+    const leading = size * 1.4;
+    if (this.y - gap - leading < MARGIN) {
+      this.pages.push([]);
+      this.y = PAGE_HEIGHT - MARGIN;
+    } else {
+      this.y -= gap;
+    }
+    this.y -= leading;
+    this.pages[this.pages.length - 1].push({ text, font: FONTS[font] || FONTS.regular, size, y: this.y });
+    return this;
+  }
+
+  // Serializes the document, keeping track of each object's byte offset for the xref table
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pagesRoot = add(null);
+    const fontRefs = Object.values(FONTS).map(font =>
+      `/${font.resource} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+
+    const pageRefs = this.pages.map((lines, index) => {
+      const content = [
+        ...lines.map(({ text, font, size, y }) =>
+          `BT /${font.resource} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`),
+        `BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td (Page ${index + 1} of ${this.pages.length}) Tj ET`
+      ].join('\n');
+      const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${stream} 0 R >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`;
+    objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+    const info = add(`<< /Title (${escapeText(this.title)}) /Producer (Banking Demo) >>`);
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  escapeText
+};
@@ -0,0 +1,137 @@
+const http = require('http');
+const promClient = require('prom-client');
+
+/**
+ * Prometheus text exposition of the operational counters, for environments
+ * without an OTel collector. PROMETHEUS_METRICS_ENABLED=false turns it off;
+ * PROMETHEUS_METRICS_PORT serves it on its own port instead of the app's.
+ */
+const register = new promClient.Registry();
+
+// Process, heap and event-loop lag (nodejs_eventloop_lag_seconds and friends)
+promClient.collectDefaultMetrics({ register });
+
+const httpRequests = new promClient.Counter({
+  name: 'banking_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const transfers = new promClient.Counter({
+  name: 'banking_transfers_total',
+  help: 'Transfers by outcome and failure reason',
+  labelNames: ['outcome', 'reason'],
+  registers: [register]
+});
+
+let hecStatsSource = null;
+
+// Delivery counters live in CustomSplunkLogger; mirror them at scrape time
+new promClient.Counter({
+  name: 'banking_hec_events_total',
+  help: 'Events handled by the Splunk HEC delivery queue, by outcome',
+  labelNames: ['outcome'],
+  registers: [register],
+  collect() {
+    const stats = hecStatsSource ? hecStatsSource() : null;
+    this.reset();
+    if (stats) {
+      for (const outcome of ['sent', 'retried', 'dropped', 'spooled', 'acknowledged', 'resent', 'timedOut']) {
+        if (stats[outcome] !== undefined) {
+          this.inc({ outcome }, stats[outcome]);
+        }
+      }
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'banking_hec_backlog',
+  help: 'Splunk HEC events or batches not yet delivered, by stage',
+  labelNames: ['stage'],
+  registers: [register],
+  collect() {
+    const stats = hecStatsSource ? hecStatsSource() : null;
+    this.reset();
+    if (stats) {
+      this.set({ stage: 'queued' }, stats.queued);
+      this.set({ stage: 'in_flight' }, stats.inFlight);
+      this.set({ stage: 'spool_segments' }, stats.spoolSegments);
+      if (stats.pendingAcks !== undefined) {
+        this.set({ stage: 'pending_acks' }, stats.pendingAcks);
+      }
+    }
+  }
+});
+
+const isEnabled = () => process.env.PROMETHEUS_METRICS_ENABLED !== 'false';
+
+// A port of its own, or null to serve /metrics on the app's port
+const metricsPort = () => {
+  const port = Number(process.env.PROMETHEUS_METRICS_PORT);
+  return Number.isInteger(port) && port > 0 ? port : null;
+};
+
+/**
+ * Registers the function the HEC metrics read on each scrape, normally
+ * CustomSplunkLogger#getDeliveryStats.
+ */
+const setHecStatsSource = (fn) => {
+  hecStatsSource = fn;
+};
+
+const recordHttpRequest = (method, route, status) => {
+  httpRequests.inc({ method, route, status });
+};
+
+const recordTransfer = (outcome, reason) => {
+  transfers.inc({ outcome, reason: reason || 'none' });
+};
+
+const metricsHandler = async (req, res) => {
+  try {
+    const body = await register.metrics();
+    res.set('Content-Type', register.contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('[PROMETHEUS] Failed to render metrics:', error.message);
+    res.status(500).send('');
+  }
+};
+
+/**
+ * Serves GET /metrics on a dedicated port, so scrapes never reach the app.
+ */
+const startMetricsServer = (port) => {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    register.metrics().then((body) => {
+      res.writeHead(200, { 'Content-Type': register.contentType });
+      res.end(body);
+    }, (error) => {
+      console.error('[PROMETHEUS] Failed to render metrics:', error.message);
+      res.writeHead(500);
+      res.end();
+    });
+  });
+
+  server.listen(port);
+  return server;
+};
+
+module.exports = {
+  register,
+  isEnabled,
+  metricsPort,
+  setHecStatsSource,
+  recordHttpRequest,
+  recordTransfer,
+  metricsHandler,
+  startMetricsServer
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request-scoped context carried through async calls with AsyncLocalStorage,
+ * so loggers can stamp every event with the request's ids without them being
+ * passed around.
+ *
+ * Context shape:
+ *   { requestId, correlationId, traceId, parentSpanId, sessionId, userId }
+ */
+const storage = new AsyncLocalStorage();
+
+// Only accept incoming request ids that are safe to echo back and log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// W3C trace context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const getContext = () => storage.getStore() || {};
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Adds fields to the current request's context (e.g. the user id once the
+ * session has been resolved). A no-op outside a request.
+ */
+const setContext = (fields) => {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], parentSpanId: match[3], flags: match[4] };
+};
+
+/**
+ * Express middleware establishing the context for each request. Honours an
+ * incoming X-Request-Id and traceparent; the trace id (when present) becomes
+ * the correlation id so our events join up with the caller's trace. The
+ * request id is always echoed in the X-Request-Id response header.
+ *
+ * Mount it after the body parser: body parsing resumes on the socket's async
+ * context, which would drop the store.
+ */
+const requestContextMiddleware = () => (req, res, next) => {
+  const incomingId = req.get('x-request-id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const trace = parseTraceparent(req.get('traceparent'));
+
+  const context = {
+    requestId,
+    correlationId: trace ? trace.traceId : requestId,
+    traceId: trace ? trace.traceId : undefined,
+    parentSpanId: trace ? trace.parentSpanId : undefined,
+    // Set with userId once the session is resolved; never the raw token
+    sessionId: undefined,
+    userId: undefined
+  };
+
+  res.setHeader('X-Request-Id', requestId);
+  runWithContext(context, next);
+};
+
+module.exports = {
+  getContext,
+  runWithContext,
+  setContext,
+  parseTraceparent,
+  requestContextMiddleware
+};
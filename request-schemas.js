@@ -0,0 +1,139 @@
+const { decodeCursor, parseDate, MAX_PAGE_SIZE } = require('./transaction-history');
+const { FORMATS } = require('./statements');
+
+// Account types are looked up on the user, so only their shape is checked here
+const ACCOUNT_TYPE = { type: 'string', maxLength: 32 };
+const AMOUNT = { type: 'amount', required: true };
+const TOTP_CODE = { type: 'string', pattern: { regex: /^\d{6}$/, message: 'code must be 6 digits' } };
+const RECOVERY_CODE = { type: 'string', maxLength: 64 };
+const PASSWORD = { type: 'string', required: true, maxLength: 1024 };
+
+// A second factor is one code or the other, never both or neither
+const oneCode = ({ body }) => ((body.code === undefined) === (body.recoveryCode === undefined)
+  ? { path: 'body.code', code: 'invalid_combination', message: 'Send either code or recoveryCode' }
+  : null);
+
+const scheduleFields = (required) => ({
+  amount: { ...AMOUNT, required },
+  fromAccount: ACCOUNT_TYPE,
+  toAccount: { ...ACCOUNT_TYPE, required },
+  frequency: { type: 'string', enum: ['once', 'daily', 'weekly', 'monthly'] },
+  startAt: { type: 'date' },
+  dayOfMonth: { type: 'integer', min: 1, max: 31 },
+  endAt: { type: 'date' }
+});
+
+/**
+ * Every route's accepted body, query string and params (see validation.js
+ * for the rule format). Checks that need the user or the store, such as
+ * whether they have an account of that type, stay in the routes.
+ */
+module.exports = {
+  login: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 64 },
+      password: PASSWORD
+    }
+  },
+
+  loginSecondFactor: {
+    body: { code: TOTP_CODE, recoveryCode: RECOVERY_CODE },
+    rules: [oneCode]
+  },
+
+  // code, recoveryCode or password answer a step-up from the fraud rules
+  transfer: {
+    body: {
+      amount: AMOUNT,
+      fromAccount: ACCOUNT_TYPE,
+      toAccount: { ...ACCOUNT_TYPE, required: true },
+      code: TOTP_CODE,
+      recoveryCode: RECOVERY_CODE,
+      password: { type: 'string', maxLength: 1024 }
+    }
+  },
+
+  payeeLookup: {
+    body: {
+      accountNumber: { type: 'string', required: true, maxLength: 34 },
+      name: { type: 'string', required: true, maxLength: 140 }
+    }
+  },
+
+  // Screened by the same fraud rules as transfer, so it takes the same step-up answers
+  externalTransfer: {
+    body: {
+      amount: AMOUNT,
+      fromAccount: ACCOUNT_TYPE,
+      toAccountNumber: { type: 'string', required: true, maxLength: 34 },
+      payeeName: { type: 'string', required: true, maxLength: 140 },
+      confirmCloseMatch: { type: 'boolean' },
+      code: TOTP_CODE,
+      recoveryCode: RECOVERY_CODE,
+      password: { type: 'string', maxLength: 1024 }
+    }
+  },
+
+  balance: {
+    query: { account: ACCOUNT_TYPE }
+  },
+
+  // The query of GET /transactions; see parseHistoryQuery for what each means
+  history: {
+    query: {
+      account: ACCOUNT_TYPE,
+      direction: { type: 'string', enum: ['in', 'out'] },
+      since: { type: 'date' },
+      until: { type: 'date' },
+      minAmount: { type: 'amount', allowZero: true },
+      maxAmount: { type: 'amount', allowZero: true },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+      cursor: { type: 'string', check: (cursor) => (decodeCursor(cursor) ? null : 'cursor must come from a previous page') }
+    },
+    rules: [
+      ({ query }) => (query.direction && !query.account
+        ? { path: 'query.direction', code: 'invalid_combination', message: 'direction needs an account' }
+        : null),
+      ({ query }) => (query.minAmount && query.maxAmount && Number(query.minAmount) > Number(query.maxAmount)
+        ? { path: 'query.minAmount', code: 'invalid_combination', message: 'minAmount must not exceed maxAmount' }
+        : null)
+    ]
+  },
+
+  statement: {
+    params: { type: { ...ACCOUNT_TYPE, required: true } },
+    query: {
+      format: { type: 'string', enum: Object.keys(FORMATS), lowercase: true },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    },
+    rules: [
+      ({ query }) => (query.from && query.to && parseDate(query.from) > parseDate(query.to, true)
+        ? { path: 'query.from', code: 'invalid_combination', message: 'from must not be after to' }
+        : null)
+    ]
+  },
+
+  changePassword: {
+    body: { currentPassword: PASSWORD, newPassword: PASSWORD }
+  },
+
+  confirmTotp: {
+    body: { code: { ...TOTP_CODE, required: true } }
+  },
+
+  disableTotp: {
+    body: { code: TOTP_CODE, recoveryCode: RECOVERY_CODE },
+    rules: [oneCode]
+  },
+
+  createSchedule: {
+    body: scheduleFields(true)
+  },
+
+  // Only the fields sent change
+  updateSchedule: {
+    body: scheduleFields(false)
+  }
+};
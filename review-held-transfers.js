@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Lists, releases or rejects transfers held by the fraud rules.
+ *
+ *   node review-held-transfers.js
+ *   node review-held-transfers.js release <transactionId>
+ *   node review-held-transfers.js reject <transactionId>
+ *
+ * Uses the configured storage backend (STORAGE_BACKEND, DATA_FILE,
+ * SQLITE_FILE), so it works while the server is running. Each decision,
+ * including a release refused for want of funds, is recorded in the audit
+ * trail (AUDIT_LOG_FILE) as BANKING_HELD_TRANSFER_RELEASED or
+ * BANKING_HELD_TRANSFER_REJECTED under the transfer's correlation id.
+ */
+require('dotenv').config();
+
+const { createStore } = require('./storage');
+const { HeldTransfers } = require('./held-transfers');
+const { AuditLog } = require('./audit-log');
+const { toMajor } = require('./money');
+
+const EVENTS = { release: 'BANKING_HELD_TRANSFER_RELEASED', reject: 'BANKING_HELD_TRANSFER_REJECTED' };
+
+const reviewHeldTransfer = (store, action, transactionId, audit) => {
+  const held = new HeldTransfers({ store });
+  const target = held.find(transactionId);
+  const result = held[action](transactionId);
+
+  if (target && audit) {
+    audit.append({
+      event: EVENTS[action],
+      user: target.userId,
+      outcome: result.rejection ? 'failure' : 'success',
+      correlationId: target.correlationId,
+      data: {
+        by: 'review-held-transfers.js',
+        transactionId,
+        amount: toMajor(target.amount, target.currency),
+        currency: target.currency,
+        fromAccount: target.from,
+        ...(target.scheduleId ? { scheduleId: target.scheduleId } : {}),
+        ...(result.rejection ? { reason: result.rejection.reason } : {})
+      }
+    });
+  }
+  return result;
+};
+
+if (require.main === module) {
+  const [action, transactionId] = process.argv.slice(2);
+  if (action !== undefined && (!EVENTS[action] || !transactionId)) {
+    console.error('[HOLDS] Usage: node review-held-transfers.js [release|reject <transactionId>]');
+    process.exit(1);
+  }
+
+  const store = createStore();
+  try {
+    if (!action) {
+      const transfers = new HeldTransfers({ store }).list();
+      if (transfers.length === 0) {
+        console.log('[HOLDS] No transfers are held');
+      }
+      for (const txn of transfers) {
+        console.log(`[HOLDS] ${txn.id} ${new Date(txn.timestamp).toISOString()} ${txn.userId} ${txn.from} -> ${txn.to} ` +
+          `${toMajor(txn.amount, txn.currency)} ${txn.currency} (${txn.reason})`);
+      }
+    } else {
+      const { rejection } = reviewHeldTransfer(store, action, transactionId, new AuditLog());
+      if (rejection) {
+        console.error(`[HOLDS] Could not ${action} ${transactionId}: ${rejection.error}`);
+        process.exitCode = 1;
+      } else {
+        console.log(`[HOLDS] ${action === 'release' ? 'Released' : 'Rejected'} ${transactionId}`);
+      }
+    }
+  } catch (error) {
+    console.error('[HOLDS] Review failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = { reviewHeldTransfer };
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const metrics = require('./metrics');
+const { withSpan } = require('./tracing');
+const { runWithContext } = require('./request-context');
+const { parseDate } = require('./transaction-history');
+const { toMinor, toMajor } = require('./money');
+
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STEP_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+// What a client may set; everything else on a schedule is ours
+const EDITABLE_FIELDS = ['amount', 'fromAccount', 'toAccount', 'frequency', 'dayOfMonth', 'startAt', 'endAt'];
+
+const startOfDay = (time) => Math.floor(time / DAY_MS) * DAY_MS;
+
+// `dayOfMonth` in the given month, or its last day when the month is shorter
+const monthlyRun = (year, month, dayOfMonth, timeOfDay) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(dayOfMonth, lastDay)) + timeOfDay;
+};
+
+/**
+ * The first run of `schedule` at or after `from` (ms), as an ISO time, or
+ * null when there is none before its end. Every run is at the time of day
+ * of startAt; monthly runs fall on dayOfMonth, or the last day of months
+ * too short for it.
+ */
+const nextRunAt = (schedule, from) => {
+  const start = Date.parse(schedule.startAt);
+  const end = schedule.endAt ? Date.parse(schedule.endAt) : Infinity;
+  let run = null;
+
+  if (schedule.frequency === 'once') {
+    run = start >= from ? start : null;
+  } else if (STEP_MS[schedule.frequency]) {
+    const step = STEP_MS[schedule.frequency];
+    run = start + Math.max(0, Math.ceil((from - start) / step)) * step;
+  } else {
+    const earliest = Math.max(start, from);
+    const timeOfDay = start - startOfDay(start);
+    const year = new Date(earliest).getUTCFullYear();
+    let month = new Date(earliest).getUTCMonth();
+    run = monthlyRun(year, month, schedule.dayOfMonth, timeOfDay);
+    while (run < earliest) {
+      month += 1;
+      run = monthlyRun(year, month, schedule.dayOfMonth, timeOfDay);
+    }
+  }
+
+  return run !== null && run <= end ? new Date(run).toISOString() : null;
+};
+
+/**
+ * Checks the timing part of a scheduled transfer: frequency (once, the
+ * default, daily, weekly or monthly), startAt (a date or ISO time, from
+ * today on; defaults to now), dayOfMonth (monthly only, 1 to 31, defaults to
+ * startAt's day) and an optional endAt (a bare date covers that day).
+ * `startAt` may lie in the past when it isn't being changed. Returns
+ * { timing } or { error }.
+ */
+const parseTiming = (fields, now, { allowPastStart = false } = {}) => {
+  const frequency = fields.frequency === undefined ? 'once' : fields.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  const startAt = fields.startAt === undefined ? new Date(now).toISOString() : parseDate(fields.startAt);
+  if (!startAt) {
+    return { error: 'startAt must be a date' };
+  }
+  if (!allowPastStart && Date.parse(startAt) < startOfDay(now)) {
+    return { error: 'startAt must not be in the past' };
+  }
+
+  let dayOfMonth = null;
+  if (frequency === 'monthly') {
+    dayOfMonth = fields.dayOfMonth === undefined || fields.dayOfMonth === null
+      ? new Date(startAt).getUTCDate()
+      : fields.dayOfMonth;
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: 'dayOfMonth must be a whole number from 1 to 31' };
+    }
+  } else if (fields.dayOfMonth !== undefined && fields.dayOfMonth !== null) {
+    return { error: 'dayOfMonth only applies to monthly transfers' };
+  }
+
+  let endAt = null;
+  if (fields.endAt !== undefined && fields.endAt !== null) {
+    endAt = parseDate(fields.endAt, true);
+    if (!endAt) {
+      return { error: 'endAt must be a date' };
+    }
+    if (endAt < startAt) {
+      return { error: 'endAt must not be before startAt' };
+    }
+  }
+
+  return { timing: { frequency, dayOfMonth, startAt, endAt } };
+};
+
+// A schedule as clients see it, with the amount in major units
+const publicView = ({ userId, ...schedule }) => ({ ...schedule, amount: toMajor(schedule.amount, schedule.currency) });
+
+/**
+ * Standing orders: one-off and recurring (daily, weekly, monthly) transfers
+ * between a user's own accounts, kept in the store and run in-process.
+ * Requests are checked with `validate` (the /transfer rules, less the
+ * funds, which only count when the transfer runs) and each run goes through
+ * `execute`, the same path /transfer takes, so balances, ledger and
+ * transaction record come out the same way. Amounts are kept in minor
+ * units of the source account's currency.
+ *
+ * Every `intervalMs` (SCHEDULED_TRANSFER_INTERVAL_MS, default 1 minute) the
+ * due schedules run once each. A run that is refused, e.g. for insufficient
+ * funds, is still recorded in the user's transactions with status 'failed'
+ * and its reason; one the fraud rules hold is recorded by `execute` with
+ * status 'held' and moves no money. Either way the schedule moves on to its next run after
+ * now, so runs missed while the server was down are not made up, and a
+ * schedule with no runs left is marked completed.
+ */
+class TransferScheduler {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.logger = options.logger;
+    this.validate = options.validate;
+    this.execute = options.execute;
+    this.intervalMs = options.intervalMs ||
+      Number(process.env.SCHEDULED_TRANSFER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.now = options.now || (() => Date.now());
+    this.timer = null;
+  }
+
+  // Returns null or { status, error, reason } for the transfer part of a schedule
+  check(user, { amount, fromAccount, toAccount }) {
+    // Stored for later, so it has to be a real number now
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      return { status: 400, error: 'Invalid amount', reason: 'INVALID_AMOUNT' };
+    }
+    const { rejection } = this.validate(user, amount, fromAccount, toAccount);
+    return rejection && rejection.reason !== 'INSUFFICIENT_FUNDS' ? rejection : null;
+  }
+
+  list(userId) {
+    return this.store.listScheduledTransfers(userId).map(publicView);
+  }
+
+  get(userId, id) {
+    const schedule = this.store.getScheduledTransfer(id);
+    return schedule && schedule.userId === userId ? publicView(schedule) : null;
+  }
+
+  // Returns { schedule } or { rejection }
+  create(user, request) {
+    const now = this.now();
+    const { amount, fromAccount = 'checking', toAccount } = request;
+    const { timing, error } = parseTiming(request, now);
+    if (error) {
+      return { rejection: { status: 400, error, reason: 'INVALID_SCHEDULE' } };
+    }
+
+    const rejection = this.check(user, { amount, fromAccount, toAccount });
+    if (rejection) {
+      return { rejection };
+    }
+
+    const { currency } = user.accounts[fromAccount];
+    const schedule = {
+      id: `sched_${crypto.randomBytes(8).toString('hex')}`,
+      userId: user.id,
+      fromAccount,
+      toAccount,
+      amount: toMinor(amount, currency),
+      currency,
+      ...timing,
+      nextRunAt: nextRunAt(timing, Date.parse(timing.startAt)),
+      status: 'active',
+      runs: 0,
+      lastRunAt: null,
+      lastResult: null,
+      lastTransactionId: null,
+      createdAt: new Date(now).toISOString()
+    };
+    if (!schedule.nextRunAt) {
+      return { rejection: { status: 400, error: 'Schedule never runs', reason: 'INVALID_SCHEDULE' } };
+    }
+
+    this.store.saveScheduledTransfer(schedule);
+    return { schedule: publicView(schedule) };
+  }
+
+  /**
+   * Changes the fields given in `changes` (see EDITABLE_FIELDS); the rest
+   * stay as they were. Returns { schedule }, { rejection } or null when the
+   * user has no such schedule.
+   */
+  update(user, id, changes) {
+    const now = this.now();
+    const existing = this.store.getScheduledTransfer(id);
+    if (!existing || existing.userId !== user.id) {
+      return null;
+    }
+    if (existing.status !== 'active') {
+      return { rejection: { status: 409, error: 'Scheduled transfer has finished', reason: 'SCHEDULE_FINISHED' } };
+    }
+
+    // An amount that isn't changed keeps its number, in whatever currency the source account has
+    const fields = { ...existing, amount: toMajor(existing.amount, existing.currency) };
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        fields[field] = changes[field];
+      }
+    }
+    // A new frequency doesn't inherit the old one's day of month
+    if (changes.frequency !== undefined && changes.dayOfMonth === undefined) {
+      fields.dayOfMonth = null;
+    }
+
+    const startChanged = changes.startAt !== undefined;
+    const { timing, error } = parseTiming(fields, now, { allowPastStart: !startChanged });
+    if (error) {
+      return { rejection: { status: 400, error, reason: 'INVALID_SCHEDULE' } };
+    }
+
+    const rejection = this.check(user, fields);
+    if (rejection) {
+      return { rejection };
+    }
+
+    const from = startChanged ? Date.parse(timing.startAt) : Math.max(Date.parse(timing.startAt), now);
+    const { currency } = user.accounts[fields.fromAccount];
+    const schedule = {
+      ...existing,
+      amount: toMinor(fields.amount, currency),
+      currency,
+      fromAccount: fields.fromAccount,
+      toAccount: fields.toAccount,
+      ...timing,
+      nextRunAt: nextRunAt(timing, from)
+    };
+    if (!schedule.nextRunAt) {
+      return { rejection: { status: 400, error: 'Schedule never runs', reason: 'INVALID_SCHEDULE' } };
+    }
+
+    this.store.saveScheduledTransfer(schedule);
+    return { schedule: publicView(schedule) };
+  }
+
+  // Returns whether the user had such a schedule
+  cancel(userId, id) {
+    const schedule = this.store.getScheduledTransfer(id);
+    if (!schedule || schedule.userId !== userId) {
+      return false;
+    }
+    return this.store.deleteScheduledTransfer(id);
+  }
+
+  /**
+   * Runs one due schedule: posts the transfer (or records why it was
+   * refused) and moves the schedule on, all in one storage transaction, so a
+   * schedule can't run twice for the same slot. Returns null when it was
+   * no longer due, otherwise { schedule, transactionId, rejection? }.
+   */
+  run(schedule) {
+    const now = this.now();
+    const transactionId = `txn_${now}_${crypto.randomBytes(4).toString('hex')}`;
+    // A run has no request to correlate with, so it gets an id of its own
+    const correlationId = crypto.randomUUID();
+
+    return runWithContext({ correlationId, userId: schedule.userId }, () => withSpan('runScheduledTransfer', {
+      'banking.schedule.frequency': schedule.frequency
+    }, (span) => {
+      const result = this.store.transaction(() => {
+        const current = this.store.getScheduledTransfer(schedule.id);
+        if (!current || current.status !== 'active' || Date.parse(current.nextRunAt) > now) {
+          return null;
+        }
+
+        const { amount, currency, fromAccount, toAccount } = current;
+        const timestamp = new Date(now);
+        const outcome = this.execute(current.userId, { amount: toMajor(amount, currency), fromAccount, toAccount }, {
+          transactionId, correlationId, timestamp, scheduleId: current.id
+        });
+
+        if (outcome.rejection) {
+          this.store.addTransaction({
+            id: transactionId,
+            from: fromAccount,
+            to: toAccount,
+            userId: current.userId,
+            amount,
+            currency,
+            timestamp,
+            correlationId,
+            scheduleId: current.id,
+            status: 'failed',
+            reason: outcome.rejection.reason
+          });
+        }
+
+        const next = nextRunAt(current, Math.max(now, Date.parse(current.nextRunAt)) + 1);
+        const updated = {
+          ...current,
+          nextRunAt: next,
+          status: next ? 'active' : 'completed',
+          runs: current.runs + 1,
+          lastRunAt: timestamp.toISOString(),
+          lastResult: outcome.rejection ? outcome.rejection.reason : outcome.held ? 'FRAUD_HOLD' : 'success',
+          lastTransactionId: transactionId
+        };
+        this.store.saveScheduledTransfer(updated);
+
+        return { schedule: updated, transactionId, rejection: outcome.rejection, held: Boolean(outcome.held) };
+      });
+
+      span.setAttribute('banking.validation.result', result && result.rejection ? result.rejection.reason : 'OK');
+      if (result) {
+        this.report(result);
+      }
+      return result;
+    }));
+  }
+
+  report({ schedule, transactionId, rejection, held }) {
+    const { currency, fromAccount, toAccount } = schedule;
+    const amount = toMajor(schedule.amount, currency);
+    const fields = {
+      scheduleId: schedule.id,
+      transactionId,
+      amount,
+      currency,
+      fromAccount,
+      toAccount,
+      frequency: schedule.frequency,
+      nextRunAt: schedule.nextRunAt
+    };
+
+    if (rejection) {
+      metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount, amount, currency, reason: rejection.reason });
+      this.logger.warn('BANKING_SCHEDULED_TRANSFER_FAILED', {
+        outcome: 'failure',
+        reason: rejection.reason,
+        ...fields,
+        ...rejection.details
+      });
+      return;
+    }
+
+    if (held) {
+      metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount, amount, currency, reason: 'FRAUD_HOLD' });
+      this.logger.warn('BANKING_SCHEDULED_TRANSFER_HELD', { outcome: 'failure', reason: 'FRAUD_HOLD', ...fields });
+      return;
+    }
+
+    metrics.recordTransfer({ outcome: 'success', fromAccount, toAccount, amount, currency });
+    this.logger.info('BANKING_SCHEDULED_TRANSFER_EXECUTED', { outcome: 'success', ...fields });
+  }
+
+  // Runs every schedule that is due; returns how many ran
+  runDue() {
+    const due = this.store.listDueScheduledTransfers(new Date(this.now()));
+    let ran = 0;
+
+    for (const schedule of due) {
+      try {
+        if (this.run(schedule)) {
+          ran++;
+        }
+      } catch (error) {
+        // The schedule stays due, so the next tick tries it again
+        this.logger.error('BANKING_SCHEDULED_TRANSFER_FAILED', {
+          user: schedule.userId,
+          outcome: 'failure',
+          reason: 'RUN_ERROR',
+          scheduleId: schedule.id,
+          error: error.message
+        });
+      }
+    }
+    return ran;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.runDue(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  TransferScheduler,
+  nextRunAt,
+  parseTiming
+};
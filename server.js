@@ -1,218 +1,1192 @@
 // Load environment variables
 require('dotenv').config();
 
+// Tracing and metrics must be registered before the app starts handling requests
+const { initTracing, shutdownTracing, tracingMiddleware, withSpan, setSpanAttributes, amountBucket } = require('./tracing');
+const metrics = require('./metrics');
+const prometheus = require('./prometheus');
+initTracing();
+metrics.initMetrics();
+
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
-const winston = require('winston');
-const bunyan = require('bunyan');
+const crypto = require('crypto');
+const { createStore, traceStore } = require('./storage');
+const { hasAccount } = require('./accounts');
+const ledger = require('./ledger');
+const { toMinor, toMajor, precisionError } = require('./money');
+const { FxRates, conversionFields } = require('./fx-rates');
+const { idempotencyMiddleware } = require('./idempotency');
+const { validateRequest, rejectInvalid } = require('./validation');
+const schemas = require('./request-schemas');
+const { hashPassword, verifyPassword, checkPasswordPolicy } = require('./passwords');
+const { SessionManager } = require('./sessions');
+const { createSessionCookies } = require('./session-cookies');
+const { LoginThrottle } = require('./login-throttle');
+const { TwoFactor } = require('./two-factor');
+const { ExternalTransfers } = require('./external-transfers');
+const { TransferScheduler } = require('./scheduled-transfers');
+const { FraudEngine, deviceOf } = require('./fraud');
+const { parseHistoryQuery, listHistory } = require('./transaction-history');
+const { parseStatementQuery, buildStatement, renderStatement } = require('./statements');
 const CustomSplunkLogger = require('./custom-splunk-logger');
+const { AuditLog } = require('./audit-log');
+const { createLogger } = require('./structured-logger');
+const { requestContextMiddleware, getContext, setContext } = require('./request-context');
 
 const app = express();
 const PORT = 3000;
 
 app.use(express.json());
 app.use(express.static('public'));
+app.use(tracingMiddleware());
+app.use(metrics.requestMetricsMiddleware());
+app.use(requestContextMiddleware());
 
-// Load account data
-const loadData = () => JSON.parse(fs.readFileSync('./data.json', 'utf8'));
-const saveData = (data) => fs.writeFileSync('./data.json', JSON.stringify(data, null, 2));
+// Users, accounts, sessions and transactions (JSON file or SQLite, see storage.js)
+const rawStore = createStore();
+const store = traceStore(rawStore);
 
-// Messy logging setup
-const logger1 = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `[WINSTON] ${timestamp} ${level}: ${message}`;
-    })
-  ),
-  transports: [new winston.transports.Console()]
-});
+// Untraced: collections run outside requests and shouldn't emit spans
+metrics.setActiveSessionsSource(() => rawStore.countSessions());
 
-const logger2 = bunyan.createLogger({
-  name: 'banking-app',
-  level: 'debug'
-});
+// Balances from before the ledger existed become opening entries
+ledger.openAccounts(rawStore);
+
+// Exchange rates for transfers between accounts in different currencies (see fx-rates.js)
+const fx = new FxRates();
+
+/**
+ * Checks a transfer of `amount` (major units of the source account's
+ * currency) between two of a user's accounts. Returns { rejection } when it
+ * can't go ahead, otherwise { quote } with the amount in minor units and
+ * what the destination receives in its own currency ({ amount, credited,
+ * rate }).
+ */
+const validateTransfer = (user, amount, fromAccount, toAccount) => {
+  const reject = (error, reason, details) => ({ rejection: { status: 400, error, reason, ...(details ? { details } : {}) } });
+
+  if (!amount || amount <= 0) {
+    return reject('Invalid amount', 'INVALID_AMOUNT');
+  }
+
+  if (!hasAccount(user, fromAccount)) {
+    return reject('Invalid source account', 'INVALID_SOURCE_ACCOUNT');
+  }
+
+  if (!hasAccount(user, toAccount)) {
+    return reject('Invalid destination account', 'INVALID_DESTINATION_ACCOUNT');
+  }
+
+  const source = user.accounts[fromAccount];
+  const destination = user.accounts[toAccount];
+  const minor = toMinor(amount, source.currency);
+  if (minor === null) {
+    return reject(precisionError(source.currency), 'INVALID_AMOUNT');
+  }
+
+  const converted = fx.convert(minor, source.currency, destination.currency);
+  if (!converted) {
+    return reject(`No exchange rate from ${source.currency} to ${destination.currency}`, 'FX_RATE_UNAVAILABLE');
+  }
+  if (converted.amount === 0) {
+    return reject(`amount is too small to convert to ${destination.currency}`, 'INVALID_AMOUNT');
+  }
+
+  if (source.balance < minor) {
+    return reject('Insufficient funds', 'INSUFFICIENT_FUNDS', {
+      available: toMajor(source.balance, source.currency),
+      currency: source.currency
+    });
+  }
+
+  return { quote: { amount: minor, credited: converted.amount, rate: converted.rate } };
+};
+
+/**
+ * Checks funds and posts a transfer between two of a user's own accounts in
+ * one storage transaction, so a concurrent transfer can't spend the same
+ * balance in between. Used by /transfer and by scheduled transfers (whose
+ * records carry the scheduleId). `amount` is in major units of the source
+ * account's currency. Returns { rejection } or { balances, currency,
+ * conversion, toAccountName }, with the balances in major units and
+ * `conversion` the rate and credited amount of a transfer that changed
+ * currency (empty otherwise).
+ *
+ * `options.screen(user, quote)`, when given, runs once the transfer has
+ * passed its checks and before anything is posted. It returns null to go
+ * ahead, { rejection } to refuse, or { hold: reason } to record the
+ * transfer as held without moving money, in which case the result is
+ * { held: true, currency }. `options.ip` and `options.device` are kept on
+ * the record for the fraud rules.
+ */
+const transferBetweenOwnAccounts = (userId, { amount, fromAccount, toAccount }, options) => {
+  const { transactionId, correlationId, timestamp = new Date(), scheduleId, screen, ip, device } = options;
+
+  return store.transaction(() => {
+    const user = store.getUser(userId);
+
+    const { rejection, quote } = withSpan('validateTransfer', { 'banking.amount_bucket': amountBucket(amount) }, (span) => {
+      const outcome = validateTransfer(user, amount, fromAccount, toAccount);
+      span.setAttribute('banking.validation.result', outcome.rejection ? outcome.rejection.reason : 'OK');
+      return outcome;
+    });
+
+    if (rejection) {
+      return { rejection };
+    }
+
+    const { currency } = user.accounts[fromAccount];
+    const toCurrency = user.accounts[toAccount].currency;
+    const conversion = conversionFields(currency, toCurrency, { amount: quote.credited, rate: quote.rate });
+    const record = {
+      id: transactionId,
+      from: fromAccount,
+      to: toAccount,
+      userId: user.id,
+      amount: quote.amount,
+      currency,
+      ...conversion,
+      timestamp,
+      correlationId,
+      ...(scheduleId ? { scheduleId } : {}),
+      ...(ip ? { ip } : {}),
+      ...(device ? { device } : {})
+    };
+
+    const screened = screen ? screen(user, quote) : null;
+    if (screened && screened.rejection) {
+      return { rejection: screened.rejection };
+    }
+    if (screened && screened.hold) {
+      store.addTransaction({ ...record, status: 'held', reason: screened.hold });
+      return { held: true, currency };
+    }
+
+    const balances = ledger.postTransfer(store, {
+      transactionId,
+      from: { userId: user.id, type: fromAccount },
+      to: { userId: user.id, type: toAccount },
+      amount: quote.amount,
+      credited: quote.credited,
+      timestamp
+    });
+    store.addTransaction(record);
+
+    return {
+      balances: {
+        fromBalance: toMajor(balances.fromBalance, currency),
+        toBalance: toMajor(balances.toBalance, toCurrency)
+      },
+      currency,
+      conversion: conversion.fxRate ? { ...conversion, creditedAmount: toMajor(quote.credited, toCurrency) } : {},
+      toAccountName: user.accounts[toAccount].displayName
+    };
+  });
+};
 
 const customLogger = new CustomSplunkLogger({
   source: 'banking-demo-app',
   sourcetype: 'banking:transaction',
-  index: 'banking'
+  index: 'banking',
+  securitySourcetype: process.env.SPLUNK_SECURITY_SOURCETYPE || 'banking:security',
+  spoolDir: process.env.SPLUNK_SPOOL_DIR || path.join(__dirname, 'spool')
 });
 
+// Hash-chained file of the security events among them (see audit-log.js)
+const auditLog = new AuditLog({ splunkLogger: customLogger });
+
+// One structured event per business step, fanned out to the configured sinks
+const logger = createLogger({ splunkLogger: customLogger, audit: auditLog });
+
+prometheus.setHecStatsSource(() => customLogger.getDeliveryStats());
+
+// Rejects requests that don't match `schema` with one 400 envelope and one event (see validation.js)
+const validated = (schema, onInvalid) => validateRequest(schema, { logger, onInvalid });
+
+// A transfer refused before it reaches the handler still counts as a failed transfer
+const countInvalidTransfer = (toAccount) => (req, problems) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  metrics.recordTransfer({
+    outcome: 'failure',
+    fromAccount: typeof body.fromAccount === 'string' ? body.fromAccount : 'checking',
+    toAccount: toAccount || (typeof body.toAccount === 'string' ? body.toAccount : undefined),
+    reason: problems.some(p => p.path === 'body.amount') ? 'INVALID_AMOUNT' : 'INVALID_REQUEST'
+  });
+};
+
+// Idle/absolute expiry, sliding renewal and the sweeper (see sessions.js)
+const sessions = new SessionManager({ store, logger });
+
+// Signed-cookie transport for the UI, when SESSION_COOKIE_SECRET is set
+const sessionCookies = createSessionCookies();
+
+// Failure counters, progressive delay and lockout for /login (see login-throttle.js)
+const loginThrottle = new LoginThrottle({ store });
+
+// Optional TOTP second factor (see two-factor.js)
+const twoFactor = new TwoFactor({ store });
+
+// Payee lookup, name confirmation and daily limits for transfers to other customers (see external-transfers.js)
+const externalTransfers = new ExternalTransfers({ store, fx });
+
+// Risk scoring for every transfer out of a user's accounts: velocity, unusual amounts, new IPs and devices, draining (see fraud.js)
+const fraud = new FraudEngine({ store, fx });
+
+// One-off and recurring transfers between a user's own accounts (see scheduled-transfers.js)
+// Each run is screened by the fraud rules like /transfer, without an IP, device or step-up
+const scheduler = new TransferScheduler({
+  store,
+  logger,
+  validate: validateTransfer,
+  execute: (userId, transfer, options) => {
+    const { screen, logDecision } = fraudScreen({ fromAccount: transfer.fromAccount });
+    const outcome = transferBetweenOwnAccounts(userId, transfer, { ...options, screen });
+    logDecision({ transactionId: options.transactionId, scheduleId: options.scheduleId, ...transfer });
+    return outcome;
+  }
+});
+
+const RECONCILE_INTERVAL_MS = Number(process.env.LEDGER_RECONCILE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Flags stored balances that no longer match their ledger postings
+const reconcileLedger = () => {
+  const report = ledger.reconcile(rawStore);
+
+  if (report.balanced) {
+    logger.info('BANKING_LEDGER_RECONCILED', { outcome: 'success', accounts: report.accounts, postings: report.postings });
+    return report;
+  }
+
+  for (const entry of report.drift) {
+    logger.error('BANKING_LEDGER_DRIFT', {
+      outcome: 'failure',
+      user: entry.userId,
+      account: entry.type,
+      accountNumber: entry.accountNumber,
+      storedBalance: toMajor(entry.stored, entry.currency),
+      ledgerBalance: toMajor(entry.ledger, entry.currency),
+      currency: entry.currency
+    });
+  }
+  if (report.unbalancedTransactions.length > 0) {
+    logger.error('BANKING_LEDGER_UNBALANCED', {
+      outcome: 'failure',
+      transactionIds: report.unbalancedTransactions
+    });
+  }
+  return report;
+};
+
+// Prometheus scrape endpoint, unless it has been given a port of its own
+if (prometheus.isEnabled() && !prometheus.metricsPort()) {
+  app.get('/metrics', prometheus.metricsHandler);
+}
+
 // Authentication middleware
 app.use((req, res, next) => {
-  if (req.path === '/login' || req.path === '/' || req.path.startsWith('/public')) {
+  if (req.path === '/login' || req.path === '/metrics' || req.path === '/' || req.path.startsWith('/public')) {
     return next();
   }
-  
-  const sessionId = req.headers['x-session-id'];
-  const data = loadData();
-  
-  if (!sessionId || !data.sessions[sessionId]) {
+
+  // API clients send the token in X-Session-Id; the UI may use the signed cookie instead
+  const headerToken = req.headers['x-session-id'];
+  const cookieToken = !headerToken && sessionCookies ? sessionCookies.read(req) : null;
+  // A pending session (password checked, second factor to come) only reaches /login/totp
+  const session = sessions.validate(headerToken || cookieToken, { allowPending: req.path === '/login/totp' });
+
+  if (!session) {
+    // Requests without any token are just signed out; a token that doesn't work is worth a record
+    if (headerToken || cookieToken) {
+      logger.warn('BANKING_AUTH_FAILED', { outcome: 'failure', method: req.method, path: req.path, reason: 'INVALID_SESSION' });
+    }
     return res.status(401).json({ error: 'Not authenticated' });
   }
-  
-  req.user = data.users[data.sessions[sessionId].userId];
+
+  if (cookieToken && !sessionCookies.checkCsrf(req, cookieToken)) {
+    logger.warn('BANKING_CSRF_REJECTED', {
+      user: session.userId,
+      outcome: 'failure',
+      method: req.method,
+      path: req.path,
+      reason: 'INVALID_CSRF_TOKEN'
+    });
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
+
+  // Routes never need the password hash; keep it off req.user
+  const { password, ...user } = store.getUser(session.userId);
+  req.user = user;
+  req.session = session;
+  req.sessionTransport = cookieToken ? 'cookie' : 'header';
+  setContext({ userId: req.user.id, sessionId: session.id });
+  setSpanAttributes({ 'enduser.id': req.user.id });
   next();
 });
 
-// Routes with messy logging
-app.post('/login', (req, res) => {
+// Unknown usernames are checked against this, so they take as long as known ones
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// 429 for a password or code check the throttle refused, logged as the
+// step's own failure event (BANKING_LOGIN_FAILED for the login steps)
+const refuseThrottled = (res, event, username, refusal, startedAt) => {
+  const retryAfterSeconds = Math.ceil(refusal.retryAfterMs / 1000);
+  logger.warn(event, {
+    user: username,
+    outcome: 'failure',
+    durationMs: Date.now() - startedAt,
+    reason: refusal.reason,
+    scope: refusal.scope,
+    retryAfterSeconds
+  });
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+};
+
+// Counts a failed password or code against the throttle and logs any lock it causes
+const recordLoginFailure = (username, ip) => {
+  for (const lock of loginThrottle.recordFailure(username, ip)) {
+    logger.warn(lock.scope === 'username' ? 'BANKING_ACCOUNT_LOCKED' : 'BANKING_LOGIN_IP_LOCKED', {
+      user: username,
+      outcome: 'failure',
+      ip,
+      failures: lock.failures,
+      lockedUntil: lock.lockedUntil,
+      reason: 'TOO_MANY_FAILURES'
+    });
+  }
+};
+
+// Hands a new session to the client: the token itself, or in cookie mode
+// the cookie plus the CSRF token to echo back (the token never reaches script)
+const sendSession = (req, res, token, useCookie, body) => {
+  if (useCookie) {
+    sessionCookies.set(req, res, token);
+    return res.json({ ...body, csrfToken: sessionCookies.csrfToken(token) });
+  }
+  res.json({ ...body, sessionId: token });
+};
+
+// Balances go out in major units, alongside their currency
+const publicAccount = (account) => ({ ...account, balance: toMajor(account.balance, account.currency) });
+
+const profileOf = (user) => ({
+  id: user.id,
+  name: user.name,
+  accounts: Object.fromEntries(Object.entries(user.accounts).map(([type, account]) => [type, publicAccount(account)]))
+});
+
+app.post('/login', validated(schemas.login), (req, res) => {
   const { username, password } = req.body;
-  
-  // Overly complex logging
-  logger1.info(`LOGIN ATTEMPT ${username} ${Date.now()}`);
-  logger2.debug({msg: 'login_start', user: username, timestamp: new Date()});
-  customLogger.log('BANKING_LOGIN_INITIATED', {username}, {ip: req.ip});
-  console.log(`[AUDIT] Login attempt by ${username}`);
-  
-  const correlationId = `${username}-${Date.now()}-${Math.random()}`;
-  
-  logger1.info('validation_start');
-  logger2.info('validating_credentials');
-  customLogger.debug('CREDENTIAL_VALIDATION_PHASE_1');
-  
-  const data = loadData();
-  const user = data.users[username];
-  
-  if (!user || user.password !== password) {
-    logger1.error(`LOGIN FAILED ${username} INVALID_CREDENTIALS`);
-    logger2.warn({msg: 'login_failed', user: username, reason: 'invalid_creds'});
-    customLogger.log('BANKING_LOGIN_FAILED', {username}, {reason: 'INVALID_CREDENTIALS'});
+  const startedAt = Date.now();
+
+  logger.info('BANKING_LOGIN_INITIATED', { user: username, ip: req.ip });
+
+  // Refused before the password is even looked at, so a locked account can't be probed
+  const refusal = loginThrottle.check(username, req.ip);
+  if (refusal) {
+    setSpanAttributes({ 'enduser.id': username, 'banking.outcome': 'failure' });
+    metrics.recordLoginAttempt('failure');
+    return refuseThrottled(res, 'BANKING_LOGIN_FAILED', username, refusal, startedAt);
+  }
+
+  const user = typeof username === 'string' ? store.getUser(username) : null;
+  const { valid, needsRehash } = withSpan('validateCredentials', { 'enduser.id': username }, (span) => {
+    const result = verifyPassword(password, user ? user.password : UNKNOWN_USER_HASH);
+    const ok = Boolean(user) && result.valid;
+    span.setAttribute('banking.credentials.valid', ok);
+    return { valid: ok, needsRehash: ok && result.needsRehash };
+  });
+
+  setSpanAttributes({ 'enduser.id': username, 'banking.outcome': valid ? 'success' : 'failure' });
+  metrics.recordLoginAttempt(valid ? 'success' : 'failure');
+
+  if (!valid) {
+    logger.warn('BANKING_LOGIN_FAILED', {
+      user: username,
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason: 'INVALID_CREDENTIALS'
+    });
+
+    recordLoginFailure(username, req.ip);
     return res.status(401).json({ error: 'Invalid credentials' });
   }
-  
-  const sessionId = `session_${Date.now()}_${Math.random()}`;
-  data.sessions[sessionId] = { userId: username, createdAt: new Date() };
-  saveData(data);
-  
-  logger1.info(`LOGIN SUCCESS ${username} SESSION=${sessionId}`);
-  logger2.info({msg: 'login_success', user: username, sessionId});
-  customLogger.log('BANKING_LOGIN_SUCCESS', user, {sessionId, correlationId});
-  console.log(`[AUDIT] Successful login ${username}`);
-  
-  res.json({ sessionId, user: { id: user.id, name: user.name, accounts: user.accounts } });
+
+  // Plaintext or outdated hash: replace it now that we have the password
+  if (needsRehash) {
+    store.setPassword(user.id, hashPassword(password));
+    logger.info('BANKING_PASSWORD_REHASHED', { user: user.id, outcome: 'success' });
+  }
+
+  const useCookie = Boolean(sessionCookies) && req.get('x-session-transport') === 'cookie';
+
+  // Second factor enrolled: a pending session that only /login/totp accepts.
+  // The failure count stays until the code is right, so codes can't be guessed freely
+  if (twoFactor.isEnabled(user.id)) {
+    const { token, sessionId } = sessions.create(user.id, { pending: true });
+    setContext({ userId: user.id, sessionId });
+
+    logger.info('BANKING_LOGIN_MFA_REQUIRED', {
+      user: user.id,
+      outcome: 'pending',
+      durationMs: Date.now() - startedAt,
+      sessionId
+    });
+    return sendSession(req, res, token, useCookie, { mfaRequired: true });
+  }
+
+  loginThrottle.recordSuccess(user.id);
+
+  const { token, sessionId } = sessions.create(user.id);
+  setContext({ userId: user.id, sessionId });
+
+  logger.info('BANKING_LOGIN_SUCCESS', {
+    user: user.id,
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    sessionId
+  });
+
+  sendSession(req, res, token, useCookie, { user: profileOf(user) });
+});
+
+// Second login step: a TOTP code (or a recovery code) against a pending session
+app.post('/login/totp', validated(schemas.loginSecondFactor), (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const startedAt = Date.now();
+  const userId = req.user.id;
+
+  if (!req.session.pending) {
+    return res.status(400).json({ error: 'No login is waiting for a second factor' });
+  }
+
+  const refusal = loginThrottle.check(userId, req.ip);
+  if (refusal) {
+    setSpanAttributes({ 'banking.outcome': 'failure' });
+    return refuseThrottled(res, 'BANKING_LOGIN_FAILED', userId, refusal, startedAt);
+  }
+
+  const method = withSpan('validateSecondFactor', { 'enduser.id': userId }, (span) => {
+    const result = twoFactor.verify(userId, { code, recoveryCode });
+    span.setAttribute('banking.mfa.valid', Boolean(result));
+    return result;
+  });
+
+  setSpanAttributes({ 'banking.outcome': method ? 'success' : 'failure' });
+
+  if (!method) {
+    logger.warn('BANKING_LOGIN_FAILED', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason: 'INVALID_SECOND_FACTOR'
+    });
+    recordLoginFailure(userId, req.ip);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+
+  loginThrottle.recordSuccess(userId);
+
+  // The full session gets a fresh token; the pending one is spent
+  sessions.revoke(req.session.id, 'mfa_completed');
+  const { token, sessionId } = sessions.create(userId);
+  setContext({ sessionId });
+
+  if (method === 'recovery_code') {
+    logger.warn('BANKING_RECOVERY_CODE_USED', {
+      outcome: 'success',
+      remaining: twoFactor.status(userId).recoveryCodesRemaining
+    });
+  }
+
+  logger.info('BANKING_LOGIN_SUCCESS', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    sessionId,
+    mfa: method
+  });
+
+  sendSession(req, res, token, req.sessionTransport === 'cookie', { user: profileOf(req.user) });
 });
 
-app.post('/transfer', (req, res) => {
+/**
+ * The extra proof /transfer asks for when the fraud rules call for a
+ * step-up: a TOTP or recovery code from users with two-factor
+ * authentication, otherwise their password again. Returns { method } with
+ * what was verified, or { rejection } when the proof is missing or wrong,
+ * or when the login throttle has locked the user or `ip` out, in which case
+ * nothing is checked and the rejection carries retryAfterSeconds.
+ */
+const checkStepUp = (user, { code, recoveryCode, password }, ip) => {
+  const method = twoFactor.isEnabled(user.id) ? 'totp' : 'password';
+  const reject = (status, error, reason) => ({
+    rejection: { status, error, reason, details: { method }, response: { code: reason, method } }
+  });
+
+  const given = method === 'totp' ? code !== undefined || recoveryCode !== undefined : password !== undefined;
+  if (!given) {
+    return reject(403, 'Additional verification required', 'STEP_UP_REQUIRED');
+  }
+
+  // Guesses made here count towards the same lock as /login, so they stop at it too
+  const refusal = loginThrottle.check(user.id, ip);
+  if (refusal) {
+    const retryAfterSeconds = Math.ceil(refusal.retryAfterMs / 1000);
+    return {
+      rejection: {
+        status: 429,
+        error: 'Too many failed login attempts, try again later',
+        reason: refusal.reason,
+        details: { method, scope: refusal.scope, retryAfterSeconds },
+        retryAfterSeconds
+      }
+    };
+  }
+
+  const verified = method === 'totp'
+    ? twoFactor.verify(user.id, { code, recoveryCode })
+    : verifyPassword(password, user.password).valid && 'password';
+  return verified ? { method: verified } : reject(401, 'Verification failed', 'STEP_UP_FAILED');
+};
+
+/**
+ * Fraud screening for one transfer out of `fromAccount`: `screen` is handed
+ * to the transfer, which runs it once its own checks pass and before any
+ * money moves, and logDecision(fields) logs BANKING_FRAUD_DECISION
+ * afterwards if it was scored. `proof` is the request body that can answer
+ * a step-up; scheduled runs have none, so a step-up holds them for review.
+ */
+const fraudScreen = ({ fromAccount, ip, device, proof }) => {
+  let assessment = null;
+  let stepUp = null;
+
+  const screen = (user, quote) => {
+    assessment = {
+      ...fraud.assess(user, { fromAccount, amount: quote.amount, ip, device }),
+      currency: user.accounts[fromAccount].currency
+    };
+    if (assessment.decision === 'block') {
+      return { rejection: { status: 403, error: 'Transfer blocked', reason: 'FRAUD_BLOCKED' } };
+    }
+    if (assessment.decision === 'hold' || (assessment.decision === 'step-up' && !proof)) {
+      return { hold: 'FRAUD_HOLD' };
+    }
+    if (assessment.decision === 'step-up') {
+      const checked = checkStepUp(user, proof, ip);
+      stepUp = checked.method || null;
+      return checked.rejection ? checked : null;
+    }
+    return null;
+  };
+
+  const logDecision = (fields) => {
+    if (!assessment) {
+      return;
+    }
+    const { score, decision, rules, currency } = assessment;
+    const passed = decision === 'allow' || Boolean(stepUp);
+    setSpanAttributes({ 'banking.fraud.decision': decision, 'banking.fraud.score': score });
+    logger[passed ? 'info' : 'warn']('BANKING_FRAUD_DECISION', {
+      outcome: passed ? 'success' : 'failure',
+      score,
+      decision,
+      rules,
+      currency,
+      ...fields,
+      ...(stepUp ? { stepUp } : {})
+    });
+  };
+
+  return { screen, logDecision };
+};
+
+// Retried transfers carrying the same Idempotency-Key get the original response
+app.post('/transfer', validated(schemas.transfer, countInvalidTransfer()), idempotencyMiddleware({ store, logger }), (req, res) => {
   const { amount, toAccount, fromAccount = 'checking' } = req.body;
-  
-  logger1.info(`TRANSFER START ${req.user.id} ${Date.now()}`);
-  logger2.debug({msg: 'transfer_init', user: req.user.id, time: new Date()});
-  customLogger.log('BANKING_TRANSFER_INITIATED', req.user, req.body);
-  console.log(`[AUDIT] Transfer by ${req.user.id}`);
-  
-  const correlationId = `${req.user.id}-${Date.now()}-${Math.random()}`;
-  req.complexCorrelation = correlationId;
-  
-  logger1.info('validation_start');
-  logger2.info('validating_request');
-  customLogger.debug('REQUEST_VALIDATION_PHASE_1');
-  
-  if (!amount || amount <= 0) {
-    logger1.error(`TRANSFER FAILED ${req.user.id} INVALID_AMOUNT`);
-    return res.status(400).json({ error: 'Invalid amount' });
-  }
-  
-  const data = loadData();
-  const user = data.users[req.user.id];
-  
-  // Validate accounts exist
-  if (!user.accounts || !user.accounts[fromAccount]) {
-    return res.status(400).json({ error: 'Invalid source account' });
-  }
-  
-  if (!user.accounts[toAccount]) {
-    return res.status(400).json({ error: 'Invalid destination account' });
-  }
-  
-  const fromAccountData = user.accounts[fromAccount];
-  const toAccountData = user.accounts[toAccount];
-  
-  if (fromAccountData.balance < amount) {
-    logger1.error(`TRANSFER FAILED ${req.user.id} INSUFFICIENT_FUNDS`);
-    logger2.error({msg: 'insufficient_funds', user: req.user.id, requested: amount, available: fromAccountData.balance, account: fromAccount});
-    return res.status(400).json({ error: 'Insufficient funds' });
-  }
-  
-  // Perform the transfer
-  fromAccountData.balance -= amount;
-  toAccountData.balance += amount;
-  
-  data.transactions.push({
-    id: `txn_${Date.now()}`,
-    from: fromAccount,
-    to: toAccount,
-    userId: req.user.id,
+  const startedAt = Date.now();
+  const { correlationId } = getContext();
+
+  logger.info('BANKING_TRANSFER_INITIATED', { amount, fromAccount, toAccount });
+
+  const fail = (status, error, reason, details = {}, response = {}) => {
+    setSpanAttributes({ 'banking.outcome': 'failure', 'banking.failure_reason': reason });
+    metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount, amount, reason });
+    logger.warn('BANKING_TRANSFER_FAILED', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason,
+      amount,
+      fromAccount,
+      toAccount,
+      ...details
+    });
+    return res.status(status).json({ error, ...response });
+  };
+
+  setSpanAttributes({
+    'banking.account.from': fromAccount,
+    'banking.account.to': toAccount,
+    'banking.amount_bucket': amountBucket(amount)
+  });
+
+  const { screen, logDecision } = fraudScreen({ fromAccount, ip: req.ip, device: deviceOf(req), proof: req.body });
+  const transactionId = `txn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const result = transferBetweenOwnAccounts(req.user.id, { amount, fromAccount, toAccount }, {
+    transactionId,
+    correlationId,
+    screen,
+    ip: req.ip,
+    device: deviceOf(req)
+  });
+  logDecision({ transactionId, amount, fromAccount, toAccount });
+
+  if (result.rejection) {
+    const { rejection } = result;
+    // A wrong password or code here counts like one at /login
+    if (rejection.reason === 'STEP_UP_FAILED') {
+      recordLoginFailure(req.user.id, req.ip);
+    }
+    if (rejection.retryAfterSeconds) {
+      res.set('Retry-After', String(rejection.retryAfterSeconds));
+    }
+    return fail(rejection.status, rejection.error, rejection.reason, rejection.details, rejection.response);
+  }
+
+  if (result.held) {
+    setSpanAttributes({ 'banking.outcome': 'failure', 'banking.failure_reason': 'FRAUD_HOLD' });
+    metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount, amount, currency: result.currency, reason: 'FRAUD_HOLD' });
+    logger.warn('BANKING_TRANSFER_HELD', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason: 'FRAUD_HOLD',
+      transactionId,
+      amount,
+      currency: result.currency,
+      fromAccount,
+      toAccount
+    });
+    return res.status(202).json({ held: true, transactionId, message: 'Transfer held for review' });
+  }
+
+  setSpanAttributes({ 'banking.outcome': 'success' });
+  metrics.recordTransfer({ outcome: 'success', fromAccount, toAccount, amount, currency: result.currency });
+
+  logger.info('BANKING_TRANSFER_SUCCESS', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    transactionId,
+    amount,
+    currency: result.currency,
+    fromAccount,
+    toAccount,
+    ...result.conversion
+  });
+
+  res.json({
+    success: true,
+    newBalance: result.balances.fromBalance,
+    currency: result.currency,
+    toAccountName: result.toAccountName,
+    ...result.conversion
+  });
+});
+
+// Confirmation of payee before a transfer to another customer
+// Rate-limited per user, and an unknown account answers like a wrong name, so account numbers can't be probed
+app.post('/payees/lookup', validated(schemas.payeeLookup), (req, res) => {
+  const { accountNumber, name } = req.body;
+
+  const limited = externalTransfers.takeLookup(req.user.id);
+  if (limited) {
+    const retryAfterSeconds = Math.ceil(limited.retryAfterMs / 1000);
+    logger.warn('BANKING_PAYEE_LOOKUP', { outcome: 'failure', reason: 'TOO_MANY_LOOKUPS', accountNumber, retryAfterSeconds });
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many payee lookups, try again later' });
+  }
+
+  const payee = externalTransfers.lookup(accountNumber, name);
+  logger.info('BANKING_PAYEE_LOOKUP', { outcome: 'success', result: payee.result, accountNumber });
+  res.json(payee);
+});
+
+// Transfer to another customer's account by account number; both sides share the correlation id
+app.post('/transfer/external', validated(schemas.externalTransfer, countInvalidTransfer('external')), idempotencyMiddleware({ store, logger }), (req, res) => {
+  const { amount, fromAccount = 'checking', toAccountNumber, payeeName, confirmCloseMatch = false } = req.body;
+  const startedAt = Date.now();
+  const { correlationId } = getContext();
+
+  logger.info('BANKING_EXTERNAL_TRANSFER_INITIATED', { amount, fromAccount, toAccountNumber });
+
+  setSpanAttributes({
+    'banking.account.from': fromAccount,
+    'banking.account.to': 'external',
+    'banking.amount_bucket': amountBucket(amount)
+  });
+
+  const { screen, logDecision } = fraudScreen({ fromAccount, ip: req.ip, device: deviceOf(req), proof: req.body });
+  const transactionId = `txn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const result = withSpan('sendExternalTransfer', { 'banking.amount_bucket': amountBucket(amount) }, (span) => {
+    const outcome = externalTransfers.send(req.user.id, {
+      amount, fromAccount, toAccountNumber, payeeName, confirmCloseMatch
+    }, { transactionId, correlationId, screen, ip: req.ip, device: deviceOf(req) });
+    span.setAttribute('banking.validation.result', outcome.rejection ? outcome.rejection.reason : 'OK');
+    return outcome;
+  });
+  logDecision({ transactionId, amount, fromAccount, toAccountNumber });
+
+  if (result.rejection) {
+    const { status, error, reason, details = {}, response = {} } = result.rejection;
+    // A wrong password or code here counts like one at /login
+    if (reason === 'STEP_UP_FAILED') {
+      recordLoginFailure(req.user.id, req.ip);
+    }
+    if (result.rejection.retryAfterSeconds) {
+      res.set('Retry-After', String(result.rejection.retryAfterSeconds));
+    }
+    setSpanAttributes({ 'banking.outcome': 'failure', 'banking.failure_reason': reason });
+    metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount: 'external', amount, reason });
+    logger.warn('BANKING_EXTERNAL_TRANSFER_FAILED', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason,
+      amount,
+      fromAccount,
+      toAccountNumber,
+      ...details
+    });
+    // A close match tells the sender who the account really belongs to, so they can confirm
+    return res.status(status).json({ error, ...response, ...(details.payeeName ? { payeeName: details.payeeName } : {}) });
+  }
+
+  if (result.held) {
+    setSpanAttributes({ 'banking.outcome': 'failure', 'banking.failure_reason': 'FRAUD_HOLD' });
+    metrics.recordTransfer({ outcome: 'failure', fromAccount, toAccount: 'external', amount, currency: result.currency, reason: 'FRAUD_HOLD' });
+    logger.warn('BANKING_EXTERNAL_TRANSFER_HELD', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason: 'FRAUD_HOLD',
+      transactionId,
+      amount,
+      currency: result.currency,
+      fromAccount,
+      toAccountNumber: result.payee.accountNumber
+    });
+    return res.status(202).json({ held: true, transactionId, message: 'Transfer held for review' });
+  }
+
+  const { payee } = result;
+  setSpanAttributes({ 'banking.outcome': 'success' });
+  metrics.recordTransfer({ outcome: 'success', fromAccount, toAccount: 'external', amount, currency: result.currency });
+
+  logger.info('BANKING_EXTERNAL_TRANSFER_SENT', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    transactionId,
     amount,
-    timestamp: new Date(),
-    correlationId
+    currency: result.currency,
+    fromAccount,
+    toAccountNumber: payee.accountNumber,
+    ...result.conversion
+  });
+  // The recipient's side of the same transfer, under their user id
+  logger.info('BANKING_EXTERNAL_TRANSFER_RECEIVED', {
+    outcome: 'success',
+    user: payee.userId,
+    transactionId,
+    amount,
+    currency: result.currency,
+    toAccount: payee.type,
+    fromAccountNumber: req.user.accounts[fromAccount].accountNumber,
+    ...result.conversion
+  });
+
+  res.json({
+    success: true,
+    transactionId,
+    newBalance: result.balance,
+    currency: result.currency,
+    payeeName: payee.holderName,
+    ...result.conversion
   });
-  
-  saveData(data);
-  
-  logger1.info(`TRANSFER SUCCESS ${req.user.id} AMOUNT=${amount} FROM=${fromAccount} TO=${toAccount}`);
-  logger2.info({msg: 'transfer_complete', user: req.user.id, amount, fromAccount, toAccount, newBalance: fromAccountData.balance});
-  customLogger.log('BANKING_TRANSFER_SUCCESS', req.user, {amount, fromAccount, toAccount, correlationId});
-  console.log(`[AUDIT] Transfer completed ${req.user.id}: ${fromAccount} -> ${toAccount}: $${amount}`);
-  
-  res.json({ 
-    success: true, 
-    newBalance: fromAccountData.balance,
-    toAccountName: toAccountData.displayName
+});
+
+app.get('/scheduled-transfers', (req, res) => {
+  res.json({ scheduledTransfers: scheduler.list(req.user.id) });
+});
+
+// Body: { amount, fromAccount, toAccount, frequency, startAt, dayOfMonth, endAt } (see scheduled-transfers.js)
+app.post('/scheduled-transfers', validated(schemas.createSchedule), (req, res) => {
+  const { schedule, rejection } = scheduler.create(req.user, req.body);
+
+  if (rejection) {
+    logger.warn('BANKING_SCHEDULED_TRANSFER_CREATED', {
+      outcome: 'failure',
+      reason: rejection.reason,
+      error: rejection.error
+    });
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+
+  logger.info('BANKING_SCHEDULED_TRANSFER_CREATED', {
+    outcome: 'success',
+    scheduleId: schedule.id,
+    amount: schedule.amount,
+    currency: schedule.currency,
+    fromAccount: schedule.fromAccount,
+    toAccount: schedule.toAccount,
+    frequency: schedule.frequency,
+    nextRunAt: schedule.nextRunAt
   });
+  res.status(201).json({ scheduledTransfer: schedule });
 });
 
-app.get('/balance', (req, res) => {
+app.get('/scheduled-transfers/:id', (req, res) => {
+  const schedule = scheduler.get(req.user.id, req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled transfer not found' });
+  }
+  res.json({ scheduledTransfer: schedule });
+});
+
+// Changes only the fields sent; the schedule's next run is worked out again
+app.patch('/scheduled-transfers/:id', validated(schemas.updateSchedule), (req, res) => {
+  const result = scheduler.update(req.user, req.params.id, req.body || {});
+  if (!result) {
+    return res.status(404).json({ error: 'Scheduled transfer not found' });
+  }
+
+  const { schedule, rejection } = result;
+  if (rejection) {
+    logger.warn('BANKING_SCHEDULED_TRANSFER_UPDATED', {
+      outcome: 'failure',
+      scheduleId: req.params.id,
+      reason: rejection.reason,
+      error: rejection.error
+    });
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+
+  logger.info('BANKING_SCHEDULED_TRANSFER_UPDATED', {
+    outcome: 'success',
+    scheduleId: schedule.id,
+    amount: schedule.amount,
+    currency: schedule.currency,
+    fromAccount: schedule.fromAccount,
+    toAccount: schedule.toAccount,
+    frequency: schedule.frequency,
+    nextRunAt: schedule.nextRunAt
+  });
+  res.json({ scheduledTransfer: schedule });
+});
+
+app.delete('/scheduled-transfers/:id', (req, res) => {
+  if (!scheduler.cancel(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Scheduled transfer not found' });
+  }
+
+  logger.info('BANKING_SCHEDULED_TRANSFER_CANCELLED', { outcome: 'success', scheduleId: req.params.id });
+  res.json({ success: true });
+});
+
+app.get('/balance', validated(schemas.balance), (req, res) => {
   const accountType = req.query.account || 'checking'; // Default to checking if not specified
-  
-  logger1.info(`BALANCE CHECK ${req.user.id} ACCOUNT=${accountType} ${Date.now()}`);
-  logger2.debug({msg: 'balance_request', user: req.user.id, account: accountType});
-  customLogger.log('BANKING_BALANCE_CHECK', req.user, {account: accountType});
-  console.log(`[AUDIT] Balance check by ${req.user.id} for ${accountType}`);
-  
-  const data = loadData();
-  const user = data.users[req.user.id];
-  
-  if (!user.accounts || !user.accounts[accountType]) {
+  const startedAt = Date.now();
+
+  setSpanAttributes({ 'banking.account.type': accountType });
+
+  const user = req.user;
+
+  if (!hasAccount(user, accountType)) {
+    logger.warn('BANKING_BALANCE_CHECK', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      account: accountType,
+      reason: 'INVALID_ACCOUNT'
+    });
+    metrics.recordBalanceCheck(accountType, 'failure');
     return res.status(400).json({ error: 'Invalid account type' });
   }
-  
+
   const account = user.accounts[accountType];
-  const balance = account.balance;
+  const { balance, currency } = publicAccount(account);
   const accountName = account.displayName;
-  
-  logger1.info(`BALANCE RESPONSE ${req.user.id} ACCOUNT=${accountType} BALANCE=${balance}`);
-  logger2.info({msg: 'balance_response', user: req.user.id, account: accountType, balance});
-  customLogger.log('BANKING_BALANCE_RESPONSE', req.user, {account: accountType, balance});
-  
-  res.json({ balance, accountName, accountType });
+
+  metrics.recordBalanceCheck(accountType, 'success');
+
+  logger.info('BANKING_BALANCE_CHECK', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    account: accountType
+  });
+
+  res.json({ balance, currency, accountName, accountType });
+});
+
+// The user's transfers, newest first, filtered and a page at a time
+app.get('/transactions', validated(schemas.history), (req, res) => {
+  const startedAt = Date.now();
+  const filters = parseHistoryQuery(req.query);
+
+  if (filters.account && !hasAccount(req.user, filters.account)) {
+    return rejectInvalid(req, res, logger, [
+      { path: 'query.account', code: 'invalid_value', message: 'Invalid account type' }
+    ]);
+  }
+
+  setSpanAttributes({ 'banking.history.order': filters.order, 'banking.history.limit': filters.limit });
+
+  const page = listHistory(store, req.user.id, filters);
+
+  logger.info('BANKING_TRANSACTION_HISTORY', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    account: filters.account,
+    direction: filters.direction,
+    count: page.transactions.length,
+    paged: Boolean(filters.after)
+  });
+
+  res.json(page);
+});
+
+// Downloadable statement for one account: CSV, OFX or PDF
+app.get('/accounts/:type/statement', validated(schemas.statement), (req, res) => {
+  const startedAt = Date.now();
+  const accountType = req.params.type;
+  const parsed = parseStatementQuery(req.query);
+
+  setSpanAttributes({ 'banking.account.type': accountType, 'banking.statement.format': parsed.format });
+
+  if (!hasAccount(req.user, accountType)) {
+    return rejectInvalid(req, res, logger, [
+      { path: 'params.type', code: 'invalid_value', message: 'Invalid account type' }
+    ]);
+  }
+
+  const statement = withSpan('buildStatement', { 'banking.account.type': accountType },
+    () => buildStatement(store, req.user, accountType, parsed.period));
+  const { body, contentType, filename } = renderStatement(statement, parsed.format);
+
+  logger.info('BANKING_STATEMENT_EXPORTED', {
+    outcome: 'success',
+    durationMs: Date.now() - startedAt,
+    account: accountType,
+    format: parsed.format,
+    from: statement.from,
+    to: statement.to,
+    count: statement.entries.length
+  });
+
+  // attachment() guesses a type from the extension, so ours goes on after it
+  res.attachment(filename)
+    .type(contentType)
+    .send(body);
+});
+
+app.post('/password', validated(schemas.changePassword), (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const startedAt = Date.now();
+
+  const fail = (status, error, reason, details = {}) => {
+    logger.warn('BANKING_PASSWORD_CHANGE_FAILED', {
+      outcome: 'failure',
+      durationMs: Date.now() - startedAt,
+      reason,
+      ...details
+    });
+    return res.status(status).json({ error, ...details });
+  };
+
+  // Guesses at the current password count towards the login lockout, and stop at it
+  const refusal = loginThrottle.check(req.user.id, req.ip);
+  if (refusal) {
+    return refuseThrottled(res, 'BANKING_PASSWORD_CHANGE_FAILED', req.user.id, refusal, startedAt);
+  }
+
+  const user = store.getUser(req.user.id);
+  if (!verifyPassword(currentPassword, user.password).valid) {
+    recordLoginFailure(user.id, req.ip);
+    return fail(401, 'Current password is incorrect', 'INVALID_CREDENTIALS');
+  }
+
+  const problems = checkPasswordPolicy(newPassword, { username: user.id });
+  if (problems.length > 0) {
+    return fail(400, 'Password does not meet the policy', 'PASSWORD_POLICY', { problems });
+  }
+
+  store.setPassword(user.id, hashPassword(newPassword));
+  logger.info('BANKING_PASSWORD_CHANGED', { outcome: 'success', durationMs: Date.now() - startedAt });
+
+  res.json({ success: true });
+});
+
+app.get('/totp', (req, res) => {
+  res.json(twoFactor.status(req.user.id));
+});
+
+// TOTP enrolment, step one: a new secret for the user's authenticator app
+app.post('/totp/enroll', (req, res) => {
+  const enrolment = twoFactor.enroll(req.user.id);
+  if (!enrolment) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  logger.info('BANKING_TOTP_ENROLMENT_STARTED', { outcome: 'success' });
+  res.json(enrolment);
+});
+
+// Step two: a code from the app proves it has the secret; recovery codes are shown once
+app.post('/totp/confirm', validated(schemas.confirmTotp), (req, res) => {
+  const recoveryCodes = twoFactor.confirm(req.user.id, req.body.code);
+  if (!recoveryCodes) {
+    logger.warn('BANKING_TOTP_ENROLMENT_FAILED', { outcome: 'failure', reason: 'INVALID_CODE' });
+    return res.status(400).json({ error: 'Invalid code' });
+  }
+
+  logger.info('BANKING_TOTP_ENABLED', { outcome: 'success', recoveryCodeCount: recoveryCodes.length });
+  res.json({ enabled: true, recoveryCodes });
+});
+
+// Wrong codes count towards the login lockout, as at /login/totp, so they can't be run through
+app.post('/totp/disable', validated(schemas.disableTotp), (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const startedAt = Date.now();
+
+  const refusal = loginThrottle.check(req.user.id, req.ip);
+  if (refusal) {
+    return refuseThrottled(res, 'BANKING_TOTP_DISABLE_FAILED', req.user.id, refusal, startedAt);
+  }
+
+  if (!twoFactor.disable(req.user.id, { code, recoveryCode })) {
+    logger.warn('BANKING_TOTP_DISABLE_FAILED', { outcome: 'failure', durationMs: Date.now() - startedAt, reason: 'INVALID_CODE' });
+    recordLoginFailure(req.user.id, req.ip);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+
+  logger.info('BANKING_TOTP_DISABLED', { outcome: 'success' });
+  res.json({ enabled: false });
 });
 
 app.post('/logout', (req, res) => {
-  const sessionId = req.headers['x-session-id'];
-  
-  logger1.info(`LOGOUT ${req.user.id} SESSION=${sessionId}`);
-  logger2.debug({msg: 'logout_request', user: req.user.id, sessionId});
-  customLogger.log('BANKING_LOGOUT', req.user, {sessionId});
-  console.log(`[AUDIT] Logout by ${req.user.id}`);
-  
-  const data = loadData();
-  delete data.sessions[sessionId];
-  saveData(data);
-  
-  logger1.info(`LOGOUT SUCCESS ${req.user.id}`);
-  logger2.info({msg: 'logout_complete', user: req.user.id});
-  customLogger.log('BANKING_LOGOUT_SUCCESS', req.user, {});
-  
+  const sessionId = req.session.id;
+
+  sessions.revoke(sessionId, 'logout');
+  if (sessionCookies) {
+    sessionCookies.clear(req, res);
+  }
+
+  logger.info('BANKING_LOGOUT', { outcome: 'success', sessionId });
+
   res.json({ success: true });
 });
 
-app.listen(PORT, () => {
-  logger1.info(`BANKING APP STARTED PORT=${PORT}`);
-  logger2.info({msg: 'server_start', port: PORT});
-  customLogger.log('BANKING_APP_STARTUP', {}, {port: PORT});
-  console.log(`[SYSTEM] Banking demo server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Log out everywhere: ends this session and every other one the user has
+app.post('/logout/all', (req, res) => {
+  const revoked = sessions.revokeAll(req.user.id, 'logout_all');
+  if (sessionCookies) {
+    sessionCookies.clear(req, res);
+  }
+
+  logger.info('BANKING_LOGOUT', { outcome: 'success', scope: 'all', revoked });
+
+  res.json({ success: true, revoked });
+});
+
+// Security settings in force, recorded at startup so the audit trail shows when they change
+const securitySettings = () => ({
+  storage: process.env.STORAGE_BACKEND || 'json',
+  sessionCookies: Boolean(sessionCookies),
+  sessionIdleTimeoutMs: sessions.idleTimeoutMs,
+  sessionAbsoluteTimeoutMs: sessions.absoluteTimeoutMs,
+  loginMaxFailures: loginThrottle.maxFailures,
+  loginMaxFailuresPerIp: loginThrottle.maxFailuresPerIp,
+  loginLockoutMs: loginThrottle.lockoutMs,
+  externalTransferDailyLimit: externalTransfers.dailyLimit,
+  fraudScores: { stepUp: fraud.stepUpScore, hold: fraud.holdScore, block: fraud.blockScore },
+  auditKeyed: Boolean(auditLog.key),
+  auditForwarding: Boolean(auditLog.splunkLogger)
+});
+
+/**
+ * Flushes the log sinks (including the HEC delivery queue), traces and
+ * metrics, then closes the store. The audit trail sends its Splunk copies
+ * through the same queue whatever LOG_SINKS says, so without a splunk sink
+ * to close it, it is closed here. Every step runs even if another fails,
+ * since an exporter whose collector is down must not keep the store open.
+ * Resolves to the number of steps that failed, each logged to the console.
+ */
+const closeAll = async () => {
+  const steps = [() => logger.close(), shutdownTracing, metrics.shutdownMetrics];
+  if (auditLog.splunkLogger && !logger.sinks.some(sink => sink.splunkLogger === auditLog.splunkLogger)) {
+    steps.push(() => auditLog.splunkLogger.close());
+  }
+  const results = await Promise.allSettled(steps.map(step => Promise.resolve().then(step)));
+  const failed = results.filter(result => result.status === 'rejected');
+  for (const { reason } of failed) {
+    console.error('[SYSTEM] Shutdown step failed:', reason && reason.message ? reason.message : reason);
+  }
+
+  rawStore.close();
+  return failed.length;
+};
+
+const start = (port = PORT) => {
+  auditLog.checkSetup();
+
+  const server = app.listen(port, () => {
+    logger.info('BANKING_APP_STARTUP', { port: server.address().port, settings: securitySettings() });
+    console.log(`[SYSTEM] Banking demo server running on http://localhost:${server.address().port}`);
+  });
+
+  reconcileLedger();
+  const reconcileTimer = setInterval(reconcileLedger, RECONCILE_INTERVAL_MS);
+  reconcileTimer.unref();
+
+  sessions.sweep();
+  sessions.start();
+
+  scheduler.runDue();
+  scheduler.start();
+
+  const metricsServer = prometheus.isEnabled() && prometheus.metricsPort()
+    ? prometheus.startMetricsServer(prometheus.metricsPort())
+    : null;
+
+  // Drain everything before exiting; a second signal while that runs is ignored
+  let shuttingDown = false;
+  const shutdown = (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info('BANKING_APP_SHUTDOWN', { signal });
+
+    server.close();
+    clearInterval(reconcileTimer);
+    sessions.stop();
+    scheduler.stop();
+    if (metricsServer) {
+      metricsServer.close();
+    }
+    closeAll()
+      .catch((error) => {
+        console.error('[SYSTEM] Shutdown failed:', error.message);
+        return 1;
+      })
+      .then((failed) => {
+        console.log(`[SYSTEM] HEC delivery stats ${JSON.stringify(customLogger.getDeliveryStats())}`);
+        process.exit(failed ? 1 : 0);
+      });
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+};
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, logger, reconcileLedger, sessions, twoFactor, externalTransfers, scheduler, auditLog };
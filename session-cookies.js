@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'banking_session';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Minimal Cookie header parser; we only ever read our own cookie
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of String(header || '').split(';').map(item => item.trim())) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1));
+      } catch (error) {
+        // Malformed encoding: ignore the cookie rather than fail the request
+      }
+    }
+  }
+  return cookies;
+};
+
+/**
+ * Cookie transport for session tokens, used by the HTML UI. The token travels
+ * in an HttpOnly, SameSite=Strict cookie signed with `secret`, so script on
+ * the page can't read it and a tampered value is rejected before any lookup.
+ *
+ * Cookie-authenticated requests that change state must also carry an
+ * X-CSRF-Token header: an HMAC of the session token handed to the page at
+ * login, which another site can neither read nor forge. Requests using the
+ * X-Session-Id header need no CSRF token, as browsers never attach that
+ * header on their own.
+ */
+class SessionCookies {
+  constructor(options = {}) {
+    this.secret = options.secret;
+    this.secure = options.secure;
+  }
+
+  sign(token) {
+    return `${token}.${hmac(this.secret, `session:${token}`)}`;
+  }
+
+  // Returns the token inside a signed cookie value, or null when it doesn't verify
+  unsign(value) {
+    const index = String(value || '').lastIndexOf('.');
+    if (index <= 0) {
+      return null;
+    }
+    const token = value.slice(0, index);
+    return safeEqual(value, this.sign(token)) ? token : null;
+  }
+
+  csrfToken(token) {
+    return hmac(this.secret, `csrf:${token}`);
+  }
+
+  // Token from the signed cookie, or null when there is none or it was tampered with
+  read(req) {
+    const value = parseCookies(req.get('cookie'))[COOKIE_NAME];
+    return value ? this.unsign(value) : null;
+  }
+
+  // True when the request may go ahead: safe methods always, others with a matching CSRF header
+  checkCsrf(req, token) {
+    if (SAFE_METHODS.includes(req.method)) {
+      return true;
+    }
+    const header = req.get(CSRF_HEADER);
+    return Boolean(header) && safeEqual(header, this.csrfToken(token));
+  }
+
+  set(req, res, token) {
+    res.cookie(COOKIE_NAME, this.sign(token), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secure || req.secure,
+      path: '/'
+    });
+  }
+
+  clear(req, res) {
+    res.clearCookie(COOKIE_NAME, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secure || req.secure,
+      path: '/'
+    });
+  }
+}
+
+/**
+ * Cookie transport from the environment: enabled by setting
+ * SESSION_COOKIE_SECRET (the signing key); SESSION_COOKIE_SECURE=true marks
+ * the cookie Secure even when TLS ends in front of the app. Returns null when
+ * disabled, leaving the X-Session-Id header as the only transport.
+ */
+const createSessionCookies = () => {
+  if (!process.env.SESSION_COOKIE_SECRET) {
+    return null;
+  }
+  return new SessionCookies({
+    secret: process.env.SESSION_COOKIE_SECRET,
+    secure: process.env.SESSION_COOKIE_SECURE === 'true'
+  });
+};
+
+module.exports = {
+  SessionCookies,
+  createSessionCookies,
+  parseCookies,
+  COOKIE_NAME,
+  CSRF_HEADER
+};
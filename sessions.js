@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 32;
+const DEFAULT_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+const DEFAULT_ABSOLUTE_TIMEOUT_MS = 8 * 60 * 60 * 1000;
+const DEFAULT_RENEW_AFTER_MS = 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const time = (value) => new Date(value).getTime();
+
+// Sessions are stored under the SHA-256 of their token, never the token itself
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Session lifecycle on top of the store: a session ends after
+ * `idleTimeoutMs` without a request (SESSION_IDLE_TIMEOUT_MS, default 15
+ * minutes) or `absoluteTimeoutMs` after login whatever the activity
+ * (SESSION_ABSOLUTE_TIMEOUT_MS, default 8 hours). Activity slides the idle
+ * window forward; lastSeenAt is only written once `renewAfterMs` has passed
+ * (SESSION_RENEW_AFTER_MS, default 1 minute) so a busy client doesn't turn
+ * every read into a write. Expired sessions are removed when next presented
+ * and by a sweeper every SESSION_SWEEP_INTERVAL_MS (default 1 minute).
+ *
+ * A pending session is half a login: the password was right but the second
+ * factor is still to come. It only authenticates the second step and ends
+ * after `pendingTimeoutMs` (SESSION_PENDING_TIMEOUT_MS, default 5 minutes).
+ *
+ * Clients hold a random 256-bit token; the store only sees its hash, which
+ * is also the session id used in logs and revocation, so neither a copy of
+ * the data nor a log record is enough to take over a session.
+ *
+ * Every transition is logged: BANKING_SESSION_CREATED, _RENEWED, _EXPIRED
+ * (with reason idle or absolute) and _REVOKED (with the reason given).
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.logger = options.logger;
+    this.idleTimeoutMs = options.idleTimeoutMs || Number(process.env.SESSION_IDLE_TIMEOUT_MS) || DEFAULT_IDLE_TIMEOUT_MS;
+    this.absoluteTimeoutMs = options.absoluteTimeoutMs ||
+      Number(process.env.SESSION_ABSOLUTE_TIMEOUT_MS) || DEFAULT_ABSOLUTE_TIMEOUT_MS;
+    this.renewAfterMs = options.renewAfterMs ?? (Number(process.env.SESSION_RENEW_AFTER_MS) || DEFAULT_RENEW_AFTER_MS);
+    this.sweepIntervalMs = options.sweepIntervalMs ||
+      Number(process.env.SESSION_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS;
+    this.pendingTimeoutMs = options.pendingTimeoutMs ||
+      Number(process.env.SESSION_PENDING_TIMEOUT_MS) || DEFAULT_PENDING_TIMEOUT_MS;
+    this.now = options.now || (() => Date.now());
+    this.timer = null;
+  }
+
+  // Returns 'pending', 'idle' or 'absolute' when the session is over, null otherwise
+  expiryReason(session, now = this.now()) {
+    if (session.pending && now - time(session.createdAt) >= this.pendingTimeoutMs) {
+      return 'pending';
+    }
+    if (now - time(session.createdAt) >= this.absoluteTimeoutMs) {
+      return 'absolute';
+    }
+    if (now - time(session.lastSeenAt || session.createdAt) >= this.idleTimeoutMs) {
+      return 'idle';
+    }
+    return null;
+  }
+
+  expiresAt(session) {
+    if (session.pending) {
+      return new Date(time(session.createdAt) + this.pendingTimeoutMs).toISOString();
+    }
+    const idle = time(session.lastSeenAt || session.createdAt) + this.idleTimeoutMs;
+    const absolute = time(session.createdAt) + this.absoluteTimeoutMs;
+    return new Date(Math.min(idle, absolute)).toISOString();
+  }
+
+  // Returns { token, sessionId }: the token goes to the client, the id stays here
+  create(userId, { pending = false } = {}) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const sessionId = hashToken(token);
+    const now = new Date(this.now());
+    const session = { userId, createdAt: now, lastSeenAt: now, ...(pending ? { pending: true } : {}) };
+    this.store.createSession(sessionId, session);
+
+    this.logger.info('BANKING_SESSION_CREATED', {
+      user: userId,
+      sessionId,
+      ...(pending ? { pending: true } : {}),
+      expiresAt: this.expiresAt(session)
+    });
+    return { token, sessionId };
+  }
+
+  /**
+   * Returns the live session (with its `id`) for a client's token, renewing
+   * it if due, or null when there is none or it has just expired (and been
+   * removed). Pending sessions only count with `allowPending`.
+   */
+  validate(token, { allowPending = false } = {}) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+    const sessionId = hashToken(token);
+    const stored = this.store.getSession(sessionId);
+    if (!stored) {
+      return null;
+    }
+    const session = { id: sessionId, ...stored };
+
+    const now = this.now();
+    const reason = this.expiryReason(session, now);
+    if (reason) {
+      this.expire(sessionId, session, reason);
+      return null;
+    }
+    if (session.pending && !allowPending) {
+      return null;
+    }
+
+    if (now - time(session.lastSeenAt || session.createdAt) >= this.renewAfterMs) {
+      const lastSeenAt = new Date(now);
+      this.store.touchSession(sessionId, lastSeenAt);
+      session.lastSeenAt = lastSeenAt.toISOString();
+
+      this.logger.info('BANKING_SESSION_RENEWED', {
+        user: session.userId,
+        sessionId,
+        expiresAt: this.expiresAt(session)
+      });
+    }
+    return session;
+  }
+
+  expire(sessionId, session, reason) {
+    this.store.deleteSession(sessionId);
+    this.logger.info('BANKING_SESSION_EXPIRED', { user: session.userId, sessionId, reason });
+  }
+
+  // Takes the session id (the token's hash), as found on a validated session
+  revoke(sessionId, reason) {
+    const session = sessionId ? this.store.getSession(sessionId) : null;
+    if (!session) {
+      return false;
+    }
+
+    this.store.deleteSession(sessionId);
+    this.logger.info('BANKING_SESSION_REVOKED', { user: session.userId, sessionId, reason });
+    return true;
+  }
+
+  // Ends every session the user has; returns how many there were
+  revokeAll(userId, reason) {
+    const sessions = this.store.listSessions(userId);
+    for (const session of sessions) {
+      this.revoke(session.id, reason);
+    }
+    return sessions.length;
+  }
+
+  // Removes every expired session; returns how many went
+  sweep() {
+    const now = this.now();
+    let expired = 0;
+
+    for (const session of this.store.listSessions()) {
+      const reason = this.expiryReason(session, now);
+      if (reason) {
+        this.expire(session.id, session, reason);
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        try {
+          this.sweep();
+        } catch (error) {
+          console.error('[SESSIONS] Sweep failed:', error.message);
+        }
+      }, this.sweepIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  SessionManager,
+  hashToken
+};
@@ -0,0 +1,527 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { CURRENCIES } = require('./money');
+
+// Applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  `CREATE TABLE users (
+     id TEXT PRIMARY KEY,
+     name TEXT NOT NULL,
+     password TEXT NOT NULL
+   );
+   CREATE TABLE accounts (
+     user_id TEXT NOT NULL REFERENCES users(id),
+     type TEXT NOT NULL,
+     account_number TEXT NOT NULL UNIQUE,
+     balance REAL NOT NULL,
+     display_name TEXT NOT NULL,
+     PRIMARY KEY (user_id, type)
+   );
+   CREATE TABLE sessions (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL,
+     created_at TEXT NOT NULL
+   );
+   CREATE TABLE transactions (
+     seq INTEGER PRIMARY KEY AUTOINCREMENT,
+     id TEXT NOT NULL,
+     user_id TEXT NOT NULL,
+     from_account TEXT NOT NULL,
+     to_account TEXT NOT NULL,
+     amount REAL NOT NULL,
+     timestamp TEXT NOT NULL,
+     correlation_id TEXT
+   );
+   CREATE INDEX transactions_user ON transactions (user_id, seq);`,
+  `CREATE TABLE postings (
+     seq INTEGER PRIMARY KEY AUTOINCREMENT,
+     transaction_id TEXT NOT NULL,
+     account_number TEXT NOT NULL,
+     direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+     amount REAL NOT NULL CHECK (amount > 0),
+     timestamp TEXT NOT NULL
+   );
+   CREATE INDEX postings_account ON postings (account_number);
+   CREATE INDEX postings_transaction ON postings (transaction_id);`,
+  `CREATE TABLE idempotency_keys (
+     user_id TEXT NOT NULL,
+     key TEXT NOT NULL,
+     fingerprint TEXT NOT NULL,
+     status INTEGER NOT NULL,
+     response TEXT NOT NULL,
+     created_at TEXT NOT NULL,
+     expires_at TEXT NOT NULL,
+     PRIMARY KEY (user_id, key)
+   );
+   CREATE INDEX idempotency_keys_expiry ON idempotency_keys (expires_at);`,
+  `ALTER TABLE sessions ADD COLUMN last_seen_at TEXT;
+   CREATE INDEX sessions_user ON sessions (user_id);`,
+  `CREATE TABLE login_attempts (
+     key TEXT PRIMARY KEY,
+     failures INTEGER NOT NULL,
+     last_failure_at TEXT NOT NULL,
+     blocked_until TEXT,
+     locked_until TEXT,
+     expires_at TEXT NOT NULL
+   );
+   CREATE INDEX login_attempts_expiry ON login_attempts (expires_at);`,
+  `CREATE TABLE totp (
+     user_id TEXT PRIMARY KEY REFERENCES users(id),
+     secret TEXT NOT NULL,
+     confirmed_at TEXT,
+     last_counter INTEGER,
+     recovery_codes TEXT NOT NULL,
+     created_at TEXT NOT NULL
+   );
+   ALTER TABLE sessions ADD COLUMN pending INTEGER NOT NULL DEFAULT 0;`,
+  'CREATE INDEX transactions_user_time ON transactions (user_id, timestamp, id);',
+  'ALTER TABLE transactions ADD COLUMN counterparty_name TEXT;',
+  `CREATE TABLE scheduled_transfers (
+     id TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id),
+     from_account TEXT NOT NULL,
+     to_account TEXT NOT NULL,
+     amount REAL NOT NULL,
+     frequency TEXT NOT NULL CHECK (frequency IN ('once', 'daily', 'weekly', 'monthly')),
+     day_of_month INTEGER,
+     start_at TEXT NOT NULL,
+     end_at TEXT,
+     next_run_at TEXT,
+     status TEXT NOT NULL,
+     runs INTEGER NOT NULL DEFAULT 0,
+     last_run_at TEXT,
+     last_result TEXT,
+     last_transaction_id TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX scheduled_transfers_user ON scheduled_transfers (user_id);
+   CREATE INDEX scheduled_transfers_due ON scheduled_transfers (status, next_run_at);
+   ALTER TABLE transactions ADD COLUMN schedule_id TEXT;
+   ALTER TABLE transactions ADD COLUMN status TEXT;
+   ALTER TABLE transactions ADD COLUMN failure_reason TEXT;`,
+  // Money as integer minor units with a currency; everything so far was dollars
+  `ALTER TABLE accounts ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+   ALTER TABLE accounts ADD COLUMN balance_minor INTEGER NOT NULL DEFAULT 0;
+   UPDATE accounts SET balance_minor = CAST(ROUND(balance * 100) AS INTEGER);
+   ALTER TABLE accounts DROP COLUMN balance;
+   ALTER TABLE accounts RENAME COLUMN balance_minor TO balance;
+   ALTER TABLE transactions ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+   ALTER TABLE transactions ADD COLUMN amount_minor INTEGER NOT NULL DEFAULT 0;
+   UPDATE transactions SET amount_minor = CAST(ROUND(amount * 100) AS INTEGER);
+   ALTER TABLE transactions DROP COLUMN amount;
+   ALTER TABLE transactions RENAME COLUMN amount_minor TO amount;
+   ALTER TABLE postings ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+   ALTER TABLE postings ADD COLUMN amount_minor INTEGER NOT NULL DEFAULT 0;
+   UPDATE postings SET amount_minor = CAST(ROUND(amount * 100) AS INTEGER);
+   ALTER TABLE postings DROP COLUMN amount;
+   ALTER TABLE postings RENAME COLUMN amount_minor TO amount;
+   ALTER TABLE scheduled_transfers ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+   ALTER TABLE scheduled_transfers ADD COLUMN amount_minor INTEGER NOT NULL DEFAULT 0;
+   UPDATE scheduled_transfers SET amount_minor = CAST(ROUND(amount * 100) AS INTEGER);
+   ALTER TABLE scheduled_transfers DROP COLUMN amount;
+   ALTER TABLE scheduled_transfers RENAME COLUMN amount_minor TO amount;
+   ALTER TABLE transactions ADD COLUMN fx_rate REAL;
+   ALTER TABLE transactions ADD COLUMN credited_amount INTEGER;
+   ALTER TABLE transactions ADD COLUMN credited_currency TEXT;`,
+  // Where a transfer was made from, for the fraud rules (see fraud.js)
+  `ALTER TABLE transactions ADD COLUMN ip TEXT;
+   ALTER TABLE transactions ADD COLUMN device TEXT;`
+];
+
+// A transaction's amount in major units of its own currency, for the amount filters
+const MAJOR_AMOUNT = `amount * 1.0 / CASE currency ${Object.entries(CURRENCIES)
+  .map(([currency, decimals]) => `WHEN '${currency}' THEN ${10 ** decimals}`).join(' ')} END`;
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+/**
+ * Storage backend on an embedded SQLite database. Same interface as
+ * JsonStore; calls are synchronous (better-sqlite3) and transaction() maps
+ * onto a real SQLite transaction, taken with BEGIN IMMEDIATE so another
+ * process can't read balances that are about to change.
+ */
+class SqliteStore {
+  constructor(options = {}) {
+    this.file = options.file;
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  getUser(userId) {
+    const user = this.db.prepare('SELECT id, name, password FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return null;
+    }
+
+    const accounts = {};
+    for (const row of this.db.prepare('SELECT * FROM accounts WHERE user_id = ? ORDER BY rowid').all(userId)) {
+      accounts[row.type] = toAccount(row);
+    }
+    return { ...user, accounts };
+  }
+
+  getAccount(userId, type) {
+    const row = this.db.prepare('SELECT * FROM accounts WHERE user_id = ? AND type = ?').get(userId, type);
+    return row ? toAccount(row) : null;
+  }
+
+  setPassword(userId, passwordHash) {
+    this.db.prepare('UPDATE users SET password = ? WHERE id = ?').run(passwordHash, userId);
+  }
+
+  findAccount(accountNumber) {
+    const row = this.db.prepare(`SELECT accounts.*, users.name AS holder_name FROM accounts
+      JOIN users ON users.id = accounts.user_id WHERE account_number = ?`).get(accountNumber);
+    return row ? { ...toAccount(row), userId: row.user_id, holderName: row.holder_name } : null;
+  }
+
+  listAccounts() {
+    return this.db.prepare('SELECT user_id, type, account_number, balance, currency FROM accounts ORDER BY rowid').all()
+      .map(row => ({
+        userId: row.user_id,
+        type: row.type,
+        accountNumber: row.account_number,
+        balance: row.balance,
+        currency: row.currency
+      }));
+  }
+
+  setBalance(userId, type, balance) {
+    this.db.prepare('UPDATE accounts SET balance = ? WHERE user_id = ? AND type = ?').run(balance, userId, type);
+  }
+
+  getSession(sessionId) {
+    const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+    return row ? toSession(row) : null;
+  }
+
+  createSession(sessionId, session) {
+    this.db.prepare('INSERT INTO sessions (id, user_id, created_at, last_seen_at, pending) VALUES (?, ?, ?, ?, ?)')
+      .run(sessionId, session.userId, toIso(session.createdAt), session.lastSeenAt ? toIso(session.lastSeenAt) : null,
+        session.pending ? 1 : 0);
+  }
+
+  touchSession(sessionId, lastSeenAt) {
+    this.db.prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ?').run(toIso(lastSeenAt), sessionId);
+  }
+
+  listSessions(userId) {
+    const rows = userId
+      ? this.db.prepare('SELECT * FROM sessions WHERE user_id = ?').all(userId)
+      : this.db.prepare('SELECT * FROM sessions').all();
+    return rows.map(row => ({ id: row.id, ...toSession(row) }));
+  }
+
+  deleteSession(sessionId) {
+    this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+  }
+
+  countSessions() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+  }
+
+  addTransaction(txn) {
+    this.db.prepare(`INSERT INTO transactions
+      (id, user_id, from_account, to_account, amount, currency, timestamp, correlation_id, counterparty_name,
+       schedule_id, status, failure_reason, fx_rate, credited_amount, credited_currency, ip, device)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(txn.id, txn.userId, txn.from, txn.to, txn.amount, txn.currency, toIso(txn.timestamp),
+        txn.correlationId || null, txn.counterpartyName || null, txn.scheduleId || null, txn.status || null,
+        txn.reason || null, txn.fxRate ?? null, txn.creditedAmount ?? null, txn.creditedCurrency ?? null,
+        txn.ip || null, txn.device || null);
+  }
+
+  // Oldest first, as stored
+  listTransactions(userId) {
+    return this.db.prepare('SELECT * FROM transactions WHERE user_id = ? ORDER BY seq').all(userId).map(toTransaction);
+  }
+
+  findTransactions(userId, filters = {}) {
+    const { account, direction, since, until, minAmount, maxAmount, after } = filters;
+    const descending = filters.order === 'desc';
+    const where = ['user_id = @userId'];
+
+    if (account) {
+      where.push({
+        in: 'to_account = @account',
+        out: 'from_account = @account'
+      }[direction] || '(from_account = @account OR to_account = @account)');
+    }
+    if (since) {
+      where.push('timestamp >= @since');
+    }
+    if (until) {
+      where.push('timestamp <= @until');
+    }
+    if (minAmount !== undefined) {
+      where.push(`${MAJOR_AMOUNT} >= @minAmount`);
+    }
+    if (maxAmount !== undefined) {
+      where.push(`${MAJOR_AMOUNT} <= @maxAmount`);
+    }
+    if (after) {
+      where.push(`(timestamp, id) ${descending ? '<' : '>'} (@afterTimestamp, @afterId)`);
+    }
+
+    const sql = `SELECT * FROM transactions WHERE ${where.join(' AND ')}
+      ORDER BY timestamp ${descending ? 'DESC' : 'ASC'}, id ${descending ? 'DESC' : 'ASC'}
+      ${filters.limit ? 'LIMIT @limit' : ''}`;
+
+    return this.db.prepare(sql).all({
+      userId,
+      account: account ?? null,
+      since: since ?? null,
+      until: until ?? null,
+      minAmount: minAmount ?? null,
+      maxAmount: maxAmount ?? null,
+      afterTimestamp: after ? after.timestamp : null,
+      afterId: after ? after.id : null,
+      limit: filters.limit ?? null
+    }).map(toTransaction);
+  }
+
+  listHeldTransactions() {
+    return this.db.prepare("SELECT * FROM transactions WHERE status = 'held' ORDER BY seq").all().map(toTransaction);
+  }
+
+  updateTransactionStatus(userId, id, { status, reason, timestamp }) {
+    return this.db.prepare(`UPDATE transactions SET status = ?, failure_reason = ?, timestamp = COALESCE(?, timestamp)
+      WHERE user_id = ? AND id = ?`)
+      .run(status || null, status ? reason || null : null, timestamp ? toIso(timestamp) : null, userId, id).changes > 0;
+  }
+
+  addPosting(posting) {
+    this.db.prepare(`INSERT INTO postings (transaction_id, account_number, direction, amount, currency, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(posting.transactionId, posting.accountNumber, posting.direction, posting.amount, posting.currency,
+        toIso(posting.timestamp));
+  }
+
+  listPostings(transactionId) {
+    const rows = transactionId
+      ? this.db.prepare('SELECT * FROM postings WHERE transaction_id = ? ORDER BY seq').all(transactionId)
+      : this.db.prepare('SELECT * FROM postings ORDER BY seq').all();
+    return rows.map(row => ({
+      transactionId: row.transaction_id,
+      accountNumber: row.account_number,
+      direction: row.direction,
+      amount: row.amount,
+      currency: row.currency,
+      timestamp: row.timestamp
+    }));
+  }
+
+  ledgerBalance(accountNumber) {
+    return this.db.prepare(`SELECT COALESCE(SUM(CASE direction WHEN 'credit' THEN amount ELSE -amount END), 0) AS balance
+      FROM postings WHERE account_number = ?`).get(accountNumber).balance;
+  }
+
+  getIdempotencyKey(userId, key) {
+    const row = this.db.prepare('SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?').get(userId, key);
+    return row ? {
+      key: row.key,
+      userId: row.user_id,
+      fingerprint: row.fingerprint,
+      status: row.status,
+      response: JSON.parse(row.response),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    } : null;
+  }
+
+  saveIdempotencyKey(record) {
+    this.db.prepare(`INSERT OR REPLACE INTO idempotency_keys
+      (user_id, key, fingerprint, status, response, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)`)
+      .run(record.userId, record.key, record.fingerprint, record.status, JSON.stringify(record.response),
+        toIso(record.createdAt), toIso(record.expiresAt));
+  }
+
+  deleteExpiredIdempotencyKeys(now) {
+    return this.db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(toIso(now)).changes;
+  }
+
+  getLoginAttempts(key) {
+    const row = this.db.prepare('SELECT * FROM login_attempts WHERE key = ?').get(key);
+    return row ? {
+      key: row.key,
+      failures: row.failures,
+      lastFailureAt: row.last_failure_at,
+      blockedUntil: row.blocked_until,
+      lockedUntil: row.locked_until,
+      expiresAt: row.expires_at
+    } : null;
+  }
+
+  saveLoginAttempts(record) {
+    this.db.prepare(`INSERT OR REPLACE INTO login_attempts
+      (key, failures, last_failure_at, blocked_until, locked_until, expires_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(record.key, record.failures, toIso(record.lastFailureAt),
+        record.blockedUntil ? toIso(record.blockedUntil) : null,
+        record.lockedUntil ? toIso(record.lockedUntil) : null,
+        toIso(record.expiresAt));
+  }
+
+  deleteLoginAttempts(key) {
+    return this.db.prepare('DELETE FROM login_attempts WHERE key = ?').run(key).changes > 0;
+  }
+
+  deleteExpiredLoginAttempts(now) {
+    return this.db.prepare('DELETE FROM login_attempts WHERE expires_at <= ?').run(toIso(now)).changes;
+  }
+
+  getTotp(userId) {
+    const row = this.db.prepare('SELECT * FROM totp WHERE user_id = ?').get(userId);
+    return row ? {
+      userId: row.user_id,
+      secret: row.secret,
+      confirmedAt: row.confirmed_at,
+      lastCounter: row.last_counter,
+      recoveryCodes: JSON.parse(row.recovery_codes),
+      createdAt: row.created_at
+    } : null;
+  }
+
+  saveTotp(record) {
+    this.db.prepare(`INSERT OR REPLACE INTO totp
+      (user_id, secret, confirmed_at, last_counter, recovery_codes, created_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(record.userId, record.secret, record.confirmedAt ? toIso(record.confirmedAt) : null,
+        record.lastCounter ?? null, JSON.stringify(record.recoveryCodes || []), toIso(record.createdAt));
+  }
+
+  deleteTotp(userId) {
+    this.db.prepare('DELETE FROM totp WHERE user_id = ?').run(userId);
+  }
+
+  getScheduledTransfer(id) {
+    const row = this.db.prepare('SELECT * FROM scheduled_transfers WHERE id = ?').get(id);
+    return row ? toScheduledTransfer(row) : null;
+  }
+
+  listScheduledTransfers(userId) {
+    return this.db.prepare('SELECT * FROM scheduled_transfers WHERE user_id = ? ORDER BY created_at, rowid')
+      .all(userId).map(toScheduledTransfer);
+  }
+
+  listDueScheduledTransfers(now) {
+    return this.db.prepare(`SELECT * FROM scheduled_transfers
+      WHERE status = 'active' AND next_run_at <= ? ORDER BY next_run_at`).all(toIso(now)).map(toScheduledTransfer);
+  }
+
+  saveScheduledTransfer(schedule) {
+    this.db.prepare(`INSERT OR REPLACE INTO scheduled_transfers
+      (id, user_id, from_account, to_account, amount, currency, frequency, day_of_month, start_at, end_at,
+       next_run_at, status, runs, last_run_at, last_result, last_transaction_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(schedule.id, schedule.userId, schedule.fromAccount, schedule.toAccount, schedule.amount,
+        schedule.currency, schedule.frequency, schedule.dayOfMonth ?? null, toIso(schedule.startAt),
+        schedule.endAt ? toIso(schedule.endAt) : null, schedule.nextRunAt ? toIso(schedule.nextRunAt) : null,
+        schedule.status, schedule.runs, schedule.lastRunAt ? toIso(schedule.lastRunAt) : null,
+        schedule.lastResult ?? null, schedule.lastTransactionId ?? null, toIso(schedule.createdAt));
+  }
+
+  deleteScheduledTransfer(id) {
+    return this.db.prepare('DELETE FROM scheduled_transfers WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Inserts a user and their accounts; used by the data.json migration.
+   */
+  addUser(user) {
+    this.transaction(() => {
+      this.db.prepare('INSERT INTO users (id, name, password) VALUES (?, ?, ?)').run(user.id, user.name, user.password);
+      for (const [type, account] of Object.entries(user.accounts || {})) {
+        this.db.prepare(`INSERT INTO accounts (user_id, type, account_number, balance, currency, display_name)
+          VALUES (?, ?, ?, ?, ?, ?)`)
+          .run(user.id, type, account.accountNumber, account.balance, account.currency, account.displayName);
+      }
+    });
+  }
+
+  isEmpty() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count === 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+const toTransaction = (row) => ({
+  id: row.id,
+  from: row.from_account,
+  to: row.to_account,
+  userId: row.user_id,
+  amount: row.amount,
+  currency: row.currency,
+  timestamp: row.timestamp,
+  correlationId: row.correlation_id,
+  ...(row.credited_currency ? {
+    fxRate: row.fx_rate,
+    creditedAmount: row.credited_amount,
+    creditedCurrency: row.credited_currency
+  } : {}),
+  ...(row.counterparty_name ? { counterpartyName: row.counterparty_name } : {}),
+  ...(row.schedule_id ? { scheduleId: row.schedule_id } : {}),
+  ...(row.status ? { status: row.status, reason: row.failure_reason } : {}),
+  ...(row.ip ? { ip: row.ip } : {}),
+  ...(row.device ? { device: row.device } : {})
+});
+
+const toScheduledTransfer = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  fromAccount: row.from_account,
+  toAccount: row.to_account,
+  amount: row.amount,
+  currency: row.currency,
+  frequency: row.frequency,
+  dayOfMonth: row.day_of_month,
+  startAt: row.start_at,
+  endAt: row.end_at,
+  nextRunAt: row.next_run_at,
+  status: row.status,
+  runs: row.runs,
+  lastRunAt: row.last_run_at,
+  lastResult: row.last_result,
+  lastTransactionId: row.last_transaction_id,
+  createdAt: row.created_at
+});
+
+// Sessions from before last_seen_at existed simply don't have one
+const toSession = (row) => ({
+  userId: row.user_id,
+  createdAt: row.created_at,
+  ...(row.last_seen_at ? { lastSeenAt: row.last_seen_at } : {}),
+  ...(row.pending ? { pending: true } : {})
+});
+
+const toAccount = (row) => ({
+  accountNumber: row.account_number,
+  balance: row.balance,
+  currency: row.currency,
+  type: row.type,
+  displayName: row.display_name
+});
+
+module.exports = SqliteStore;
@@ -0,0 +1,224 @@
+const { parseDate } = require('./transaction-history');
+const { PdfDocument } = require('./pdf-writer');
+const { CURRENCIES, toMajor } = require('./money');
+const { hasAccount } = require('./accounts');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// OFX only knows a handful of bank account types
+const OFX_ACCOUNT_TYPES = { checking: 'CHECKING', savings: 'SAVINGS' };
+
+// Fixed-point text with the currency's decimal places: 10.50 USD, 1050 JPY
+const money = (amount, currency) => amount.toFixed(CURRENCIES[currency]);
+
+/**
+ * The period and format of GET /accounts/:type/statement from its query,
+ * already checked against the statement schema in request-schemas.js.
+ * `from` and `to` are dates or ISO times, both inclusive (a bare `to` date
+ * covers that day), defaulting to the start of the current month and now;
+ * `format` is csv (default), ofx or pdf. Returns { period, format }.
+ */
+const parseStatementQuery = (query = {}, now = new Date()) => {
+  const given = (name) => query[name] !== undefined && query[name] !== '';
+  const format = given('format') ? query.format.toLowerCase() : 'csv';
+  const from = given('from')
+    ? parseDate(query.from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+  const to = given('to') ? parseDate(query.to, true) : now.toISOString();
+
+  return { period: { from, to }, format };
+};
+
+/**
+ * Everything a statement shows for one account over `period`. The opening
+ * balance is worked back from the account's current balance, undoing every
+ * transfer since the period started, so it agrees with what the user sees
+ * today whatever happened before the transaction log began. Balances are
+ * worked out in minor units and shown in major units of the account's
+ * currency.
+ */
+const buildStatement = (store, user, type, { from, to }) => {
+  // The route checks the type first, so this is a bug
+  if (!hasAccount(user, type)) {
+    throw new Error(`${user.id} has no ${type} account`);
+  }
+  const account = user.accounts[type];
+  const { currency } = account;
+  const major = (minor) => toMajor(minor, currency);
+  // Effect of a transfer on this account in its own currency; a conversion credits the converted amount
+  const credited = (txn) => (txn.creditedCurrency ? txn.creditedAmount : txn.amount);
+  const effect = (txn) => (txn.to === type ? credited(txn) : 0) - (txn.from === type ? txn.amount : 0);
+
+  // Refused scheduled runs and transfers held for review moved nothing
+  const sincePeriodStart = store.findTransactions(user.id, { account: type, since: from, order: 'asc' })
+    .filter(txn => !txn.status);
+  const inPeriod = sincePeriodStart.filter(txn => txn.timestamp <= to);
+
+  let balance = account.balance - sincePeriodStart.reduce((sum, txn) => sum + effect(txn), 0);
+  const openingBalance = major(balance);
+
+  const entries = inPeriod.map(txn => {
+    balance += effect(txn);
+    const incoming = txn.to === type;
+    const other = incoming ? txn.from : txn.to;
+    // Another customer's account shows as its holder, our own by display name
+    const otherName = txn.counterpartyName || (hasAccount(user, other) ? user.accounts[other].displayName : other);
+    return {
+      id: txn.id,
+      date: txn.timestamp,
+      description: incoming ? `Transfer from ${otherName}` : `Transfer to ${otherName}`,
+      amount: major(effect(txn)),
+      balance: major(balance)
+    };
+  });
+
+  return {
+    holder: user.name,
+    account: { type, accountNumber: account.accountNumber, displayName: account.displayName },
+    currency,
+    from,
+    to,
+    openingBalance,
+    closingBalance: major(balance),
+    entries
+  };
+};
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Text a spreadsheet would run as a formula gets a leading quote; amounts are our own numbers
+const csvText = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const renderCsv = (statement) => {
+  const { currency } = statement;
+  const rows = [
+    ['Date', 'Description', 'Transaction ID', `Amount (${currency})`, `Balance (${currency})`],
+    [statement.from, 'Opening balance', '', '', money(statement.openingBalance, currency)],
+    ...statement.entries.map(entry => [
+      entry.date, csvText(entry.description), csvText(entry.id), money(entry.amount, currency), money(entry.balance, currency)
+    ]),
+    [statement.to, 'Closing balance', '', '', money(statement.closingBalance, currency)]
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// OFX timestamps: YYYYMMDDHHMMSS in UTC
+const ofxDate = (iso) => `${iso.replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * OFX 2.1.1 (XML) bank statement, the format personal finance tools import.
+ * The bank id comes from OFX_BANK_ID.
+ */
+const renderOfx = (statement, { now = new Date(), bankId = process.env.OFX_BANK_ID || '999999999' } = {}) => {
+  const transactions = statement.entries.map(entry => `
+          <STMTTRN>
+            <TRNTYPE>XFER</TRNTYPE>
+            <DTPOSTED>${ofxDate(entry.date)}</DTPOSTED>
+            <TRNAMT>${money(entry.amount, statement.currency)}</TRNAMT>
+            <FITID>${escapeXml(entry.id)}</FITID>
+            <NAME>${escapeXml(entry.description.slice(0, 32))}</NAME>
+            <MEMO>${escapeXml(entry.description)}</MEMO>
+          </STMTTRN>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <DTSERVER>${ofxDate(now.toISOString())}</DTSERVER>
+      <LANGUAGE>ENG</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+    <STMTTRNRS>
+      <TRNUID>0</TRNUID>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <STMTRS>
+        <CURDEF>${statement.currency}</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>${escapeXml(bankId)}</BANKID>
+          <ACCTID>${escapeXml(statement.account.accountNumber)}</ACCTID>
+          <ACCTTYPE>${OFX_ACCOUNT_TYPES[statement.account.type] || 'SAVINGS'}</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${ofxDate(statement.from)}</DTSTART>
+          <DTEND>${ofxDate(statement.to)}</DTEND>${transactions}
+        </BANKTRANLIST>
+        <LEDGERBAL>
+          <BALAMT>${money(statement.closingBalance, statement.currency)}</BALAMT>
+          <DTASOF>${ofxDate(statement.to)}</DTASOF>
+        </LEDGERBAL>
+      </STMTRS>
+    </STMTTRNRS>
+  </BANKMSGSRSV1>
+</OFX>
+`;
+};
+
+const column = (text, width, alignRight = false) => {
+  const value = String(text).slice(0, width);
+  return alignRight ? value.padStart(width) : value.padEnd(width);
+};
+
+const renderPdf = (statement, { now = new Date() } = {}) => {
+  const day = (iso) => iso.slice(0, 10);
+  const amount = (value) => money(value, statement.currency);
+  const doc = new PdfDocument({ title: `${statement.account.displayName} statement` });
+
+  doc.line('Banking Demo', { font: 'bold', size: 18 })
+    .line(`${statement.account.displayName} statement`, { font: 'bold', size: 14, gap: 6 })
+    .line(`Account holder: ${statement.holder}`, { gap: 10 })
+    .line(`Account number: ${statement.account.accountNumber}`)
+    .line(`Period: ${day(statement.from)} to ${day(statement.to)}`)
+    .line(`Generated: ${now.toISOString()}`)
+    .line(`Opening balance: ${amount(statement.openingBalance)} ${statement.currency}`, { font: 'bold', gap: 12 });
+
+  doc.line(
+    `${column('Date', 11)}${column('Description', 36)}${column('Amount', 13, true)}${column('Balance', 14, true)}`,
+    { font: 'mono', size: 9, gap: 10 }
+  );
+  if (statement.entries.length === 0) {
+    doc.line('No transactions in this period', { size: 9 });
+  }
+  for (const entry of statement.entries) {
+    doc.line(
+      `${column(day(entry.date), 11)}${column(entry.description, 36)}${column(amount(entry.amount), 13, true)}${column(amount(entry.balance), 14, true)}`,
+      { font: 'mono', size: 9 }
+    );
+  }
+
+  doc.line(`Closing balance: ${amount(statement.closingBalance)} ${statement.currency}`, { font: 'bold', gap: 12 });
+  return doc.toBuffer();
+};
+
+const RENDERERS = { csv: renderCsv, ofx: renderOfx, pdf: renderPdf };
+
+// The statement as { body, contentType, filename } in `format`
+const renderStatement = (statement, format, options) => ({
+  body: RENDERERS[format](statement, options),
+  contentType: FORMATS[format].contentType,
+  filename: `statement-${statement.account.type}-${statement.from.slice(0, 10)}-${statement.to.slice(0, 10)}.${FORMATS[format].extension}`
+});
+
+module.exports = {
+  parseStatementQuery,
+  buildStatement,
+  renderStatement,
+  renderCsv,
+  renderOfx,
+  renderPdf,
+  FORMATS
+};
@@ -0,0 +1,87 @@
+const path = require('path');
+const JsonStore = require('./json-store');
+const SqliteStore = require('./sqlite-store');
+const { withSpan } = require('./tracing');
+
+// The repository interface both backends implement
+const STORE_METHODS = [
+  'getUser',
+  'setPassword',
+  'getAccount',
+  'findAccount',
+  'listAccounts',
+  'setBalance',
+  'getSession',
+  'createSession',
+  'deleteSession',
+  'touchSession',
+  'listSessions',
+  'countSessions',
+  'addTransaction',
+  'listTransactions',
+  'findTransactions',
+  'listHeldTransactions',
+  'updateTransactionStatus',
+  'addPosting',
+  'listPostings',
+  'ledgerBalance',
+  'getIdempotencyKey',
+  'saveIdempotencyKey',
+  'deleteExpiredIdempotencyKeys',
+  'getLoginAttempts',
+  'saveLoginAttempts',
+  'deleteLoginAttempts',
+  'deleteExpiredLoginAttempts',
+  'getTotp',
+  'saveTotp',
+  'deleteTotp',
+  'getScheduledTransfer',
+  'listScheduledTransfers',
+  'listDueScheduledTransfers',
+  'saveScheduledTransfer',
+  'deleteScheduledTransfer'
+];
+
+/**
+ * Opens the backend named by STORAGE_BACKEND: `json` (default, DATA_FILE)
+ * or `sqlite` (SQLITE_FILE). Options override the environment.
+ */
+const createStore = (options = {}) => {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'json';
+
+  if (backend === 'json') {
+    return new JsonStore({
+      file: options.file || process.env.DATA_FILE || path.join(__dirname, 'data.json')
+    });
+  }
+
+  if (backend === 'sqlite') {
+    return new SqliteStore({
+      file: options.file || process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite')
+    });
+  }
+
+  throw new Error(`Unknown storage backend "${backend}" (expected json or sqlite)`);
+};
+
+/**
+ * Wraps a store so each repository call is a child span of the request.
+ * transaction() gets a span of its own around the calls made inside it.
+ */
+const traceStore = (store) => {
+  const backend = store instanceof SqliteStore ? 'sqlite' : 'json';
+  const traced = Object.create(store);
+
+  for (const method of [...STORE_METHODS, 'transaction']) {
+    traced[method] = (...args) => withSpan(`storage.${method}`, { 'banking.storage.backend': backend }, () => {
+      return store[method](...args);
+    });
+  }
+  return traced;
+};
+
+module.exports = {
+  createStore,
+  traceStore,
+  STORE_METHODS
+};
@@ -0,0 +1,201 @@
+const path = require('path');
+const { getContext } = require('./request-context');
+const { createRedactor } = require('./redaction');
+const {
+  ConsoleSink,
+  JsonFileSink,
+  SplunkHecSink,
+  OtlpLogSink
+} = require('./log-sinks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Fields promoted to the top level of every record; anything else goes in `data`
+const SCHEMA_FIELDS = ['user', 'correlationId', 'requestId', 'outcome', 'durationMs'];
+
+/**
+ * Single logging facade for the app.
+ *
+ * Every call produces one record with a fixed schema:
+ *   { timestamp, level, event, user, correlationId, requestId, outcome,
+ *     durationMs, data }
+ * and hands it to each configured sink. Sinks only need `write(record)`;
+ * `flush()` and `close()` are optional. Inside a request, user, correlation
+ * and request ids default to the request context (request-context.js).
+ * Records pass through the redaction policy (redaction.js) before any sink
+ * sees them. With an `audit` trail (audit-log.js), records for the events
+ * it covers are appended to it too, whatever the log level.
+ */
+class StructuredLogger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.sinks = options.sinks || [];
+    this.bindings = options.bindings || {};
+    this.redactor = options.redactor || createRedactor();
+    this.audit = options.audit || null;
+
+    if (!LEVELS[this.level]) {
+      throw new Error(`Unknown log level "${this.level}"`);
+    }
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, event, fields = {}) {
+    const audited = Boolean(this.audit) && this.audit.covers(event);
+    if (!this.isEnabled(level) && !audited) {
+      return null;
+    }
+
+    const context = getContext();
+    const record = this.redactor.redact(buildRecord(level, event, {
+      user: context.userId,
+      correlationId: context.correlationId,
+      requestId: context.requestId,
+      ...this.bindings,
+      ...fields
+    }));
+
+    if (audited) {
+      try {
+        this.audit.append(record);
+      } catch (error) {
+        console.error(`[LOGGER] Audit trail failed: ${error.message}`);
+      }
+    }
+    if (!this.isEnabled(level)) {
+      return null;
+    }
+
+    for (const sink of this.sinks) {
+      try {
+        sink.write(record);
+      } catch (error) {
+        // A broken sink must never take a request down with it
+        console.error(`[LOGGER] ${sink.constructor.name} failed: ${error.message}`);
+      }
+    }
+
+    return record;
+  }
+
+  debug(event, fields) {
+    return this.log('debug', event, fields);
+  }
+
+  info(event, fields) {
+    return this.log('info', event, fields);
+  }
+
+  warn(event, fields) {
+    return this.log('warn', event, fields);
+  }
+
+  error(event, fields) {
+    return this.log('error', event, fields);
+  }
+
+  /**
+   * Returns a logger that adds `bindings` to every record it writes.
+   */
+  child(bindings) {
+    return new StructuredLogger({
+      level: this.level,
+      sinks: this.sinks,
+      redactor: this.redactor,
+      audit: this.audit,
+      bindings: { ...this.bindings, ...bindings }
+    });
+  }
+
+  async flush() {
+    await Promise.all(this.sinks.map(sink => sink.flush && sink.flush()));
+  }
+
+  async close() {
+    await Promise.all(this.sinks.map(sink => sink.close && sink.close()));
+  }
+}
+
+const buildRecord = (level, event, fields) => {
+  const record = {
+    timestamp: new Date().toISOString(),
+    level,
+    event
+  };
+
+  const data = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (SCHEMA_FIELDS.includes(key)) {
+      record[key] = key === 'user' ? userId(value) : value;
+    } else {
+      data[key] = value;
+    }
+  }
+
+  record.data = data;
+  return record;
+};
+
+// Records carry a user id, never the user object itself
+const userId = (user) => {
+  if (user && typeof user === 'object') {
+    return user.id || user.username || 'unknown';
+  }
+  return user;
+};
+
+/**
+ * Builds the app logger from configuration.
+ *
+ * `sinks` is a list of sink names (console, file, splunk, otlp) or sink
+ * instances; it defaults to LOG_SINKS (comma separated), then console+splunk.
+ * `audit` is an optional AuditLog (see audit-log.js).
+ */
+const createLogger = (options = {}) => {
+  const names = options.sinks || (process.env.LOG_SINKS || 'console,splunk').split(',');
+
+  const sinks = names.map((name) => {
+    if (typeof name !== 'string') {
+      return name;
+    }
+
+    switch (name.trim()) {
+      case 'console':
+        return new ConsoleSink({ pretty: process.env.LOG_FORMAT !== 'json' });
+      case 'file':
+        return new JsonFileSink({ file: options.file || process.env.LOG_FILE || path.join(__dirname, 'logs', 'banking.jsonl') });
+      case 'splunk':
+        return new SplunkHecSink({ splunkLogger: options.splunkLogger });
+      case 'otlp':
+        return new OtlpLogSink({ endpoint: options.otlpEndpoint || process.env.OTEL_EXPORTER_OTLP_LOGS_ENDPOINT });
+      default:
+        throw new Error(`Unknown log sink "${name}"`);
+    }
+  });
+
+  return new StructuredLogger({
+    level: options.level || process.env.LOG_LEVEL || 'info',
+    sinks,
+    audit: options.audit,
+    // The HEC token must not show up in any sink, not even inside a string
+    redactor: options.redactor || createRedactor({ secrets: [options.splunkLogger && options.splunkLogger.token] })
+  });
+};
+
+module.exports = {
+  StructuredLogger,
+  createLogger,
+  buildRecord,
+  LEVELS
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226), with
+ * the base32 secrets (RFC 4648) authenticator apps expect. Every function
+ * takes the time explicitly, so codes can be checked offline against the
+ * RFC test vectors.
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = { step: 30, digits: 6, algorithm: 'sha1', window: 1 };
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Accepts lower case, spaces and padding, as people type secrets in by hand
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160 bits, the HMAC-SHA1 block the RFC recommends
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * RFC 4226 HOTP: HMAC of the 8-byte counter, dynamically truncated to
+ * `digits` decimal digits. `key` is the raw secret (a Buffer).
+ */
+const hotp = (key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const counterAt = (time, step = DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+// The code for `secret` (base32) at `time` (ms since the epoch)
+const totp = (secret, { time = Date.now(), step = DEFAULTS.step, ...options } = {}) =>
+  hotp(base32Decode(secret), counterAt(time, step), options);
+
+/**
+ * Checks `code` against the steps within `window` of `time`, to allow for
+ * clock skew between server and phone. Returns the matching time step (so
+ * the caller can refuse to accept it twice) or null.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), step = DEFAULTS.step, window = DEFAULTS.window, ...options } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  const digits = options.digits || DEFAULTS.digits;
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = counterAt(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(key, current + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling in an authenticator app (usually shown as a
+ * QR code), in the Key Uri Format Google Authenticator defined.
+ */
+const provisioningUri = ({ secret, account, issuer, step = DEFAULTS.step, digits = DEFAULTS.digits }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({ secret, algorithm: 'SHA1', digits: String(digits), period: String(step) });
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  provisioningUri,
+  counterAt
+};
@@ -0,0 +1,169 @@
+const api = require('@opentelemetry/api');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { BatchSpanProcessor, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const {
+  ATTR_SERVICE_NAME,
+  ATTR_SERVICE_VERSION,
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
+  ATTR_URL_PATH
+} = require('@opentelemetry/semantic-conventions');
+
+const TRACER_NAME = 'banking-demo';
+
+let provider = null;
+
+/**
+ * Sets up the global tracer provider once. Spans go over OTLP/HTTP to
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT (the collector in otel-collector.yaml)
+ * unless an `exporter` is passed, which tests use with an in-memory exporter.
+ * Set OTEL_SDK_DISABLED=true to run without tracing.
+ */
+const initTracing = (options = {}) => {
+  if (provider) {
+    return provider;
+  }
+
+  if (!options.exporter && process.env.OTEL_SDK_DISABLED === 'true') {
+    return null;
+  }
+
+  const spanProcessor = options.exporter
+    ? new SimpleSpanProcessor(options.exporter)
+    : new BatchSpanProcessor(new OTLPTraceExporter({
+      url: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || 'http://localhost:4318/v1/traces'
+    }));
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'banking-demo',
+      [ATTR_SERVICE_VERSION]: process.env.OTEL_SERVICE_VERSION || '1.0.0',
+      'deployment.environment': 'demo'
+    }),
+    spanProcessors: [spanProcessor]
+  });
+
+  // Registers the AsyncLocalStorage context manager and W3C propagators
+  provider.register();
+  return provider;
+};
+
+const shutdownTracing = async () => {
+  if (provider) {
+    await provider.shutdown();
+    provider = null;
+  }
+};
+
+const getTracer = () => api.trace.getTracer(TRACER_NAME);
+
+/**
+ * Runs `fn` inside an active child span, recording exceptions and ending the
+ * span when `fn` returns (or settles, if it returns a promise).
+ */
+const withSpan = (name, attributes, fn) => {
+  return getTracer().startActiveSpan(name, { attributes: definedOnly(attributes) }, (span) => {
+    const fail = (error) => {
+      span.recordException(error);
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+      span.end();
+      throw error;
+    };
+
+    let result;
+    try {
+      result = fn(span);
+    } catch (error) {
+      return fail(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then((value) => {
+        span.end();
+        return value;
+      }, fail);
+    }
+
+    span.end();
+    return result;
+  });
+};
+
+/**
+ * Adds attributes to the request's server span (or whatever span is active).
+ */
+const setSpanAttributes = (attributes) => {
+  const span = api.trace.getActiveSpan();
+  if (span) {
+    span.setAttributes(definedOnly(attributes));
+  }
+};
+
+/**
+ * Express middleware opening a SERVER span per request. It continues an
+ * incoming traceparent and names the span after the matched route once the
+ * response has been sent.
+ */
+const tracingMiddleware = () => (req, res, next) => {
+  const parentContext = api.propagation.extract(api.context.active(), req.headers);
+  const span = getTracer().startSpan(`${req.method} ${req.path}`, {
+    kind: api.SpanKind.SERVER,
+    attributes: {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_URL_PATH]: req.path
+    }
+  }, parentContext);
+
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : req.path;
+    span.updateName(`${req.method} ${route}`);
+    span.setAttribute(ATTR_HTTP_ROUTE, route);
+    span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: api.SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  api.context.with(api.trace.setSpan(parentContext, span), next);
+};
+
+// Coarse buckets keep amount cardinality low on spans and metrics
+const amountBucket = (amount) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return 'invalid';
+  }
+  if (amount < 100) {
+    return '0-100';
+  }
+  if (amount < 1000) {
+    return '100-1000';
+  }
+  if (amount < 10000) {
+    return '1000-10000';
+  }
+  return '10000+';
+};
+
+const definedOnly = (attributes = {}) => {
+  const result = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) {
+      result[key] = value;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  initTracing,
+  shutdownTracing,
+  getTracer,
+  withSpan,
+  setSpanAttributes,
+  tracingMiddleware,
+  amountBucket
+};
@@ -0,0 +1,106 @@
+const { toMajor } = require('./money');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Opaque to clients: the sort key of the last row on the page
+const encodeCursor = ({ timestamp, id }) => Buffer.from(JSON.stringify([timestamp, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof timestamp === 'string' && typeof id === 'string' && !Number.isNaN(Date.parse(timestamp))) {
+      return { timestamp, id };
+    }
+  } catch (error) {
+    // Falls through to null
+  }
+  return null;
+};
+
+// A bare date as `until` means the whole of that day
+const parseDate = (value, endOfDay = false) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  const inclusiveEnd = endOfDay && DATE_ONLY.test(value) ? 24 * 60 * 60 * 1000 - 1 : 0;
+  return new Date(time + inclusiveEnd).toISOString();
+};
+
+/**
+ * Turns the query string of GET /transactions, already checked against the
+ * history schema in request-schemas.js, into store filters.
+ *
+ * account    only transfers into or out of this account type
+ * direction  in | out, relative to `account` (so it needs one)
+ * since      ISO date or time, inclusive
+ * until      ISO date or time, inclusive (a bare date covers that day)
+ * minAmount, maxAmount  inclusive bounds, in each transaction's own currency
+ * order      desc (newest first, default) | asc
+ * limit      page size, 1 to 100 (default 20)
+ * cursor     nextCursor from the previous page
+ */
+const parseHistoryQuery = (query = {}) => {
+  // Empty parameters count as absent, as they do in validation
+  const given = (name) => query[name] !== undefined && query[name] !== '';
+  const filters = { order: given('order') ? query.order : 'desc', limit: DEFAULT_PAGE_SIZE };
+
+  if (given('account')) {
+    filters.account = query.account;
+    if (given('direction')) {
+      filters.direction = query.direction;
+    }
+  }
+  if (given('since')) {
+    filters.since = parseDate(query.since);
+  }
+  if (given('until')) {
+    filters.until = parseDate(query.until, true);
+  }
+  for (const bound of ['minAmount', 'maxAmount']) {
+    if (given(bound)) {
+      filters[bound] = Number(query[bound]);
+    }
+  }
+  if (given('limit')) {
+    filters.limit = Number(query.limit);
+  }
+  if (given('cursor')) {
+    filters.after = decodeCursor(query.cursor);
+  }
+
+  return filters;
+};
+
+// A stored transaction as clients see it, with amounts in major units; the IP and device are for the fraud rules only
+const publicTransaction = ({ userId: _owner, ip: _ip, device: _device, ...txn }) => ({
+  ...txn,
+  amount: toMajor(txn.amount, txn.currency),
+  ...(txn.creditedCurrency ? { creditedAmount: toMajor(txn.creditedAmount, txn.creditedCurrency) } : {})
+});
+
+/**
+ * One page of a user's transactions. Asks the store for one row more than
+ * the page so it knows whether to hand out a cursor for the next.
+ */
+const listHistory = (store, userId, filters) => {
+  const rows = store.findTransactions(userId, { ...filters, limit: filters.limit + 1 });
+  const page = rows.slice(0, filters.limit);
+
+  return {
+    transactions: page.map(publicTransaction),
+    nextCursor: rows.length > filters.limit ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  parseHistoryQuery,
+  parseDate,
+  listHistory,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes carry 64 random bits, so a plain SHA-256 is enough to store them
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(8).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}-${hex.slice(12)}`;
+});
+
+/**
+ * Optional TOTP second factor per user. Enrolment is two steps: enroll()
+ * stores a fresh secret and returns it with its provisioning URI, and
+ * confirm() switches the factor on once the user proves their app produces
+ * matching codes, returning one-time recovery codes (stored hashed) for when
+ * the phone is lost. Codes are accepted within `window` steps of now
+ * (TOTP_WINDOW, default 1, i.e. +/- 30 seconds) and each time step only once.
+ */
+class TwoFactor {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.issuer = options.issuer || process.env.TOTP_ISSUER || 'Banking Demo';
+    const window = options.window ?? Number(process.env.TOTP_WINDOW);
+    this.window = Number.isInteger(window) && window >= 0 ? window : 1;
+    this.now = options.now || (() => Date.now());
+  }
+
+  isEnabled(userId) {
+    const record = this.store.getTotp(userId);
+    return Boolean(record && record.confirmedAt);
+  }
+
+  status(userId) {
+    const record = this.store.getTotp(userId);
+    return {
+      enabled: Boolean(record && record.confirmedAt),
+      recoveryCodesRemaining: record && record.confirmedAt ? record.recoveryCodes.length : 0
+    };
+  }
+
+  // Starts (or restarts) enrolment; returns null when the factor is already on
+  enroll(userId) {
+    if (this.isEnabled(userId)) {
+      return null;
+    }
+
+    const secret = generateSecret();
+    this.store.saveTotp({
+      userId,
+      secret,
+      confirmedAt: null,
+      lastCounter: null,
+      recoveryCodes: [],
+      createdAt: new Date(this.now())
+    });
+    return { secret, uri: provisioningUri({ secret, account: userId, issuer: this.issuer }) };
+  }
+
+  // Switches the factor on if `code` matches; returns the recovery codes, or null
+  confirm(userId, code) {
+    const record = this.store.getTotp(userId);
+    if (!record || record.confirmedAt) {
+      return null;
+    }
+
+    const counter = verifyTotp(record.secret, code, { time: this.now(), window: this.window });
+    if (counter === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    this.store.saveTotp({
+      ...record,
+      confirmedAt: new Date(this.now()),
+      lastCounter: counter,
+      recoveryCodes: recoveryCodes.map(hashCode)
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Checks a login's second step: a TOTP `code` or a `recoveryCode` (used up
+   * when it matches). Returns 'totp', 'recovery_code' or null.
+   */
+  verify(userId, { code, recoveryCode } = {}) {
+    return this.store.transaction(() => {
+      const record = this.store.getTotp(userId);
+      if (!record || !record.confirmedAt) {
+        return null;
+      }
+
+      if (recoveryCode) {
+        const hash = hashCode(recoveryCode);
+        if (!normalizeRecoveryCode(recoveryCode) || !record.recoveryCodes.includes(hash)) {
+          return null;
+        }
+        this.store.saveTotp({ ...record, recoveryCodes: record.recoveryCodes.filter(stored => stored !== hash) });
+        return 'recovery_code';
+      }
+
+      const counter = verifyTotp(record.secret, code, { time: this.now(), window: this.window });
+      // A code already used (or an older one) can't be replayed
+      if (counter === null || (record.lastCounter !== null && counter <= record.lastCounter)) {
+        return null;
+      }
+      this.store.saveTotp({ ...record, lastCounter: counter });
+      return 'totp';
+    });
+  }
+
+  // Turns the factor off after checking a current code or recovery code
+  disable(userId, proof) {
+    return this.store.transaction(() => {
+      if (!this.verify(userId, proof)) {
+        return false;
+      }
+      this.store.deleteTotp(userId);
+      return true;
+    });
+  }
+}
+
+module.exports = {
+  TwoFactor,
+  generateRecoveryCodes
+};
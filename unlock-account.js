@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Lifts a login lockout before it runs out on its own.
+ *
+ *   node unlock-account.js <username>
+ *
+ * Uses the configured storage backend (STORAGE_BACKEND, DATA_FILE,
+ * SQLITE_FILE), so it works while the server is running. A lifted lock is
+ * recorded in the audit trail (AUDIT_LOG_FILE) as BANKING_ACCOUNT_UNLOCKED.
+ */
+require('dotenv').config();
+
+const { createStore } = require('./storage');
+const { LoginThrottle } = require('./login-throttle');
+const { AuditLog } = require('./audit-log');
+
+const unlockAccount = (store, username, audit) => {
+  const unlocked = new LoginThrottle({ store }).unlock(username);
+  if (unlocked && audit) {
+    audit.append({ event: 'BANKING_ACCOUNT_UNLOCKED', user: username, outcome: 'success', data: { by: 'unlock-account.js' } });
+  }
+  return unlocked;
+};
+
+if (require.main === module) {
+  const username = process.argv[2];
+  if (!username) {
+    console.error('[UNLOCK] Usage: node unlock-account.js <username>');
+    process.exit(1);
+  }
+
+  const store = createStore();
+  try {
+    if (unlockAccount(store, username, new AuditLog())) {
+      console.log(`[UNLOCK] Cleared failed logins and any lockout for ${username}`);
+    } else {
+      console.log(`[UNLOCK] No failed logins recorded for ${username}`);
+    }
+  } catch (error) {
+    console.error('[UNLOCK] Unlock failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = { unlockAccount };
@@ -0,0 +1,212 @@
+/**
+ * Declarative request validation. A schema names the fields of the body,
+ * query string and route params a route accepts, each with a rule:
+ *
+ *   type       string | amount | integer | boolean | date
+ *   required   the field must be present
+ *   enum       allowed values (strings; `lowercase` compares case-insensitively)
+ *   maxLength  strings only (default 1024)
+ *   pattern    { regex, message } strings only
+ *   min, max   integers only
+ *   allowZero  amounts only; otherwise they must be positive
+ *   check      (value) => message or null, for anything else
+ *
+ * plus `rules`, checks across fields that run once every field is valid:
+ * ({ body, query, params }) => { path, code, message } or null. Fields the
+ * schema doesn't name are ignored.
+ *
+ * Bodies must carry the JSON type itself ("100" is not an amount); query
+ * strings and params are text, so numbers and booleans are read from it and
+ * an empty value counts as absent.
+ *
+ * Every problem is reported as { path, code, message }, with `path` like
+ * body.amount and `code` one of required, invalid_type, invalid_value,
+ * out_of_range, too_precise, too_long or invalid_combination.
+ */
+
+const { MAX_DECIMALS } = require('./money');
+
+// Bigger than any real balance, and far inside the range where minor units stay exact
+const MAX_AMOUNT = 1000000000;
+const PRECISE_ENOUGH = new RegExp(`^\\d+(\\.\\d{1,${MAX_DECIMALS}})?$`);
+const DEFAULT_MAX_LENGTH = 1024;
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+
+const choices = (values) => (values.length === 2 ? `${values[0]} or ${values[1]}` : `one of ${values.join(', ')}`);
+
+const problem = (path, code, message) => ({ path, code, message });
+
+// Text from a query string or route param as the type the rule asks for
+const fromText = (type, text) => {
+  if (type === 'amount') {
+    return DECIMAL.test(text) ? Number(text) : text;
+  }
+  if (type === 'integer') {
+    return /^-?\d+$/.test(text) ? Number(text) : text;
+  }
+  if (type === 'boolean') {
+    return text === 'true' ? true : text === 'false' ? false : text;
+  }
+  return text;
+};
+
+/**
+ * Checks one value against its rule. Returns a problem, or null when the
+ * value is fine (or absent and optional).
+ */
+const checkField = (path, name, rule, raw, isText) => {
+  if (raw === undefined || raw === null || (isText && raw === '')) {
+    return rule.required ? problem(path, 'required', `${name} is required`) : null;
+  }
+  if (isText && typeof raw !== 'string') {
+    return problem(path, 'invalid_type', `${name} must be given once`);
+  }
+  const value = isText ? fromText(rule.type, raw) : raw;
+
+  switch (rule.type) {
+    case 'string':
+    case 'date': {
+      if (typeof value !== 'string') {
+        return problem(path, 'invalid_type', `${name} must be a string`);
+      }
+      if (value.length > (rule.maxLength || DEFAULT_MAX_LENGTH)) {
+        return problem(path, 'too_long', `${name} must be at most ${rule.maxLength || DEFAULT_MAX_LENGTH} characters`);
+      }
+      if (rule.type === 'date' && Number.isNaN(Date.parse(value))) {
+        return problem(path, 'invalid_value', `${name} must be a date`);
+      }
+      if (rule.required && value.trim() === '') {
+        return problem(path, 'required', `${name} is required`);
+      }
+      const comparable = rule.lowercase ? value.toLowerCase() : value;
+      if (rule.enum && !rule.enum.includes(comparable)) {
+        return problem(path, 'invalid_value', `${name} must be ${choices(rule.enum)}`);
+      }
+      if (rule.pattern && !rule.pattern.regex.test(value)) {
+        return problem(path, 'invalid_value', rule.pattern.message);
+      }
+      break;
+    }
+
+    case 'amount': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return problem(path, 'invalid_type', `${name} must be a number`);
+      }
+      if (rule.allowZero ? value < 0 : value <= 0) {
+        return problem(path, 'out_of_range', `${name} must be ${rule.allowZero ? 'zero or more' : 'more than zero'}`);
+      }
+      if (value > MAX_AMOUNT) {
+        return problem(path, 'out_of_range', `${name} must be at most ${MAX_AMOUNT}`);
+      }
+      // No currency has finer minor units; whether this one does is up to the
+      // route. String() of a number this size is never exponential
+      if (!PRECISE_ENOUGH.test(String(value))) {
+        return problem(path, 'too_precise', `${name} must have at most ${MAX_DECIMALS} decimal places`);
+      }
+      break;
+    }
+
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isInteger(value)) {
+        return problem(path, 'invalid_type', `${name} must be a whole number`);
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return problem(path, 'out_of_range', `${name} must be between ${rule.min} and ${rule.max}`);
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return problem(path, 'invalid_type', `${name} must be true or false`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown field type "${rule.type}" for ${path}`);
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      return problem(path, 'invalid_value', message);
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks a request's body, query and params against `schema`. Returns the
+ * list of problems, empty when the request is valid.
+ */
+const validate = (schema, { body, query, params } = {}) => {
+  const sources = [['body', body, false], ['query', query, true], ['params', params, true]];
+  const problems = [];
+
+  for (const [source, values, isText] of sources) {
+    if (!schema[source]) {
+      continue;
+    }
+    if (source === 'body' && (typeof values !== 'object' || values === null || Array.isArray(values))) {
+      problems.push(problem('body', 'invalid_type', 'body must be a JSON object'));
+      continue;
+    }
+    for (const [name, rule] of Object.entries(schema[source])) {
+      const found = checkField(`${source}.${name}`, name, rule, (values || {})[name], isText);
+      if (found) {
+        problems.push(found);
+      }
+    }
+  }
+
+  if (problems.length === 0) {
+    for (const rule of schema.rules || []) {
+      const found = rule({ body: body || {}, query: query || {}, params: params || {} });
+      if (found) {
+        problems.push(found);
+      }
+    }
+  }
+  return problems;
+};
+
+/**
+ * The one response and the one event for a request that failed
+ * validation: 400 with { error, code: 'VALIDATION_FAILED', errors }, where
+ * `error` repeats the first message for clients that only show one, and
+ * BANKING_REQUEST_INVALID with the paths and codes (never the values, which
+ * may be passwords or codes).
+ */
+const rejectInvalid = (req, res, logger, problems) => {
+  logger.warn('BANKING_REQUEST_INVALID', {
+    outcome: 'failure',
+    method: req.method,
+    route: req.route ? req.route.path : req.path,
+    errors: problems.map(({ path, code }) => ({ path, code }))
+  });
+  return res.status(400).json({ error: problems[0].message, code: 'VALIDATION_FAILED', errors: problems });
+};
+
+/**
+ * Route middleware enforcing `schema`. `onInvalid(req, problems)` runs
+ * before the 400 goes out, for routes that count their failures elsewhere.
+ */
+const validateRequest = (schema, { logger, onInvalid } = {}) => (req, res, next) => {
+  const problems = validate(schema, req);
+  if (problems.length === 0) {
+    return next();
+  }
+
+  if (onInvalid) {
+    onInvalid(req, problems);
+  }
+  return rejectInvalid(req, res, logger, problems);
+};
+
+module.exports = {
+  validate,
+  validateRequest,
+  rejectInvalid,
+  MAX_AMOUNT
+};
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Checks the audit trail for edited, deleted or reordered entries.
+ *
+ *   node verify-audit-log.js [file]
+ *
+ * The file defaults to AUDIT_LOG_FILE (logs/audit.jsonl), and AUDIT_LOG_KEY
+ * must be the key it was written with, if any. Exits with 1 when the chain
+ * is broken. The last entry's seq and hash are printed so they can be
+ * compared with the copy forwarded to Splunk: entries cut from the end,
+ * or a chain rewritten without a key, only show up there.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const { verifyAuditLog, auditLogFile } = require('./audit-log');
+
+if (require.main === module) {
+  const file = process.argv[2] || auditLogFile();
+
+  if (!fs.existsSync(file)) {
+    console.error(`[AUDIT] No audit log at ${file}`);
+    process.exit(1);
+  }
+
+  try {
+    const { valid, entries, head, problems } = verifyAuditLog(file, { key: process.env.AUDIT_LOG_KEY || null });
+    for (const { line, message } of problems) {
+      console.error(`[AUDIT] Line ${line}: ${message}`);
+    }
+
+    if (!process.env.AUDIT_LOG_KEY) {
+      console.warn('[AUDIT] AUDIT_LOG_KEY is not set: an entry edited along with every hash after it would still pass');
+    }
+
+    const last = head ? `, last entry ${head.seq} with hash ${head.hash}` : '';
+    if (valid) {
+      console.log(`[AUDIT] ${file} is intact: ${entries} entries${last}`);
+    } else {
+      console.error(`[AUDIT] ${file} has been tampered with: ${problems.length} problem(s) in ${entries} entries${last}`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('[AUDIT] Verification failed:', error.message);
+    process.exitCode = 1;
+  }
+}